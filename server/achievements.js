@@ -0,0 +1,125 @@
+// Achievements
+// Players earn titles and badges for what they do around the village.
+// Each achievement in server/achievements.json names an event and a
+// threshold on it:
+//   { event: "trade", count: 10 }                  - 10 completed trades
+//   { event: "donate", item: "moss", amount: 100 } - 100 moss donated in all
+//
+// subscribeAchievements counts the village's domain events (server/events.js)
+// toward them as they happen. Running totals live on player.stats ("donate"
+// and "donate:moss", each { count, amount }) and earned achievements on
+// player.achievements, so both are saved with the player. An unlock adds its
+// title to player.titles, notes it for the Elder and is passed to every
+// onUnlock listener.
+
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { AchievementEvent, DomainEvent } from './types.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const ACHIEVEMENTS = JSON.parse(readFileSync(resolve(__dirname, 'achievements.json'), 'utf-8'));
+
+const listeners = [];
+
+/**
+ * Every achievement
+ * @returns {Array} [{ id, title, badge, description, event, item?, count?, amount? }]
+ */
+export function listAchievements() {
+  return Object.entries(ACHIEVEMENTS).map(([id, achievement]) => ({ id, ...achievement }));
+}
+
+/**
+ * Call a listener with { state, player, achievement } on every unlock
+ */
+export function onUnlock(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * How far a player is toward an achievement
+ * @returns {Object} { have, needs }
+ */
+export function progressToward(player, achievement) {
+  const key = achievement.item ? `${achievement.event}:${achievement.item}` : achievement.event;
+  const stat = player.stats?.[key] || { count: 0, amount: 0 };
+
+  return achievement.amount !== undefined
+    ? { have: stat.amount, needs: achievement.amount }
+    : { have: stat.count, needs: achievement.count ?? 1 };
+}
+
+/**
+ * Count an event toward a player's achievements and award any now earned
+ * @param {Object} state - Game state (getPlayer, noteTitle)
+ * @param {string} playerId - Who did it
+ * @param {string} event - An AchievementEvent
+ * @param {Object} details - { item, amount }; amount defaults to 1
+ * @returns {Array} Achievements unlocked, as in listAchievements
+ */
+export function recordEvent(state, playerId, event, { item = null, amount = 1, now = Date.now() } = {}) {
+  const player = state.getPlayer(playerId);
+  if (!player) return [];
+
+  player.stats = player.stats || {};
+  player.achievements = player.achievements || [];
+  player.titles = player.titles || [];
+
+  for (const key of item ? [event, `${event}:${item}`] : [event]) {
+    const stat = player.stats[key] || (player.stats[key] = { count: 0, amount: 0 });
+    stat.count += 1;
+    stat.amount += amount;
+  }
+
+  const unlocked = listAchievements().filter(achievement => {
+    if (achievement.event !== event || player.achievements.some(earned => earned.id === achievement.id)) {
+      return false;
+    }
+    const { have, needs } = progressToward(player, achievement);
+    return have >= needs;
+  });
+
+  for (const achievement of unlocked) {
+    player.achievements.push({ id: achievement.id, title: achievement.title, badge: achievement.badge, earnedAt: now });
+    if (!player.titles.includes(achievement.title)) player.titles.push(achievement.title);
+    state.noteTitle(player, achievement.title, achievement.badge, now);
+
+    for (const listener of listeners) {
+      try {
+        listener({ state, player, achievement });
+      } catch (error) {
+        console.error('[Achievements] Unlock listener error:', error);
+      }
+    }
+  }
+
+  return unlocked;
+}
+
+/**
+ * Count a state's domain events toward its players' achievements
+ * @param {Object} state - Game state, with its event bus
+ */
+export function subscribeAchievements(state) {
+  const { events } = state;
+
+  events.on(DomainEvent.ITEM_GATHERED, ({ playerId, resource, amount }) => {
+    recordEvent(state, playerId, AchievementEvent.GATHER, { item: resource, amount });
+  });
+  events.on(DomainEvent.DONATION_MADE, ({ playerId, item, quantity }) => {
+    recordEvent(state, playerId, AchievementEvent.DONATE, { item, amount: quantity });
+  });
+  events.on(DomainEvent.TRADE_COMPLETED, ({ fromPlayer, toPlayer }) => {
+    recordEvent(state, fromPlayer, AchievementEvent.TRADE);
+    recordEvent(state, toPlayer, AchievementEvent.TRADE);
+  });
+  events.on(DomainEvent.VOTE_CAST, ({ playerId, previous }) => {
+    // Only a first ballot counts; changing it isn't voting again
+    if (previous === null) recordEvent(state, playerId, AchievementEvent.VOTE);
+  });
+  events.on(DomainEvent.STONE_PROMOTED, ({ playerId }) => {
+    if (playerId) recordEvent(state, playerId, AchievementEvent.STONE);
+  });
+}
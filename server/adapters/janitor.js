@@ -31,11 +31,11 @@ class JanitorAdapter {
 - Speak in a wise, earthy tone`;
   }
 
-  // Generate Elder response
-  async generateResponse(userPrompt, context) {
+  // Generate Elder response (or another NPC's, with its own system prompt)
+  async generateResponse(userPrompt, context, { systemPrompt = this.systemPrompt } = {}) {
     if (this.mode === 'LIVE' && this.apiKey) {
       try {
-        return await this.generateLiveResponse(userPrompt, context);
+        return await this.generateLiveResponse(userPrompt, context, systemPrompt);
       } catch (error) {
         console.error('Janitor AI error, falling back to MOCK:', error);
         return this.generateMockResponse(userPrompt, context);
@@ -46,7 +46,7 @@ class JanitorAdapter {
   }
 
   // Live mode - call actual Janitor AI API
-  async generateLiveResponse(userPrompt, context) {
+  async generateLiveResponse(userPrompt, context, systemPrompt = this.systemPrompt) {
     // Janitor AI API endpoint (placeholder - adjust based on actual API)
     const endpoint = 'https://api.janitorai.com/v1/chat/completions';
 
@@ -59,7 +59,7 @@ class JanitorAdapter {
       body: JSON.stringify({
         model: 'elder-mycel',
         messages: [
-          { role: 'system', content: this.systemPrompt },
+          { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         max_tokens: 150,
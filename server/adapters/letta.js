@@ -1,6 +1,9 @@
 // Letta adapter for backstage agents
 import { readFileSync } from 'fs';
 import { resolve } from 'path';
+import { VoteOutcome, VoteMode } from '../types.js';
+import { describeBundle } from '../offers.js';
+import { describeTrend } from '../market.js';
 
 /**
  * Compute Letta mode at call time based on environment
@@ -102,6 +105,27 @@ class LettaAdapter {
     return this.mockDecisionCard(vote, results, winner);
   }
 
+  // Elder settles a tied vote (Tallykeeper)
+  async breakTie(vote, tiedOptions) {
+    const { mode } = computeLettaMode();
+
+    if (mode === 'LIVE' && this.apiKey) {
+      try {
+        const result = await this.callLettaAPI('tallykeeper', {
+          task: 'break_tie',
+          vote,
+          tied: tiedOptions
+        });
+        return typeof result === 'string' ? result : result?.choice;
+      } catch (error) {
+        console.error('Letta tallykeeper error, using fallback:', error);
+        return this.mockBreakTie(vote, tiedOptions);
+      }
+    }
+
+    return this.mockBreakTie(vote, tiedOptions);
+  }
+
   // Generate Quartermaster Summary
   async generateQuartermasterSummary(report) {
     const { mode } = computeLettaMode();
@@ -211,18 +235,47 @@ class LettaAdapter {
   }
 
   mockDecisionCard(vote, results, winner) {
-    const totalVotes = Object.values(results).reduce((sum, count) => sum + count, 0);
+    const totalVotes = vote.turnout ?? Object.values(results).reduce((sum, count) => sum + count, 0);
+
+    if (!winner) {
+      return {
+        topic: vote.topic,
+        winner: null,
+        totalVotes,
+        results,
+        summary: vote.outcome === VoteOutcome.RUNOFF
+          ? `"${vote.tiedOptions.join('" and "')}" are tied. A runoff vote will settle it.`
+          : `The vote on "${vote.topic}" ended without a decision.`,
+        narrative: 'The voices did not gather strongly enough. The question waits for another day.'
+      };
+    }
     
     return {
       topic: vote.topic,
       winner,
       totalVotes,
       results,
-      summary: `The village chose "${winner}" with ${results[winner]} of ${totalVotes} votes. The decision is sealed.`,
+      summary: this.describeWin(vote, results, winner, totalVotes),
       narrative: `After much deliberation, the voices united. "${winner}" shall be our path forward.`
     };
   }
 
+  describeWin(vote, results, winner, totalVotes) {
+    if (vote.mode === VoteMode.RANKED && vote.rounds) {
+      const rounds = vote.rounds.length;
+      return `The village chose "${winner}" after ${rounds} round${rounds === 1 ? '' : 's'} of ranked counting. The decision is sealed.`;
+    }
+    if (vote.mode === VoteMode.APPROVAL) {
+      return `The village chose "${winner}", approved by ${results[winner]} of ${totalVotes} voters. The decision is sealed.`;
+    }
+    return `The village chose "${winner}" with ${results[winner]} of ${totalVotes} votes. The decision is sealed.`;
+  }
+
+  // The Elder keeps to the order the options were put to the village
+  mockBreakTie(vote, tiedOptions) {
+    return vote.options.find(option => tiedOptions.includes(option)) || tiedOptions[0];
+  }
+
   mockQuartermasterSummary(report) {
     if (report.isFirstReport) {
       return 'The stockpile stands ready for contributions.';
@@ -258,15 +311,20 @@ class LettaAdapter {
   }
 
   mockBrokerSummary(summary) {
+    // Rising prices mean the item is growing scarce
+    const scarcity = (summary.trends || []).slice(0, 2).map(trend =>
+      `${trend.base} grows ${trend.direction === 'up' ? 'scarce' : 'plentiful'} (${describeTrend(trend)})`);
+    const scarcityText = scarcity.length > 0 ? ` ${scarcity.join('. ')}.` : '';
+
     if (summary.total === 0) {
-      return 'The trading post sits quiet, waiting for offers.';
+      return `The trading post sits quiet, waiting for offers.${scarcityText}`;
     }
 
     const examples = summary.offers.slice(0, 2).map(o => 
-      `${o.from} offers ${o.give.qty} ${o.give.item} for ${o.want.qty} ${o.want.item}`
+      `${o.from} offers ${describeBundle(o.give)} for ${describeBundle(o.want)}`
     );
 
-    return `${summary.total} trades await on the board. ${examples.join('. ')}.`;
+    return `${summary.total} trades await on the board. ${examples.join('. ')}.${scarcityText}`;
   }
 
   // Check if adapter is in LIVE mode
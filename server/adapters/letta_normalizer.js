@@ -34,7 +34,8 @@ export default function normalizeLettaPatch(raw, tickContext = {}) {
       quest_percent: 0,
       needs: [],
       threshold_crossed: false,
-      crossed_at: null
+      crossed_at: null,
+      proposed_quest: null
     },
     trades: {
       actions: []
@@ -111,6 +112,7 @@ export default function normalizeLettaPatch(raw, tickContext = {}) {
   // If needs is object {cedar:2} → array [{item:"cedar", qty:2}]
   // If threshold_crossed is number N (25/50/75/100) → {threshold_crossed:true, crossed_at:N}
   // If boolean, keep boolean and set crossed_at accordingly or null
+  // proposed_quest / proposedQuest → proposed_quest (object or null)
   if (parsed.resources) {
     const r = parsed.resources;
     
@@ -147,6 +149,12 @@ export default function normalizeLettaPatch(raw, tickContext = {}) {
       normalized.resources.threshold_crossed = false;
       normalized.resources.crossed_at = null;
     }
+
+    // Proposed quest: passed through as-is, validated in applyPatch
+    const proposed = r.proposed_quest || r.proposedQuest;
+    if (proposed && typeof proposed === 'object') {
+      normalized.resources.proposed_quest = proposed;
+    }
   }
 
   // 4. TRADES
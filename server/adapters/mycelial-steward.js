@@ -10,10 +10,15 @@ import normalizeLettaPatch from './letta_normalizer.js';
  *   timestamp: number,
  *   state: {
  *     players: [{id, name, inventory, messageCount}],
- *     stockpile: {moss, cedar, resin, spores, charms},
+ *     stockpile: {moss, cedar, resin, spores, charms, sealed_plank, glow_lantern, moss_rope},
  *     activeQuest: {id, name, recipe, percent} | null,
- *     activeVote: {id, topic, options, tally, closesAt, status} | null,
- *     openOffers: [{id, fromPlayer, give, want}],
+ *     activeVote: {id, topic, options, tally: {playerId: option}, closesAt, status} | null,
+ *     pendingProposals: [{id, proposer, topic, options, seconds, expiresAt}],
+ *     openOffers: [{id, fromPlayer, give: [{item, qty}], want: [{item, qty}], toPlayer, counterTo, expiresAt}],
+ *     marketTrends: [{pair, base, quote, index, change, direction}],
+ *     craftingJobs: [{id, playerId, recipeId, quantity, startedAt, readyAt}],
+ *     questBoard: [{id, name, kind: "SIDE"|"PERSONAL", recipe, allocated, percent, assignedTo, expiresAt}],
+ *     newTitles: [{playerId, name, title, badge, at}],
  *     memoryStones: [{id, title, text, tags}],
  *     recentActions: [{playerId, action, text, timestamp}],
  *     journalQueue: [{id, playerId, text, timestamp}],
@@ -38,7 +43,8 @@ import normalizeLettaPatch from './letta_normalizer.js';
  *   },
  *   resources: {
  *     stockpileDeltas: {item: delta},
- *     questPercentDelta: number
+ *     questPercentDelta: number,
+ *     proposedQuest?: {name, recipe: {item: qty}} | {name, stages: [{name, recipe}]}
  *   },
  *   archive: {
  *     promoteJournals: [journalId],
@@ -60,6 +66,7 @@ import normalizeLettaPatch from './letta_normalizer.js';
  *     tone: "encouraging" | "warning" | "celebratory" | "reflective" | "neutral",
  *     context_summary: string,
  *     referenced_messages: [userId],
+ *     reply_to_messages: [messageId],
  *     conversation_thread: string
  *   }
  * }
@@ -473,6 +480,9 @@ Always return valid JSON matching the output schema.`;
           ? elderInst.tone : 'neutral',
         context_summary: elderInst.context_summary || '',
         referenced_messages: Array.isArray(elderInst.referenced_messages) ? elderInst.referenced_messages : [],
+        reply_to_messages: Array.isArray(elderInst.reply_to_messages)
+          ? elderInst.reply_to_messages.filter(id => typeof id === 'string')
+          : [],
         conversation_thread: elderInst.conversation_thread || ''
       };
 
@@ -533,6 +543,7 @@ Always return valid JSON matching the output schema.`;
         tone: 'neutral',
         context_summary: '',
         referenced_messages: [],
+        reply_to_messages: [],
         conversation_thread: ''
       },
       npc_message: null
@@ -599,6 +610,7 @@ Always return valid JSON matching the output schema.`;
         tone: 'neutral',
         context_summary: '',
         referenced_messages: [],
+        reply_to_messages: [],
         conversation_thread: ''
       },
       elder_message: null
@@ -606,10 +618,10 @@ Always return valid JSON matching the output schema.`;
 
     const { state, context } = input;
 
-    // 1. TRADES: Auto-cancel stale offers (>1 hour)
+    // 1. TRADES: Auto-cancel offers past their expiry (or >1 hour without one)
     const now = Date.now();
     for (const offer of state.openOffers) {
-      if (now - offer.createdAt > 60 * 60 * 1000) {
+      if (now >= (offer.expiresAt || offer.createdAt + 60 * 60 * 1000)) {
         patch.trades.cancel.push(offer.id);
       }
     }
@@ -704,12 +716,18 @@ Always return valid JSON matching the output schema.`;
         m.text && (m.text.toLowerCase().includes('elder') || m.text.includes('?'))
       );
       
+      // One player asking about themselves gets a private answer
+      const askers = [...new Set(questionsToElder.map(m => m.user))];
+      const personal = askers.length === 1 && questionsToElder.some(m => /\b(i|me|my)\b/i.test(m.text));
+
       if (questionsToElder.length > 0) {
         patch.elder_instructions.should_speak = true;
-        patch.elder_instructions.mode = 'broadcast';
+        patch.elder_instructions.mode = personal ? 'dm' : 'broadcast';
+        patch.elder_instructions.target_user_id = personal ? askers[0] : null;
         patch.elder_instructions.tone = 'encouraging';
         patch.elder_instructions.context_summary = `Players asking questions: ${questionsToElder.map(m => m.text.substring(0, 50)).join('; ')}`;
         patch.elder_instructions.referenced_messages = questionsToElder.map(m => m.user);
+        patch.elder_instructions.reply_to_messages = questionsToElder.map(m => m.id).filter(Boolean);
         patch.elder_instructions.conversation_thread = 'questions';
       } else if (patch.cadence.shouldElderSpeak) {
         patch.elder_instructions.should_speak = true;
@@ -740,6 +758,30 @@ Always return valid JSON matching the output schema.`;
       } else {
         text += "Through your hands, the village is prepared!";
       }
+
+      // Nudge the village toward proposals still waiting for seconds
+      const proposal = (state.pendingProposals || [])[0];
+      if (proposal) {
+        text += ` A proposal stirs: "${proposal.topic}". Who will second it?`;
+      }
+
+      // Remark on the item whose price is climbing fastest
+      const scarce = (state.marketTrends || []).find(trend => trend.direction === 'up');
+      if (scarce) {
+        text += ` ${scarce.base[0].toUpperCase()}${scarce.base.slice(1)} grows scarce; it now fetches ${Math.round(scarce.index * 100) / 100} ${scarce.quote}.`;
+      }
+
+      // Notice hands busy at the workbench
+      const crafting = (state.craftingJobs || []).length;
+      if (crafting > 0) {
+        text += ` ${crafting} craft${crafting === 1 ? '' : 's'} take shape at the workbench.`;
+      }
+
+      // Honour the newest title
+      const honoured = (state.newTitles || []).slice(-1)[0];
+      if (honoured) {
+        text += ` Hail ${honoured.name}, now ${honoured.title}!`;
+      }
       
       patch.npc_message = {
         npc: "elder",
@@ -790,7 +832,12 @@ Always return valid JSON matching the output schema.`;
         stockpile: fullState.stockpile,
         activeQuest: fullState.activeQuest,
         activeVote: fullState.activeVote,
+        pendingProposals: fullState.pendingProposals || [],
         openOffers: fullState.openOffers.slice(0, 10), // Limit to 10 most recent
+        marketTrends: fullState.marketTrends || [],
+        craftingJobs: fullState.craftingJobs || [],
+        questBoard: fullState.questBoard || [],
+        newTitles: fullState.newTitles || [],
         memoryStones: fullState.memoryStones,
         recentActions: fullState.recentActions.slice(0, 20),
         journalQueue: fullState.journalQueue || []
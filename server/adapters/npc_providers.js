@@ -0,0 +1,89 @@
+/**
+ * NPC Providers
+ *
+ * Turn a prompt into a line for one NPC, by the provider the registry
+ * gives it (see npc_registry.js). Every provider falls back to the NPC's
+ * mock lines when it isn't configured or fails, so an NPC whose turn
+ * comes up always has something to say.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { janitorAdapter } from './janitor.js';
+
+const LOCAL_LLM_URL = process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1/chat/completions';
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || 'llama3';
+const LOCAL_LLM_TIMEOUT_MS = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS || '10000', 10);
+
+const prompts = new Map(); // promptPath -> system prompt
+const lineIndex = new Map(); // npc id -> next mock line
+
+function systemPromptFor(npc) {
+  if (!prompts.has(npc.promptPath)) {
+    try {
+      prompts.set(npc.promptPath, readFileSync(resolve(npc.promptPath), 'utf-8'));
+    } catch (error) {
+      console.warn(`[NPC] Could not load prompt for ${npc.name}, using default`);
+      prompts.set(npc.promptPath, `You are ${npc.name}, who keeps watch over the ${npc.domain}. Speak in 1-2 warm, brief sentences.`);
+    }
+  }
+  return prompts.get(npc.promptPath);
+}
+
+// Mock provider: the NPC's lines in turn
+function mockLine(npc) {
+  const index = lineIndex.get(npc.id) || 0;
+  lineIndex.set(npc.id, index + 1);
+  return npc.lines[index % npc.lines.length];
+}
+
+// An OpenAI-compatible chat endpoint on this machine (Ollama, llama.cpp, ...).
+// A hung server times out like any other failure and the mock line is used.
+async function localLine(npc, prompt) {
+  const response = await fetch(LOCAL_LLM_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal: AbortSignal.timeout(LOCAL_LLM_TIMEOUT_MS),
+    body: JSON.stringify({
+      model: LOCAL_LLM_MODEL,
+      messages: [
+        { role: 'system', content: systemPromptFor(npc) },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 120,
+      temperature: 0.8
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Local LLM error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.choices[0].message.content.trim();
+}
+
+/**
+ * Generate what an NPC says
+ * @param {Object} npc - As in listNPCs
+ * @param {string} prompt - What the NPC is reacting to (see buildNpcPrompt)
+ * @param {Object} context - Village context, for providers that use it
+ * @returns {Promise<string>} The line
+ */
+export async function generateNpcLine(npc, prompt, context = {}) {
+  try {
+    switch (npc.provider) {
+      case 'janitor':
+        if (janitorAdapter.isLive()) {
+          return await janitorAdapter.generateResponse(prompt, context, { systemPrompt: systemPromptFor(npc) });
+        }
+        break;
+      case 'local':
+        return await localLine(npc, prompt);
+    }
+  } catch (error) {
+    console.error(`[NPC] ${npc.provider} provider failed for ${npc.name}, falling back to mock:`, error.message);
+  }
+
+  return mockLine(npc);
+}
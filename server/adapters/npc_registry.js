@@ -1,19 +1,70 @@
 /**
  * NPC Registry
- * 
+ *
  * Central configuration for all NPCs in the system.
- * Each NPC has a provider and prompt path.
+ * Each NPC has a provider and prompt path, plus:
+ *   name, avatar - how clients show them
+ *   domain       - where they keep watch ('village' for the whole village,
+ *                  otherwise a location on the map)
+ *   aliases      - other names the Steward may use for them in npc_message
+ *   cadence      - when they speak on their own: after `after` of the
+ *                  domain events in `events` (see DomainEvent), and never
+ *                  more often than every `cooldownSeconds`
+ *   lines        - what the mock provider says, in turn
+ *
+ * Providers: mock (lines above), janitor (Janitor AI with the NPC's
+ * prompt), local (an OpenAI-compatible endpoint at LOCAL_LLM_URL) and letta
+ * (only speaks when the Steward's npc_message names them). The Elder's
+ * cadence has no events: it speaks when the Steward says so.
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
+// The Elder speaks as ELDER_SAY, and for the Steward when it names nobody we know
+export const ELDER_NPC = 'elder_mycel';
+
 export const NPCS = {
   elder_mycel: {
+    name: 'Elder Mycel',
+    avatar: '🍄',
     provider: process.env.ELDER_PROVIDER || 'mock',
-    promptPath: process.env.ELDER_SYSTEM_PROMPT_PATH || './prompts/elder_voice_charter.txt'
+    promptPath: process.env.ELDER_SYSTEM_PROMPT_PATH || './prompts/elder_voice_charter.txt',
+    domain: 'village',
+    aliases: ['elder', 'mycel'],
+    cadence: { events: [], after: 0, cooldownSeconds: 0 },
+    lines: [
+      'The mycelium stirs beneath your feet. Gather what the village needs.'
+    ]
+  },
+  trader_bracket: {
+    name: 'Trader Bracket',
+    avatar: '🤝',
+    provider: process.env.TRADER_PROVIDER || 'mock',
+    promptPath: process.env.TRADER_SYSTEM_PROMPT_PATH || './prompts/trader_voice.txt',
+    domain: 'Trading Post',
+    aliases: ['trader', 'bracket'],
+    cadence: { events: ['OfferCreated', 'TradeCompleted'], after: 3, cooldownSeconds: 90 },
+    lines: [
+      'Fair trades make firm friends! Post what you can spare at the Trading Post.',
+      'Goods are moving today. Check the board before the best offers are taken.',
+      'A bargain struck is a bargain kept. Who else has something to swap?'
+    ]
+  },
+  gardener_fern: {
+    name: 'Gardener Fern',
+    avatar: '🌿',
+    provider: process.env.GARDENER_PROVIDER || 'mock',
+    promptPath: process.env.GARDENER_SYSTEM_PROMPT_PATH || './prompts/gardener_voice.txt',
+    domain: 'Moss Garden',
+    aliases: ['gardener', 'fern'],
+    cadence: { events: ['ItemGathered', 'DonationMade'], after: 5, cooldownSeconds: 120 },
+    lines: [
+      'The moss beds are busy today. Leave a little to grow back, friends.',
+      'Gentle hands make the garden generous. Bring your harvest to the stockpile.',
+      'Every sprig counts toward winter. Keep gathering, the garden will keep giving.'
+    ]
   }
-  // Future NPCs can be added here with their own providers and prompts
 };
 
 /**
@@ -24,3 +75,25 @@ export const NPCS = {
 export function getNPCConfig(npcId) {
   return NPCS[npcId] || null;
 }
+
+/**
+ * Every NPC
+ * @returns {Array} [{ id, name, avatar, provider, promptPath, domain, ... }]
+ */
+export function listNPCs() {
+  return Object.entries(NPCS).map(([id, npc]) => ({ id, ...npc }));
+}
+
+/**
+ * Find an NPC by id, name or alias (case-insensitive), as the Steward
+ * names them in npc_message ("elder", "Elder Mycel", "elder_mycel")
+ * @returns {Object|null} As in listNPCs
+ */
+export function findNPC(reference) {
+  const key = String(reference || '').trim().toLowerCase();
+  if (!key) return null;
+
+  return listNPCs().find(npc =>
+    npc.id === key || npc.name.toLowerCase() === key || npc.aliases.includes(key)
+  ) || null;
+}
@@ -1,12 +1,21 @@
 // Admin utilities for managing game state
 import { gameState } from './state.js';
-import { createMemoryStone, createQuest, createVote } from './types.js';
+import { createInventory, createMemoryStone, createQuest, createVote } from './types.js';
 import { rhizomorphQuartermaster } from './agents/quartermaster.js';
 import { lamellaTallykeeper } from './agents/tallykeeper.js';
 import { lichenArchivist } from './agents/archivist.js';
 
 class AdminTools {
-  constructor() {
+  constructor({
+    state = gameState,
+    quartermaster = rhizomorphQuartermaster,
+    tallykeeper = lamellaTallykeeper,
+    archivist = lichenArchivist
+  } = {}) {
+    this.state = state;
+    this.quartermaster = quartermaster;
+    this.tallykeeper = tallykeeper;
+    this.archivist = archivist;
     this.adminPasscode = process.env.ADMIN_PASSCODE || 'mushroom123';
   }
 
@@ -25,45 +34,51 @@ class AdminTools {
       createMemoryStone('stone5', 'The Great Storm', 'Lightning struck the Elder Cedar but it stood firm.', ['event', 'resilience'])
     ];
 
-    gameState.canonRing = stones;
+    this.state.canonRing = stones;
     return { success: true, count: stones.length };
   }
 
   // Start a quest
   startQuest(name, recipe) {
-    const quest = rhizomorphQuartermaster.startQuest(name, recipe);
+    const quest = this.quartermaster.startQuest(name, recipe);
     return { success: true, quest };
   }
 
   // Complete current quest
   completeQuest() {
-    const quest = rhizomorphQuartermaster.completeQuest();
+    const quest = this.quartermaster.completeQuest();
     return { success: true, quest };
   }
 
-  // Open a vote
-  openVote(topic, options, durationMinutes = 5) {
-    const vote = lamellaTallykeeper.openVote(topic, options, durationMinutes);
+  // Open a vote, closing any open one first
+  async openVote(topic, options, durationMinutes = 5, rules = {}) {
+    const vote = await this.tallykeeper.openVote(topic, options, durationMinutes, rules);
     return { success: true, vote };
   }
 
+  // Queue a vote to open when the active one closes
+  queueVote(topic, options, durationMinutes = 5, rules = {}) {
+    const result = this.tallykeeper.queueVote(topic, options, durationMinutes, rules);
+    return { success: true, ...result };
+  }
+
   // Close current vote
   async closeVote() {
-    const result = await lamellaTallykeeper.closeVote();
+    const result = await this.tallykeeper.closeVote();
     return { success: true, result };
   }
 
   // Add resources to stockpile
   addToStockpile(item, quantity) {
-    const success = gameState.addToStockpile(item, quantity);
-    return { success, stockpile: gameState.stockpile };
+    const success = this.state.addToStockpile(item, quantity);
+    return { success, stockpile: this.state.stockpile };
   }
 
   // Give resources to player
   givePlayerResources(playerId, item, quantity) {
-    const success = gameState.updatePlayerInventory(playerId, item, quantity);
+    const success = this.state.updatePlayerInventory(playerId, item, quantity);
     if (success) {
-      const player = gameState.getPlayer(playerId);
+      const player = this.state.getPlayer(playerId);
       return { success: true, player };
     }
     return { success: false, reason: 'Failed to update inventory' };
@@ -77,49 +92,51 @@ class AdminTools {
       text,
       tags
     );
-    gameState.addMemoryStone(stone);
+    this.state.addMemoryStone(stone);
     return { success: true, stone };
   }
 
   // Toggle archivist auto-promote
   toggleAutoPromote(enabled) {
-    lichenArchivist.setAutoPromote(enabled);
+    this.archivist.setAutoPromote(enabled);
     return { success: true, autoPromote: enabled };
   }
 
   // Get game state summary
   getStateSummary() {
     return {
-      players: gameState.players.size,
-      memoryStones: gameState.canonRing.length,
-      activeQuest: gameState.nowRing.activeQuest?.name || null,
-      activeVote: gameState.nowRing.activeVote?.topic || null,
-      stockpile: gameState.stockpile,
-      openOffers: gameState.getOpenOffers().length,
-      scratchActions: gameState.scratchRing.length
+      players: this.state.getConnectedPlayers().length,
+      knownPlayers: this.state.players.size,
+      memoryStones: this.state.canonRing.length,
+      activeQuest: this.state.nowRing.activeQuest?.name || null,
+      activeVote: this.state.nowRing.activeVote?.topic || null,
+      stockpile: this.state.stockpile,
+      openOffers: this.state.getOpenOffers().length,
+      scratchActions: this.state.scratchRing.length
     };
   }
 
   // Reset game state (dangerous!)
   resetGameState() {
-    gameState.canonRing = [];
-    gameState.nowRing = {
+    this.state.canonRing = [];
+    this.state.nowRing = {
       activeQuest: null,
       activeVote: null,
       topRecentActions: []
     };
-    gameState.scratchRing = [];
-    gameState.players.clear();
-    gameState.offers.clear();
-    gameState.quests = [];
-    gameState.votes = [];
-    gameState.stockpile = {
-      moss: 0,
-      cedar: 0,
-      resin: 0,
-      spores: 0,
-      charms: 0
-    };
+    this.state.scratchRing = [];
+    this.state.players.clear();
+    this.state.sessionTokens.clear();
+    this.state.gatherCooldowns.clear();
+    this.state.gatherLog = [];
+    this.state.offers.clear();
+    this.state.quests = [];
+    this.state.votes = [];
+    this.state.voteQueue = [];
+    this.state.proposals.clear();
+    this.state.craftingJobs = [];
+    this.state.questProposal = null;
+    this.state.stockpile = createInventory();
 
     // Re-seed initial stones
     this.seedMemoryStones();
@@ -129,7 +146,7 @@ class AdminTools {
 
   // Export full chronicle
   exportChronicle() {
-    return gameState.exportChronicle();
+    return this.state.exportChronicle();
   }
 
   // Example admin commands for demo
@@ -146,8 +163,8 @@ class AdminTools {
       resin: 10
     });
 
-    // Open a vote
-    this.openVote('Where should we build the new shelter?', [
+    // Open a vote (a new village has none running)
+    this.queueVote('Where should we build the new shelter?', [
       'By the ancient cedar',
       'Near the moss grove',
       'Beside the stream'
@@ -161,6 +178,8 @@ class AdminTools {
   }
 }
 
+export { AdminTools };
+
 // Singleton instance
 export const adminTools = new AdminTools();
 
@@ -174,7 +193,10 @@ export function executeAdminCommand(command, args = {}) {
       return adminTools.startQuest(args.name, args.recipe);
     
     case 'open-vote':
-      return adminTools.openVote(args.topic, args.options, args.duration);
+      return adminTools.openVote(args.topic, args.options, args.duration, args);
+
+    case 'queue-vote':
+      return adminTools.queueVote(args.topic, args.options, args.duration, args);
     
     case 'add-stockpile':
       return adminTools.addToStockpile(args.item, args.quantity);
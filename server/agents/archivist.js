@@ -1,10 +1,11 @@
 // Lichen Archivist: Manages Memory Stones
 import { gameState } from '../state.js';
-import { createMemoryStone } from '../types.js';
+import { createMemoryStone, DomainEvent } from '../types.js';
 import { lettaAdapter } from '../adapters/letta.js';
 
 class LichenArchivist {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.name = 'Lichen Archivist';
     this.journalQueue = [];
     this.autoPromote = false; // Manual toggle for auto-promotion
@@ -64,12 +65,13 @@ class LichenArchivist {
       );
 
       // Add to canon ring (will auto-prune if >12)
-      gameState.addMemoryStone(stone);
+      this.state.addMemoryStone(stone);
 
       // Mark journal as promoted
       journal.promoted = true;
       journal.promotedAt = Date.now();
       journal.stoneId = stone.id;
+      this.state.events.emit(DomainEvent.STONE_PROMOTED, { stone, playerId: journal.playerId });
 
       return { success: true, stone };
     } catch (error) {
@@ -98,7 +100,7 @@ class LichenArchivist {
     if (!this.autoPromote) return;
 
     const pending = this.getPendingJournals();
-    const stones = gameState.getMemoryStones();
+    const stones = this.state.getMemoryStones();
 
     // Don't auto-promote if we're at capacity
     if (stones.length >= 12) {
@@ -118,19 +120,19 @@ class LichenArchivist {
 
   // Prune/merge stones when >12
   pruneStones() {
-    const stones = gameState.getMemoryStones();
+    const stones = this.state.getMemoryStones();
     if (stones.length <= 12) return;
 
     // Simple strategy: remove oldest stones beyond 12
     // In a real system, Letta would help merge similar stones
-    while (gameState.canonRing.length > 12) {
-      gameState.canonRing.shift();
+    while (this.state.canonRing.length > 12) {
+      this.state.canonRing.shift();
     }
   }
 
   // Get summary for Elder
   getStoneSummary() {
-    const stones = gameState.getMemoryStones();
+    const stones = this.state.getMemoryStones();
     return {
       count: stones.length,
       recent: stones.slice(-3),
@@ -140,7 +142,7 @@ class LichenArchivist {
 
   // Get all unique tags
   getAllTags() {
-    const stones = gameState.getMemoryStones();
+    const stones = this.state.getMemoryStones();
     const tagSet = new Set();
     stones.forEach(stone => {
       stone.tags.forEach(tag => tagSet.add(tag));
@@ -155,5 +157,7 @@ class LichenArchivist {
   }
 }
 
+export { LichenArchivist };
+
 // Singleton instance
 export const lichenArchivist = new LichenArchivist();
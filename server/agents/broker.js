@@ -1,56 +1,129 @@
 // Sporocarp Broker: Trading board management
 import { gameState } from '../state.js';
-import { createOffer, TradeStatus } from '../types.js';
+import { createOffer, DomainEvent, TradeStatus } from '../types.js';
+import { canSeeOffer, describeBundle, findShortfall, isExpired, releaseOffer, reserveOffer, reservedFor, toBundle } from '../offers.js';
+import { executeCrossing, findCrossings, quoteBook } from '../matching.js';
+import { describeTrend, marketHistory, marketTrends } from '../market.js';
 import { lettaAdapter } from '../adapters/letta.js';
 
+// Two bundles name the same items
+function sameItems(a, b) {
+  const left = toBundle(a).map(({ item }) => item).sort();
+  const right = toBundle(b).map(({ item }) => item).sort();
+  return left.join() === right.join();
+}
+
+// Quantities of matching bundles within 10% of each other
+function closeQuantities(a, b) {
+  const right = toBundle(b);
+  return toBundle(a).every(({ item, qty }) => {
+    const other = right.find(entry => entry.item === item);
+    return Math.abs(qty / other.qty - 1) < 0.1;
+  });
+}
+
+const DEFAULT_OFFER_MINUTES = parseInt(process.env.OFFER_TTL_MINUTES || '60', 10);
+const MAX_OFFER_MINUTES = parseInt(process.env.OFFER_MAX_TTL_MINUTES || '1440', 10);
+const MARKET_WINDOW_MINUTES = parseInt(process.env.MARKET_WINDOW_MINUTES || '60', 10);
+
 class SporocarpBroker {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.name = 'Sporocarp Broker';
+    this.defaultOfferMinutes = DEFAULT_OFFER_MINUTES;
+    this.maxOfferMinutes = MAX_OFFER_MINUTES;
+    this.marketWindowMinutes = MARKET_WINDOW_MINUTES;
   }
 
   // Create a new trade offer
-  createOffer(playerId, give, want) {
-    const player = gameState.getPlayer(playerId);
+  // terms: { toPlayer, counterTo, minutes, autoMatch } - all optional
+  createOffer(playerId, give, want, terms = {}) {
+    const player = this.state.getPlayer(playerId);
     if (!player) {
       return { success: false, reason: 'Player not found' };
     }
 
+    const giveBundle = toBundle(give);
+    const wantBundle = toBundle(want);
+    if (giveBundle.length === 0 || wantBundle.length === 0) {
+      return { success: false, reason: 'An offer needs something to give and something to receive' };
+    }
+
     // Check if player has the items
-    if (!player.inventory.hasOwnProperty(give.item)) {
+    if (giveBundle.some(({ item }) => !player.inventory.hasOwnProperty(item))) {
       return { success: false, reason: 'Invalid item to give' };
     }
 
-    if (player.inventory[give.item] < give.qty) {
+    if (findShortfall(player.inventory, giveBundle)) {
       return { success: false, reason: 'Insufficient inventory' };
     }
 
-    // Validate want item
-    if (!player.inventory.hasOwnProperty(want.item)) {
+    // Validate want items
+    if (wantBundle.some(({ item }) => !player.inventory.hasOwnProperty(item))) {
       return { success: false, reason: 'Invalid item to receive' };
     }
 
+    if (terms.toPlayer === playerId) {
+      return { success: false, reason: 'Cannot address an offer to yourself' };
+    }
+
+    if (terms.toPlayer && !this.state.getPlayer(terms.toPlayer)) {
+      return { success: false, reason: 'Player not found' };
+    }
+
+    const minutes = terms.minutes ?? this.defaultOfferMinutes;
+    if (minutes <= 0 || minutes > this.maxOfferMinutes) {
+      return { success: false, reason: `Offers can last 1-${this.maxOfferMinutes} minutes` };
+    }
+
     // Create offer
     const offerId = `offer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const offer = createOffer(offerId, playerId, give, want);
+    const offer = createOffer(offerId, playerId, giveBundle, wantBundle, {
+      toPlayer: terms.toPlayer,
+      counterTo: terms.counterTo,
+      autoMatch: terms.autoMatch,
+      expiresAt: Date.now() + minutes * 60 * 1000
+    });
     
-    gameState.createOffer(offer);
+    // Offered goods are held by the offer until it is accepted or closed
+    reserveOffer(player, offer);
+    this.state.createOffer(offer);
+    this.state.events.emit(DomainEvent.OFFER_CREATED, { offer });
 
     return { success: true, offer };
   }
 
+  // Counter an open offer: a new offer addressed back to its author
+  counterOffer(offerId, playerId, give, want, minutes) {
+    const original = this.state.getOffer(offerId);
+    if (!original || original.status !== TradeStatus.OPEN || isExpired(original) || !canSeeOffer(original, playerId)) {
+      return { success: false, reason: 'Offer not available' };
+    }
+
+    if (original.fromPlayer === playerId) {
+      return { success: false, reason: 'Cannot counter your own offer' };
+    }
+
+    return this.createOffer(playerId, give, want, {
+      toPlayer: original.fromPlayer,
+      counterTo: original.id,
+      minutes
+    });
+  }
+
   // Accept a trade offer
   acceptOffer(offerId, acceptingPlayerId) {
-    const result = gameState.acceptOffer(offerId, acceptingPlayerId);
+    const result = this.state.acceptOffer(offerId, acceptingPlayerId);
     
     if (result.success) {
       // Record in scratch ring
-      const fromPlayer = gameState.getPlayer(result.offer.fromPlayer);
-      const toPlayer = gameState.getPlayer(acceptingPlayerId);
+      const fromPlayer = this.state.getPlayer(result.offer.fromPlayer);
+      const toPlayer = this.state.getPlayer(acceptingPlayerId);
       
       return {
         success: true,
         offer: result.offer,
-        summary: `${toPlayer.name} accepted ${fromPlayer.name}'s offer: ${result.offer.give.qty} ${result.offer.give.item} for ${result.offer.want.qty} ${result.offer.want.item}`
+        summary: `${toPlayer.name} accepted ${fromPlayer.name}'s offer: ${describeBundle(result.offer.give)} for ${describeBundle(result.offer.want)}`
       };
     }
 
@@ -59,7 +132,7 @@ class SporocarpBroker {
 
   // Cancel an offer
   cancelOffer(offerId, playerId) {
-    const offer = gameState.getOffer(offerId);
+    const offer = this.state.getOffer(offerId);
     
     if (!offer) {
       return { success: false, reason: 'Offer not found' };
@@ -73,37 +146,93 @@ class SporocarpBroker {
       return { success: false, reason: 'Offer already closed' };
     }
 
-    offer.status = TradeStatus.CANCELLED;
-    offer.cancelledAt = Date.now();
+    releaseOffer(this.state, offer, 'cancelled');
 
     return { success: true, offer };
   }
 
-  // Get all open offers
+  // Pair and fill crossing offers that opted in to matching
+  // Returns the fills made: [{ seller, buyer, gave, got }]
+  runMatching(now = Date.now()) {
+    const fills = [];
+
+    for (const crossing of findCrossings(this.state.getOpenOffers(now), now)) {
+      const fill = executeCrossing(this.state, crossing, now);
+      this.state.events.emit(DomainEvent.TRADE_COMPLETED, {
+        offer: fill.seller,
+        fromPlayer: fill.seller.fromPlayer,
+        toPlayer: fill.buyer.fromPlayer,
+        gave: fill.gave,
+        got: fill.got,
+        via: 'match'
+      });
+      fills.push(fill);
+    }
+
+    return fills;
+  }
+
+  // Best bid/ask per resource pair on the public board
+  getMarketQuotes() {
+    return quoteBook(this.getVisibleOffers());
+  }
+
+  // Exchange-rate history, rolling index and volume per resource pair
+  getMarketHistory(now = Date.now()) {
+    return marketHistory(this.state.offers.values(), { now, windowMinutes: this.marketWindowMinutes });
+  }
+
+  // Pairs whose index moved noticeably over the last window
+  getMarketTrends(now = Date.now()) {
+    return marketTrends(this.getMarketHistory(now));
+  }
+
+  // Items a player has in escrow: { item: qty }
+  getReserved(playerId) {
+    return reservedFor(this.state.offers.values(), playerId);
+  }
+
+  // Get all open offers, private ones included
   getOpenOffers() {
-    return gameState.getOpenOffers();
+    return this.state.getOpenOffers();
+  }
+
+  // Open offers a player may see: the public board plus offers from or
+  // to them. With no player, only the public board.
+  getVisibleOffers(playerId = null) {
+    return this.getOpenOffers()
+      .filter(o => canSeeOffer(o, playerId))
+      .map(o => ({
+        ...o,
+        give: toBundle(o.give),
+        want: toBundle(o.want),
+        fromName: this.state.getPlayer(o.fromPlayer)?.name || 'Unknown',
+        toName: o.toPlayer ? this.state.getPlayer(o.toPlayer)?.name || 'Unknown' : null
+      }));
   }
 
   // Get offers by player
   getPlayerOffers(playerId) {
-    return Array.from(gameState.offers.values())
+    return Array.from(this.state.offers.values())
       .filter(o => o.fromPlayer === playerId);
   }
 
   // Get trading board summary
   getTradingBoardSummary() {
-    const openOffers = this.getOpenOffers();
+    const openOffers = this.getVisibleOffers();
     
     return {
       total: openOffers.length,
+      trends: this.getMarketTrends(),
       offers: openOffers.map(o => {
-        const player = gameState.getPlayer(o.fromPlayer);
+        const player = this.state.getPlayer(o.fromPlayer);
         return {
           id: o.id,
           from: player?.name || 'Unknown',
           give: o.give,
           want: o.want,
-          age: Date.now() - o.createdAt
+          age: Date.now() - o.createdAt,
+          expiresAt: o.expiresAt
         };
       })
     };
@@ -113,7 +242,7 @@ class SporocarpBroker {
   async generateSummaryForElder() {
     const summary = this.getTradingBoardSummary();
     
-    if (summary.total === 0) {
+    if (summary.total === 0 && summary.trends.length === 0) {
       return 'Trading board is quiet.';
     }
 
@@ -129,28 +258,30 @@ class SporocarpBroker {
 
   // Simple fallback summary
   generateSimpleSummary(summary) {
+    const trends = (summary.trends || []).slice(0, 2).map(describeTrend);
+    const trendText = trends.length > 0 ? ` Prices: ${trends.join('; ')}.` : '';
+
     if (summary.total === 0) {
-      return 'No active trades.';
+      return `No active trades.${trendText}`;
     }
 
     const examples = summary.offers.slice(0, 2).map(o => 
-      `${o.from}: ${o.give.qty} ${o.give.item} for ${o.want.qty} ${o.want.item}`
+      `${o.from}: ${describeBundle(o.give)} for ${describeBundle(o.want)}`
     );
 
-    return `${summary.total} trade offer(s) posted. ${examples.join('; ')}.`;
+    return `${summary.total} trade offer(s) posted. ${examples.join('; ')}.${trendText}`;
   }
 
-  // Check for stale offers (older than 1 hour)
-  cleanStaleOffers() {
+  // Close offers past their expiry and return their escrow
+  // (offers without an expiry lapse after an hour)
+  cleanStaleOffers(now = Date.now()) {
     const staleThreshold = 60 * 60 * 1000; // 1 hour
-    const now = Date.now();
     let cleanedCount = 0;
 
-    for (const [offerId, offer] of gameState.offers.entries()) {
-      if (offer.status === TradeStatus.OPEN && (now - offer.createdAt) > staleThreshold) {
-        offer.status = TradeStatus.CANCELLED;
-        offer.cancelledAt = now;
-        offer.cancelReason = 'stale';
+    for (const [offerId, offer] of this.state.offers.entries()) {
+      const expiresAt = offer.expiresAt || offer.createdAt + staleThreshold;
+      if (offer.status === TradeStatus.OPEN && now >= expiresAt) {
+        releaseOffer(this.state, offer, 'expired', now);
         cleanedCount++;
       }
     }
@@ -160,7 +291,7 @@ class SporocarpBroker {
 
   // Match offers (find compatible offers)
   findMatchingOffers(offerId) {
-    const offer = gameState.getOffer(offerId);
+    const offer = this.state.getOffer(offerId);
     if (!offer || offer.status !== TradeStatus.OPEN) {
       return [];
     }
@@ -170,29 +301,20 @@ class SporocarpBroker {
 
     for (const other of openOffers) {
       if (other.id === offerId) continue;
+      if (!canSeeOffer(other, offer.fromPlayer) || !canSeeOffer(offer, other.fromPlayer)) continue;
       
       // Check if offers are compatible
-      // A wants B, B wants A
-      if (offer.give.item === other.want.item && 
-          offer.want.item === other.give.item) {
+      // A wants B, B wants A (every item on both sides)
+      if (sameItems(offer.give, other.want) && sameItems(offer.want, other.give)) {
         
         // Check if quantities work
-        const ratio1 = offer.give.qty / other.want.qty;
-        const ratio2 = other.give.qty / offer.want.qty;
+        const exact = closeQuantities(offer.give, other.want) && closeQuantities(other.give, offer.want);
         
-        if (Math.abs(ratio1 - 1) < 0.1 && Math.abs(ratio2 - 1) < 0.1) {
-          matches.push({
-            offerId: other.id,
-            from: other.fromPlayer,
-            compatibility: 'exact'
-          });
-        } else {
-          matches.push({
-            offerId: other.id,
-            from: other.fromPlayer,
-            compatibility: 'partial'
-          });
-        }
+        matches.push({
+          offerId: other.id,
+          from: other.fromPlayer,
+          compatibility: exact ? 'exact' : 'partial'
+        });
       }
     }
 
@@ -203,7 +325,7 @@ class SporocarpBroker {
   getPlayerTradeHistory(playerId) {
     const history = [];
     
-    for (const offer of gameState.offers.values()) {
+    for (const offer of this.state.offers.values()) {
       if ((offer.fromPlayer === playerId || offer.acceptedBy === playerId) && 
           offer.status === TradeStatus.COMPLETED) {
         history.push(offer);
@@ -214,5 +336,7 @@ class SporocarpBroker {
   }
 }
 
+export { SporocarpBroker };
+
 // Singleton instance
 export const sporocarpBroker = new SporocarpBroker();
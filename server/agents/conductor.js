@@ -2,22 +2,26 @@
 import { cadenceEngine } from '../cadence.js';
 import { janitorAdapter } from '../adapters/janitor.js';
 import { gameState } from '../state.js';
+import { countVoters } from '../ballots.js';
+import { CraftedItems } from '../types.js';
 
 class MycelialConductor {
-  constructor() {
+  constructor(state = gameState, cadence = cadenceEngine) {
+    this.state = state;
+    this.cadence = cadence;
     this.name = 'Mycelial Conductor';
   }
 
   // Process incoming message and determine Elder response
   async processMessage(message, playerId) {
     // Add message to cadence history
-    cadenceEngine.addMessage({
+    this.cadence.addMessage({
       ...message,
       from: playerId
     });
 
     // Check if Elder should speak
-    const trigger = cadenceEngine.shouldElderSpeak(message);
+    const trigger = this.cadence.shouldElderSpeak(message);
     
     if (trigger) {
       return await this.orchestrateElderResponse(trigger, message, playerId);
@@ -30,11 +34,11 @@ class MycelialConductor {
   async orchestrateElderResponse(trigger, message, playerId) {
     try {
       // Get context for Elder
-      const context = cadenceEngine.getElderContext();
-      const cadenceSummary = cadenceEngine.generateCadenceSummary(trigger);
+      const context = this.cadence.getElderContext();
+      const cadenceSummary = this.cadence.generateCadenceSummary(trigger);
 
       // Get player name
-      const player = gameState.getPlayer(playerId);
+      const player = this.state.getPlayer(playerId);
       const playerName = player ? player.name : 'Visitor';
 
       // Build Elder prompt with context
@@ -44,7 +48,7 @@ class MycelialConductor {
       const elderResponse = await janitorAdapter.generateResponse(elderPrompt, context);
 
       // Mark that Elder spoke
-      cadenceEngine.onElderSpoke();
+      this.cadence.onElderSpoke();
 
       return {
         text: elderResponse,
@@ -69,6 +73,12 @@ class MycelialConductor {
     // Trigger context
     parts.push(`TRIGGER: ${cadenceSummary.trigger} - ${cadenceSummary.reason}`);
 
+    // What has happened since the Elder last spoke
+    const happenings = Object.entries(cadenceSummary.eventsSinceElderSpoke || {});
+    if (happenings.length > 0) {
+      parts.push(`SINCE YOU LAST SPOKE: ${happenings.map(([type, count]) => `${type} x${count}`).join(', ')}`);
+    }
+
     // Memory Stones (reference 0-2)
     if (context.memoryStones && context.memoryStones.length > 0) {
       parts.push('\nMEMORY STONES:');
@@ -84,12 +94,34 @@ class MycelialConductor {
 
     // Active Vote
     if (context.activeVote && context.activeVote.status === 'OPEN') {
-      const votes = Object.keys(context.activeVote.tally).length;
+      const votes = countVoters(context.activeVote);
       parts.push(`\nACTIVE VOTE: ${context.activeVote.topic} (${votes} votes)`);
     }
 
+    // Proposals waiting for seconds
+    if (context.pendingProposals && context.pendingProposals.length > 0) {
+      parts.push('\nPROPOSED VOTES (awaiting seconds):');
+      context.pendingProposals.forEach(p => {
+        parts.push(`- ${p.id}: ${p.topic} (${p.options.join(' / ')}), ${p.seconds.length} second(s)`);
+      });
+    }
+
     // Stockpile
-    parts.push(`\nSTOCKPILE: moss:${context.stockpile.moss} cedar:${context.stockpile.cedar} resin:${context.stockpile.resin} spores:${context.stockpile.spores}`);
+    const crafted = CraftedItems
+      .filter(item => context.stockpile[item] > 0)
+      .map(item => ` ${item}:${context.stockpile[item]}`)
+      .join('');
+    parts.push(`\nSTOCKPILE: moss:${context.stockpile.moss} cedar:${context.stockpile.cedar} resin:${context.stockpile.resin} spores:${context.stockpile.spores}${crafted}`);
+
+    // Crafts in progress
+    if (context.craftingJobs && context.craftingJobs.length > 0) {
+      parts.push(`\nCRAFTING: ${context.craftingJobs.map(job => `${job.quantity} ${job.recipeId}`).join(', ')}`);
+    }
+
+    // Titles just earned, for the Elder to acknowledge
+    if (context.newTitles && context.newTitles.length > 0) {
+      parts.push(`\nNEW TITLES: ${context.newTitles.map(entry => `${entry.name} is now "${entry.title}"`).join(', ')}`);
+    }
 
     // Recent messages
     if (context.recentMessages && context.recentMessages.length > 0) {
@@ -121,7 +153,7 @@ class MycelialConductor {
 
   // Check if periodic pulse is needed (called by timer)
   checkPeriodicPulse() {
-    if (gameState.shouldTriggerPulse()) {
+    if (this.state.shouldTriggerPulse()) {
       return {
         type: 'PULSE',
         reason: 'Periodic pulse threshold reached',
@@ -132,5 +164,7 @@ class MycelialConductor {
   }
 }
 
+export { MycelialConductor };
+
 // Singleton instance
 export const mycelialConductor = new MycelialConductor();
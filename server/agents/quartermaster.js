@@ -1,10 +1,13 @@
 // Rhizomorph Quartermaster: Manages inventory, stockpile, and quests
 import { gameState } from '../state.js';
-import { createQuest, QuestStatus } from '../types.js';
+import { createQuest, DomainEvent, QuestKind, QuestStatus } from '../types.js';
 import { lettaAdapter } from '../adapters/letta.js';
+import { recordContribution } from '../rewards.js';
+import { availableFor, remainingNeed } from '../quest_board.js';
 
 class RhizomorphQuartermaster {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.name = 'Rhizomorph Quartermaster';
     this.lastSnapshot = null;
   }
@@ -12,7 +15,7 @@ class RhizomorphQuartermaster {
   // Start a new quest
   startQuest(name, recipe) {
     // Complete any existing quest first
-    if (gameState.nowRing.activeQuest && gameState.nowRing.activeQuest.status === QuestStatus.ACTIVE) {
+    if (this.state.nowRing.activeQuest && this.state.nowRing.activeQuest.status === QuestStatus.ACTIVE) {
       this.completeQuest();
     }
 
@@ -22,7 +25,7 @@ class RhizomorphQuartermaster {
       recipe
     );
 
-    gameState.setActiveQuest(quest);
+    this.state.setActiveQuest(quest);
     this.updateQuestProgress();
     
     return quest;
@@ -30,13 +33,13 @@ class RhizomorphQuartermaster {
 
   // Update quest progress
   updateQuestProgress() {
-    const quest = gameState.updateQuestProgress();
+    const quest = this.state.updateQuestProgress();
     return quest;
   }
 
   // Complete current quest
   completeQuest() {
-    const quest = gameState.nowRing.activeQuest;
+    const quest = this.state.nowRing.activeQuest;
     if (!quest) return null;
 
     quest.status = QuestStatus.COMPLETED;
@@ -45,35 +48,54 @@ class RhizomorphQuartermaster {
     // Deduct resources from stockpile
     if (quest.percent >= 100) {
       for (const [item, qty] of Object.entries(quest.recipe)) {
-        gameState.stockpile[item] = Math.max(0, gameState.stockpile[item] - qty);
+        this.state.stockpile[item] = Math.max(0, this.state.stockpile[item] - qty);
       }
     }
 
     return quest;
   }
 
-  // Get quest status
-  getQuestStatus() {
-    const quest = gameState.nowRing.activeQuest;
+  // Get quest status (the main quest unless a quest id is given)
+  getQuestStatus(questId = null) {
+    const quest = questId ? this.state.getQuest(questId) : this.state.nowRing.activeQuest;
     if (!quest) return null;
 
+    return {
+      ...this.describeQuest(quest),
+      stockpile: this.state.stockpile
+    };
+  }
+
+  // One quest as shown on the board
+  describeQuest(quest) {
     return {
       id: quest.id,
       name: quest.name,
+      kind: quest.kind || QuestKind.MAIN,
       recipe: quest.recipe,
+      have: availableFor(this.state, quest),
       percent: quest.percent,
       status: quest.status,
-      stockpile: gameState.stockpile
+      ...(quest.assignedTo ? { assignedTo: quest.assignedTo } : {}),
+      ...(quest.expiresAt ? { expiresAt: quest.expiresAt } : {})
     };
   }
 
+  // Main quest, then side quests, then personal quests
+  getQuestBoard() {
+    const main = this.state.nowRing.activeQuest;
+    const board = this.state.getBoardQuests()
+      .sort((a, b) => (a.kind === b.kind ? a.createdAt - b.createdAt : a.kind === QuestKind.SIDE ? -1 : 1));
+    return [...(main ? [main] : []), ...board].map(quest => this.describeQuest(quest));
+  }
+
   // Generate compact delta report since last pulse
   generateDeltaReport() {
     const current = {
-      stockpile: { ...gameState.stockpile },
-      quest: gameState.nowRing.activeQuest ? {
-        name: gameState.nowRing.activeQuest.name,
-        percent: gameState.nowRing.activeQuest.percent
+      stockpile: { ...this.state.stockpile },
+      quest: this.state.nowRing.activeQuest ? {
+        name: this.state.nowRing.activeQuest.name,
+        percent: this.state.nowRing.activeQuest.percent
       } : null,
       playerInventories: this.getPlayerInventorySummary()
     };
@@ -119,7 +141,7 @@ class RhizomorphQuartermaster {
   // Get player inventory summary
   getPlayerInventorySummary() {
     const summary = {};
-    for (const [playerId, player] of gameState.players.entries()) {
+    for (const [playerId, player] of this.state.players.entries()) {
       const total = Object.values(player.inventory).reduce((sum, qty) => sum + qty, 0);
       if (total > 0) {
         summary[player.name] = total;
@@ -128,9 +150,9 @@ class RhizomorphQuartermaster {
     return summary;
   }
 
-  // Process donation to stockpile
-  processDonation(playerId, item, quantity) {
-    const player = gameState.getPlayer(playerId);
+  // Process donation to stockpile, toward the main quest or a side quest
+  processDonation(playerId, item, quantity, questId = null) {
+    const player = this.state.getPlayer(playerId);
     if (!player) {
       return { success: false, reason: 'Player not found' };
     }
@@ -143,20 +165,43 @@ class RhizomorphQuartermaster {
       return { success: false, reason: 'Insufficient inventory' };
     }
 
+    const quest = questId ? this.state.getQuest(questId) : this.state.nowRing.activeQuest;
+    if (questId && (!quest || quest.status !== QuestStatus.ACTIVE)) {
+      return { success: false, reason: `No open quest ${questId}` };
+    }
+    if (quest?.kind === QuestKind.PERSONAL) {
+      return { success: false, reason: 'Personal quests are finished by gathering, not donations.' };
+    }
+
+    // A side quest holds only what it still needs
+    let given = quantity;
+    if (quest?.kind === QuestKind.SIDE) {
+      given = Math.min(quantity, remainingNeed(quest, item));
+      if (given === 0) {
+        return { success: false, reason: `${quest.name} doesn't need any more ${item}.` };
+      }
+      quest.allocated[item] = (quest.allocated[item] || 0) + given;
+    }
+
     // Transfer from player to stockpile
-    player.inventory[item] -= quantity;
-    gameState.addToStockpile(item, quantity);
+    player.inventory[item] -= given;
+    this.state.addToStockpile(item, given);
 
-    // Update quest progress
-    this.updateQuestProgress();
+    // Credit the donor on that quest's ledger
+    if (quest && quest.status === QuestStatus.ACTIVE) {
+      recordContribution(quest, playerId, item, given);
+      this.state.updateQuestProgress(quest);
+    }
+    this.state.events.emit(DomainEvent.DONATION_MADE, { playerId, item, quantity: given, questId: quest?.id ?? null });
 
     return {
       success: true,
       player: player.name,
       item,
-      quantity,
-      newStockpile: gameState.stockpile[item],
-      questProgress: gameState.nowRing.activeQuest?.percent
+      quantity: given,
+      quest: quest ? { id: quest.id, name: quest.name, kind: quest.kind || QuestKind.MAIN } : null,
+      newStockpile: this.state.stockpile[item],
+      questProgress: quest?.percent
     };
   }
 
@@ -204,7 +249,7 @@ class RhizomorphQuartermaster {
 
   // Check quest thresholds for events
   checkQuestThresholds() {
-    const quest = gameState.nowRing.activeQuest;
+    const quest = this.state.nowRing.activeQuest;
     if (!quest || quest.status !== QuestStatus.ACTIVE) {
       return null;
     }
@@ -221,5 +266,7 @@ class RhizomorphQuartermaster {
   }
 }
 
+export { RhizomorphQuartermaster };
+
 // Singleton instance
 export const rhizomorphQuartermaster = new RhizomorphQuartermaster();
@@ -1,35 +1,203 @@
 // Lamella Tallykeeper: Manages voting
 import { gameState } from '../state.js';
-import { createVote, VoteStatus } from '../types.js';
+import { createVote, createProposal, DomainEvent, VoteStatus, VoteOutcome, VoteMode, TieBreak, ProposalStatus } from '../types.js';
 import { lettaAdapter } from '../adapters/letta.js';
+import { countBallots, countVoters, instantRunoff, lastBallotAt } from '../ballots.js';
+
+const MAX_PROPOSAL_OPTIONS = 6;
 
 class LamellaTallykeeper {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.name = 'Lamella Tallykeeper';
+    this.defaultQuorum = parseInt(process.env.VOTE_QUORUM_PERCENT || '0', 10);
+    this.defaultTieBreak = TieBreak[(process.env.VOTE_TIE_BREAK || '').toUpperCase()] || TieBreak.EARLIEST_LEADER;
+    this.scheduling = false;
+    this.secondsNeeded = parseInt(process.env.PROPOSAL_SECONDS || '2', 10);
+    this.proposalTtl = parseInt(process.env.PROPOSAL_TTL_MINUTES || '30', 10) * 60 * 1000;
+    this.proposalVoteMinutes = parseInt(process.env.PROPOSAL_VOTE_MINUTES || '5', 10);
   }
 
-  // Open a new vote
-  openVote(topic, options, durationMinutes = 5) {
-    // Close any existing vote first
-    if (gameState.nowRing.activeVote && gameState.nowRing.activeVote.status === VoteStatus.OPEN) {
-      this.closeVote();
+  /**
+   * Open a new vote, replacing any open one
+   * @param {string} topic - Question put to the village
+   * @param {Array} options - Choices
+   * @param {number} durationMinutes - Minutes until the vote closes
+   * @param {Object} rules - { mode, quorumPercent, tieBreak } overriding the defaults
+   * @returns {Promise<Object>} The new vote
+   */
+  async openVote(topic, options, durationMinutes = 5, rules = {}) {
+    // The replaced vote is decided and carded before the new one opens.
+    // The scheduler is held off meanwhile, or it would open a queued vote
+    // in the gap; one opened anyway (another openVote) is replaced in turn.
+    while (this.hasOpenVote()) {
+      const held = this.scheduling;
+      this.scheduling = true;
+      try {
+        await this.closeVote('replaced');
+      } finally {
+        if (!held) this.scheduling = false;
+      }
     }
 
+    return this.startVote(topic, options, durationMinutes, rules);
+  }
+
+  // Open a vote when none is running (the queue only opens into a gap)
+  startVote(topic, options, durationMinutes = 5, rules = {}) {
     const closesAt = Date.now() + (durationMinutes * 60 * 1000);
     const vote = createVote(
       `vote_${Date.now()}`,
       topic,
       options,
-      closesAt
+      closesAt,
+      {
+        quorumPercent: rules.quorumPercent ?? this.defaultQuorum,
+        tieBreak: TieBreak[(rules.tieBreak || '').toUpperCase()] || this.defaultTieBreak,
+        mode: VoteMode[(rules.mode || '').toUpperCase()] || VoteMode.PLURALITY,
+        runoffOf: rules.runoffOf
+      }
     );
 
-    gameState.setActiveVote(vote);
+    this.state.setActiveVote(vote);
     return vote;
   }
 
-  // Cast a vote
-  castVote(playerId, option) {
-    const vote = gameState.nowRing.activeVote;
+  /**
+   * Open the vote now if none is running, otherwise queue it
+   * @returns {Object} { queued: false, vote } or { queued: true, entry, position }
+   */
+  queueVote(topic, options, durationMinutes = 5, rules = {}) {
+    if (!this.hasOpenVote()) {
+      return { queued: false, vote: this.startVote(topic, options, durationMinutes, rules) };
+    }
+
+    const entry = {
+      id: `queued_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+      topic,
+      options,
+      durationMinutes,
+      rules,
+      queuedAt: Date.now()
+    };
+    this.state.voteQueue.push(entry);
+    return { queued: true, entry, position: this.state.voteQueue.length };
+  }
+
+  // Open the next queued vote, if any
+  openNextQueued() {
+    const next = this.state.voteQueue.shift();
+    if (!next) return null;
+
+    return this.startVote(next.topic, next.options, next.durationMinutes, next.rules);
+  }
+
+  hasOpenVote() {
+    return this.state.nowRing.activeVote?.status === VoteStatus.OPEN;
+  }
+
+  /**
+   * Put a player's vote proposal up for seconding
+   * @param {string} playerId - Proposer
+   * @param {string} topic - Question to put to the village
+   * @param {Array} options - Choices
+   * @returns {Object} { success, proposal } or { success: false, reason }
+   */
+  propose(playerId, topic, options) {
+    const unique = new Set(options.map(option => option.toLowerCase()));
+
+    if (!topic || options.length < 2 || options.length > MAX_PROPOSAL_OPTIONS) {
+      return { success: false, reason: `A proposal needs a topic and 2-${MAX_PROPOSAL_OPTIONS} options.` };
+    }
+    if (unique.size !== options.length) {
+      return { success: false, reason: 'Each option can only be listed once.' };
+    }
+    if (this.getPendingProposals().some(p => p.proposer === playerId)) {
+      return { success: false, reason: 'You already have a proposal waiting for seconds.' };
+    }
+
+    const proposal = createProposal(this.nextProposalId(), playerId, topic, options, Date.now() + this.proposalTtl);
+    this.state.addProposal(proposal);
+
+    // Nothing to wait for when no seconds are required
+    if (this.secondsNeeded <= 0) {
+      return { success: true, proposal, ...this.sponsor(proposal) };
+    }
+
+    return { success: true, proposal };
+  }
+
+  /**
+   * Second a pending proposal; enough seconds open it as a vote (or
+   * queue it behind the active one)
+   * @param {string} playerId - Seconder
+   * @param {string} proposalId - Proposal to second, or the newest one if omitted
+   * @returns {Object} { success, proposal, opened, queued } or { success: false, reason }
+   */
+  second(playerId, proposalId) {
+    const pending = this.getPendingProposals();
+    const proposal = proposalId
+      ? pending.find(p => p.id === proposalId.toLowerCase())
+      : pending[pending.length - 1];
+
+    if (!proposal) {
+      return { success: false, reason: proposalId ? `No pending proposal ${proposalId}.` : 'There are no pending proposals.' };
+    }
+    if (proposal.proposer === playerId) {
+      return { success: false, reason: 'You cannot second your own proposal.' };
+    }
+    if (proposal.seconds.includes(playerId)) {
+      return { success: false, reason: 'You already seconded this proposal.' };
+    }
+
+    proposal.seconds.push(playerId);
+
+    if (proposal.seconds.length < this.secondsNeeded) {
+      return { success: true, proposal, opened: null, queued: false };
+    }
+
+    return { success: true, proposal, ...this.sponsor(proposal) };
+  }
+
+  // Hand a sponsored proposal to the vote queue
+  sponsor(proposal) {
+    const result = this.queueVote(proposal.topic, proposal.options, this.proposalVoteMinutes);
+    proposal.status = result.queued ? ProposalStatus.QUEUED : ProposalStatus.OPENED;
+    proposal.sponsoredAt = Date.now();
+    return { opened: result.vote || null, queued: result.queued };
+  }
+
+  // Proposals still gathering seconds; stale ones lapse here
+  getPendingProposals(now = Date.now()) {
+    const pending = [];
+    for (const proposal of this.state.getPendingProposals()) {
+      if (now >= proposal.expiresAt) {
+        proposal.status = ProposalStatus.EXPIRED;
+      } else {
+        pending.push(proposal);
+      }
+    }
+    return pending;
+  }
+
+  // Short ids (p1, p2, ...) so they are easy to type after /second
+  nextProposalId() {
+    let highest = 0;
+    for (const id of this.state.proposals.keys()) {
+      highest = Math.max(highest, parseInt(id.slice(1), 10) || 0);
+    }
+    return `p${highest + 1}`;
+  }
+
+  /**
+   * Cast or change a ballot on the active vote
+   * @param {string} playerId - Voter
+   * @param {string|Array} choices - One option, or several for approval and ranked votes
+   * @returns {Object} { success, vote, changed, previous } or { success: false, reason }
+   */
+  castVote(playerId, choices) {
+    const vote = this.state.nowRing.activeVote;
+    const list = Array.isArray(choices) ? choices : [choices];
     
     if (!vote) {
       return { success: false, reason: 'No active vote' };
@@ -39,109 +207,225 @@ class LamellaTallykeeper {
       return { success: false, reason: 'Vote is closed' };
     }
 
-    if (!vote.options.includes(option)) {
-      return { success: false, reason: 'Invalid option' };
+    const invalid = list.find(option => !vote.options.includes(option));
+    if (list.length === 0 || invalid !== undefined) {
+      return { success: false, reason: invalid ? `Invalid option: ${invalid}` : 'Invalid option' };
+    }
+
+    if (new Set(list).size !== list.length) {
+      return { success: false, reason: 'Each option can only appear once on a ballot' };
+    }
+
+    if (list.length > 1 && (vote.mode || VoteMode.PLURALITY) === VoteMode.PLURALITY) {
+      return { success: false, reason: 'This vote takes a single choice: /vote <option>' };
     }
 
-    const success = gameState.castVote(playerId, option);
+    const ballot = this.state.castVote(playerId, list);
     
-    if (success) {
-      return { success: true, vote };
+    if (ballot) {
+      return { success: true, vote, changed: ballot.changed, previous: ballot.previous };
     } else {
       return { success: false, reason: 'Failed to cast vote' };
     }
   }
 
-  // Close current vote and generate Decision Card
-  async closeVote() {
-    const result = gameState.closeVote();
+  /**
+   * Close the active vote, apply quorum and tie-break rules, and
+   * generate the Decision Card
+   * @param {string} reason - Why the vote closed (expired, admin, replaced)
+   * @returns {Promise<Object|null>} { vote, results, winner, outcome, decisionCard }
+   */
+  async closeVote(reason = 'admin') {
+    const result = this.state.closeVote();
     
     if (!result) {
       return null;
     }
 
-    const { vote, results } = result;
+    const { vote } = result;
+    vote.closedAt = Date.now();
+    vote.closeReason = reason;
 
-    // Find winner
-    let winner = null;
-    let maxVotes = 0;
-    for (const [option, count] of Object.entries(results)) {
-      if (count > maxVotes) {
-        maxVotes = count;
-        winner = option;
-      }
+    // Settled synchronously so a runoff is queued before anything awaits
+    const decision = this.decide(vote);
+    const results = decision.results;
+    if (decision.outcome === VoteOutcome.RUNOFF) {
+      this.state.voteQueue.unshift({
+        id: `runoff_${vote.id}`,
+        topic: vote.topic,
+        options: decision.tied,
+        durationMinutes: Math.max(1, Math.round((vote.closesAt - vote.createdAt) / 60000)),
+        rules: { mode: vote.mode, quorumPercent: vote.quorumPercent, tieBreak: vote.tieBreak, runoffOf: vote.id },
+        queuedAt: Date.now()
+      });
+    }
+
+    if (decision.outcome === VoteOutcome.DECIDED && decision.tied.length > 1 && vote.tieBreak === TieBreak.ELDER) {
+      decision.winner = await this.askElder(vote, decision.tied);
     }
 
+    vote.outcome = decision.outcome;
+    vote.winner = decision.winner;
+    vote.tiedOptions = decision.tied.length > 1 ? decision.tied : null;
+    vote.turnout = decision.turnout;
+    vote.rounds = decision.rounds;
+
     // Generate Decision Card
-    const decisionCard = await this.generateDecisionCard(vote, results, winner);
+    const decisionCard = await this.generateDecisionCard(vote, results, vote.winner);
+    vote.decisionCard = decisionCard;
+    this.state.events.emit(DomainEvent.VOTE_CLOSED, { vote, outcome: vote.outcome, winner: vote.winner, decisionCard });
 
     return {
       vote,
       results,
-      winner,
+      winner: vote.winner,
+      outcome: vote.outcome,
       decisionCard
     };
   }
 
+  /**
+   * Count a closed vote by its mode, then apply quorum and tie-break rules
+   * @returns {Object} { outcome, winner, tied, turnout, results, rounds }
+   */
+  decide(vote) {
+    const turnout = countVoters(vote);
+    const online = this.state.getConnectedPlayers().length;
+    const required = Math.ceil(online * (vote.quorumPercent || 0) / 100);
+    const { results, leaders, rounds } = this.count(vote);
+    const base = { turnout, results, rounds };
+
+    if (turnout === 0) {
+      return { ...base, outcome: VoteOutcome.NO_VOTES, winner: null, tied: [] };
+    }
+    if (turnout < required) {
+      return { ...base, outcome: VoteOutcome.NO_QUORUM, winner: null, tied: [] };
+    }
+
+    if (leaders.length === 1) {
+      return { ...base, outcome: VoteOutcome.DECIDED, winner: leaders[0], tied: leaders };
+    }
+
+    // A runoff that ties again is settled by the earliest leader
+    if (vote.tieBreak === TieBreak.RUNOFF && !vote.runoffOf) {
+      return { ...base, outcome: VoteOutcome.RUNOFF, winner: null, tied: leaders };
+    }
+
+    return { ...base, outcome: VoteOutcome.DECIDED, winner: this.earliestLeader(vote, leaders), tied: leaders };
+  }
+
+  /**
+   * Mode-aware tally
+   * @returns {Object} { results, leaders, rounds } - rounds only for ranked votes
+   */
+  count(vote) {
+    if (vote.mode === VoteMode.RANKED) {
+      const { rounds, winner, tied } = instantRunoff(vote);
+      const finalRound = rounds[rounds.length - 1];
+      return {
+        results: finalRound ? finalRound.counts : countBallots(vote),
+        leaders: winner ? [winner] : tied,
+        rounds
+      };
+    }
+
+    const results = countBallots(vote);
+    const top = Math.max(...vote.options.map(option => results[option] || 0));
+    return {
+      results,
+      leaders: vote.options.filter(option => (results[option] || 0) === top),
+      rounds: null
+    };
+  }
+
+  // The tied option whose last ballot came first reached the top count first
+  earliestLeader(vote, tied) {
+    const lastAt = lastBallotAt(vote);
+    return tied.reduce((best, option) =>
+      (lastAt[option] ?? Infinity) < (lastAt[best] ?? Infinity) ? option : best
+    );
+  }
+
+  async askElder(vote, tied) {
+    try {
+      const choice = await lettaAdapter.breakTie(vote, tied);
+      if (tied.includes(choice)) {
+        return choice;
+      }
+    } catch (error) {
+      console.error('Tallykeeper tie-break error:', error);
+    }
+    return this.earliestLeader(vote, tied);
+  }
+
   // Generate Decision Card for Elder
   async generateDecisionCard(vote, results, winner) {
+    let card;
     try {
       // Use Letta to generate a narrative Decision Card
-      const card = await lettaAdapter.generateDecisionCard(vote, results, winner);
-      return card;
+      card = await lettaAdapter.generateDecisionCard(vote, results, winner);
     } catch (error) {
       console.error('Tallykeeper Decision Card error:', error);
       // Fallback to simple card
-      return this.generateSimpleDecisionCard(vote, results, winner);
+      card = this.generateSimpleDecisionCard(vote, results, winner);
     }
+
+    // Ranked votes always carry their round-by-round count
+    return vote.rounds ? { ...card, mode: vote.mode, rounds: vote.rounds } : { ...card, mode: vote.mode };
   }
 
   // Simple fallback Decision Card
   generateSimpleDecisionCard(vote, results, winner) {
-    const totalVotes = Object.values(results).reduce((sum, count) => sum + count, 0);
+    const totalVotes = vote.turnout ?? Object.values(results).reduce((sum, count) => sum + count, 0);
     
     return {
       topic: vote.topic,
       winner,
       totalVotes,
       results,
-      summary: `The village has spoken: "${winner}" with ${results[winner]} votes.`
+      summary: winner
+        ? `The village has spoken: "${winner}" with ${results[winner]} votes.`
+        : `The vote on "${vote.topic}" ended without a decision.`
     };
   }
 
-  // Check if vote should close
-  checkVoteExpiry() {
-    const vote = gameState.nowRing.activeVote;
-    
-    if (!vote || vote.status !== VoteStatus.OPEN) {
+  /**
+   * Scheduler step: close the active vote once closesAt has passed, then
+   * open the next queued vote when nothing is running
+   * @param {number} now - Current time
+   * @returns {Promise<Object|null>} { closed, opened } or null when nothing changed
+   */
+  async checkVoteExpiry(now = Date.now()) {
+    // A slow Decision Card must not let the next check close twice
+    if (this.scheduling) {
       return null;
     }
+    this.scheduling = true;
 
-    const now = Date.now();
-    if (now >= vote.closesAt) {
-      return this.closeVote();
-    }
+    try {
+      const vote = this.state.nowRing.activeVote;
+      let closed = null;
 
-    return null;
+      if (vote && vote.status === VoteStatus.OPEN && now >= vote.closesAt) {
+        closed = await this.closeVote('expired');
+      }
+
+      const opened = this.hasOpenVote() ? null : this.openNextQueued();
+
+      return closed || opened ? { closed, opened } : null;
+    } finally {
+      this.scheduling = false;
+    }
   }
 
-  // Get vote status
-  getVoteStatus() {
-    const vote = gameState.nowRing.activeVote;
-    
+  // Get vote status (the active vote unless another is given)
+  getVoteStatus(vote = this.state.nowRing.activeVote) {
     if (!vote) {
       return null;
     }
 
-    const totalVotes = Object.keys(vote.tally).length;
-    const results = {};
-    
-    vote.options.forEach(opt => results[opt] = 0);
-    Object.values(vote.tally).forEach(opt => {
-      if (results.hasOwnProperty(opt)) {
-        results[opt]++;
-      }
-    });
+    const totalVotes = countVoters(vote);
+    const results = countBallots(vote);
 
     return {
       id: vote.id,
@@ -151,7 +435,14 @@ class LamellaTallykeeper {
       totalVotes,
       results,
       closesAt: vote.closesAt,
-      timeRemaining: Math.max(0, vote.closesAt - Date.now())
+      timeRemaining: Math.max(0, vote.closesAt - Date.now()),
+      mode: vote.mode || VoteMode.PLURALITY,
+      quorumPercent: vote.quorumPercent,
+      tieBreak: vote.tieBreak,
+      rounds: vote.rounds || null,
+      outcome: vote.outcome || null,
+      winner: vote.winner || null,
+      queued: this.state.voteQueue.map(entry => entry.topic)
     };
   }
 
@@ -184,5 +475,7 @@ class LamellaTallykeeper {
   }
 }
 
+export { LamellaTallykeeper };
+
 // Singleton instance
 export const lamellaTallykeeper = new LamellaTallykeeper();
@@ -1,42 +1,47 @@
 // Saproprobe Warden: Safety checks and rate limiting
 import { gameState } from '../state.js';
+import { DomainEvent } from '../types.js';
 import { lettaAdapter } from '../adapters/letta.js';
 
 class SaproprobeWarden {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.name = 'Saproprobe Warden';
     this.rateLimits = new Map(); // playerId -> { count, resetAt }
+    this.channelRateLimits = new Map(); // '#name' -> Map(playerId -> { count, resetAt })
     this.warnings = new Map(); // playerId -> warning count
     this.adminList = new Set(['admin']); // Admin IDs never get rate limited
+    this.proposalLog = new Map(); // playerId -> [proposal timestamps]
+    this.proposalLimit = parseInt(process.env.PROPOSAL_LIMIT || '3', 10);
+    this.proposalWindow = parseInt(process.env.PROPOSAL_WINDOW_MINUTES || '60', 10) * 60 * 1000;
+    // Per minute; one channel gets less than the player's whole budget
+    this.channelSoftLimit = parseInt(process.env.CHANNEL_RATE_SOFT_LIMIT || '5', 10);
+    this.channelHardLimit = parseInt(process.env.CHANNEL_RATE_HARD_LIMIT || '10', 10);
   }
 
-  // Check if player should be rate limited
-  checkRateLimit(playerId) {
+  // Check if player should be rate limited. Every message counts against
+  // the player's limit; a channel post also counts against that channel's
+  // own, lower limit.
+  checkRateLimit(playerId, channel = null) {
     // Admins bypass rate limits
     if (this.adminList.has(playerId)) {
       return { allowed: true };
     }
 
-    const now = Date.now();
-    const limit = this.rateLimits.get(playerId);
-
-    // Initialize or reset if expired
-    if (!limit || now >= limit.resetAt) {
-      this.rateLimits.set(playerId, {
-        count: 1,
-        resetAt: now + 60000 // 1 minute window
-      });
-      return { allowed: true };
+    const count = this.countMessage(this.rateLimits, playerId);
+    let channelCount = 0;
+    if (channel) {
+      if (!this.channelRateLimits.has(channel)) {
+        this.channelRateLimits.set(channel, new Map());
+      }
+      channelCount = this.countMessage(this.channelRateLimits.get(channel), playerId);
     }
 
-    // Increment count
-    limit.count++;
-
     // Soft limit: 10 messages per minute
     const softLimit = 10;
     const hardLimit = 20;
 
-    if (limit.count > hardLimit) {
+    if (count > hardLimit) {
       return {
         allowed: false,
         reason: 'Rate limit exceeded. Please wait a moment.',
@@ -44,8 +49,18 @@ class SaproprobeWarden {
       };
     }
 
-    if (limit.count > softLimit) {
-      this.issueWarning(playerId, 'rate_limit');
+    if (channelCount > this.channelHardLimit) {
+      return {
+        allowed: false,
+        reason: `Too many posts to ${channel}. Please wait a moment.`,
+        severity: 'hard'
+      };
+    }
+
+    const overSoft = count > softLimit ? 'rate_limit'
+      : channelCount > this.channelSoftLimit ? `rate_limit ${channel}` : null;
+    if (overSoft) {
+      this.issueWarning(playerId, overSoft);
       return {
         allowed: true,
         warning: 'You are sending messages quickly. Please slow down.',
@@ -56,10 +71,50 @@ class SaproprobeWarden {
     return { allowed: true };
   }
 
+  // Count one message in a player's 1 minute window; returns the count so far
+  countMessage(limits, playerId, now = Date.now()) {
+    const limit = limits.get(playerId);
+
+    // Initialize or reset if expired
+    if (!limit || now >= limit.resetAt) {
+      limits.set(playerId, { count: 1, resetAt: now + 60000 });
+      return 1;
+    }
+
+    return ++limit.count;
+  }
+
+  // Check if player may put forward another vote proposal
+  checkProposalLimit(playerId, now = Date.now()) {
+    if (this.adminList.has(playerId)) {
+      return { allowed: true };
+    }
+
+    const recent = (this.proposalLog.get(playerId) || []).filter(at => now - at < this.proposalWindow);
+    this.proposalLog.set(playerId, recent);
+
+    if (recent.length >= this.proposalLimit) {
+      const waitMinutes = Math.ceil((recent[0] + this.proposalWindow - now) / 60000);
+      return {
+        allowed: false,
+        reason: `You have made ${this.proposalLimit} proposals recently. Try again in ${waitMinutes}m.`
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  recordProposal(playerId, now = Date.now()) {
+    const log = this.proposalLog.get(playerId) || [];
+    log.push(now);
+    this.proposalLog.set(playerId, log);
+  }
+
   // Issue warning to player
   issueWarning(playerId, reason) {
     const warnings = this.warnings.get(playerId) || 0;
     this.warnings.set(playerId, warnings + 1);
+    this.state.events.emit(DomainEvent.PLAYER_WARNED, { playerId, reason, count: warnings + 1 });
 
     return {
       playerId,
@@ -123,7 +178,7 @@ class SaproprobeWarden {
     // Check for players with warnings
     for (const [playerId, count] of this.warnings.entries()) {
       if (count >= 3) {
-        const player = gameState.getPlayer(playerId);
+        const player = this.state.getPlayer(playerId);
         activeWarnings.push({
           player: player?.name || playerId,
           warnings: count
@@ -134,7 +189,7 @@ class SaproprobeWarden {
     // Check for recently rate-limited players
     for (const [playerId, limit] of this.rateLimits.entries()) {
       if (limit.count > 10 && limit.resetAt > now) {
-        const player = gameState.getPlayer(playerId);
+        const player = this.state.getPlayer(playerId);
         recentRateLimits.push({
           player: player?.name || playerId,
           count: limit.count
@@ -207,10 +262,13 @@ class SaproprobeWarden {
     };
   }
 
-  // Process safety check with rate limit
+  // Process safety check with rate limit; message.channel names the
+  // channel a message was posted to
   processSafetyCheck(playerId, message) {
+    const channel = message?.channel || null;
+
     // Check rate limit
-    const rateLimitCheck = this.checkRateLimit(playerId);
+    const rateLimitCheck = this.checkRateLimit(playerId, channel);
     if (!rateLimitCheck.allowed) {
       return {
         allowed: false,
@@ -231,7 +289,7 @@ class SaproprobeWarden {
         };
       } else {
         // Warn but allow
-        this.issueWarning(playerId, 'safety_warning');
+        this.issueWarning(playerId, channel ? `safety_warning ${channel}` : 'safety_warning');
         return {
           allowed: true,
           warning: 'Please keep messages appropriate',
@@ -254,5 +312,7 @@ class SaproprobeWarden {
   }
 }
 
+export { SaproprobeWarden };
+
 // Singleton instance
 export const saproprobeWarden = new SaproprobeWarden();
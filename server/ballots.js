@@ -0,0 +1,177 @@
+// Ballot ledger for village votes
+// Each vote keeps one ballot per player; counts, turnout and leaders are
+// derived from the ballots rather than stored alongside them.
+//
+// vote.ballots: { playerId: { playerId, choices, castAt, updatedAt, history: [{ choices, at }] } }
+//
+// choices is a single option for plurality votes, the approved options for
+// approval votes, and the ranking (most preferred first) for ranked votes.
+
+import { VoteMode } from './types.js';
+
+/**
+ * Record or change a player's ballot
+ * @param {Object} vote - Open vote
+ * @param {string} playerId - Voter
+ * @param {Array} choices - Chosen option(s)
+ * @param {number} now - Time of the ballot
+ * @returns {Object} { changed, previous } - previous is the replaced choices, if any
+ */
+export function castBallot(vote, playerId, choices, now = Date.now()) {
+  if (!vote.ballots) {
+    vote.ballots = {};
+  }
+
+  const ballot = vote.ballots[playerId];
+  if (!ballot) {
+    vote.ballots[playerId] = {
+      playerId,
+      choices,
+      castAt: now,
+      updatedAt: now,
+      history: [{ choices, at: now }]
+    };
+    return { changed: true, previous: null };
+  }
+
+  if (ballot.choices.join('\n') === choices.join('\n')) {
+    return { changed: false, previous: ballot.choices };
+  }
+
+  const previous = ballot.choices;
+  ballot.choices = choices;
+  ballot.updatedAt = now;
+  ballot.history.push({ choices, at: now });
+  return { changed: true, previous };
+}
+
+/**
+ * Get every ballot on a vote
+ * @param {Object} vote - Vote
+ * @returns {Array} Ballots
+ */
+export function getBallots(vote) {
+  return Object.values(vote?.ballots || {});
+}
+
+/**
+ * Count current ballots per option: approvals for approval votes, first
+ * preferences for plurality and ranked votes
+ * @param {Object} vote - Vote
+ * @returns {Object} { option: count } with every option present
+ */
+export function countBallots(vote) {
+  const counts = {};
+  if (!vote) return counts;
+
+  vote.options.forEach(option => counts[option] = 0);
+  for (const ballot of getBallots(vote)) {
+    const counted = vote.mode === VoteMode.APPROVAL ? ballot.choices : ballot.choices.slice(0, 1);
+    for (const option of counted) {
+      if (counts.hasOwnProperty(option)) {
+        counts[option]++;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Count a ranked vote by instant runoff: each round every ballot counts
+ * for its highest-ranked remaining option, and the weakest options are
+ * eliminated until one holds a majority of the ballots still in play
+ * @param {Object} vote - Ranked vote
+ * @returns {Object} { rounds: [{ counts, eliminated }], winner, tied }
+ */
+export function instantRunoff(vote) {
+  const ballots = getBallots(vote);
+  const rounds = [];
+  let remaining = [...vote.options];
+
+  while (remaining.length > 0) {
+    const counts = {};
+    remaining.forEach(option => counts[option] = 0);
+
+    let active = 0;
+    for (const ballot of ballots) {
+      const pick = ballot.choices.find(option => remaining.includes(option));
+      if (pick) {
+        counts[pick]++;
+        active++;
+      }
+    }
+
+    const values = remaining.map(option => counts[option]);
+    const top = Math.max(...values);
+    const low = Math.min(...values);
+
+    if (active > 0 && top * 2 > active) {
+      rounds.push({ counts, eliminated: [] });
+      return { rounds, winner: remaining.find(option => counts[option] === top), tied: [] };
+    }
+
+    // Everyone left is level: nothing more to eliminate
+    if (top === low) {
+      rounds.push({ counts, eliminated: [] });
+      return { rounds, winner: null, tied: remaining };
+    }
+
+    const eliminated = remaining.filter(option => counts[option] === low);
+    rounds.push({ counts, eliminated });
+    remaining = remaining.filter(option => !eliminated.includes(option));
+  }
+
+  return { rounds, winner: null, tied: [] };
+}
+
+/**
+ * Number of players holding a ballot
+ */
+export function countVoters(vote) {
+  return getBallots(vote).length;
+}
+
+/**
+ * Number of ballot entries ever written (casts and changes)
+ * Used to spot activity even when counts stay the same
+ */
+export function countBallotRevisions(vote) {
+  return getBallots(vote).reduce((sum, ballot) => sum + ballot.history.length, 0);
+}
+
+/**
+ * When each option last appeared on a cast or changed ballot
+ * @returns {Object} { option: timestamp }
+ */
+export function lastBallotAt(vote) {
+  const last = {};
+  for (const ballot of getBallots(vote)) {
+    for (const option of ballot.choices) {
+      last[option] = Math.max(last[option] || 0, ballot.updatedAt);
+    }
+  }
+  return last;
+}
+
+/**
+ * Player -> top choice map, the tally shape the Steward reads and writes
+ * @returns {Object} { playerId: option }
+ */
+export function ballotChoices(vote) {
+  const choices = {};
+  for (const ballot of getBallots(vote)) {
+    choices[ballot.playerId] = ballot.choices[0];
+  }
+  return choices;
+}
+
+/**
+ * Copy of a vote for the Steward payload, with the ledger flattened to
+ * its { playerId: option } tally and the mode-aware counts
+ */
+export function toStewardVote(vote) {
+  if (!vote) return null;
+
+  const { ballots, ...rest } = vote;
+  return { ...rest, tally: ballotChoices(vote), results: countBallots(vote) };
+}
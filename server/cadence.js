@@ -4,9 +4,16 @@ import { TriggerType } from './types.js';
 import { mentionsElder } from './intents.js';
 
 class CadenceEngine {
-  constructor() {
+  constructor(state = gameState) {
+    this.state = state;
     this.messageHistory = [];
     this.maxHistory = 50;
+    this.eventCounts = {}; // domain event type -> count since the Elder last spoke
+  }
+
+  // Count a domain event (see subscribeCadence in server/subscribers.js)
+  countEvent(event) {
+    this.eventCounts[event.type] = (this.eventCounts[event.type] || 0) + 1;
   }
 
   // Add a message to history
@@ -22,7 +29,7 @@ class CadenceEngine {
     }
 
     // Increment message count for pulse tracking
-    gameState.incrementMessageCount();
+    this.state.incrementMessageCount();
   }
 
   // Determine if Elder should speak
@@ -39,7 +46,7 @@ class CadenceEngine {
     }
 
     // 2. Pulse: After M messages or T seconds
-    if (gameState.shouldTriggerPulse()) {
+    if (this.state.shouldTriggerPulse()) {
       triggers.push({
         type: TriggerType.PULSE,
         reason: 'Pulse threshold reached',
@@ -87,7 +94,7 @@ class CadenceEngine {
     const now = Date.now();
 
     // Vote closing soon
-    const vote = gameState.nowRing.activeVote;
+    const vote = this.state.nowRing.activeVote;
     if (vote && vote.status === 'OPEN') {
       const timeToClose = vote.closesAt - now;
       if (timeToClose > 0 && timeToClose < 60000) { // Last minute
@@ -101,7 +108,7 @@ class CadenceEngine {
     }
 
     // Quest threshold reached
-    const quest = gameState.nowRing.activeQuest;
+    const quest = this.state.nowRing.activeQuest;
     if (quest && quest.status === 'ACTIVE') {
       const thresholds = [25, 50, 75, 100];
       for (const threshold of thresholds) {
@@ -128,18 +135,19 @@ class CadenceEngine {
   // Generate Elder context
   getElderContext() {
     const recentMessages = this.getRecentMessages();
-    return gameState.getElderContext(recentMessages);
+    return this.state.getElderContext(recentMessages);
   }
 
   // Reset pulse counter after Elder speaks
   onElderSpoke() {
-    gameState.resetPulseCounter();
-    gameState.elderLastSpoke = Date.now();
+    this.state.resetPulseCounter();
+    this.state.elderLastSpoke = Date.now();
+    this.eventCounts = {};
   }
 
   // Get time since Elder last spoke
   getTimeSinceElderSpoke() {
-    return Date.now() - gameState.elderLastSpoke;
+    return Date.now() - this.state.elderLastSpoke;
   }
 
   // Generate cadence summary for Elder
@@ -147,9 +155,10 @@ class CadenceEngine {
     const summary = {
       trigger: trigger.type,
       reason: trigger.reason,
-      messagesSincePulse: gameState.messagesSinceLastPulse,
-      timeSinceLastPulse: Math.floor((Date.now() - gameState.lastPulseTime) / 1000),
+      messagesSincePulse: this.state.messagesSinceLastPulse,
+      timeSinceLastPulse: Math.floor((Date.now() - this.state.lastPulseTime) / 1000),
       timeSinceElderSpoke: Math.floor(this.getTimeSinceElderSpoke() / 1000),
+      eventsSinceElderSpoke: { ...this.eventCounts },
       recentActivity: this.summarizeRecentActivity()
     };
 
@@ -180,5 +189,7 @@ class CadenceEngine {
   }
 }
 
+export { CadenceEngine };
+
 // Singleton instance
 export const cadenceEngine = new CadenceEngine();
@@ -0,0 +1,98 @@
+// Chat history queries
+// Pages back through a village's public chat (gameState.messages, oldest
+// first) for GET /api/feed and the web client's backlog. Paging is by
+// cursor: `before` is the id of the oldest line already seen, so a page
+// stays put while new lines arrive. Filters narrow the history before it
+// is paged:
+//   player - a player id or name (case-insensitive)
+//   type   - entry types, e.g. ['USER'] or ['ELDER_SAY', 'NPC_SAY']
+//   since / until - timestamps (inclusive)
+//   q      - search terms, every one of them in the line's text or author
+
+const FEED_PAGE_SIZE = 20;
+const FEED_MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse feed query parameters
+ * @param {URLSearchParams} params - before, player, type, since, until, q, limit
+ * @returns {Object} { success, query } or { success: false, reason }
+ */
+export function parseHistoryQuery(params) {
+  const query = {
+    before: params.get('before') || null,
+    player: params.get('player') || null,
+    type: params.get('type') ? params.get('type').split(',').map(t => t.trim().toUpperCase()).filter(Boolean) : null,
+    q: params.get('q') || null,
+    limit: Math.min(Math.max(parseInt(params.get('limit') || FEED_PAGE_SIZE, 10) || FEED_PAGE_SIZE, 1), FEED_MAX_PAGE_SIZE)
+  };
+
+  for (const field of ['since', 'until']) {
+    const raw = params.get(field);
+    if (!raw) continue;
+
+    // Epoch milliseconds or anything Date understands (2026-10-19, ISO 8601)
+    const at = /^\d+$/.test(raw) ? parseInt(raw, 10) : Date.parse(raw);
+    if (Number.isNaN(at)) {
+      return { success: false, reason: `Invalid ${field}: ${raw}` };
+    }
+    query[field] = at;
+  }
+
+  return { success: true, query };
+}
+
+// Whether a chat line passes every filter in the query
+function matches(message, { player, type, since, until, terms }) {
+  if (player) {
+    const wanted = player.toLowerCase();
+    if (message.playerId !== player && String(message.user || '').toLowerCase() !== wanted) return false;
+  }
+  if (type && !type.includes(message.type)) return false;
+  if (since !== undefined && message.at < since) return false;
+  if (until !== undefined && message.at > until) return false;
+  if (terms.length > 0) {
+    const haystack = `${message.user || ''} ${message.text || ''}`.toLowerCase();
+    if (!terms.every(term => haystack.includes(term))) return false;
+  }
+  return true;
+}
+
+/**
+ * One page of chat history, newest page first
+ * @param {Array} messages - gameState.messages
+ * @param {Object} query - As from parseHistoryQuery
+ * @returns {Object} { success, messages (oldest first), hasMore, nextBefore }
+ *   or { success: false, reason } for a cursor the history no longer has
+ */
+export function queryChatHistory(messages, query = {}) {
+  let end = messages.length;
+  if (query.before) {
+    end = messages.findIndex(m => m.id === query.before);
+    if (end === -1) {
+      return { success: false, reason: `Unknown message: ${query.before}` };
+    }
+  }
+
+  const filters = {
+    ...query,
+    terms: (query.q || '').toLowerCase().split(/\s+/).filter(Boolean)
+  };
+  const limit = query.limit || FEED_PAGE_SIZE;
+
+  // Walk back from the cursor, one past the page to know if there's more
+  const page = [];
+  for (let i = end - 1; i >= 0 && page.length <= limit; i--) {
+    if (matches(messages[i], filters)) {
+      page.push(messages[i]);
+    }
+  }
+
+  const hasMore = page.length > limit;
+  const lines = page.slice(0, limit).reverse();
+  return {
+    success: true,
+    messages: lines,
+    hasMore,
+    nextBefore: hasMore ? lines[0].id : null
+  };
+}
@@ -0,0 +1,117 @@
+// Private chat commands: whisper, leave, channel (/join #name joins one)
+import { IntentType } from '../types.js';
+
+const CHANNEL_NAME = /^#([a-z0-9_-]{2,20})$/i;
+
+/**
+ * Canonicalize a channel name ("#Traders" -> "#traders")
+ * @param {string} text - Raw channel name, with its leading #
+ * @returns {string|null} Channel name or null
+ */
+export function canonicalizeChannel(text) {
+  const match = String(text || '').trim().match(CHANNEL_NAME);
+  return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+export const whisperCommand = {
+  name: 'whisper',
+  intent: IntentType.WHISPER,
+  usage: '/whisper @player <message>',
+  example: '/whisper @alice meet me at the Trading Post',
+  description: 'Send a private message that only that player sees',
+  quiet: true,
+  syntax: [
+    { pattern: /^@?(\w+)\s+(.+)$/s, toParams: ([, targetPlayer, text]) => ({ targetPlayer, text: text.trim() }) }
+  ],
+  validate: (params) => Boolean(params.targetPlayer) && Boolean(params.text),
+
+  // The transport delivers it; see result.whisper
+  execute({ targetPlayer, text }, { playerId, village }) {
+    const target = village.state.findPlayerByName(targetPlayer);
+    if (!target) {
+      return { success: false, reason: `Player "${targetPlayer}" not found.` };
+    }
+    if (target.id === playerId) {
+      return { success: false, reason: `You can't whisper to yourself.` };
+    }
+    if (!village.state.getConnectedPlayers().includes(target)) {
+      return { success: false, reason: `${target.name} isn't here to hear you.` };
+    }
+
+    return {
+      success: true,
+      reply: `You whisper to ${target.name}: ${text}`,
+      whisper: { to: target.id, text }
+    };
+  }
+};
+
+export const leaveCommand = {
+  name: 'leave',
+  intent: IntentType.LEAVE,
+  usage: '/leave [#channel]',
+  example: '/leave #traders',
+  description: 'Leave a channel (the only one you are in, if you name none)',
+  quiet: true,
+  syntax: [
+    { pattern: /^(#\S+)$/, toParams: ([, name]) => ({ channel: canonicalizeChannel(name) }) },
+    { pattern: /^$/, toParams: () => ({}) }
+  ],
+  validate: (params) => params.channel !== null,
+
+  execute({ channel }, { playerId, village }) {
+    const { state } = village;
+    let name = channel;
+
+    if (!name) {
+      const joined = state.getPlayerChannels(playerId);
+      if (joined.length !== 1) {
+        return {
+          success: false,
+          reason: joined.length === 0
+            ? `You aren't in any channels.`
+            : `You are in ${joined.map(c => c.name).join(', ')}. Say which one: /leave #channel`
+        };
+      }
+      name = joined[0].name;
+    }
+
+    if (!state.leaveChannel(name, playerId)) {
+      return { success: false, reason: `You aren't in ${name}.` };
+    }
+
+    return {
+      success: true,
+      reply: `You left ${name}.`,
+      channel: name,
+      refresh: ['channels']
+    };
+  }
+};
+
+export const channelCommand = {
+  name: 'channel',
+  intent: IntentType.CHANNEL,
+  usage: '/channel #name <message>',
+  example: '/channel #traders anyone selling resin?',
+  description: 'Talk in a channel you have joined',
+  quiet: true,
+  syntax: [
+    { pattern: /^(#\S+)\s+(.+)$/s, toParams: ([, name, text]) => ({ channel: canonicalizeChannel(name), text: text.trim() }) }
+  ],
+  validate: (params) => Boolean(params.channel) && Boolean(params.text),
+
+  // The transport delivers it to the members; see result.channelPost
+  execute({ channel, text }, { playerId, village }) {
+    const { state } = village;
+    if (!state.getChannel(channel)?.members.includes(playerId)) {
+      return { success: false, reason: `You aren't in ${channel}. Join it first: /join ${channel}` };
+    }
+
+    state.recordChannelMessage(channel);
+    return {
+      success: true,
+      channelPost: { channel, text }
+    };
+  }
+};
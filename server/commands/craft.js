@@ -0,0 +1,75 @@
+// Crafting command: craft
+import { IntentType } from '../types.js';
+import { describeBundle } from '../offers.js';
+import { craftingService } from '../crafting/crafting.js';
+
+// "1m 30s" / "45s"
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function recipeList(crafting, playerId) {
+  const lines = crafting.listRecipes().map(recipe =>
+    `${recipe.id}: ${describeBundle(recipe.inputs)} → ${recipe.output} ${recipe.name} (${formatDuration(recipe.seconds * 1000)})`
+  );
+
+  const now = Date.now();
+  const jobs = crafting.getJobs(playerId).map(job => {
+    const recipe = crafting.getRecipe(job.recipeId);
+    return `${job.quantity * recipe.output} ${recipe.name}, ready in ${formatDuration(job.readyAt - now)}`;
+  });
+
+  return [
+    `Recipes:\n${lines.join('\n')}`,
+    ...(jobs.length > 0 ? [`Crafting now:\n${jobs.join('\n')}`] : [])
+  ].join('\n');
+}
+
+export const craftCommand = {
+  name: 'craft',
+  intent: IntentType.CRAFT,
+  usage: '/craft [recipe] [xN]',
+  example: '/craft sealed_plank x2',
+  description: 'Craft goods from your resources (no recipe lists recipes and your crafts under way)',
+  syntax: [
+    { pattern: /^$/, toParams: () => ({}) },
+    {
+      pattern: /^([a-z][\w\s-]*?)(?:\s+[x×]?(\d+))?$/i,
+      toParams: ([, recipe, qty]) => ({ recipe, quantity: qty ? parseInt(qty, 10) : 1 })
+    }
+  ],
+  phrases: [
+    {
+      pattern: /(?:craft|make|build)\s+(?:a\s+|an\s+|some\s+)?([a-z]+[\s_][a-z]+?)s?\b/i,
+      toParams: ([, recipe]) => ({ recipe, quantity: 1 }),
+      confidence: 0.7
+    }
+  ],
+  // Every village crafts from the same recipe book
+  validate: (params) => params.recipe === undefined ||
+    (Boolean(craftingService.getRecipe(params.recipe)) && params.quantity > 0),
+
+  execute({ recipe, quantity }, { playerId, playerName, village }) {
+    if (recipe === undefined) {
+      return { success: true, reply: recipeList(village.crafting, playerId) };
+    }
+
+    const result = village.crafting.startCraft(playerId, recipe, quantity);
+    if (!result.success) {
+      return result;
+    }
+
+    const { job } = result;
+    const amount = job.quantity * result.recipe.output;
+    const queued = job.startedAt > Date.now() ? ' after your current craft' : '';
+
+    return {
+      success: true,
+      reply: `You started crafting ${amount} ${result.recipe.name}${queued}. Ready in ${formatDuration(job.readyAt - Date.now())}.`,
+      announce: `${playerName} is crafting ${amount} ${result.recipe.name}.`,
+      inventory: result.inventory
+    };
+  }
+};
@@ -0,0 +1,21 @@
+// Help command: listing generated from the registry
+import { IntentType } from '../types.js';
+import { commandRegistry } from './registry.js';
+
+export const helpCommand = {
+  name: 'help',
+  intent: IntentType.HELP,
+  usage: '/help',
+  description: 'List village commands',
+  quiet: true,
+  syntax: [
+    { pattern: /^$/, toParams: () => ({}) }
+  ],
+
+  execute() {
+    return {
+      success: true,
+      reply: commandRegistry.getHelpText()
+    };
+  }
+};
@@ -0,0 +1,34 @@
+// Command registration: every player command, in /help order
+import { commandRegistry } from './registry.js';
+import { gatherCommand, giftCommand, donateCommand } from './resources.js';
+import { craftCommand } from './craft.js';
+import { offerCommand, counterCommand, acceptCommand, cancelCommand, marketCommand } from './trade.js';
+import { voteCommand } from './vote.js';
+import { proposeCommand, secondCommand } from './propose.js';
+import { journalCommand } from './journal.js';
+import { joinCommand } from './join.js';
+import { whisperCommand, leaveCommand, channelCommand } from './channels.js';
+import { helpCommand } from './help.js';
+
+[
+  gatherCommand,
+  giftCommand,
+  donateCommand,
+  craftCommand,
+  offerCommand,
+  counterCommand,
+  acceptCommand,
+  cancelCommand,
+  marketCommand,
+  voteCommand,
+  proposeCommand,
+  secondCommand,
+  journalCommand,
+  joinCommand,
+  leaveCommand,
+  channelCommand,
+  whisperCommand,
+  helpCommand
+].forEach(command => commandRegistry.register(command));
+
+export { commandRegistry };
@@ -0,0 +1,46 @@
+// Join command: move to another village on this server, or join a channel
+import { IntentType } from '../types.js';
+import { villages } from '../villages.js';
+import { canonicalizeChannel } from './channels.js';
+
+export const joinCommand = {
+  name: 'join',
+  intent: IntentType.JOIN,
+  usage: '/join <village|#channel>',
+  example: '/join mossglen',
+  description: 'Leave this village for another one on the server, by its code, or join a channel',
+  quiet: true,
+  syntax: [
+    { pattern: /^(#\S+)$/, toParams: ([, name]) => ({ channel: canonicalizeChannel(name) }) },
+    { pattern: /^([\w-]+)$/, toParams: ([, code]) => ({ code: code.toLowerCase() }) }
+  ],
+  validate: (params) => Boolean(params.code || params.channel),
+
+  // The transport moves the socket; see result.join
+  execute({ code, channel }, { playerId, village }) {
+    if (channel) {
+      const { members } = village.state.joinChannel(channel, playerId);
+      return {
+        success: true,
+        reply: `You joined ${channel} (${members.length} member${members.length === 1 ? '' : 's'}).`,
+        channel,
+        refresh: ['channels']
+      };
+    }
+
+    const target = villages.get(code);
+    if (!target) {
+      const open = villages.list().map(entry => entry.id).join(', ');
+      return { success: false, reason: `No village "${code}". Open villages: ${open}` };
+    }
+    if (target === village) {
+      return { success: false, reason: `You are already in ${village.name}.` };
+    }
+
+    return {
+      success: true,
+      reply: `You set off for ${target.name}.`,
+      join: target.id
+    };
+  }
+};
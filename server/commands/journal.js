@@ -0,0 +1,24 @@
+// Journal command
+import { IntentType } from '../types.js';
+
+export const journalCommand = {
+  name: 'journal',
+  intent: IntentType.JOURNAL,
+  usage: '/journal <text>',
+  example: '/journal A wonderful day',
+  description: 'Write a journal entry that may become a Memory Stone',
+  syntax: [
+    { pattern: /^(.+)$/s, toParams: ([, text]) => ({ text: text.trim() }) }
+  ],
+  validate: (params) => Boolean(params.text),
+
+  execute({ text }, { playerId, village }) {
+    const entry = village.archivist.addJournal(playerId, text);
+
+    return {
+      success: true,
+      reply: 'Your journal entry has been recorded.',
+      journal: entry
+    };
+  }
+};
@@ -0,0 +1,97 @@
+// Proposal commands: propose, second
+import { IntentType, ProposalStatus } from '../types.js';
+
+// Announcement once a proposal has enough seconds
+function sponsoredNote(proposal, queued) {
+  return queued
+    ? `"${proposal.topic}" has enough support and will open after the current vote.`
+    : `"${proposal.topic}" has enough support. Voting is open: /vote <option>`;
+}
+
+export const proposeCommand = {
+  name: 'propose',
+  intent: IntentType.PROPOSE,
+  usage: '/propose <topic> | <option> | <option> ...',
+  example: '/propose Next project? | Bridge | Well',
+  description: 'Propose a village vote; it opens once other players /second it',
+  syntax: [
+    {
+      pattern: /^([^|]+)\|(.+)$/s,
+      toParams: ([, topic, options]) => ({
+        topic: topic.trim(),
+        options: options.split('|').map(option => option.trim()).filter(Boolean)
+      })
+    }
+  ],
+  validate: (params) => Boolean(params.topic) && params.options.length >= 2,
+
+  execute({ topic, options }, { playerId, playerName, village }) {
+    const { tallykeeper, warden } = village;
+    const limit = warden.checkProposalLimit(playerId);
+    if (!limit.allowed) {
+      return { success: false, reason: limit.reason };
+    }
+
+    const result = tallykeeper.propose(playerId, topic, options);
+    if (!result.success) {
+      return result;
+    }
+    warden.recordProposal(playerId);
+
+    const { proposal } = result;
+    if (proposal.status !== ProposalStatus.PENDING) {
+      return {
+        success: true,
+        reply: `Proposal ${proposal.id} posted.`,
+        announce: sponsoredNote(proposal, result.queued),
+        refresh: ['vote']
+      };
+    }
+
+    return {
+      success: true,
+      reply: `Proposal ${proposal.id} posted. It needs ${tallykeeper.secondsNeeded} second(s) to open.`,
+      announce: `${playerName} proposes a vote: "${topic}" (${options.join(' / ')}). Type /second ${proposal.id} to support it.`,
+      proposal
+    };
+  }
+};
+
+export const secondCommand = {
+  name: 'second',
+  intent: IntentType.SECOND,
+  usage: '/second [proposalId]',
+  example: '/second p1',
+  description: 'Support a pending vote proposal (the newest one if no id is given)',
+  syntax: [
+    { pattern: /^$/, toParams: () => ({}) },
+    { pattern: /^(\S+)$/, toParams: ([, proposalId]) => ({ proposalId }) }
+  ],
+  validate: () => true,
+
+  execute({ proposalId }, { playerId, playerName, village }) {
+    const { tallykeeper } = village;
+    const result = tallykeeper.second(playerId, proposalId);
+    if (!result.success) {
+      return result;
+    }
+
+    const { proposal } = result;
+    const needed = tallykeeper.secondsNeeded;
+
+    if (proposal.status === ProposalStatus.PENDING) {
+      return {
+        success: true,
+        reply: `You seconded ${proposal.id} (${proposal.seconds.length}/${needed}).`,
+        announce: `${playerName} seconded "${proposal.topic}" (${proposal.seconds.length}/${needed}).`
+      };
+    }
+
+    return {
+      success: true,
+      reply: `You seconded ${proposal.id}.`,
+      announce: sponsoredNote(proposal, result.queued),
+      refresh: ['vote']
+    };
+  }
+};
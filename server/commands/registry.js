@@ -0,0 +1,208 @@
+/**
+ * Command Registry
+ *
+ * Single source of truth for player commands. Each command declares once:
+ *   name        - slash verb (e.g. "donate")
+ *   intent      - IntentType it produces
+ *   usage       - usage line shown in errors and /help
+ *   description - one-line summary for /help and composer hints
+ *   syntax      - [{ pattern, toParams }] matched against the text after "/verb"
+ *   phrases     - [{ pattern, toParams, confidence }] natural-language aliases
+ *   validate    - (params) => boolean
+ *   execute     - (params, ctx) => { success, reason } | { success, reply, ... }
+ *                 ctx is { playerId, playerName, village }; commands act on
+ *                 ctx.village's state and agents (see server/villages.js)
+ *
+ * Both the WebSocket and POST /api/chat transports dispatch through here,
+ * so a command behaves the same however it arrives.
+ */
+
+import { IntentType, Resources } from '../types.js';
+import { villages } from '../villages.js';
+
+/**
+ * Canonicalize an item name (case-insensitive, singular/plural)
+ * @param {string} text - Raw item text
+ * @returns {string|null} Resource name or null
+ */
+export function canonicalizeItem(text) {
+  if (!text) return null;
+
+  const normalized = text.toLowerCase().trim();
+  const resources = Object.values(Resources);
+
+  for (const item of resources) {
+    if (item === normalized || `${item}s` === normalized || item === `${normalized}s`) {
+      return item;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that an item is already a canonical resource name
+ * @param {string} item - Item name
+ * @returns {boolean} True for moss, cedar, resin, spores, charms
+ */
+export function isResource(item) {
+  return typeof item === 'string' && Object.values(Resources).includes(item);
+}
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // name -> definition
+  }
+
+  register(definition) {
+    if (!definition.name || !definition.intent || typeof definition.execute !== 'function') {
+      throw new Error(`Invalid command definition: ${definition.name || 'unnamed'}`);
+    }
+    this.commands.set(definition.name, {
+      syntax: [],
+      phrases: [],
+      validate: () => true,
+      quiet: false,
+      ...definition
+    });
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  findByIntent(intentType) {
+    for (const definition of this.commands.values()) {
+      if (definition.intent === intentType) return definition;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  // Parse text into an intent: { type, command, params, confidence }
+  parse(text) {
+    if (!text || typeof text !== 'string') {
+      return { type: IntentType.UNKNOWN, params: {}, confidence: 0 };
+    }
+
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('/')) {
+      return this.parseSlashCommand(trimmed);
+    }
+
+    const nlIntent = this.parseNaturalLanguage(trimmed);
+    if (nlIntent) {
+      return nlIntent;
+    }
+
+    return {
+      type: IntentType.CHAT,
+      params: { text },
+      confidence: 1.0
+    };
+  }
+
+  parseSlashCommand(text) {
+    const [rawVerb] = text.slice(1).split(/\s+/);
+    const verb = rawVerb.toLowerCase();
+    const definition = this.get(verb);
+
+    if (!definition) {
+      return {
+        type: IntentType.UNKNOWN,
+        command: verb,
+        params: { error: `Unknown command: /${verb}. Type /help for a list of commands.` },
+        confidence: 1.0
+      };
+    }
+
+    const args = text.slice(1 + rawVerb.length).trim();
+    for (const { pattern, toParams } of definition.syntax) {
+      const match = args.match(pattern);
+      if (!match) continue;
+
+      const params = toParams(match);
+      if (params && definition.validate(params)) {
+        return { type: definition.intent, command: definition.name, params, confidence: 1.0 };
+      }
+    }
+
+    return {
+      type: IntentType.UNKNOWN,
+      command: definition.name,
+      params: { error: `Usage: ${definition.usage}` },
+      confidence: 1.0
+    };
+  }
+
+  parseNaturalLanguage(text) {
+    for (const definition of this.commands.values()) {
+      for (const { pattern, toParams, confidence } of definition.phrases) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const params = toParams(match);
+        if (params && definition.validate(params)) {
+          return { type: definition.intent, command: definition.name, params, confidence };
+        }
+      }
+    }
+    return null;
+  }
+
+  validate(intent) {
+    if (intent.type === IntentType.CHAT) return true;
+
+    const definition = this.findByIntent(intent.type);
+    if (!definition) return false;
+
+    return Boolean(definition.validate(intent.params || {}));
+  }
+
+  /**
+   * Execute a parsed intent
+   * @param {Object} intent - Intent from parse()
+   * @param {Object} ctx - { playerId, playerName, village }; village
+   *   defaults to the default village
+   * @returns {Promise<Object>} Command result ({ success, reason } on failure)
+   */
+  async execute(intent, ctx) {
+    if (intent.type === IntentType.UNKNOWN) {
+      return { success: false, reason: intent.params?.error || 'Unknown command' };
+    }
+
+    const definition = intent.command ? this.get(intent.command) : this.findByIntent(intent.type);
+    if (!definition) {
+      return { success: false, reason: 'Unknown command' };
+    }
+
+    if (!definition.validate(intent.params || {})) {
+      return { success: false, reason: `Usage: ${definition.usage}` };
+    }
+
+    return definition.execute(intent.params, { village: villages.getDefault(), ...ctx });
+  }
+
+  // Help text generated from the registered commands
+  getHelpText() {
+    const lines = this.list().map(d => `${d.usage} - ${d.description}`);
+    return ['Village commands:', ...lines].join('\n');
+  }
+
+  // Compact hints for the web composer
+  getHints() {
+    return this.list().map(d => ({
+      name: d.name,
+      usage: d.usage,
+      example: d.example || d.usage,
+      description: d.description
+    }));
+  }
+}
+
+// Singleton instance
+export const commandRegistry = new CommandRegistry();
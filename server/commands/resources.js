@@ -0,0 +1,161 @@
+// Resource commands: gather, gift, donate
+import { IntentType, GatherableResources, QuestKind } from '../types.js';
+import { canonicalizeItem, isResource } from './registry.js';
+
+export const gatherCommand = {
+  name: 'gather',
+  intent: IntentType.GATHER,
+  usage: '/gather <item>',
+  example: '/gather moss',
+  description: 'Forage a handful of moss, cedar, resin or spores (play the mini-games for more)',
+  syntax: [
+    {
+      pattern: /^(\w+)(?:\s+[x×]?(\d+))?$/i,
+      toParams: ([, item, qty]) => ({
+        item: canonicalizeItem(item),
+        ...(qty ? { quantity: parseInt(qty, 10) } : {})
+      })
+    }
+  ],
+  phrases: [
+    { pattern: /(?:gather|collect|get|find)\s+(?:some\s+)?(\w+)/i, toParams: ([, item]) => ({ item: canonicalizeItem(item) }), confidence: 0.8 },
+    { pattern: /(?:i|i'd)\s+like\s+to\s+(?:gather|collect|get)\s+(?:some\s+)?(\w+)/i, toParams: ([, item]) => ({ item: canonicalizeItem(item) }), confidence: 0.8 },
+    { pattern: /(?:go|going)\s+(?:gather|collect|get)\s+(?:some\s+)?(\w+)/i, toParams: ([, item]) => ({ item: canonicalizeItem(item) }), confidence: 0.8 }
+  ],
+  validate: (params) => Boolean(params.item) &&
+    GatherableResources.includes(params.item) &&
+    (params.quantity === undefined || params.quantity > 0),
+
+  // Amounts are never taken from the player: larger yields come from
+  // server-verified mini-game sessions (see server/gathering)
+  execute({ item, quantity }, { playerId, village }) {
+    if (quantity !== undefined) {
+      return {
+        success: false,
+        reason: `You can't choose how much ${item} you find. Use /gather ${item} to forage, or play the ${item} mini-game for a bigger haul.`
+      };
+    }
+
+    const result = village.gathering.forage(playerId, item);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      reply: `You gathered ${result.amount} ${item}. Total: ${result.inventory[item]}`,
+      inventory: result.inventory
+    };
+  }
+};
+
+export const giftCommand = {
+  name: 'gift',
+  intent: IntentType.GIFT,
+  usage: '/gift @player <item> xN',
+  example: '/gift @alice moss x2',
+  description: 'Give some of your items to another player',
+  syntax: [
+    {
+      pattern: /^@?(\w+)\s+(\w+)\s+[x×]?(\d+)$/i,
+      toParams: ([, targetPlayer, item, qty]) => ({
+        targetPlayer,
+        item: canonicalizeItem(item),
+        quantity: parseInt(qty, 10)
+      })
+    }
+  ],
+  phrases: [
+    {
+      pattern: /(?:give|gift|send)\s+@?(\w+)\s+(\d+)\s+(\w+)/i,
+      toParams: ([, targetPlayer, qty, item]) => ({ targetPlayer, item: canonicalizeItem(item), quantity: parseInt(qty, 10) }),
+      confidence: 0.7
+    },
+    {
+      pattern: /(?:give|gift|send)\s+(\d+)\s+(\w+)\s+to\s+@?(\w+)/i,
+      toParams: ([, qty, item, targetPlayer]) => ({ targetPlayer, item: canonicalizeItem(item), quantity: parseInt(qty, 10) }),
+      confidence: 0.7
+    }
+  ],
+  validate: (params) => Boolean(params.targetPlayer) &&
+    isResource(params.item) &&
+    params.quantity > 0,
+
+  execute({ targetPlayer, item, quantity }, { playerId, playerName, village }) {
+    const { state } = village;
+    const player = state.getPlayer(playerId);
+    if (!player) {
+      return { success: false, reason: 'Player not found' };
+    }
+
+    if (player.inventory[item] < quantity) {
+      return { success: false, reason: `You don't have enough ${item}. You have: ${player.inventory[item]}` };
+    }
+
+    const target = state.findPlayerByName(targetPlayer);
+    if (!target) {
+      return { success: false, reason: `Player "${targetPlayer}" not found.` };
+    }
+    if (target.id === playerId) {
+      return { success: false, reason: `You can't gift items to yourself.` };
+    }
+
+    state.updatePlayerInventory(playerId, item, -quantity);
+    state.updatePlayerInventory(target.id, item, quantity);
+
+    return {
+      success: true,
+      reply: `You gifted ${quantity} ${item} to ${target.name}.`,
+      announce: `${playerName} gifted ${quantity} ${item} to ${target.name}.`,
+      inventory: player.inventory
+    };
+  }
+};
+
+export const donateCommand = {
+  name: 'donate',
+  intent: IntentType.DONATE,
+  usage: '/donate <item> xN [to <questId>]',
+  example: '/donate moss x5',
+  description: 'Donate items to the village stockpile, toward the main quest or a side quest',
+  syntax: [
+    {
+      pattern: /^(\w+)\s+[x×]?(\d+)(?:\s+to\s+(\S+))?$/i,
+      toParams: ([, item, qty, questId]) => ({
+        item: canonicalizeItem(item),
+        quantity: parseInt(qty, 10),
+        ...(questId ? { questId } : {})
+      })
+    }
+  ],
+  phrases: [
+    {
+      pattern: /(?:donate|contribute)\s+(\d+)\s+(\w+)/i,
+      toParams: ([, qty, item]) => ({ item: canonicalizeItem(item), quantity: parseInt(qty, 10) }),
+      confidence: 0.7
+    },
+    {
+      pattern: /(?:add|put)\s+(\d+)\s+(\w+)\s+(?:to|in)\s+(?:the\s+)?stockpile/i,
+      toParams: ([, qty, item]) => ({ item: canonicalizeItem(item), quantity: parseInt(qty, 10) }),
+      confidence: 0.7
+    }
+  ],
+  validate: (params) => isResource(params.item) && params.quantity > 0,
+
+  execute({ item, quantity, questId }, { playerId, village }) {
+    const result = village.quartermaster.processDonation(playerId, item, quantity, questId);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const side = result.quest?.kind === QuestKind.SIDE;
+    return {
+      success: true,
+      reply: side
+        ? `You donated ${result.quantity} ${result.item} to ${result.quest.name}.`
+        : `You donated ${result.quantity} ${result.item} to the stockpile.`,
+      inventory: village.state.getPlayer(playerId).inventory
+    };
+  }
+};
@@ -0,0 +1,213 @@
+// Trade commands: offer, counter, accept, cancel, market
+import { IntentType } from '../types.js';
+import { describeBundle } from '../offers.js';
+import { canonicalizeItem, isResource } from './registry.js';
+
+// Trailing "to @name" and "expires 30m" / "expires in 2h" terms
+const TERMS = String.raw`(?:\s+to\s+@?(\w+))?(?:\s+expires\s+(?:in\s+)?(\d+)\s*(m|h)\w*)?`;
+
+/**
+ * Parse "moss x3, resin x1" (also "+" or "and" between items) into a bundle
+ * @param {string} text - Bundle text
+ * @returns {Array} [{ item, qty }] - item is null when not a resource
+ */
+function parseBundle(text) {
+  return text.split(/\s*(?:,|\+|\band\b)\s*/i).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\w+?)(?:\s*[x×]?(\d+))?$/i);
+    return match
+      ? { item: canonicalizeItem(match[1]), qty: match[2] ? parseInt(match[2], 10) : 1 }
+      : { item: null, qty: 0 };
+  });
+}
+
+function toMinutes(amount, unit) {
+  if (!amount) return undefined;
+  return parseInt(amount, 10) * (unit.toLowerCase() === 'h' ? 60 : 1);
+}
+
+function isValidBundle(bundle) {
+  return Array.isArray(bundle) && bundle.length > 0 &&
+    bundle.every(({ item, qty }) => isResource(item) && qty > 0);
+}
+
+function validateTerms(params) {
+  return isValidBundle(params.give) &&
+    isValidBundle(params.want) &&
+    (params.minutes === undefined || params.minutes > 0);
+}
+
+function offerReply(state, offer) {
+  const target = offer.toPlayer ? ` to ${state.getPlayer(offer.toPlayer)?.name}` : '';
+  const matching = offer.autoMatch ? ' (auto-match)' : '';
+  return `Give ${describeBundle(offer.give)} for ${describeBundle(offer.want)}${target}${matching}`;
+}
+
+// 0.6666 -> "0.67", 2 -> "2"
+function formatPrice(price) {
+  return String(Math.round(price * 100) / 100);
+}
+
+export const offerCommand = {
+  name: 'offer',
+  intent: IntentType.OFFER,
+  usage: '/offer give <item> xN[, <item> xN] for <item> xN[, <item> xN] [to @player] [expires 30m] [auto]',
+  example: '/offer give moss x3, resin x1 for cedar x2',
+  description: 'Post a trade offer on the trading board (bundles, private offers, expiry and auto-matching are optional)',
+  syntax: [
+    {
+      pattern: new RegExp(String.raw`^(?:give\s+)?(.+?)\s+for\s+(.+?)${TERMS}(?:\s+(auto))?$`, 'i'),
+      toParams: ([, give, want, toName, amount, unit, auto]) => ({
+        give: parseBundle(give),
+        want: parseBundle(want),
+        ...(toName ? { toName } : {}),
+        ...(amount ? { minutes: toMinutes(amount, unit) } : {}),
+        ...(auto ? { autoMatch: true } : {})
+      })
+    }
+  ],
+  validate: validateTerms,
+
+  execute({ give, want, toName, minutes, autoMatch }, { playerId, village }) {
+    let toPlayer = null;
+    if (toName) {
+      toPlayer = village.state.findPlayerByName(toName);
+      if (!toPlayer) {
+        return { success: false, reason: `No villager named ${toName}` };
+      }
+    }
+
+    const result = village.broker.createOffer(playerId, give, want, { toPlayer: toPlayer?.id, minutes, autoMatch });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      reply: `Trade offer posted: ${offerReply(village.state, result.offer)}`,
+      offer: result.offer,
+      refresh: ['trades']
+    };
+  }
+};
+
+export const counterCommand = {
+  name: 'counter',
+  intent: IntentType.COUNTER,
+  usage: '/counter <offerId> give <item> xN[, ...] for <item> xN[, ...] [expires 30m]',
+  example: '/counter offer_123 give cedar x1 for moss x3',
+  description: 'Answer a trade offer with your own terms, sent privately to its author',
+  syntax: [
+    {
+      pattern: new RegExp(String.raw`^(\S+)\s+(?:give\s+)?(.+?)\s+for\s+(.+?)${TERMS}$`, 'i'),
+      toParams: ([, offerId, give, want, toName, amount, unit]) => ({
+        offerId,
+        give: parseBundle(give),
+        want: parseBundle(want),
+        ...(toName ? { toName } : {}),
+        ...(amount ? { minutes: toMinutes(amount, unit) } : {})
+      })
+    }
+  ],
+  // Counters always go back to the offer's author
+  validate: (params) => Boolean(params.offerId) && !params.toName && validateTerms(params),
+
+  execute({ offerId, give, want, minutes }, { playerId, village }) {
+    const result = village.broker.counterOffer(offerId, playerId, give, want, minutes);
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      reply: `Counter-offer posted: ${offerReply(village.state, result.offer)}`,
+      offer: result.offer,
+      refresh: ['trades']
+    };
+  }
+};
+
+export const acceptCommand = {
+  name: 'accept',
+  intent: IntentType.ACCEPT,
+  usage: '/accept <offerId>',
+  example: '/accept offer_123',
+  description: 'Accept an open trade offer',
+  syntax: [
+    { pattern: /^(\S+)$/, toParams: ([, offerId]) => ({ offerId }) }
+  ],
+  validate: (params) => Boolean(params.offerId),
+
+  execute({ offerId }, { playerId, village }) {
+    const result = village.broker.acceptOffer(offerId, playerId);
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      reply: result.summary,
+      offer: result.offer,
+      refresh: ['trades']
+    };
+  }
+};
+
+export const cancelCommand = {
+  name: 'cancel',
+  intent: IntentType.CANCEL,
+  usage: '/cancel <offerId>',
+  example: '/cancel offer_123',
+  description: 'Withdraw one of your open offers and get its goods back',
+  syntax: [
+    { pattern: /^(\S+)$/, toParams: ([, offerId]) => ({ offerId }) }
+  ],
+  validate: (params) => Boolean(params.offerId),
+
+  execute({ offerId }, { playerId, village }) {
+    const result = village.broker.cancelOffer(offerId, playerId);
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      reply: `Offer withdrawn. ${describeBundle(result.offer.give)} returned to your inventory.`,
+      offer: result.offer,
+      refresh: ['trades']
+    };
+  }
+};
+
+export const marketCommand = {
+  name: 'market',
+  intent: IntentType.MARKET,
+  usage: '/market [item]',
+  example: '/market moss',
+  description: 'Show the best bid and ask for each resource pair on the trading board',
+  syntax: [
+    { pattern: /^$/, toParams: () => ({}) },
+    { pattern: /^(\w+)$/, toParams: ([, item]) => ({ item: canonicalizeItem(item) }) }
+  ],
+  validate: (params) => params.item === undefined || isResource(params.item),
+
+  execute({ item }, { village }) {
+    const quotes = village.broker.getMarketQuotes()
+      .filter(quote => !item || quote.base === item || quote.quote === item);
+
+    if (quotes.length === 0) {
+      return { success: true, reply: item ? `No open offers involve ${item}.` : 'The trading board is empty.' };
+    }
+
+    const lines = quotes.map(({ base, quote, bid, ask }) => {
+      const bidText = bid ? `bid ${formatPrice(bid.price)} ${quote} (for ${bid.qty})` : 'no bids';
+      const askText = ask ? `ask ${formatPrice(ask.price)} ${quote} (${ask.qty} available)` : 'no asks';
+      return `${base}/${quote}: ${bidText} · ${askText}`;
+    });
+
+    return { success: true, reply: `Market, price per 1 of the first item:\n${lines.join('\n')}` };
+  }
+};
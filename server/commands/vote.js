@@ -0,0 +1,61 @@
+// Vote command
+import { IntentType, VoteMode } from '../types.js';
+
+// "B > A > C" or "B, A, C"
+function splitChoices(text, separator) {
+  return text.split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+export const voteCommand = {
+  name: 'vote',
+  intent: IntentType.VOTE,
+  usage: '/vote <option> | /vote <option>, <option> | /vote rank <first> > <second>',
+  example: '/vote option',
+  description: 'Cast your vote in the active village vote (approval votes take a list, ranked votes take an order)',
+  syntax: [
+    { pattern: /^rank\s+(.+)$/i, toParams: ([, ranking]) => ({ ranking: splitChoices(ranking, /[>,]/) }) },
+    { pattern: /^(.+)$/, toParams: ([, option]) => ({ option: option.trim() }) }
+  ],
+  phrases: [
+    { pattern: /(?:i\s+)?vote\s+(?:for\s+)?(.+)/i, toParams: ([, option]) => ({ option: option.trim() }), confidence: 0.6 },
+    { pattern: /(?:my\s+)?choice\s+is\s+(.+)/i, toParams: ([, option]) => ({ option: option.trim() }), confidence: 0.6 }
+  ],
+  validate: (params) => Boolean(params.option) || params.ranking?.length > 0,
+
+  execute({ option, ranking }, { playerId, village }) {
+    const { state, tallykeeper } = village;
+    const vote = state.nowRing.activeVote;
+    if (!vote) {
+      return { success: false, reason: 'No active vote' };
+    }
+
+    const mode = vote.mode || VoteMode.PLURALITY;
+    if (ranking && mode !== VoteMode.RANKED) {
+      return { success: false, reason: 'This vote is not ranked. Use /vote <option>.' };
+    }
+
+    // Plurality options are taken whole so they may contain commas
+    let inputs = [option];
+    if (ranking) inputs = ranking;
+    else if (mode === VoteMode.APPROVAL) inputs = splitChoices(option, ',');
+    else if (mode === VoteMode.RANKED) inputs = splitChoices(option, /[>,]/);
+
+    const choices = inputs.map(input => tallykeeper.normalizeOption(input, vote.options) || input);
+
+    const result = tallykeeper.castVote(playerId, choices);
+    if (!result.success) {
+      return result;
+    }
+
+    const described = choices.join(mode === VoteMode.RANKED ? ' > ' : ', ');
+    if (!result.changed) {
+      return { success: true, reply: `You already voted for: ${described}` };
+    }
+
+    return {
+      success: true,
+      reply: result.previous ? `You changed your vote to: ${described}` : `You voted for: ${described}`,
+      refresh: ['vote']
+    };
+  }
+};
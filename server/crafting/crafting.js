@@ -0,0 +1,161 @@
+/**
+ * Crafting Service
+ *
+ * Turns raw resources into crafted goods. Recipes live in
+ * server/crafting_recipes.json. Starting a craft takes the inputs from the
+ * player's inventory straight away; the goods arrive once the job's
+ * readyAt passes (see completeReady, run on a server interval). A player's
+ * jobs run one after another, so queued crafts start when the previous one
+ * finishes. Jobs live in GameState so they survive a restart.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { gameState } from '../state.js';
+import { createCraftJob, createScratchAction } from '../types.js';
+import { describeBundle, findShortfall } from '../offers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const CRAFT_QUEUE_LIMIT = parseInt(process.env.CRAFT_QUEUE_LIMIT || '3', 10);
+const MAX_CRAFT_QUANTITY = 10;
+
+function loadRecipes() {
+  return JSON.parse(readFileSync(resolve(__dirname, '../crafting_recipes.json'), 'utf-8'));
+}
+
+class CraftingService {
+  constructor({ recipes, state = gameState } = {}) {
+    this.state = state;
+    this.recipes = recipes || loadRecipes(); // recipeId (= output item) -> recipe
+    this.queueLimit = CRAFT_QUEUE_LIMIT;
+  }
+
+  /**
+   * All recipes, with their inputs as bundles
+   * @returns {Array} [{ id, name, inputs: [{ item, qty }], output, seconds }]
+   */
+  listRecipes() {
+    return Object.keys(this.recipes).map(id => this.getRecipe(id));
+  }
+
+  /**
+   * Look up a recipe by id or name: "sealed_plank", "sealed plank", "sealed planks"
+   * @returns {Object|null} Recipe, as in listRecipes
+   */
+  getRecipe(text) {
+    if (!text) return null;
+
+    const wanted = text.toLowerCase().trim().replace(/[\s-]+/g, '_');
+    const id = Object.keys(this.recipes).find(key => key === wanted || `${key}s` === wanted);
+    if (!id) return null;
+
+    const { name, inputs, output, seconds } = this.recipes[id];
+    return {
+      id,
+      name,
+      inputs: Object.entries(inputs).map(([item, qty]) => ({ item, qty })),
+      output,
+      seconds
+    };
+  }
+
+  /**
+   * Start crafting
+   * @param {string} playerId - Crafting player
+   * @param {string} recipeId - Recipe id or name
+   * @param {number} quantity - How many batches to craft in one job
+   * @returns {Object} { success, job, recipe, inventory } or { success: false, reason }
+   */
+  startCraft(playerId, recipeId, quantity = 1, now = Date.now()) {
+    const player = this.state.getPlayer(playerId);
+    if (!player) {
+      return { success: false, reason: 'Player not found' };
+    }
+
+    const recipe = this.getRecipe(recipeId);
+    if (!recipe) {
+      return { success: false, reason: `Unknown recipe "${recipeId}". Type /craft to see recipes.` };
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CRAFT_QUANTITY) {
+      return { success: false, reason: `You can craft 1 to ${MAX_CRAFT_QUANTITY} at a time.` };
+    }
+
+    const queued = this.getJobs(playerId);
+    if (queued.length >= this.queueLimit) {
+      return { success: false, reason: `You already have ${queued.length} crafts under way. Wait for one to finish.` };
+    }
+
+    const inputs = recipe.inputs.map(({ item, qty }) => ({ item, qty: qty * quantity }));
+    const shortfall = findShortfall(player.inventory, inputs);
+    if (shortfall) {
+      return {
+        success: false,
+        reason: `You need ${describeBundle(inputs)} to craft ${quantity} ${recipe.name}. You have ${shortfall.has} ${shortfall.item}.`
+      };
+    }
+
+    for (const { item, qty } of inputs) {
+      player.inventory[item] -= qty;
+    }
+
+    // Starts once the player's previous craft is done
+    const startedAt = Math.max(now, ...queued.map(job => job.readyAt));
+    const job = createCraftJob(
+      `craft_${now}_${randomBytes(2).toString('hex')}`,
+      playerId,
+      recipe.id,
+      quantity,
+      startedAt,
+      startedAt + recipe.seconds * quantity * 1000
+    );
+    this.state.craftingJobs.push(job);
+
+    this.state.addScratchAction(createScratchAction(playerId, 'craft', `Started crafting ${recipe.output * quantity} ${recipe.name}`));
+
+    return { success: true, job, recipe, inventory: player.inventory };
+  }
+
+  /**
+   * Deliver every job whose time is up
+   * @returns {Array} [{ job, recipe, player, amount }]
+   */
+  completeReady(now = Date.now()) {
+    const done = this.state.craftingJobs.filter(job => job.readyAt <= now);
+    if (done.length === 0) return [];
+
+    this.state.craftingJobs = this.state.craftingJobs.filter(job => job.readyAt > now);
+
+    const completed = [];
+    for (const job of done) {
+      const player = this.state.getPlayer(job.playerId);
+      const recipe = this.getRecipe(job.recipeId);
+      if (!player || !recipe) continue;
+
+      const amount = recipe.output * job.quantity;
+      player.inventory[recipe.id] = (player.inventory[recipe.id] || 0) + amount;
+      this.state.addScratchAction(createScratchAction(player.id, 'craft', `Crafted ${amount} ${recipe.name}`));
+      this.state.addRecentAction({ player: player.name, action: 'craft', item: recipe.id, amount });
+      completed.push({ job, recipe, player, amount });
+    }
+    return completed;
+  }
+
+  /**
+   * Crafts in progress, soonest first
+   * @param {string} [playerId] - Only this player's jobs
+   */
+  getJobs(playerId) {
+    return this.state.craftingJobs
+      .filter(job => !playerId || job.playerId === playerId)
+      .sort((a, b) => a.readyAt - b.readyAt);
+  }
+}
+
+export { CraftingService };
+
+// Singleton instance
+export const craftingService = new CraftingService();
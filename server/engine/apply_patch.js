@@ -5,7 +5,9 @@
  * Order: TRADES → VOTE → RESOURCES → ARCHIVE → SAFETY
  */
 
-import { TradeStatus, VoteStatus, createMemoryStone } from '../types.js';
+import { DomainEvent, QuestStatus, TradeStatus, VoteStatus, createMemoryStone } from '../types.js';
+import { canSeeOffer, findShortfall, isExpired, settleOffer, spendableFor, toBundle } from '../offers.js';
+import { questFromTemplate, validateQuestProposal } from '../quest_generator.js';
 
 /**
  * Apply a normalized patch to game state
@@ -22,7 +24,9 @@ export function applyPatch(state, patch, { log }) {
     tradesResolved: 0,
     tradesFailed: 0,
     voteStatus: null,
+    voteClose: null,
     questPercent: null,
+    questProposal: null,
     stonesCount: null
   };
 
@@ -59,6 +63,18 @@ export function applyPatch(state, patch, { log }) {
         continue;
       }
 
+      if (isExpired(offer)) {
+        log.warn(`trade ${id} skipped: offer expired`);
+        summary.tradesFailed++;
+        continue;
+      }
+
+      if (!canSeeOffer(offer, to)) {
+        log.warn(`trade ${id} skipped: offer is addressed to ${offer.toPlayer}, not ${to}`);
+        summary.tradesFailed++;
+        continue;
+      }
+
       const fromPlayer = state.getPlayer(from);
       const toPlayer = state.getPlayer(to);
 
@@ -74,63 +90,44 @@ export function applyPatch(state, patch, { log }) {
         continue;
       }
 
-      // Check inventory capacity
-      if (fromPlayer.inventory[offer.give.item] < offer.give.qty) {
-        log.warn(`trade ${id} skipped: from player lacks ${offer.give.item} (has: ${fromPlayer.inventory[offer.give.item]}, needs: ${offer.give.qty})`);
+      // Check inventory capacity for every item in both bundles
+      // (an escrowed give bundle is already held by the offer)
+      const fromShort = offer.escrowed ? null : findShortfall(fromPlayer.inventory, offer.give);
+      if (fromShort) {
+        log.warn(`trade ${id} skipped: from player lacks ${fromShort.item} (has: ${fromShort.has}, needs: ${fromShort.needs})`);
         summary.tradesFailed++;
         continue;
       }
 
-      if (toPlayer.inventory[offer.want.item] < offer.want.qty) {
-        log.warn(`trade ${id} skipped: to player lacks ${offer.want.item} (has: ${toPlayer.inventory[offer.want.item]}, needs: ${offer.want.qty})`);
+      const toShort = findShortfall(spendableFor(state, offer, toPlayer), offer.want);
+      if (toShort) {
+        log.warn(`trade ${id} skipped: to player lacks ${toShort.item} (has: ${toShort.has}, needs: ${toShort.needs})`);
         summary.tradesFailed++;
         continue;
       }
 
-      // Execute trade atomically (NOT stockpile)
-      fromPlayer.inventory[offer.give.item] -= offer.give.qty;
-      fromPlayer.inventory[offer.want.item] += offer.want.qty;
-      toPlayer.inventory[offer.want.item] -= offer.want.qty;
-      toPlayer.inventory[offer.give.item] += offer.give.qty;
-
-      // Mark offer as CLOSED
-      offer.status = TradeStatus.COMPLETED;
-      offer.acceptedBy = to;
-      offer.completedAt = Date.now();
-
-      // Push system note
-      const fromName = fromPlayer.name || from;
-      const toName = toPlayer.name || to;
-      state.addRecentAction({
-        type: 'system_note',
-        text: `Trade ${id} resolved: ${fromName}→${toName}`
+      // Execute trade atomically (NOT stockpile); marks the offer COMPLETED
+      settleOffer(state, offer, fromPlayer, toPlayer);
+      state.events.emit(DomainEvent.TRADE_COMPLETED, {
+        offer, fromPlayer: from, toPlayer: to, gave: toBundle(offer.give), got: toBundle(offer.want), via: 'steward'
       });
 
       summary.tradesResolved++;
     }
   }
 
-  // 2. VOTE - overwrite tally, handle closure
-  if (patch.vote?.tally) {
+  // 2. VOTE - request a close or annotate only. Ballots, counts, winner
+  // and Decision Card belong to the Tallykeeper, so the caller closes the
+  // vote through it (see summary.voteClose) and the patch's own tally,
+  // winner and card are ignored
+  if (patch.vote) {
     const activeVote = state.nowRing.activeVote;
     
-    if (activeVote) {
-      // Overwrite tally with patch data
-      activeVote.tally = { ...patch.vote.tally };
-
-      // Handle closure
-      if (patch.vote.status === 'CLOSED') {
-        activeVote.status = VoteStatus.CLOSED;
-        activeVote.winner = patch.vote.winner;
-        activeVote.close_reason = patch.vote.close_reason;
-        activeVote.closedAt = Date.now();
-        
-        // Clear "can vote" affordances
-        activeVote.canVote = false;
-        
-        summary.voteStatus = 'CLOSED';
+    if (activeVote && activeVote.status === VoteStatus.OPEN) {
+      if (patch.vote.status === 'CLOSED' || patch.vote.close) {
+        summary.voteClose = patch.vote.close_reason || 'steward';
+        summary.voteStatus = 'CLOSING';
       } else if (patch.vote.status === 'OPEN') {
-        activeVote.status = VoteStatus.OPEN;
         activeVote.canVote = true;
         summary.voteStatus = 'OPEN';
       }
@@ -166,6 +163,22 @@ export function applyPatch(state, patch, { log }) {
         state.quest.lastThresholdAt = patch.resources.crossed_at;
       }
     }
+
+    // Proposed quest: validate, then start it if nothing is under way or
+    // queue it to follow the current quest
+    if (patch.resources.proposed_quest) {
+      const result = validateQuestProposal(patch.resources.proposed_quest, state.quests);
+      if (!result.success) {
+        log.warn(`quest proposal skipped: ${result.reason}`);
+        summary.questProposal = 'rejected';
+      } else if (!activeQuest || activeQuest.status === QuestStatus.COMPLETED) {
+        state.setActiveQuest(questFromTemplate(result.template));
+        summary.questProposal = 'started';
+      } else {
+        state.questProposal = result.template;
+        summary.questProposal = 'queued';
+      }
+    }
   }
 
   // 4. ARCHIVE - promote, prune, merge stones
@@ -188,6 +201,7 @@ export function applyPatch(state, patch, { log }) {
           newStone.tags || []
         );
         state.canonRing.push(stone);
+        state.events.emit(DomainEvent.STONE_PROMOTED, { stone, playerId: null });
       }
     }
 
@@ -0,0 +1,84 @@
+// Domain event bus
+// GameState owns a bus (gameState.events) that it, the agents and the patch
+// engine emit to as things happen, so other parts of the server can react
+// without the code that made the change knowing about them. Subscribers:
+//   - scratch and now rings (subscribers.js) and achievements, wired by GameState
+//   - WebSocket fan-out, cadence counters and logging, wired by index.js as
+//     each village starts
+//
+// Every event type declares the fields its payload carries; emit refuses an
+// unknown type or a payload missing one, and stamps the event with its type
+// and time. Handlers run synchronously, in subscription order; one that
+// throws is logged and skipped so it can't undo the change that emitted.
+
+import { DomainEvent } from './types.js';
+
+export const EventFields = {
+  [DomainEvent.ITEM_GATHERED]: ['playerId', 'resource', 'amount'],
+  [DomainEvent.DONATION_MADE]: ['playerId', 'item', 'quantity', 'questId'],
+  [DomainEvent.OFFER_CREATED]: ['offer'],
+  // gave/got are from the offerer's side; via: 'accept' | 'match' | 'steward'
+  [DomainEvent.TRADE_COMPLETED]: ['offer', 'fromPlayer', 'toPlayer', 'gave', 'got', 'via'],
+  // previous is null for a first ballot
+  [DomainEvent.VOTE_CAST]: ['playerId', 'vote', 'choices', 'previous'],
+  [DomainEvent.VOTE_CLOSED]: ['vote', 'outcome', 'winner', 'decisionCard'],
+  // rewards as from distributeRewards; next is the quest that follows a main quest
+  [DomainEvent.QUEST_COMPLETED]: ['quest', 'rewards', 'next'],
+  // playerId is the journal's author, or null for a stone the Steward wrote
+  [DomainEvent.STONE_PROMOTED]: ['stone', 'playerId'],
+  [DomainEvent.PLAYER_WARNED]: ['playerId', 'reason', 'count']
+};
+
+const ANY = '*';
+
+export class EventBus {
+  constructor() {
+    this.handlers = new Map(); // type (or '*') -> [handler]
+  }
+
+  /**
+   * Subscribe to one event type, or '*' for every event
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    if (type !== ANY && !EventFields[type]) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const handlers = this.handlers.get(type) || [];
+    handlers.push(handler);
+    this.handlers.set(type, handlers);
+
+    return () => {
+      this.handlers.set(type, this.handlers.get(type).filter(entry => entry !== handler));
+    };
+  }
+
+  /**
+   * Emit an event to its subscribers
+   * @param {string} type - A DomainEvent
+   * @param {Object} payload - The fields listed in EventFields
+   * @returns {Object} The event: { type, at, ...payload }
+   */
+  emit(type, payload = {}) {
+    const fields = EventFields[type];
+    if (!fields) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    const missing = fields.find(field => !(field in payload));
+    if (missing) {
+      throw new Error(`${type} is missing ${missing}`);
+    }
+
+    const event = { type, at: Date.now(), ...payload };
+    for (const handler of [...(this.handlers.get(type) || []), ...(this.handlers.get(ANY) || [])]) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`[Events] ${type} handler error:`, error);
+      }
+    }
+
+    return event;
+  }
+}
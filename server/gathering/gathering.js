@@ -0,0 +1,248 @@
+/**
+ * Gathering Service
+ *
+ * Server-authoritative resource gathering. A player asks to play a
+ * mini-game, the server issues a signed session (seed, game, start time),
+ * the client plays it and submits its move log, and the server rebuilds
+ * the layout from the seed, replays the moves and credits the yield.
+ * In hidden-information games (moss-match) the client is dealt face-down
+ * cards and flips them one at a time through the server, which records
+ * each flip and replays those instead of a submitted log.
+ * Hand foraging (/gather <item>) goes through the same cooldowns, which
+ * live in GameState so they survive a restart.
+ */
+
+import { createHmac, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { gameState } from '../state.js';
+import { DomainEvent, GatherableResources } from '../types.js';
+import { MiniGames, createRng } from './minigames.js';
+import { creditPersonalQuests } from '../quest_board.js';
+
+// Per-resource cooldowns (ms), matching the client's button timers
+export const GatherCooldowns = {
+  moss: 3000,
+  cedar: 4000,
+  resin: 5000,
+  spores: 6000
+};
+
+const MAX_MOVES = 2000;
+const CLOCK_SLACK_MS = 2000; // network latency allowance on move timestamps
+
+class GatheringService {
+  constructor({ secret, state = gameState } = {}) {
+    this.state = state;
+    this.secret = secret || process.env.GATHER_SECRET || randomBytes(32).toString('hex');
+    this.sessionTtl = parseInt(process.env.GATHER_SESSION_TTL || '180000', 10);
+    this.sessions = new Map(); // sessionId -> open (unsubmitted) session
+  }
+
+  /**
+   * Issue a mini-game session
+   * @param {string} playerId - Player ID
+   * @param {string} resource - Resource to gather
+   * @returns {Object} { success, session, signature, layout } or { success: false, reason }
+   */
+  startSession(playerId, resource) {
+    const check = this.checkCanGather(playerId, resource);
+    if (!check.success) return check;
+
+    this.pruneExpired();
+
+    // One open session per player and resource; a new one replaces the old
+    for (const [id, open] of this.sessions.entries()) {
+      if (open.playerId === playerId && open.resource === resource) {
+        this.sessions.delete(id);
+      }
+    }
+
+    const session = {
+      id: `gather_${Date.now()}_${randomBytes(4).toString('hex')}`,
+      playerId,
+      resource,
+      seed: randomInt(0, 2 ** 32),
+      startedAt: Date.now()
+    };
+    this.sessions.set(session.id, { ...session, flips: [] });
+
+    const game = MiniGames[resource];
+    const layout = game.createLayout(createRng(session.seed));
+    return {
+      success: true,
+      session,
+      signature: this.sign(session),
+      durationMs: game.durationMs,
+      layout: game.publicLayout ? game.publicLayout(layout) : layout
+    };
+  }
+
+  /**
+   * Flip a face-down card and reveal it (hidden-information games)
+   * @param {string} playerId - Player flipping
+   * @param {Object} flip - { session, signature, t, index }
+   * @returns {Object} { success, index, face } or { success: false, reason }
+   */
+  flip(playerId, { session, signature, t, index } = {}) {
+    if (!session || !signature || !this.verify(session, signature)) {
+      return { success: false, reason: 'Invalid gathering session' };
+    }
+
+    const open = this.sessions.get(session.id);
+    const elapsed = open ? Date.now() - open.startedAt : 0;
+    if (!open || open.playerId !== playerId || elapsed > this.sessionTtl) {
+      return { success: false, reason: 'Gathering session expired or already used' };
+    }
+
+    const game = MiniGames[open.resource];
+    if (!game.reveal) {
+      return { success: false, reason: `There are no cards to flip when gathering ${open.resource}.` };
+    }
+
+    const flips = [...open.flips, { t, index }];
+    const moveCheck = this.checkMoves(flips, Math.min(game.durationMs, elapsed + CLOCK_SLACK_MS));
+    if (!moveCheck.success) return moveCheck;
+
+    // Replaying the flips so far catches out-of-turn and repeated cards
+    const layout = game.createLayout(createRng(open.seed));
+    const result = game.replay(layout, flips);
+    if (!result.success) return result;
+
+    open.flips = flips;
+    return { success: true, index, face: game.reveal(layout, index) };
+  }
+
+  /**
+   * Verify a finished mini-game and credit its yield
+   * @param {string} playerId - Player submitting
+   * @param {Object} submission - { session, signature, moves }; moves are
+   *   ignored for hidden-information games, whose flips the server recorded
+   * @returns {Object} { success, resource, score, amount, inventory } or { success: false, reason }
+   */
+  submit(playerId, { session, signature, moves } = {}) {
+    if (!session || !signature || !this.verify(session, signature)) {
+      return { success: false, reason: 'Invalid gathering session' };
+    }
+
+    const open = this.sessions.get(session.id);
+    if (!open || open.playerId !== playerId) {
+      return { success: false, reason: 'Gathering session expired or already used' };
+    }
+    this.sessions.delete(session.id);
+
+    const elapsed = Date.now() - open.startedAt;
+    if (elapsed > this.sessionTtl) {
+      return { success: false, reason: 'Gathering session expired or already used' };
+    }
+
+    const game = MiniGames[open.resource];
+    const played = game.reveal ? open.flips : moves;
+    const moveCheck = this.checkMoves(played, Math.min(game.durationMs, elapsed + CLOCK_SLACK_MS));
+    if (!moveCheck.success) return moveCheck;
+
+    const result = game.replay(game.createLayout(createRng(open.seed)), played, elapsed);
+    if (!result.success) return result;
+
+    this.credit(playerId, open.resource, result.amount);
+
+    return {
+      success: true,
+      resource: open.resource,
+      score: result.score,
+      amount: result.amount,
+      cooldownMs: GatherCooldowns[open.resource],
+      inventory: this.state.getPlayer(playerId)?.inventory
+    };
+  }
+
+  /**
+   * Gather a handful by hand (no mini-game): 1-3 items, same cooldown
+   * @param {string} playerId - Player ID
+   * @param {string} resource - Resource to gather
+   * @returns {Object} { success, resource, amount, inventory } or { success: false, reason }
+   */
+  forage(playerId, resource) {
+    const check = this.checkCanGather(playerId, resource);
+    if (!check.success) return check;
+
+    const amount = randomInt(1, 4);
+    this.credit(playerId, resource, amount);
+
+    return {
+      success: true,
+      resource,
+      amount,
+      cooldownMs: GatherCooldowns[resource],
+      inventory: this.state.getPlayer(playerId).inventory
+    };
+  }
+
+  checkCanGather(playerId, resource) {
+    if (!GatherableResources.includes(resource)) {
+      return { success: false, reason: `You can't gather ${resource}.` };
+    }
+    if (!this.state.getPlayer(playerId)) {
+      return { success: false, reason: 'Player not found' };
+    }
+
+    const remaining = this.state.getGatherCooldown(playerId, resource);
+    if (remaining > 0) {
+      return { success: false, reason: `You need to rest before gathering ${resource} again (${Math.ceil(remaining / 1000)}s).` };
+    }
+
+    return { success: true };
+  }
+
+  // Moves must be a time-ordered list that fits inside the round
+  checkMoves(moves, maxTime) {
+    if (!Array.isArray(moves) || moves.length > MAX_MOVES) {
+      return { success: false, reason: 'Invalid move log' };
+    }
+
+    let last = 0;
+    for (const move of moves) {
+      if (!move || typeof move.t !== 'number' || !Number.isFinite(move.t) || move.t < last || move.t > maxTime) {
+        return { success: false, reason: 'Invalid move log' };
+      }
+      last = move.t;
+    }
+
+    return { success: true };
+  }
+
+  credit(playerId, resource, amount) {
+    this.state.startGatherCooldown(playerId, resource, GatherCooldowns[resource]);
+    if (amount <= 0) return;
+
+    this.state.updatePlayerInventory(playerId, resource, amount);
+    this.state.recordGather(resource, amount);
+    creditPersonalQuests(this.state, playerId, resource, amount);
+    this.state.events.emit(DomainEvent.ITEM_GATHERED, { playerId, resource, amount });
+  }
+
+  sign(session) {
+    const payload = [session.id, session.playerId, session.resource, session.seed, session.startedAt].join('|');
+    return createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  verify(session, signature) {
+    if (typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(session), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return expected.length === given.length && timingSafeEqual(expected, given);
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.sessionTtl;
+    for (const [id, session] of this.sessions.entries()) {
+      if (session.startedAt < cutoff) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+export { GatheringService };
+
+// Singleton instance
+export const gatheringService = new GatheringService();
@@ -0,0 +1,285 @@
+/**
+ * Gathering Mini-Games
+ *
+ * Rules for the four gathering mini-games, shared by the session issuer
+ * and the verifier. Each game declares:
+ *   resource     - inventory item it yields
+ *   durationMs   - longest a round may last
+ *   createLayout - (rng) => layout sent to the client (cards, drops, ...)
+ *   replay       - (layout, moves, elapsedMs) => { success, score, amount } | { success, reason }
+ *                  elapsedMs is how long the session really ran, by the server's clock
+ * Hidden-information games also declare:
+ *   publicLayout - (layout) => the part of the layout the client may see
+ *   reveal       - (layout, index) => one card's face, sent when it is flipped
+ *
+ * Layouts are regenerated from the session seed at submit time, so the
+ * client never gets to choose what it was dealt. Coordinates are
+ * normalized (0..1 across the play area) and times are milliseconds
+ * since the session started.
+ */
+
+// Small seeded PRNG (mulberry32); same seed -> same layout
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Move the cedar indicator `distance` bar-widths, bouncing off both ends
+export function sweep(pos, dir, distance) {
+  let x = pos + dir * distance;
+  while (x > 1 || x < 0) {
+    if (x > 1) x = 2 - x;
+    else x = -x;
+    dir = -dir;
+  }
+  return { pos: x, dir };
+}
+
+const mossMatch = {
+  resource: 'moss',
+  durationMs: 30000,
+  pairs: 6,
+  matchDelayMs: 500,
+  missDelayMs: 1000,
+
+  createLayout(rng) {
+    const cards = [];
+    for (let i = 0; i < this.pairs; i++) {
+      cards.push(i, i);
+    }
+    for (let i = cards.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return { cards };
+  },
+
+  // Faces stay on the server; the client only knows how many cards there are
+  publicLayout(layout) {
+    return { cards: layout.cards.length };
+  },
+
+  reveal(layout, index) {
+    return layout.cards[index];
+  },
+
+  // moves: [{ t, index }] card flips
+  replay(layout, moves) {
+    const matched = new Set();
+    let pending = [];
+    let blockedUntil = 0;
+    let score = 0;
+
+    for (const { t, index } of moves) {
+      if (!Number.isInteger(index) || index < 0 || index >= layout.cards.length) {
+        return { success: false, reason: 'Invalid card' };
+      }
+      if (t < blockedUntil || matched.has(index) || pending.includes(index)) {
+        return { success: false, reason: 'Card flipped out of turn' };
+      }
+
+      pending.push(index);
+      if (pending.length === 2) {
+        const [first, second] = pending;
+        if (layout.cards[first] === layout.cards[second]) {
+          matched.add(first);
+          matched.add(second);
+          score++;
+          blockedUntil = t + this.matchDelayMs;
+        } else {
+          blockedUntil = t + this.missDelayMs;
+        }
+        pending = [];
+      }
+    }
+
+    return { success: true, score, amount: score * 2 };
+  }
+};
+
+const cedarChop = {
+  resource: 'cedar',
+  durationMs: 120000,
+  totalChops: 10,
+  roundDelayMs: 500,
+  speed: { base: 0.3, max: 1.5, onHit: 0.12, onMiss: -0.06 }, // bar widths per second
+  zone: { base: 0.25, min: 0.08, onHit: -0.02, onMiss: 0.01 },
+
+  createLayout(rng) {
+    const targets = [0.5];
+    for (let i = 1; i < this.totalChops; i++) {
+      targets.push(0.2 + rng() * 0.6);
+    }
+    // Tuning rides along so the client animates exactly what is replayed
+    return { targets, speed: this.speed, zone: this.zone, roundDelayMs: this.roundDelayMs };
+  },
+
+  // moves: [{ t }] chop times; the indicator starts each round where it stopped
+  replay(layout, moves) {
+    if (moves.length > this.totalChops) {
+      return { success: false, reason: 'Too many chops' };
+    }
+
+    let indicator = { pos: 0, dir: 1 };
+    let speed = this.speed.base;
+    let zone = this.zone.base;
+    let roundStart = 0;
+    let hits = 0;
+
+    for (let i = 0; i < moves.length; i++) {
+      const { t } = moves[i];
+      if (t < roundStart) {
+        return { success: false, reason: 'Chopped before the round began' };
+      }
+
+      indicator = sweep(indicator.pos, indicator.dir, speed * (t - roundStart) / 1000);
+      const isHit = Math.abs(indicator.pos - layout.targets[i]) < zone / 2;
+
+      if (isHit) {
+        hits++;
+        speed = Math.min(this.speed.max, speed + this.speed.onHit);
+        zone = Math.max(this.zone.min, zone + this.zone.onHit);
+      } else {
+        speed = Math.max(this.speed.base, speed + this.speed.onMiss);
+        zone = Math.min(this.zone.base, zone + this.zone.onMiss);
+      }
+
+      roundStart = t + this.roundDelayMs;
+    }
+
+    if (moves.length === 0) {
+      return { success: true, score: 0, amount: 0 };
+    }
+    return { success: true, score: hits, amount: Math.max(1, Math.round(hits * 1.5)) };
+  }
+};
+
+const resinCatch = {
+  resource: 'resin',
+  durationMs: 20000,
+  spawnEveryMs: 1000,
+  bucketWidth: 0.2,
+
+  createLayout(rng) {
+    const drops = [];
+    for (let at = this.spawnEveryMs; at < this.durationMs; at += this.spawnEveryMs) {
+      const count = rng() > 0.6 ? 2 : 1;
+      for (let i = 0; i < count; i++) {
+        drops.push({
+          id: drops.length,
+          at,
+          x: 0.05 + rng() * 0.9,
+          fallMs: 2500 + Math.round(rng() * 1500),
+          size: 8 + rng() * 6
+        });
+      }
+    }
+    return { drops, bucketWidth: this.bucketWidth };
+  },
+
+  // moves: [{ t, x }] bucket centre positions; a drop is caught if the
+  // bucket is under it when it reaches the bucket line, before the round
+  // was submitted
+  replay(layout, moves, elapsedMs = this.durationMs) {
+    for (const { x } of moves) {
+      if (typeof x !== 'number' || x < 0 || x > 1) {
+        return { success: false, reason: 'Invalid bucket position' };
+      }
+    }
+
+    const bucketAt = (time) => {
+      let x = 0.5;
+      for (const move of moves) {
+        if (move.t > time) break;
+        x = move.x;
+      }
+      return x;
+    };
+
+    if (moves.length === 0) {
+      return { success: true, score: 0, amount: 0 };
+    }
+
+    let score = 0;
+    const endsAt = Math.min(this.durationMs, elapsedMs);
+    for (const drop of layout.drops) {
+      const landsAt = drop.at + drop.fallMs;
+      if (landsAt > endsAt) continue;
+      if (Math.abs(drop.x - bucketAt(landsAt)) <= this.bucketWidth / 2) {
+        score++;
+      }
+    }
+
+    return { success: true, score, amount: score };
+  }
+};
+
+const sporeCatch = {
+  resource: 'spores',
+  durationMs: 15000,
+  spawnEveryMs: 800,
+  targetEveryMs: 5000,
+  colors: ['PURPLE', 'BLUE', 'PINK'],
+
+  createLayout(rng) {
+    const pick = () => this.colors[Math.floor(rng() * this.colors.length)];
+
+    const targets = [];
+    for (let from = 0; from < this.durationMs; from += this.targetEveryMs) {
+      targets.push({ from, color: pick() });
+    }
+
+    const spores = [];
+    for (let at = this.spawnEveryMs; at < this.durationMs; at += this.spawnEveryMs) {
+      const count = rng() > 0.5 ? 2 : 1;
+      for (let i = 0; i < count; i++) {
+        spores.push({
+          id: spores.length,
+          at,
+          x: 0.05 + rng() * 0.9,
+          radius: 12 + rng() * 8,
+          fallMs: 6000 + Math.round(rng() * 4000),
+          color: pick()
+        });
+      }
+    }
+
+    return { targets, spores };
+  },
+
+  // moves: [{ t, id }] spore clicks; right colour +1, wrong colour -1
+  replay(layout, moves) {
+    const popped = new Set();
+    let score = 0;
+
+    for (const { t, id } of moves) {
+      const spore = layout.spores[id];
+      if (!spore || popped.has(id)) {
+        return { success: false, reason: 'Invalid spore' };
+      }
+      if (t < spore.at || t > spore.at + spore.fallMs) {
+        return { success: false, reason: 'Spore was not in the air' };
+      }
+
+      popped.add(id);
+      const target = layout.targets.filter(tg => tg.from <= t).pop();
+      score = spore.color === target.color ? score + 1 : Math.max(0, score - 1);
+    }
+
+    return { success: true, score, amount: score };
+  }
+};
+
+// Mini-game for each gatherable resource
+export const MiniGames = {
+  moss: mossMatch,
+  cedar: cedarChop,
+  resin: resinCatch,
+  spores: sporeCatch
+};
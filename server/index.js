@@ -7,24 +7,25 @@ import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 
 // Import game modules
-import { gameState } from './state.js';
-import { MessageType, IntentType, createPlayer, createScratchAction, createMessage } from './types.js';
-import { parseIntent, validateIntent } from './intents.js';
+import { MessageType, IntentType, DomainEvent, PresenceStatus, QuestKind, createPlayer, createMessage } from './types.js';
+import { commandRegistry } from './commands/index.js';
 import { mycelialConductor } from './agents/conductor.js';
-import { lichenArchivist } from './agents/archivist.js';
-import { lamellaTallykeeper } from './agents/tallykeeper.js';
-import { rhizomorphQuartermaster } from './agents/quartermaster.js';
-import { saproprobeWarden } from './agents/warden.js';
-import { sporocarpBroker } from './agents/broker.js';
-import { adminTools } from './admin.js';
+import { villages } from './villages.js';
+import { NAME_PATTERN } from './sessions.js';
 import { janitorAdapter } from './adapters/janitor.js';
 import { lettaAdapter } from './adapters/letta.js';
 import { mycelialSteward } from './adapters/mycelial-steward.js';
 import normalizeLettaPatch from './adapters/letta_normalizer.js';
 import { applyPatch } from './engine/apply_patch.js';
-import { parseCommand } from './command_parser.js';
 import { detectStateChanges, createStateSnapshot, shouldProcessTick } from './state_diff.js';
-import { checkAndCompleteQuest } from './quest_generator.js';
+import { checkAndCompleteQuest, describeCompletion } from './quest_generator.js';
+import { refreshQuestBoard } from './quest_board.js';
+import { onUnlock } from './achievements.js';
+import { subscribeCadence, subscribeLogging, subscribeNpcs } from './subscribers.js';
+import { ELDER_NPC, findNPC, listNPCs } from './adapters/npc_registry.js';
+import { countBallots, toStewardVote } from './ballots.js';
+import { describeBundle } from './offers.js';
+import { parseHistoryQuery, queryChatHistory } from './chat_history.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = process.env.PORT || 3000;
@@ -32,28 +33,22 @@ const PORT = process.env.PORT || 3000;
 // Store last normalized patch for debugging
 let lastNormalizedPatch = null;
 
-/**
- * Compute canonical quest percent from stockpile and recipe
- * Backend is source of truth
- */
-function computeQuestPercent(stockpile, recipe) {
-  if (!recipe || Object.keys(recipe).length === 0) {
-    return 0;
+// /api/villages/<code>/<endpoint> addresses one village; the original
+// /api/<endpoint> paths address the default village
+function parseApiRoute(url) {
+  const { pathname, searchParams } = new URL(url, `http://localhost:${PORT}`);
+
+  const scoped = pathname.match(/^\/api\/villages\/([^/]+)\/(\w+)$/);
+  if (scoped) {
+    return { village: villages.get(scoped[1]), endpoint: scoped[2], searchParams };
   }
-  
-  const ratios = [];
-  for (const [item, required] of Object.entries(recipe)) {
-    if (required > 0) {
-      const have = stockpile[item] || 0;
-      ratios.push(Math.min(have / required, 1.0));
-    }
+
+  const legacy = pathname.match(/^\/api\/(chat|feed|state|market|dms)$/);
+  if (legacy) {
+    return { village: villages.getDefault(), endpoint: legacy[1], searchParams };
   }
-  
-  if (ratios.length === 0) return 0;
-  
-  // Use minimum ratio (bottleneck item)
-  const minRatio = Math.min(...ratios);
-  return Math.floor(minRatio * 100);
+
+  return null;
 }
 
 // HTTP Server
@@ -80,13 +75,15 @@ const server = createServer((req, res) => {
         letta: lettaAdapter.getStatus(),
         mycelialSteward: mycelialSteward.getStatus()
       },
-      state: adminTools.getStateSummary()
+      villages: villages.list().map(village => village.getStatus())
     }));
     return;
   }
 
-  // Status endpoint with detailed adapter info
+  // Status endpoint with detailed adapter info (game stats are the default
+  // village's; /health has every village)
   if (req.url === '/status') {
+    const { state } = villages.getDefault();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       server: {
@@ -99,10 +96,10 @@ const server = createServer((req, res) => {
         janitor: janitorAdapter.getStatus()
       },
       game: {
-        players: gameState.players.size,
-        memoryStones: gameState.canonRing.length,
-        activeQuest: gameState.nowRing.activeQuest?.name || null,
-        activeVote: gameState.nowRing.activeVote?.topic || null
+        players: state.getConnectedPlayers().length,
+        memoryStones: state.canonRing.length,
+        activeQuest: state.nowRing.activeQuest?.name || null,
+        activeVote: state.nowRing.activeVote?.topic || null
       }
     }));
     return;
@@ -179,7 +176,7 @@ const server = createServer((req, res) => {
 
   // Debug endpoint: GET /debug/last-elder
   if (req.url === '/debug/last-elder') {
-    const lastElder = gameState.messages
+    const lastElder = villages.getDefault().state.messages
       .filter(m => m.type === 'ELDER_SAY')
       .slice(-1)[0] || null;
     
@@ -196,8 +193,10 @@ const server = createServer((req, res) => {
     req.on('data', chunk => body += chunk.toString());
     req.on('end', async () => {
       try {
-        const payload = body ? JSON.parse(body) : getDefaultTestPayload();
-        const result = await runDebugTick(payload);
+        const village = villages.getDefault();
+        const payload = body ? JSON.parse(body) : getDefaultTestPayload(village);
+        const result = await runDebugTick(village, payload);
+        village.persistence.record(village.state, 'debug-tick');
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (error) {
@@ -215,6 +214,14 @@ const server = createServer((req, res) => {
       { method: 'POST', path: '/api/chat' },
       { method: 'GET', path: '/api/feed' },
       { method: 'GET', path: '/api/state' },
+      { method: 'GET', path: '/api/market' },
+      { method: 'GET', path: '/api/dms?player=:playerId' },
+      { method: 'GET', path: '/api/villages' },
+      { method: 'POST', path: '/api/villages/:id/chat' },
+      { method: 'GET', path: '/api/villages/:id/feed' },
+      { method: 'GET', path: '/api/villages/:id/state' },
+      { method: 'GET', path: '/api/villages/:id/market' },
+      { method: 'GET', path: '/api/villages/:id/dms?player=:playerId' },
       { method: 'GET', path: '/health' },
       { method: 'GET', path: '/status' },
       { method: 'GET', path: '/debug/env' },
@@ -244,14 +251,28 @@ const server = createServer((req, res) => {
     req.on('end', () => {
       try {
         const data = body ? JSON.parse(body) : {};
+        const village = data.village ? villages.get(data.village) : villages.getDefault();
+        if (!village) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: `Unknown village "${data.village}"` }));
+          return;
+        }
+
         const dummyId = `player_${Date.now()}_dummy${Math.random().toString(36).substr(2, 9)}`;
         const dummyName = data.name || `TestUser${Math.floor(Math.random() * 100)}`;
         
+        if (village.state.findPlayerByName(dummyName)) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: `Name "${dummyName}" is already taken` }));
+          return;
+        }
+        
         const dummyPlayer = createPlayer(dummyId, dummyName);
-        gameState.addPlayer(dummyPlayer);
+        village.state.addPlayer(dummyPlayer);
+        village.persistence.record(village.state, 'spawn-dummy');
         
-        // Broadcast to all connected WebSocket clients
-        broadcast(createMessage(MessageType.SYSTEM_NOTE, {
+        // Broadcast to the village's WebSocket clients
+        broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
           text: `${dummyName} has joined the village (test user).`
         }));
         
@@ -265,14 +286,36 @@ const server = createServer((req, res) => {
     return;
   }
 
-  // API endpoint: POST /api/chat
-  if (req.url === '/api/chat' && req.method === 'POST') {
+  // API endpoint: GET /api/villages
+  if (req.url === '/api/villages') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      default: villages.getDefault().id,
+      villages: villages.list().map(village => ({
+        ...village.describe(),
+        players: village.state.getConnectedPlayers().length
+      }))
+    }));
+    return;
+  }
+
+  const api = parseApiRoute(req.url);
+  if (api && !api.village) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: 'Unknown village' }));
+    return;
+  }
+  const village = api?.village;
+
+  // API endpoint: POST /api/chat (or /api/villages/<id>/chat)
+  if (api?.endpoint === 'chat' && req.method === 'POST') {
     let body = '';
     req.on('data', chunk => body += chunk.toString());
     req.on('end', async () => {
       try {
         const data = JSON.parse(body);
-        const result = await handleChatCommand(data);
+        const result = await handleChatCommand(village, data);
+        village.persistence.record(village.state, 'api-chat');
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (error) {
@@ -283,27 +326,38 @@ const server = createServer((req, res) => {
     return;
   }
 
-  // API endpoint: GET /api/feed
-  if (req.url.startsWith('/api/feed')) {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-    const limit = parseInt(url.searchParams.get('limit') || '20', 10);
-    
-    const messages = gameState.messages.slice(-Math.min(limit, 100));
-    
+  // API endpoint: GET /api/feed (or /api/villages/<id>/feed), paged back
+  // by ?before=<message id> and filtered by player, type, since/until, q
+  if (api?.endpoint === 'feed') {
+    const parsed = parseHistoryQuery(api.searchParams);
+    const result = parsed.success ? queryChatHistory(village.state.messages, parsed.query) : parsed;
+
+    if (!result.success) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: result.reason }));
+      return;
+    }
+
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ messages }));
+    res.end(JSON.stringify({
+      messages: result.messages,
+      hasMore: result.hasMore,
+      nextBefore: result.nextBefore
+    }));
     return;
   }
 
-  // API endpoint: GET /api/state
-  if (req.url === '/api/state') {
-    const quest = gameState.nowRing.activeQuest;
-    const vote = gameState.nowRing.activeVote;
+  // API endpoint: GET /api/state (or /api/villages/<id>/state)
+  if (api?.endpoint === 'state') {
+    const { state } = village;
+    const quest = state.nowRing.activeQuest;
+    const vote = state.nowRing.activeVote;
     
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
-      players: gameState.players.size,
-      stockpile: gameState.stockpile,
+      village: village.describe(),
+      players: state.getConnectedPlayers().length,
+      stockpile: state.stockpile,
       quest: quest ? {
         name: quest.name,
         percent: quest.percent || 0,
@@ -311,10 +365,41 @@ const server = createServer((req, res) => {
       } : null,
       vote: vote ? {
         topic: vote.topic,
-        tally: vote.tally || {},
+        tally: countBallots(vote),
         status: vote.status
       } : null,
-      stones: gameState.canonRing.map(s => s.title)
+      stones: state.canonRing.map(s => s.title)
+    }));
+    return;
+  }
+
+  // API endpoint: GET /api/market (or /api/villages/<id>/market)
+  if (api?.endpoint === 'market') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      windowMinutes: village.broker.marketWindowMinutes,
+      pairs: village.broker.getMarketHistory(),
+      quotes: village.broker.getMarketQuotes()
+    }));
+    return;
+  }
+
+  // API endpoint: GET /api/dms (or /api/villages/<id>/dms) for the player
+  // whose session token is sent as "Authorization: Bearer <token>"
+  if (api?.endpoint === 'dms') {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const resumed = village.sessions.resume(token || null);
+    if (!resumed.success) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: resumed.reason }));
+      return;
+    }
+    const playerId = resumed.player.id;
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      messages: village.state.getPrivateMessages(playerId),
+      unreadCount: village.state.getUnreadDMCount(playerId)
     }));
     return;
   }
@@ -367,26 +452,32 @@ const server = createServer((req, res) => {
 const wss = new WebSocketServer({ server });
 
 // Track connected clients
-const clients = new Map(); // ws -> { playerId, playerName }
+const clients = new Map(); // ws -> { playerId, playerName, villageId }
 
-// Message batching for Letta
-const messageQueue = [];
+// Message batching for Letta (each village queues its own, see Village)
 const MESSAGE_BATCH_THRESHOLD = 5; // Send batch when queue reaches this size
 const MESSAGE_BATCH_INTERVAL = 10000; // Or send every 10 seconds
 
 // Batch sender interval
 setInterval(() => {
-  if (messageQueue.length > 0) {
-    console.log(`[BatchSender] Flushing ${messageQueue.length} queued messages`);
-    // Messages will be picked up by next serverTick
+  for (const village of villages.list()) {
+    if (village.messageQueue.length > 0) {
+      console.log(`[BatchSender] Flushing ${village.messageQueue.length} queued messages in ${village.id}`);
+      // Messages will be picked up by the village's next serverTick
+    }
   }
 }, MESSAGE_BATCH_INTERVAL);
 
-// Broadcast to all clients
-function broadcast(message, excludeWs = null) {
+// The village a socket is in; an archived village's sockets are moved on
+function villageOf(client) {
+  return villages.get(client.villageId) || villages.getDefault();
+}
+
+// Broadcast to every client in a village
+function broadcast(village, message, excludeWs = null) {
   const data = JSON.stringify(message);
   for (const [ws, client] of clients.entries()) {
-    if (ws !== excludeWs && ws.readyState === 1) { // OPEN
+    if (client.villageId === village.id && ws !== excludeWs && ws.readyState === 1) { // OPEN
       ws.send(data);
     }
   }
@@ -399,13 +490,108 @@ function sendToClient(ws, message) {
   }
 }
 
+// Shared village view kept in sync on every client: a snapshot on connect
+// or resync, then deltas by revision
+function clientView(village) {
+  // timeRemaining changes on every call; clients count down from closesAt
+  const { timeRemaining, ...vote } = village.tallykeeper.getVoteStatus() || {};
+  return {
+    stones: village.state.getMemoryStones(),
+    quest: village.quartermaster.getQuestStatus(),
+    questBoard: village.quartermaster.getQuestBoard(),
+    vote: vote.id ? vote : null,
+    stockpile: village.state.stockpile
+  };
+}
+
+// Broadcast whatever changed since the last sync
+function syncState(village) {
+  const delta = village.stateSync.update(clientView(village));
+  if (delta) {
+    broadcast(village, createMessage(MessageType.STATE_DELTA, delta));
+  }
+}
+
+function sendSnapshot(ws, village) {
+  syncState(village);
+  sendToClient(ws, createMessage(MessageType.STATE_SNAPSHOT, {
+    ...village.stateSync.snapshot(),
+    commands: commandRegistry.getHints()
+  }));
+}
+
+// Send each client the trading board it may see: private offers only
+// reach the two players they concern
+function broadcastTrades(village) {
+  for (const [ws, client] of clients.entries()) {
+    if (client.villageId === village.id) {
+      sendToClient(ws, createMessage(MessageType.TRADE_STATUS, tradeStatusFor(village, client.playerId)));
+    }
+  }
+}
+
+// Send to every socket a player has open
+function sendToPlayer(village, playerId, message) {
+  for (const [ws, client] of clients.entries()) {
+    if (client.villageId === village.id && client.playerId === playerId) {
+      sendToClient(ws, message);
+    }
+  }
+}
+
+// Trades change inventories, so a player's view carries their available
+// inventory and what their open offers hold in escrow
+function tradeStatusFor(village, playerId) {
+  const player = playerId && village.state.getPlayer(playerId);
+  return {
+    offers: village.broker.getVisibleOffers(playerId),
+    ...(player ? { inventory: player.inventory, reserved: village.broker.getReserved(playerId) } : {})
+  };
+}
+
+// The channels a player is in, with who else is there
+function channelStatusFor(village, playerId) {
+  return {
+    channels: village.state.getPlayerChannels(playerId).map(channel => ({
+      name: channel.name,
+      members: channel.members.map(id => village.state.getPlayer(id)?.name || id)
+    }))
+  };
+}
+
+// Put a socket in a village, leaving the one it was in. It arrives
+// unregistered: the client registers or resumes its session there, on its
+// own when rejoin is set (after /join or an archive, not a REGISTER/RESUME
+// that named the village).
+function moveClient(ws, client, village, { rejoin = false } = {}) {
+  const from = villageOf(client);
+
+  if (client.playerId && from.sessions.disconnect(client.playerId, ws)) {
+    broadcastPresence(from, client.playerId);
+  }
+  if (client.playerName && from !== village) {
+    broadcast(from, createMessage(MessageType.SYSTEM_NOTE, {
+      text: `${client.playerName} set off for ${village.name}.`
+    }), ws);
+  }
+
+  client.villageId = village.id;
+  client.playerId = null;
+  client.playerName = null;
+
+  sendToClient(ws, createMessage(MessageType.VILLAGE, { village: village.describe(), rejoin }));
+  sendSnapshot(ws, village);
+  sendToClient(ws, createMessage(MessageType.TRADE_STATUS, tradeStatusFor(village, null)));
+}
+
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
   console.log('New WebSocket connection');
 
-  // Generate temporary player ID
-  const playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  clients.set(ws, { playerId, playerName: null });
+  // Sockets start in the default village; the player is bound on REGISTER
+  // or RESUME
+  const village = villages.getDefault();
+  clients.set(ws, { playerId: null, playerName: null, villageId: village.id });
 
   // Send welcome message
   sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
@@ -414,19 +600,20 @@ wss.on('connection', (ws, req) => {
   }));
 
   // Send current state
-  sendToClient(ws, createMessage(MessageType.STATE_UPDATE, {
-    stones: gameState.getMemoryStones(),
-    quest: rhizomorphQuartermaster.getQuestStatus(),
-    vote: lamellaTallykeeper.getVoteStatus(),
-    stockpile: gameState.stockpile,
-    trades: sporocarpBroker.getOpenOffers()
-  }));
+  sendToClient(ws, createMessage(MessageType.VILLAGE, { village: village.describe() }));
+  sendSnapshot(ws, village);
+  sendToClient(ws, createMessage(MessageType.TRADE_STATUS, tradeStatusFor(village, null)));
 
   // Handle messages
   ws.on('message', async (data) => {
+    const client = clients.get(ws);
+    const before = client ? villageOf(client) : null;
     try {
       const message = JSON.parse(data.toString());
       await handleClientMessage(ws, message);
+      for (const village of new Set([before, client && villageOf(client)])) {
+        village?.persistence.record(village.state, message.type);
+      }
     } catch (error) {
       console.error('Message handling error:', error);
       sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
@@ -441,6 +628,12 @@ wss.on('connection', (ws, req) => {
     const client = clients.get(ws);
     console.log(`Player disconnected: ${client?.playerName || client?.playerId}`);
     clients.delete(ws);
+
+    const village = client && villageOf(client);
+    if (client?.playerId && village.sessions.disconnect(client.playerId, ws)) {
+      broadcastPresence(village, client.playerId);
+      village.persistence.record(village.state, 'disconnect');
+    }
   });
 
   ws.on('error', (error) => {
@@ -453,31 +646,69 @@ async function handleClientMessage(ws, message) {
   const client = clients.get(ws);
   if (!client) return;
 
+  // REGISTER and RESUME may name the village to enter first
+  if ((message.type === 'REGISTER' || message.type === 'RESUME') && message.village) {
+    const target = villages.get(message.village);
+    if (!target) {
+      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `There is no village "${message.village}" on this server.`,
+        type: 'error',
+        code: 'UNKNOWN_VILLAGE'
+      }));
+      return;
+    }
+    if (target.id !== client.villageId) {
+      moveClient(ws, client, target);
+    }
+  }
+
+  const village = villageOf(client);
+
   // Handle player registration
   if (message.type === 'REGISTER') {
-    const playerName = message.name || `Visitor${Math.floor(Math.random() * 1000)}`;
-    client.playerName = playerName;
+    const result = village.sessions.register(message.name);
 
-    // Create or get player
-    let player = gameState.getPlayer(client.playerId);
-    if (!player) {
-      player = createPlayer(client.playerId, playerName);
-      gameState.addPlayer(player);
+    if (!result.success) {
+      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+        text: result.reason,
+        type: 'error',
+        code: result.code
+      }));
+      return;
     }
 
-    sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-      text: `Welcome, ${playerName}! You are now part of the village.`,
-      playerId: client.playerId,
-      player
-    }));
+    bindClient(ws, client, village, result.player, result.token);
 
-    broadcast(createMessage(MessageType.SYSTEM_NOTE, {
-      text: `${playerName} has joined the village.`
+    broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+      text: `${result.player.name} has joined the village.`
     }), ws);
 
     return;
   }
 
+  // Rebind a returning player by session token
+  if (message.type === 'RESUME') {
+    const result = village.sessions.resume(message.token);
+
+    if (!result.success) {
+      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+        text: result.reason,
+        type: 'error',
+        code: result.code
+      }));
+      return;
+    }
+
+    bindClient(ws, client, village, result.player, message.token);
+    return;
+  }
+
+  // A client that missed a delta starts over from a snapshot
+  if (message.type === 'STATE_RESYNC') {
+    sendSnapshot(ws, village);
+    return;
+  }
+
   // Ensure player is registered
   if (!client.playerName) {
     sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
@@ -486,26 +717,121 @@ async function handleClientMessage(ws, message) {
     return;
   }
 
+  // Tab hidden: mark away without counting it as activity
+  if (message.type === 'PRESENCE' && message.status === PresenceStatus.AWAY) {
+    if (village.sessions.setPresence(client.playerId, PresenceStatus.AWAY)) {
+      broadcastPresence(village, client.playerId);
+    }
+    return;
+  }
+
+  // Any other message from a registered player counts as activity
+  if (village.sessions.touch(client.playerId)) {
+    broadcastPresence(village, client.playerId);
+  }
+
+  if (message.type === 'PRESENCE') {
+    return;
+  }
+
+  // Read receipt: the player opened their Elder messages
+  if (message.type === 'DM_READ') {
+    village.state.markPrivateMessagesRead(client.playerId);
+    sendToPlayer(village, client.playerId, createMessage(MessageType.DM_STATUS, {
+      unreadCount: village.state.getUnreadDMCount(client.playerId)
+    }));
+    return;
+  }
+
   // Handle user chat
   if (message.type === 'USER_CHAT') {
-    await handleUserChat(ws, client, message.text);
+    await handleUserChat(ws, client, village, message.text, message.replyTo);
+    return;
+  }
+
+  // Handle gathering mini-games
+  if (message.type === 'GATHER_START') {
+    handleGatherStart(ws, client, village, message);
+    return;
+  }
+
+  if (message.type === 'GATHER_FLIP') {
+    handleGatherFlip(ws, client, village, message);
+    return;
+  }
+
+  if (message.type === 'GATHER_SUBMIT') {
+    handleGatherSubmit(ws, client, village, message);
     return;
   }
 
   // Handle admin commands
   if (message.type === 'ADMIN_COMMAND') {
-    await handleAdminCommand(ws, client, message);
+    await handleAdminCommand(ws, client, village, message);
     return;
   }
 }
 
-// Handle user chat messages
-async function handleUserChat(ws, client, text) {
+// Attach a socket to a player record and send it the session
+function bindClient(ws, client, village, player, token) {
+  // A socket that switches identity leaves its previous player
+  if (client.playerId && client.playerId !== player.id && village.sessions.disconnect(client.playerId, ws)) {
+    broadcastPresence(village, client.playerId);
+  }
+
+  client.playerId = player.id;
+  client.playerName = player.name;
+
+  if (village.sessions.connect(player.id, ws)) {
+    broadcastPresence(village, player.id);
+  }
+
+  sendToClient(ws, createMessage(MessageType.SESSION, {
+    token,
+    playerId: player.id,
+    player,
+    village: village.describe()
+  }));
+
+  sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+    text: `Welcome, ${player.name}! You are now part of ${village.name}.`,
+    playerId: player.id,
+    player,
+    inventory: player.inventory
+  }));
+
+  sendToClient(ws, createMessage(MessageType.TRADE_STATUS, tradeStatusFor(village, player.id)));
+  sendToClient(ws, createMessage(MessageType.CHANNEL_STATUS, channelStatusFor(village, player.id)));
+}
+
+// Tell the village a player's presence changed
+function broadcastPresence(village, playerId) {
+  const player = village.state.getPlayer(playerId);
+  if (!player) return;
+
+  broadcast(village, createMessage(MessageType.PRESENCE, {
+    playerId,
+    playerName: player.name,
+    status: player.presence,
+    online: village.state.getConnectedPlayers().length
+  }));
+}
+
+// Warden check for a chat line from either transport; channel posts are
+// also held to their channel's own rate limit
+function safetyCheck(village, playerId, intent, text) {
+  return village.warden.processSafetyCheck(playerId,
+    intent.type === IntentType.CHANNEL ? { text: intent.params.text, channel: intent.params.channel } : { text });
+}
+
+// Handle user chat messages; replyTo is the id of the message answered
+async function handleUserChat(ws, client, village, text, replyTo = null) {
   if (!text || typeof text !== 'string') return;
 
-  // Safety check via Warden
-  const safetyResult = saproprobeWarden.processSafetyCheck(client.playerId, { text });
-  
+  // Parse intent
+  const intent = commandRegistry.parse(text);
+
+  const safetyResult = safetyCheck(village, client.playerId, intent, text);
   if (!safetyResult.allowed) {
     sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
       text: safetyResult.reason,
@@ -521,228 +847,270 @@ async function handleUserChat(ws, client, text) {
     }));
   }
 
-  // Parse intent
-  const intent = parseIntent(text);
-  const valid = validateIntent(intent);
-
-  if (!valid && intent.type !== IntentType.CHAT) {
+  if (intent.type === IntentType.UNKNOWN) {
     sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-      text: 'Invalid command. Try /gather moss, /vote option, etc.',
+      text: intent.params.error || 'Invalid command. Type /help for a list of commands.',
       type: 'error'
     }));
     return;
   }
 
-  // Queue message for batch processing
-  messageQueue.push({
-    user: client.playerName,
-    text,
-    timestamp: Date.now(),
-    intent: intent.type
-  });
+  const command = intent.command ? commandRegistry.get(intent.command) : null;
 
-  // Broadcast user message
-  broadcast(createMessage(MessageType.USER_CHAT, {
-    playerId: client.playerId,
-    playerName: client.playerName,
-    text,
-    intent: intent.type,
-    timestamp: Date.now()
-  }));
+  if (!command?.quiet) {
+    const chat = recordUserChat(village, client.playerId, client.playerName, text, intent.type, replyTo);
+
+    // Queue message for batch processing
+    village.messageQueue.push({
+      id: chat.id,
+      user: client.playerName,
+      text,
+      timestamp: chat.at,
+      intent: intent.type,
+      ...(chat.replyTo ? { replyTo: chat.replyTo } : {})
+    });
+
+    // Broadcast user message
+    broadcast(village, createMessage(MessageType.USER_CHAT, {
+      id: chat.id,
+      playerId: client.playerId,
+      playerName: client.playerName,
+      text,
+      intent: intent.type,
+      replyTo: chat.replyTo,
+      mentions: chat.mentions,
+      timestamp: chat.at
+    }));
+  }
 
   // Execute intent immediately (for immediate game state updates)
-  await executeIntent(ws, client, intent);
+  if (intent.type !== IntentType.CHAT) {
+    const result = await runCommand(village, intent, client.playerId, client.playerName);
+    // Channel posts answer with the post itself (CHANNEL_CHAT)
+    if (!result.success || result.reply) {
+      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+        text: result.success ? result.reply : result.reason,
+        type: result.success ? 'success' : 'error',
+        ...(result.inventory ? { inventory: result.inventory } : {})
+      }));
+    }
+
+    if (result.join) {
+      moveClient(ws, client, villages.get(result.join), { rejoin: true });
+      return;
+    }
+  }
 
   // Check if we should trigger immediate batch processing
-  if (messageQueue.length >= MESSAGE_BATCH_THRESHOLD) {
-    console.log(`[BatchSender] Threshold reached (${messageQueue.length} messages), triggering tick`);
+  if (village.messageQueue.length >= MESSAGE_BATCH_THRESHOLD) {
+    console.log(`[BatchSender] Threshold reached (${village.messageQueue.length} messages), triggering tick`);
     // Trigger serverTick immediately (it will pick up the queued messages)
-    setImmediate(serverTick);
+    setImmediate(() => serverTick(village));
   }
 }
 
-// Execute player intent
-async function executeIntent(ws, client, intent) {
-  const player = gameState.getPlayer(client.playerId);
-  
-  switch (intent.type) {
-    case IntentType.GATHER: {
-      const { item } = intent.params;
-      const amount = Math.floor(Math.random() * 3) + 1; // 1-3 items
-      
-      gameState.updatePlayerInventory(client.playerId, item, amount);
-      
-      const action = createScratchAction(client.playerId, 'gather', `Gathered ${amount} ${item}`);
-      gameState.addScratchAction(action);
-      gameState.addRecentAction({ player: client.playerName, action: 'gather', item, amount });
-      
-      // Get fresh player data after inventory update
-      const updatedPlayer = gameState.getPlayer(client.playerId);
-      
-      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-        text: `You gathered ${amount} ${item}. Total: ${updatedPlayer.inventory[item]}`,
-        type: 'success',
-        inventory: updatedPlayer.inventory
-      }));
-      
-      // Broadcast inventory update to all clients with fresh data
-      console.log(`[executeIntent] Broadcasting inventory for ${client.playerName}: ${JSON.stringify(updatedPlayer.inventory)}`);
-      broadcast(createMessage(MessageType.SYSTEM_NOTE, {
-        text: `${client.playerName} gathered ${amount} ${item}.`,
-        type: 'info',
-        inventory: updatedPlayer.inventory,
-        playerId: client.playerId
-      }));
-      break;
-    }
+/**
+ * Keep a public chat line in the village history and tell the players it
+ * @mentions. A reply to a message the village doesn't have starts a new
+ * thread instead. Shared by the WebSocket and /api/chat transports.
+ * @returns {Object} The history entry ({ id, replyTo, mentions, at, ... })
+ */
+function recordUserChat(village, playerId, playerName, text, intentType, replyTo = null) {
+  const { state } = village;
+  const mentioned = intentType === IntentType.CHAT ? state.findMentions(text, playerId) : [];
 
-    case IntentType.GIFT: {
-      const { targetPlayer, item, quantity } = intent.params;
-      
-      if (player.inventory[item] < quantity) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: `You don't have enough ${item}. You have: ${player.inventory[item]}`,
-          type: 'error'
-        }));
-        return;
-      }
+  const chat = state.addChatMessage({
+    type: 'USER',
+    user: playerName,
+    playerId,
+    text,
+    replyTo: typeof replyTo === 'string' && state.getChatMessage(replyTo) ? replyTo : null,
+    mentions: mentioned.map(player => player.id)
+  });
 
-      // Find target player
-      let target = null;
-      for (const [pid, p] of gameState.players.entries()) {
-        if (p.name.toLowerCase() === targetPlayer.toLowerCase()) {
-          target = { id: pid, player: p };
-          break;
-        }
-      }
+  for (const player of mentioned) {
+    sendToPlayer(village, player.id, createMessage(MessageType.MENTION, {
+      messageId: chat.id,
+      playerId,
+      playerName,
+      text,
+      timestamp: chat.at
+    }));
+  }
 
-      if (!target) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: `Player "${targetPlayer}" not found.`,
-          type: 'error'
-        }));
-        return;
-      }
+  return chat;
+}
 
-      gameState.updatePlayerInventory(client.playerId, item, -quantity);
-      gameState.updatePlayerInventory(target.id, item, quantity);
+// Issue a signed mini-game session
+function handleGatherStart(ws, client, village, message) {
+  const result = village.gathering.startSession(client.playerId, message.resource);
 
-      sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-        text: `You gifted ${quantity} ${item} to ${target.player.name}.`,
-        type: 'success'
-      }));
+  if (!result.success) {
+    sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+      text: result.reason,
+      type: 'error'
+    }));
+    return;
+  }
 
-      broadcast(createMessage(MessageType.SYSTEM_NOTE, {
-        text: `${client.playerName} gifted ${quantity} ${item} to ${target.player.name}.`
-      }));
-      break;
-    }
+  sendToClient(ws, createMessage(MessageType.GATHER_SESSION, {
+    session: result.session,
+    signature: result.signature,
+    durationMs: result.durationMs,
+    layout: result.layout
+  }));
+}
 
-    case IntentType.DONATE: {
-      const result = rhizomorphQuartermaster.processDonation(
-        client.playerId,
-        intent.params.item,
-        intent.params.quantity
-      );
+// Reveal a flipped card; a refused flip comes back without a face
+function handleGatherFlip(ws, client, village, message) {
+  const result = village.gathering.flip(client.playerId, message);
 
-      if (result.success) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: `You donated ${result.quantity} ${result.item} to the stockpile.`,
-          type: 'success'
-        }));
+  sendToClient(ws, createMessage(MessageType.GATHER_REVEAL, {
+    session: message.session?.id,
+    index: message.index,
+    face: result.success ? result.face : null,
+    reason: result.reason
+  }));
+}
 
-        broadcast(createMessage(MessageType.QUEST_STATUS, {
-          quest: rhizomorphQuartermaster.getQuestStatus(),
-          stockpile: gameState.stockpile
-        }));
-      } else {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: result.reason,
-          type: 'error'
-        }));
-      }
-      break;
-    }
+// Verify a finished mini-game and credit the yield
+function handleGatherSubmit(ws, client, village, message) {
+  const result = village.gathering.submit(client.playerId, message);
 
-    case IntentType.OFFER: {
-      const result = sporocarpBroker.createOffer(client.playerId, intent.params.give, intent.params.want);
+  if (!result.success) {
+    sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
+      text: result.reason,
+      type: 'error'
+    }));
+    return;
+  }
 
-      if (result.success) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: `Trade offer posted: Give ${result.offer.give.qty} ${result.offer.give.item} for ${result.offer.want.qty} ${result.offer.want.item}`,
-          type: 'success'
-        }));
+  sendToClient(ws, createMessage(MessageType.GATHER_RESULT, {
+    resource: result.resource,
+    score: result.score,
+    amount: result.amount,
+    cooldownMs: result.cooldownMs,
+    inventory: result.inventory
+  }));
+}
 
-        broadcast(createMessage(MessageType.TRADE_STATUS, {
-          offers: sporocarpBroker.getOpenOffers()
-        }));
-      } else {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: result.reason,
-          type: 'error'
-        }));
-      }
-      break;
-    }
+/**
+ * Execute a parsed command and publish its side effects to the village.
+ * Shared by the WebSocket and /api/chat transports; the caller reports
+ * result.reply / result.reason back to whoever sent the command, and
+ * moves the sender when result.join names another village. Whispers and
+ * channel posts are delivered here, to the sockets of the players they
+ * are for.
+ */
+async function runCommand(village, intent, playerId, playerName) {
+  const result = await commandRegistry.execute(intent, { playerId, playerName, village });
 
-    case IntentType.ACCEPT: {
-      const result = sporocarpBroker.acceptOffer(intent.params.offerId, client.playerId);
+  if (!result.success) {
+    return result;
+  }
 
-      if (result.success) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: result.summary,
-          type: 'success'
-        }));
+  if (result.announce) {
+    broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+      text: result.announce,
+      type: 'info',
+      playerId
+    }));
+  }
 
-        broadcast(createMessage(MessageType.TRADE_STATUS, {
-          offers: sporocarpBroker.getOpenOffers()
-        }));
-      } else {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: result.reason,
-          type: 'error'
-        }));
-      }
-      break;
+  if (result.whisper) {
+    sendToPlayer(village, result.whisper.to, createMessage(MessageType.WHISPER, {
+      playerId,
+      playerName,
+      text: result.whisper.text,
+      timestamp: Date.now()
+    }));
+  }
+
+  if (result.channelPost) {
+    const message = createMessage(MessageType.CHANNEL_CHAT, {
+      channel: result.channelPost.channel,
+      playerId,
+      playerName,
+      text: result.channelPost.text,
+      timestamp: Date.now()
+    });
+    for (const memberId of village.state.getChannel(result.channelPost.channel).members) {
+      sendToPlayer(village, memberId, message);
     }
+  }
 
-    case IntentType.VOTE: {
-      const result = lamellaTallykeeper.castVote(client.playerId, intent.params.option);
+  for (const section of result.refresh || []) {
+    switch (section) {
+      case 'trades':
+        matchTrades(village);
+        broadcastTrades(village);
+        break;
 
-      if (result.success) {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: `You voted for: ${intent.params.option}`,
-          type: 'success'
+      case 'vote':
+        broadcast(village, createMessage(MessageType.VOTE_STATUS, {
+          vote: village.tallykeeper.getVoteStatus()
         }));
+        break;
 
-        broadcast(createMessage(MessageType.VOTE_STATUS, {
-          vote: lamellaTallykeeper.getVoteStatus()
-        }));
-      } else {
-        sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-          text: result.reason,
-          type: 'error'
-        }));
+      case 'channels': {
+        // The rest of the channel sees who joined or left
+        const members = village.state.getChannel(result.channel)?.members || [];
+        for (const memberId of new Set([playerId, ...members])) {
+          sendToPlayer(village, memberId, createMessage(MessageType.CHANNEL_STATUS, channelStatusFor(village, memberId)));
+        }
+        break;
       }
-      break;
     }
+  }
+
+  return result;
+}
+
+// Server-wide admin commands: opening and archiving villages. Anything
+// else goes to the sender's village's AdminTools.
+const villageAdminCommands = {
+  listVillages() {
+    return {
+      success: true,
+      villages: villages.list().map(village => village.describe()),
+      archived: Array.from(villages.archived.values())
+    };
+  },
+
+  createVillage({ id, name } = {}) {
+    const result = villages.create(id, name);
+    if (!result.success) return result;
+
+    startVillage(result.village);
+    return { success: true, village: result.village.describe() };
+  },
+
+  archiveVillage({ id } = {}) {
+    const result = villages.archive(id);
+    if (!result.success) return result;
 
-    case IntentType.JOURNAL: {
-      const entry = lichenArchivist.addJournal(client.playerId, intent.params.text);
-      
+    const { village } = result;
+    stopVillage(village);
+
+    // Everyone still there goes back to the default village
+    const home = villages.getDefault();
+    for (const [ws, client] of clients.entries()) {
+      if (client.villageId !== village.id) continue;
       sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
-        text: 'Your journal entry has been recorded.',
-        type: 'success'
+        text: `${village.name} has been archived. You are back in ${home.name}.`,
+        type: 'info'
       }));
-      break;
+      moveClient(ws, client, home, { rejoin: true });
     }
+
+    return { success: true, village: village.describe() };
   }
-}
+};
 
 // Handle admin commands
-async function handleAdminCommand(ws, client, message) {
+async function handleAdminCommand(ws, client, village, message) {
   // Simple admin verification (in production, use proper auth)
-  if (!message.passcode || !adminTools.verifyAdmin(message.passcode)) {
+  if (!message.passcode || !village.admin.verifyAdmin(message.passcode)) {
     sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
       text: 'Access denied',
       type: 'error'
@@ -750,7 +1118,9 @@ async function handleAdminCommand(ws, client, message) {
     return;
   }
 
-  const result = await adminTools[message.command](message.args);
+  const result = villageAdminCommands[message.command]
+    ? villageAdminCommands[message.command](message.args)
+    : await village.admin[message.command](message.args);
   
   sendToClient(ws, createMessage(MessageType.SYSTEM_NOTE, {
     text: `Admin command executed: ${message.command}`,
@@ -758,79 +1128,103 @@ async function handleAdminCommand(ws, client, message) {
     type: 'admin'
   }));
 
-  // Broadcast state update
-  broadcast(createMessage(MessageType.STATE_UPDATE, {
-    stones: gameState.getMemoryStones(),
-    quest: rhizomorphQuartermaster.getQuestStatus(),
-    vote: lamellaTallykeeper.getVoteStatus(),
-    stockpile: gameState.stockpile,
-    trades: sporocarpBroker.getOpenOffers()
-  }));
+  // The sender may have been moved out of an archived village
+  const current = villageOf(client);
+  syncState(current);
+  broadcastTrades(current);
 }
 
-// Track previous state for change detection
-let previousStateSnapshot = null;
+// Apply a Steward patch. A vote the Steward wants closed is closed by the
+// Tallykeeper, so its quorum, tie-break and mode rules, Decision Card and
+// VOTE_CLOSED event are the same as when the scheduler closes it.
+async function applyStewardPatch(village, patch, log) {
+  const summary = applyPatch(village.state, patch, { log });
+  if (summary.voteClose) {
+    await village.tallykeeper.closeVote(summary.voteClose);
+  }
+  return summary;
+}
 
-// Server tick orchestration with MycelialSteward
-async function serverTick() {
-  const tickId = `tick_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
+// Server tick orchestration with MycelialSteward, for one village
+async function serverTick(village) {
+  const tickId = `tick_${village.id}_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
+  const { state, messageQueue } = village;
   
   try {
+    // Idle players drift to away (or offline when no socket is open)
+    for (const player of village.sessions.sweepIdle()) {
+      broadcastPresence(village, player.id);
+    }
+
+    if (village.broker.cleanStaleOffers() > 0) {
+      broadcastTrades(village);
+    }
+
     // Create current state snapshot
-    const currentSnapshot = createStateSnapshot(gameState);
+    const currentSnapshot = createStateSnapshot(state);
     
     // Detect changes since last tick
-const changes = previousStateSnapshot
-  ? detectStateChanges(previousStateSnapshot, currentSnapshot)
+const changes = village.previousStateSnapshot
+  ? detectStateChanges(village.previousStateSnapshot, currentSnapshot)
   : { 
       hasSignificantChanges: messageQueue.length > 0, 
       details: messageQueue.length > 0 ? ['Initial tick with messages'] : ['Initial tick, no messages']
     };
     
     // Update previous snapshot for next tick
-    previousStateSnapshot = currentSnapshot;
+    village.previousStateSnapshot = currentSnapshot;
     
     // Skip processing if no significant changes
     if (!shouldProcessTick(changes)) {
       console.log(`[${tickId}] No significant changes, skipping Steward call`);
+      // NPCs whose own cadence is due still get their turn
+      await npcTurn(village, null, tickId);
       return;
     }
     
     console.log(`[${tickId}] Changes detected: ${changes.details.join(', ')}`);
     
     // Update quest progress before building payload
-    gameState.updateQuestProgress();
+    state.updateQuestProgress();
     
     // Build unified payload with prior quest percent
-    const priorQuestPercent = gameState.nowRing.activeQuest?.percent || 0;
+    const priorQuestPercent = state.nowRing.activeQuest?.percent || 0;
     
     // Capture and clear batched messages
     const batchedMessages = messageQueue.splice(0, messageQueue.length);
     
     // Get recent messages for Letta
-    const recentMessages = gameState.messages.slice(-20);
+    const recentMessages = state.messages.slice(-20);
     
     const payload = {
       timestamp: Date.now(),
-      players: Array.from(gameState.players.values()).map(p => ({
+      players: state.getConnectedPlayers().map(p => ({
         id: p.id,
         name: p.name,
+        presence: p.presence,
         inventory: p.inventory,
         messageCount: p.messageCount || 0
       })),
-      stockpile: gameState.stockpile,
-      activeQuest: gameState.nowRing.activeQuest,
-      activeVote: gameState.nowRing.activeVote,
-      openOffers: sporocarpBroker.getOpenOffers(),
-      memoryStones: gameState.getMemoryStones(),
-      recentActions: gameState.nowRing.topRecentActions,
-      journalQueue: lichenArchivist.getPendingJournals(),
+      stockpile: state.stockpile,
+      activeQuest: state.nowRing.activeQuest,
+      activeVote: toStewardVote(state.nowRing.activeVote),
+      pendingProposals: village.tallykeeper.getPendingProposals(),
+      openOffers: village.broker.getOpenOffers(),
+      marketTrends: village.broker.getMarketTrends(),
+      craftingJobs: village.crafting.getJobs(),
+      questBoard: state.getBoardQuests(),
+      newTitles: state.getNewTitles(),
+      memoryStones: state.getMemoryStones(),
+      recentActions: state.nowRing.topRecentActions,
+      journalQueue: village.archivist.getPendingJournals(),
       batchedMessages,  // NEW: Include batched messages
       messages: recentMessages,  // NEW: Recent messages for Elder context
+      channels: state.getChannelSummaries(),  // Who talks where; whispers and channel text stay private
+      npcs: listNPCs().map(({ id, name, domain }) => ({ id, name, domain })),
       context: {
-        messagesSincePulse: gameState.messagesSinceLastPulse,
-        timeSincePulse: Date.now() - gameState.lastPulseTime,
-        activeWarnings: Array.from(saproprobeWarden.warnings.entries()).map(([playerId, count]) => ({
+        messagesSincePulse: state.messagesSinceLastPulse,
+        timeSincePulse: Date.now() - state.lastPulseTime,
+        activeWarnings: Array.from(village.warden.warnings.entries()).map(([playerId, count]) => ({
           playerId,
           count
         })),
@@ -857,52 +1251,37 @@ const changes = previousStateSnapshot
       info: (msg) => console.log(`[${tickId}] ${msg}`)
     };
     
-    applyPatch(gameState, patch, { log });
+    await applyStewardPatch(village, patch, log);
 
     // Check for quest completion (after patch application)
-    const completionEvent = checkAndCompleteQuest(gameState);
+    const completionEvent = checkAndCompleteQuest(state);
     if (completionEvent) {
       console.log(`[${tickId}] Quest completed: ${completionEvent.completedQuest.name}`);
-      
-      // Broadcast celebration
-      broadcast(createMessage(MessageType.QUEST_COMPLETED, {
-        completedQuest: completionEvent.completedQuest,
-        newQuest: completionEvent.newQuest,
-        rewards: completionEvent.rewards,
-        timestamp: completionEvent.timestamp
-      }));
-      
+
       // Update quest progress for new quest
-      gameState.updateQuestProgress();
+      state.updateQuestProgress();
     }
 
-    // Broadcast state updates after patch application
-    broadcast(createMessage(MessageType.STATE_UPDATE, {
-      stones: gameState.getMemoryStones(),
-      quest: rhizomorphQuartermaster.getQuestStatus(),
-      vote: lamellaTallykeeper.getVoteStatus(),
-      stockpile: gameState.stockpile,
-      trades: sporocarpBroker.getOpenOffers()
-    }));
+    village.persistence.record(state, 'tick');
 
-    // NPC speaks - Letta handles NPC orchestration
-    // Broadcast if npc_message exists with non-empty text
-    if (patch.npc_message && patch.npc_message.text && patch.npc_message.text.trim()) {
-      console.log(`[${tickId}] Broadcasting NPC message from ${patch.npc_message.npc}: ${patch.npc_message.text}`);
-      broadcast(createMessage(MessageType.ELDER_SAY, {
-        text: patch.npc_message.text,
-        npc: patch.npc_message.npc,
-        timestamp: Date.now()
-      }));
-    }
+    // Send clients what the patch changed
+    syncState(village);
+    broadcastTrades(village);
+
+    // NPC speaks - Letta names who in npc_message; the stage decides whose
+    // turn it is. In DM mode the Elder answers one player privately.
+    const dmTarget = elderDmTarget(village, patch.elder_instructions);
+    const answers = elderAnswers(village, patch.elder_instructions);
+    await npcTurn(village, patch.npc_message, tickId, dmTarget, answers);
     
     // Legacy elder_message support (in case Letta returns this instead)
     if (patch.elder_message && patch.elder_message.text) {
-      console.log(`[${tickId}] Broadcasting Elder message: ${patch.elder_message.text}`);
-      broadcast(createMessage(MessageType.ELDER_SAY, {
-        text: patch.elder_message.text,
-        timestamp: Date.now()
-      }));
+      if (dmTarget) {
+        sendElderDM(village, dmTarget, patch.elder_message.text);
+      } else {
+        console.log(`[${tickId}] Broadcasting Elder message: ${patch.elder_message.text}`);
+        broadcastNpcLine(village, findNPC(ELDER_NPC), patch.elder_message.text, answers);
+      }
     }
 
   } catch (error) {
@@ -912,151 +1291,197 @@ const changes = previousStateSnapshot
 }
 
 /**
- * Handle chat command from API
+ * Let one NPC speak this tick (see server/npcs.js). The Elder is heard as
+ * ELDER_SAY, or privately by dmTarget; everyone else as NPC_SAY. answers
+ * are the ids of the chat messages the Elder is replying to.
+ */
+async function npcTurn(village, stewardMessage, tickId, dmTarget = null, answers = []) {
+  const { state } = village;
+  const turn = await village.npcs.takeTurn(stewardMessage, {
+    stockpile: state.stockpile,
+    activeQuest: state.nowRing.activeQuest,
+    marketTrends: village.broker.getMarketTrends(),
+    recentActions: state.nowRing.topRecentActions
+  });
+  if (!turn) return;
+
+  const { npc, text } = turn;
+  if (npc.id === ELDER_NPC && dmTarget) {
+    console.log(`[${tickId}] Elder DM to ${dmTarget.name}: ${text}`);
+    sendElderDM(village, dmTarget, text);
+    return;
+  }
+
+  console.log(`[${tickId}] Broadcasting NPC message from ${npc.name}: ${text}`);
+  broadcastNpcLine(village, npc, text, npc.id === ELDER_NPC ? answers : []);
+}
+
+// Keep an NPC's line in the chat history and send it to the village,
+// threaded under the first message it answers
+function broadcastNpcLine(village, npc, text, answers = []) {
+  const type = npc.id === ELDER_NPC ? MessageType.ELDER_SAY : MessageType.NPC_SAY;
+  const chat = village.state.addChatMessage({
+    type,
+    npc: npc.id,
+    user: npc.name,
+    avatar: npc.avatar,
+    text,
+    replyTo: answers[0] || null,
+    answers
+  });
+
+  broadcast(village, createMessage(type, {
+    id: chat.id,
+    text,
+    npc: npc.id,
+    name: npc.name,
+    avatar: npc.avatar,
+    domain: npc.domain,
+    replyTo: chat.replyTo,
+    answers,
+    timestamp: chat.at
+  }));
+}
+
+// The chat messages the Steward wants the Elder to answer
+// (elder_instructions.reply_to_messages), if the village still has them
+function elderAnswers(village, instructions) {
+  return (instructions?.reply_to_messages || []).filter(id => village.state.getChatMessage(id));
+}
+
+// The player the Steward wants the Elder to answer privately
+// (elder_instructions.mode 'dm'), by id or name
+function elderDmTarget(village, instructions) {
+  if (instructions?.mode !== 'dm' || !instructions.target_user_id) return null;
+
+  const { state } = village;
+  return state.getPlayer(instructions.target_user_id) || state.findPlayerByName(instructions.target_user_id) || null;
+}
+
+// Keep an Elder DM in the player's inbox (see GET /api/dms) and deliver it
+// to every socket they have open
+function sendElderDM(village, player, text) {
+  const { state } = village;
+  const message = state.addPrivateMessage(player.id, text);
+  village.persistence.record(state, 'elder-dm');
+
+  sendToPlayer(village, player.id, createMessage(MessageType.ELDER_DM, {
+    text,
+    timestamp: message.timestamp,
+    unreadCount: state.getUnreadDMCount(player.id)
+  }));
+}
+
+/**
+ * Handle chat command from API, in the village the route names
  */
-async function handleChatCommand(data) {
-  const { user, text } = data;
+async function handleChatCommand(village, data) {
+  const { state } = village;
+  const { user, text, token } = data;
   
   // Validate inputs
-  if (!user || !text || typeof user !== 'string' || typeof text !== 'string') {
+  if (!text || typeof text !== 'string' || (!token && (!user || typeof user !== 'string'))) {
     return { ok: false, error: 'Invalid input: user and text required' };
   }
   
-  const trimmedUser = user.trim();
+  const trimmedUser = token ? null : user.trim();
   const trimmedText = text.trim();
   
-  if (!trimmedUser || !trimmedText) {
+  if (trimmedUser === '' || !trimmedText) {
     return { ok: false, error: 'User and text cannot be empty' };
   }
   
-  // Ensure player exists in state
-  let player = gameState.getPlayer(trimmedUser);
-  if (!player) {
-    player = createPlayer(trimmedUser, trimmedUser);
-    gameState.addPlayer(player);
+  // A registered player posts with their session token; anyone else is an
+  // API player whose id is their name, kept apart from registered players
+  let player;
+  if (token) {
+    const resumed = village.sessions.resume(token);
+    if (!resumed.success) {
+      return { ok: false, error: resumed.reason };
+    }
+    player = resumed.player;
+  } else {
+    if (!NAME_PATTERN.test(trimmedUser)) {
+      return { ok: false, error: 'Names are 2-20 letters, numbers, _ or -.' };
+    }
+    player = state.getPlayer(trimmedUser);
+    if (!player) {
+      if (state.findPlayerByName(trimmedUser)) {
+        return { ok: false, error: `The name "${trimmedUser}" is already taken. Registered players post with their session token.` };
+      }
+      player = createPlayer(trimmedUser, trimmedUser);
+      state.addPlayer(player);
+    }
+  }
+  if (village.sessions.touch(player.id)) {
+    broadcastPresence(village, player.id);
   }
   
-  // Parse command
-  const parsed = parseCommand(trimmedText);
+  // Parse and execute through the same registry as the WebSocket path
+  const intent = commandRegistry.parse(trimmedText);
+
+  const safetyResult = safetyCheck(village, player.id, intent, trimmedText);
+  if (!safetyResult.allowed) {
+    return { ok: false, error: safetyResult.reason };
+  }
   
-  // Handle invalid commands
-  if (parsed.cmd === 'invalid') {
-    return { ok: false, error: parsed.error };
+  if (intent.type === IntentType.UNKNOWN) {
+    return { ok: false, error: intent.params.error || 'Unknown command' };
   }
   
-  // Apply immediate state mutations
-  try {
-    switch (parsed.cmd) {
-      case 'gather': {
-        const { item, qty } = parsed.args;
-        gameState.updatePlayerInventory(trimmedUser, item, qty);
-        break;
-      }
-      
-      case 'donate': {
-        const { item, qty } = parsed.args;
-        const available = player.inventory[item] || 0;
-        const actualQty = Math.min(qty, available);
-        
-        if (actualQty > 0) {
-          gameState.updatePlayerInventory(trimmedUser, item, -actualQty);
-          gameState.stockpile[item] = (gameState.stockpile[item] || 0) + actualQty;
-        }
-        break;
-      }
-      
-      case 'offer': {
-        const { give, want } = parsed.args;
-        const offerId = `o${Date.now()}`;
-        
-        if (!gameState.nowRing.tradeBoard) {
-          gameState.nowRing.tradeBoard = { offers: [], events: [] };
-        }
-        
-        gameState.nowRing.tradeBoard.offers.push({
-          id: offerId,
-          from: trimmedUser,
-          give,
-          want,
-          status: 'OPEN',
-          createdAt: Date.now()
-        });
-        break;
-      }
-      
-      case 'accept': {
-        const { offerId } = parsed.args;
-        
-        if (!gameState.nowRing.tradeBoard) {
-          gameState.nowRing.tradeBoard = { offers: [], events: [] };
-        }
-        
-        gameState.nowRing.tradeBoard.events.push({
-          type: 'accept',
-          id: offerId,
-          by: trimmedUser,
-          at: Date.now()
-        });
-        break;
-      }
-      
-      case 'vote': {
-        const { option } = parsed.args;
-        
-        if (gameState.nowRing.activeVote) {
-          if (!gameState.nowRing.activeVote.tally) {
-            gameState.nowRing.activeVote.tally = {};
-          }
-          gameState.nowRing.activeVote.tally[trimmedUser] = option;
-        }
-        break;
+  let reply = null;
+  if (intent.type !== IntentType.CHAT) {
+    try {
+      const result = await runCommand(village, intent, player.id, player.name);
+      if (!result.success) {
+        return { ok: false, error: result.reason };
       }
-      
-      case 'journal': {
-        const { text: journalText } = parsed.args;
-        const journalId = `j${Date.now()}`;
-        
-        lichenArchivist.addJournal(trimmedUser, journalText);
-        break;
+      // There's no socket to move; the caller picks the village by route
+      if (result.join) {
+        return { ok: false, error: `Post to /api/villages/${result.join}/chat to talk in another village` };
       }
-      
-      case 'chat':
-        // No immediate mutation for plain chat
-        break;
+      reply = result.reply;
+    } catch (mutationError) {
+      return { ok: false, error: `State mutation failed: ${mutationError.message}` };
     }
-  } catch (mutationError) {
-    return { ok: false, error: `State mutation failed: ${mutationError.message}` };
   }
-  
+
+  // Quiet commands (e.g. /help) only answer the sender
+  if (intent.command && commandRegistry.get(intent.command).quiet) {
+    return { ok: true, reply };
+  }
+
   // Append USER message to history
-  gameState.messages.push({
-    type: 'USER',
-    user: trimmedUser,
-    text: trimmedText,
-    at: Date.now()
-  });
+  const chat = recordUserChat(village, player.id, player.name, trimmedText, intent.type, data.replyTo);
   
   // Build tick payload from current state
   const payload = {
     timestamp: Date.now(),
-    players: Array.from(gameState.players.values()).map(p => ({
+    players: state.getConnectedPlayers().map(p => ({
       id: p.id,
       name: p.name,
+      presence: p.presence,
       inventory: p.inventory,
       messageCount: p.messageCount || 0
     })),
-    stockpile: gameState.stockpile,
-    activeQuest: gameState.nowRing.activeQuest,
-    activeVote: gameState.nowRing.activeVote,
-    openOffers: gameState.nowRing.tradeBoard?.offers || [],
-    memoryStones: gameState.getMemoryStones(),
-    recentActions: gameState.nowRing.topRecentActions || [],
-    journalQueue: lichenArchivist.getPendingJournals(),
+    stockpile: state.stockpile,
+    activeQuest: state.nowRing.activeQuest,
+    activeVote: toStewardVote(state.nowRing.activeVote),
+    pendingProposals: village.tallykeeper.getPendingProposals(),
+    openOffers: village.broker.getOpenOffers(),
+    marketTrends: village.broker.getMarketTrends(),
+    craftingJobs: village.crafting.getJobs(),
+    questBoard: state.getBoardQuests(),
+    newTitles: state.getNewTitles(),
+    memoryStones: state.getMemoryStones(),
+    recentActions: state.nowRing.topRecentActions || [],
+    journalQueue: village.archivist.getPendingJournals(),
+    channels: state.getChannelSummaries(),
     context: {
-      messagesSincePulse: gameState.messagesSinceLastPulse || 0,
-      timeSincePulse: Date.now() - (gameState.lastPulseTime || Date.now()),
+      messagesSincePulse: state.messagesSinceLastPulse || 0,
+      timeSincePulse: Date.now() - (state.lastPulseTime || Date.now()),
       activeWarnings: [],
-      priorQuestPercent: gameState.nowRing.activeQuest?.percent || 0
+      priorQuestPercent: state.nowRing.activeQuest?.percent || 0
     }
   };
   
@@ -1065,11 +1490,11 @@ async function handleChatCommand(data) {
   
   // Build tick context for normalizer
   const tickContext = {
-    distilledQuestion: parsed.cmd === 'chat' ? trimmedText : null,
+    distilledQuestion: intent.type === IntentType.CHAT ? trimmedText : null,
     journalsById: {}
   };
   
-  const pendingJournals = lichenArchivist.getPendingJournals();
+  const pendingJournals = village.archivist.getPendingJournals();
   for (const journal of pendingJournals) {
     tickContext.journalsById[journal.id] = journal;
   }
@@ -1083,15 +1508,17 @@ async function handleChatCommand(data) {
     info: (msg) => console.log(`[API:chat] ${msg}`)
   };
   
-  applyPatch(gameState, patch, { log });
+  await applyStewardPatch(village, patch, log);
   
   // Build response
-  const quest = gameState.nowRing.activeQuest;
-  const vote = gameState.nowRing.activeVote;
-  const lastElder = gameState.messages.filter(m => m.type === 'ELDER_SAY').slice(-1)[0] || null;
+  const quest = state.nowRing.activeQuest;
+  const vote = state.nowRing.activeVote;
+  const lastElder = state.messages.filter(m => m.type === 'ELDER_SAY').slice(-1)[0] || null;
   
   return {
     ok: true,
+    reply,
+    messageId: chat.id,
     state: {
       quest: quest ? {
         percent: quest.percent || 0,
@@ -1099,10 +1526,10 @@ async function handleChatCommand(data) {
       } : null,
       vote: vote ? {
         topic: vote.topic,
-        tally: vote.tally || {},
+        tally: countBallots(vote),
         status: vote.status
       } : null,
-      stockpile: gameState.stockpile
+      stockpile: state.stockpile
     },
     elder: lastElder
   };
@@ -1111,7 +1538,7 @@ async function handleChatCommand(data) {
 /**
  * Get default test payload for debug endpoint
  */
-function getDefaultTestPayload() {
+function getDefaultTestPayload({ state }) {
   return {
     timestamp: Date.now(),
     players: [
@@ -1134,7 +1561,7 @@ function getDefaultTestPayload() {
       status: 'OPEN'
     },
     openOffers: [],
-    memoryStones: gameState.getMemoryStones(),
+    memoryStones: state.getMemoryStones(),
     recentActions: [{ text: '@Lina asked about rope safety' }, { text: '@Rowan attempted a trade' }],
     journalQueue: [{ id: 'j12', playerId: 'lina', text: 'The brook teaches balance.', timestamp: Date.now() - 6000000 }],
     context: {
@@ -1149,8 +1576,9 @@ function getDefaultTestPayload() {
 /**
  * Run debug tick - full loop: Letta → normalize → applyPatch → Elder
  */
-async function runDebugTick(payload) {
+async function runDebugTick(village, payload) {
   const tickId = `debug_${Date.now()}`;
+  const { state } = village;
   
   try {
     // Call Letta (LIVE if configured)
@@ -1177,7 +1605,7 @@ async function runDebugTick(payload) {
       info: (msg) => console.log(`[${tickId}] ${msg}`)
     };
     
-    applyPatch(gameState, patch, { log });
+    await applyStewardPatch(village, patch, log);
     
     // Elder message from patch (if present)
     const elderMessage = patch.elder_message || null;
@@ -1186,15 +1614,15 @@ async function runDebugTick(payload) {
     return {
       tickApplied: true,
       cadence: patch.cadence,
-      vote: gameState.nowRing.activeVote,
+      vote: state.nowRing.activeVote,
       quest: {
-        percent: gameState.nowRing.activeQuest?.percent || 0,
-        needs: gameState.nowRing.activeQuest?.needs || []
+        percent: state.nowRing.activeQuest?.percent || 0,
+        needs: state.nowRing.activeQuest?.needs || []
       },
       trades: {
-        open: gameState.getOpenOffers().length
+        open: state.getOpenOffers().length
       },
-      stones: gameState.canonRing.map(s => s.title),
+      stones: state.canonRing.map(s => s.title),
       elder: elderMessage
     };
   } catch (error) {
@@ -1203,8 +1631,230 @@ async function runDebugTick(payload) {
   }
 }
 
-// Run server tick every 10 seconds
-setInterval(serverTick, 10000);
+// Close votes at closesAt and open queued ones, independent of the Steward
+async function voteTick(village) {
+  try {
+    const result = await village.tallykeeper.checkVoteExpiry();
+    if (!result) return;
+
+    if (result.closed) {
+      const { vote, winner, outcome } = result.closed;
+      console.log(`[VoteScheduler] ${village.id}: Closed "${vote.topic}": ${outcome}${winner ? ` -> ${winner}` : ''}`);
+    }
+
+    if (result.opened) {
+      console.log(`[VoteScheduler] ${village.id}: Opened "${result.opened.topic}"`);
+      broadcast(village, createMessage(MessageType.VOTE_STATUS, {
+        vote: village.tallykeeper.getVoteStatus()
+      }));
+    }
+
+    village.persistence.record(village.state, 'vote');
+  } catch (error) {
+    console.error('[VoteScheduler] Error:', error);
+  }
+}
+
+// Fill crossing auto-match offers (both sides hear of each fill through
+// TradeCompleted)
+function matchTrades(village) {
+  return village.broker.runMatching().length;
+}
+
+// Commands match as they post; this catches anything else on the book,
+// such as offers restored from a save
+function matchTick(village) {
+  try {
+    if (matchTrades(village) > 0) {
+      broadcastTrades(village);
+      village.persistence.record(village.state, 'match');
+    }
+  } catch (error) {
+    console.error('[Matching] Error:', error);
+  }
+}
+
+// Deliver finished crafts and tell their crafters
+function craftTick(village) {
+  try {
+    const completed = village.crafting.completeReady();
+    if (completed.length === 0) return;
+
+    for (const { player, recipe, amount } of completed) {
+      sendToPlayer(village, player.id, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `Your ${amount} ${recipe.name} ${amount === 1 ? 'is' : 'are'} ready.`,
+        type: 'success',
+        inventory: player.inventory
+      }));
+    }
+
+    village.persistence.record(village.state, 'craft');
+  } catch (error) {
+    console.error('[Crafting] Error:', error);
+  }
+}
+
+// Settle and restock side and personal quests; the board is rebroadcast
+// whenever a quest on it appears, moves or closes
+function questTick(village) {
+  try {
+    const { completed, expired, created } = refreshQuestBoard(village.state);
+
+    for (const quest of created.filter(quest => quest.kind === QuestKind.SIDE)) {
+      broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `New side quest: "${quest.name}". Donate with /donate <item> xN to ${quest.id}`,
+        type: 'info'
+      }));
+    }
+
+    const board = village.quartermaster.getQuestBoard();
+    const signature = board.map(quest => `${quest.id}:${quest.percent}`).join('|');
+    if (signature !== village.lastBoardSignature) {
+      village.lastBoardSignature = signature;
+      broadcast(village, createMessage(MessageType.QUEST_STATUS, {
+        quest: village.quartermaster.getQuestStatus(),
+        questBoard: board,
+        stockpile: village.state.stockpile
+      }));
+    }
+
+    if (completed.length > 0 || expired.length > 0 || created.length > 0) {
+      village.persistence.record(village.state, 'quest');
+    }
+  } catch (error) {
+    console.error('[QuestBoard] Error:', error);
+  }
+}
+
+// Event fan-out: tell a village's clients about its domain events as they
+// are emitted (see server/events.js)
+function subscribeClients(village) {
+  const { state, quartermaster, tallykeeper } = village;
+
+  return [
+    state.events.on(DomainEvent.ITEM_GATHERED, ({ playerId, resource, amount }) => {
+      broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `${state.getPlayer(playerId)?.name || 'Someone'} gathered ${amount} ${resource}.`,
+        type: 'info',
+        playerId
+      }));
+    }),
+
+    state.events.on(DomainEvent.DONATION_MADE, () => {
+      broadcast(village, createMessage(MessageType.QUEST_STATUS, {
+        quest: quartermaster.getQuestStatus(),
+        questBoard: quartermaster.getQuestBoard(),
+        stockpile: state.stockpile
+      }));
+    }),
+
+    state.events.on(DomainEvent.TRADE_COMPLETED, ({ fromPlayer, toPlayer, gave, got, via }) => {
+      if (via !== 'match') return;
+      sendToPlayer(village, fromPlayer, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `Your offer was matched: you gave ${describeBundle(gave)} and received ${describeBundle(got)}.`,
+        type: 'success'
+      }));
+      sendToPlayer(village, toPlayer, createMessage(MessageType.SYSTEM_NOTE, {
+        text: `Your offer was matched: you gave ${describeBundle(got)} and received ${describeBundle(gave)}.`,
+        type: 'success'
+      }));
+    }),
+
+    state.events.on(DomainEvent.VOTE_CLOSED, ({ vote, decisionCard }) => {
+      broadcast(village, createMessage(MessageType.VOTE_STATUS, {
+        vote: tallykeeper.getVoteStatus(vote),
+        decisionCard
+      }));
+    }),
+
+    state.events.on(DomainEvent.QUEST_COMPLETED, ({ quest, rewards, next, at }) => {
+      if (quest.kind === QuestKind.PERSONAL) {
+        const [reward] = rewards;
+        sendToPlayer(village, quest.assignedTo, createMessage(MessageType.SYSTEM_NOTE, {
+          text: `You finished "${quest.name}"${reward ? ` and earned ${reward.charms} charm` : ''}!`,
+          type: 'success',
+          ...(reward ? { inventory: state.getPlayer(quest.assignedTo).inventory } : {})
+        }));
+      } else if (quest.kind === QuestKind.SIDE) {
+        const names = rewards.map(reward => reward.name);
+        broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+          text: `Side quest "${quest.name}" is done${names.length > 0 ? `, thanks to ${names.join(', ')}` : ''}!`,
+          type: 'success'
+        }));
+      } else {
+        const { type, ...completion } = describeCompletion(quest, rewards, next, at);
+        broadcast(village, createMessage(MessageType.QUEST_COMPLETED, completion));
+      }
+    })
+  ];
+}
+
+// Announce achievements as they unlock; the player's titles are saved with
+// whatever command or tick earned them
+onUnlock(({ state, player, achievement }) => {
+  const village = villages.findByState(state);
+  if (!village) return;
+
+  broadcast(village, createMessage(MessageType.SYSTEM_NOTE, {
+    text: `${achievement.badge} ${player.name} earned the title "${achievement.title}": ${achievement.description}.`,
+    type: 'success',
+    playerId: player.id
+  }));
+  state.addRecentAction({ player: player.name, action: 'title', title: achievement.title });
+});
+
+// Each running village's timers and event subscriptions, so archiving can
+// stop them
+const running = new Map(); // village id -> { timers, unsubscribes }
+
+// Restore a village's save (or seed it) and start its loops
+function startVillage(village) {
+  if (village.persistence.load(village.state)) {
+    village.sessions.resetPresence();
+    village.sessions.pruneExpiredTokens();
+    village.persistence.record(village.state, 'boot');
+    console.log(`✅ Saved village restored: ${village.name} (${village.id})`);
+  } else {
+    village.admin.setupDemoScenario();
+    village.persistence.snapshot(village.state);
+    console.log(`✅ Demo scenario loaded: ${village.name} (${village.id})`);
+  }
+
+  const logPrefix = `[${village.id}]`;
+  const unsubscribes = [
+    ...subscribeClients(village),
+    subscribeCadence(village.state.events, village.cadence),
+    subscribeNpcs(village.state.events, village.npcs),
+    subscribeLogging(village.state.events, { info: line => console.log(`${logPrefix} ${line}`) })
+  ];
+
+  const every = (name, fallback, tick) =>
+    setInterval(() => tick(village), parseInt(process.env[name] || fallback, 10));
+
+  running.set(village.id, {
+    unsubscribes,
+    timers: [
+      // Run server tick every 10 seconds
+      setInterval(() => serverTick(village), 10000),
+      every('VOTE_CHECK_INTERVAL', '1000', voteTick),
+      every('MATCH_CHECK_INTERVAL', '5000', matchTick),
+      every('CRAFT_CHECK_INTERVAL', '1000', craftTick),
+      every('QUEST_CHECK_INTERVAL', '5000', questTick),
+      // Catch changes made between ticks (donations, votes, journals) so
+      // clients hear about them without waiting for the next full tick
+      every('SYNC_CHECK_INTERVAL', '2000', syncState)
+    ]
+  });
+}
+
+function stopVillage(village) {
+  const loops = running.get(village.id);
+  if (!loops) return;
+
+  loops.timers.forEach(clearInterval);
+  loops.unsubscribes.forEach(unsubscribe => unsubscribe());
+  running.delete(village.id);
+}
 
 // Start server
 server.listen(PORT, () => {
@@ -1224,14 +1874,19 @@ server.listen(PORT, () => {
   
   console.log('');
   
-  // Setup demo scenario
-  adminTools.setupDemoScenario();
-  console.log('✅ Demo scenario loaded');
+  // Restore every saved village, or seed the demo scenario on first boot
+  startVillage(villages.getDefault());
+  for (const village of villages.load()) {
+    startVillage(village);
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  for (const village of villages.list()) {
+    village.persistence.snapshot(village.state);
+  }
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,114 @@
+// Market data for the trading post
+// Exchange rates, a rolling price index and volume per resource pair, all
+// derived from completed trades in gameState.offers rather than stored.
+//
+// Pairs are named base/quote in alphabetical order (as in /market) and
+// rates are quote per 1 base. Only single-item exchanges have a rate;
+// bundle trades are left out of the history.
+
+import { toBundle } from './offers.js';
+
+/**
+ * Every completed single-item exchange, oldest first
+ * An offer's auto-match fills are recorded on both offers, so each fill is
+ * taken from the offer with the lower id. A manual accept swaps the
+ * offer's give/want as they stood at completedAt.
+ * @param {Iterable} offers - All offers
+ * @returns {Array} [{ at, base, quote, baseQty, quoteQty, rate }]
+ */
+export function collectTrades(offers) {
+  const trades = [];
+
+  for (const offer of offers) {
+    for (const fill of offer.fills || []) {
+      if (offer.id < fill.offerId) {
+        pushTrade(trades, fill.gave, fill.got, fill.at);
+      }
+    }
+    if (offer.acceptedBy && offer.completedAt) {
+      pushTrade(trades, offer.give, offer.want, offer.completedAt);
+    }
+  }
+
+  return trades.sort((a, b) => a.at - b.at);
+}
+
+function pushTrade(trades, gave, got, at) {
+  const give = toBundle(gave);
+  const want = toBundle(got);
+  if (give.length !== 1 || want.length !== 1 || give[0].item === want[0].item) return;
+
+  const [base, quote] = [give[0].item, want[0].item].sort();
+  const baseQty = give[0].item === base ? give[0].qty : want[0].qty;
+  const quoteQty = give[0].item === base ? want[0].qty : give[0].qty;
+  trades.push({ at, base, quote, baseQty, quoteQty, rate: quoteQty / baseQty });
+}
+
+// Volume-weighted rate of some trades, or null when there are none
+function weightedRate(trades) {
+  const baseQty = trades.reduce((sum, trade) => sum + trade.baseQty, 0);
+  const quoteQty = trades.reduce((sum, trade) => sum + trade.quoteQty, 0);
+  return baseQty > 0 ? quoteQty / baseQty : null;
+}
+
+/**
+ * Per-pair history and rolling index
+ * index is the volume-weighted rate over the last window; change compares
+ * it with the window before.
+ * @param {Iterable} offers - All offers
+ * @param {Object} options - { now, windowMinutes, historyLimit }
+ * @returns {Array} [{ pair, base, quote, last, index, previousIndex, change, volume, trades, history }]
+ */
+export function marketHistory(offers, { now = Date.now(), windowMinutes = 60, historyLimit = 50 } = {}) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const pairs = new Map();
+
+  for (const trade of collectTrades(offers)) {
+    const pair = `${trade.base}/${trade.quote}`;
+    if (!pairs.has(pair)) pairs.set(pair, []);
+    pairs.get(pair).push(trade);
+  }
+
+  return Array.from(pairs.entries()).map(([pair, trades]) => {
+    const current = trades.filter(trade => trade.at > now - windowMs);
+    const previous = trades.filter(trade => trade.at > now - 2 * windowMs && trade.at <= now - windowMs);
+    const index = weightedRate(current);
+    const previousIndex = weightedRate(previous);
+
+    return {
+      pair,
+      base: trades[0].base,
+      quote: trades[0].quote,
+      last: trades[trades.length - 1].rate,
+      index,
+      previousIndex,
+      change: index !== null && previousIndex ? (index - previousIndex) / previousIndex : null,
+      volume: current.reduce((sum, trade) => sum + trade.baseQty, 0),
+      trades: trades.length,
+      history: trades.slice(-historyLimit).map(({ at, rate, baseQty, quoteQty }) => ({ at, rate, baseQty, quoteQty }))
+    };
+  }).sort((a, b) => a.pair.localeCompare(b.pair));
+}
+
+/**
+ * Pairs whose index moved by at least a threshold, biggest move first
+ * Rising means the base item is getting scarcer against the quote item.
+ * @returns {Array} [{ pair, base, quote, index, change, direction }]
+ */
+export function marketTrends(history, threshold = 0.1) {
+  return history
+    .filter(entry => entry.change !== null && Math.abs(entry.change) >= threshold)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .map(({ pair, base, quote, index, change }) => ({
+      pair, base, quote, index, change,
+      direction: change > 0 ? 'up' : 'down'
+    }));
+}
+
+/**
+ * "cedar up 25% to 2.5 moss"
+ */
+export function describeTrend({ base, quote, index, change }) {
+  const percent = Math.round(Math.abs(change) * 100);
+  return `${base} ${change > 0 ? 'up' : 'down'} ${percent}% to ${Math.round(index * 100) / 100} ${quote}`;
+}
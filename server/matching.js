@@ -0,0 +1,235 @@
+// Order book for the trading post
+// A single-item offer "give g X for w Y" sells X at w/g Y each (its ask)
+// and, seen from the other side of the X/Y book, buys Y at g/w X each.
+// Prices stay as integer ratios and are compared by cross-multiplication.
+//
+// Offers opt in to matching with offer.autoMatch. Two opted-in offers on
+// opposite sides of a book cross when the buyer pays at least the seller's
+// ask; they fill at the older (resting) offer's price, in whole units, as
+// far as both sides allow. Whatever is left stays open for the next match
+// (give/want then hold what remains; offer.posted keeps the original terms).
+// Bundles only match an exact mirror of themselves, filled whole.
+
+import { TradeStatus } from './types.js';
+import { canSeeOffer, isExpired, refundEscrow, toBundle } from './offers.js';
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Single-item sides of an offer, or null for a bundle
+function legs(offer) {
+  const give = toBundle(offer.give);
+  const want = toBundle(offer.want);
+  if (give.length !== 1 || want.length !== 1) return null;
+  return { give: give[0], want: want[0] };
+}
+
+function isMatchable(offer, now) {
+  return offer.autoMatch && offer.escrowed &&
+    offer.status === TradeStatus.OPEN && !isExpired(offer, now);
+}
+
+function sameBundle(a, b) {
+  const left = toBundle(a);
+  const right = toBundle(b);
+  return left.length === right.length &&
+    left.every(({ item, qty }) => right.some(entry => entry.item === item && entry.qty === qty));
+}
+
+/**
+ * Whole-unit fill between two crossing single-item offers, or null
+ * @param {Object} seller - Offer giving X for Y
+ * @param {Object} buyer - Offer giving Y for X
+ * @returns {Object|null} { x, y } - X moving to the buyer, Y to the seller
+ */
+export function planFill(seller, buyer) {
+  const s = legs(seller);
+  const b = legs(buyer);
+  if (!s || !b || s.give.item !== b.want.item || s.want.item !== b.give.item) return null;
+
+  // Buyer pays b.give/b.want Y per X; seller asks s.want/s.give
+  if (b.give.qty * s.give.qty < s.want.qty * b.want.qty) return null;
+
+  // The resting offer sets the price: n Y for every m X
+  const [n, m] = seller.createdAt <= buyer.createdAt
+    ? [s.want.qty, s.give.qty]
+    : [b.give.qty, b.want.qty];
+  const divisor = gcd(n, m);
+  const perY = n / divisor;
+  const perX = m / divisor;
+
+  const units = Math.min(
+    Math.floor(Math.min(s.give.qty, b.want.qty) / perX),
+    Math.floor(b.give.qty / perY)
+  );
+  if (units === 0) return null;
+
+  return { x: units * perX, y: units * perY };
+}
+
+/**
+ * Pair every crossing opted-in offer, best price first and oldest first
+ * within a price. Plans only; nothing is moved.
+ * @param {Array} offers - Open offers
+ * @returns {Array} [{ seller, buyer, x, y }] or, for bundles, { seller, buyer, whole: true }
+ */
+export function findCrossings(offers, now = Date.now()) {
+  const open = offers.filter(offer => isMatchable(offer, now));
+  const crossings = [];
+  const remaining = new Map(open.map(offer => [offer.id, legs(offer)]));
+  const mutual = (a, b) => a.fromPlayer !== b.fromPlayer &&
+    canSeeOffer(a, b.fromPlayer) && canSeeOffer(b, a.fromPlayer);
+
+  // Single-item offers: walk each book from the cheapest ask
+  const sellers = open.filter(offer => remaining.get(offer.id))
+    .sort((a, b) => {
+      const left = remaining.get(a.id);
+      const right = remaining.get(b.id);
+      return left.want.qty * right.give.qty - right.want.qty * left.give.qty || a.createdAt - b.createdAt;
+    });
+
+  for (const seller of sellers) {
+    const buyers = open
+      .filter(offer => {
+        const side = remaining.get(offer.id);
+        const own = remaining.get(seller.id);
+        return side && offer !== seller && mutual(seller, offer) &&
+          side.give.item === own.want.item && side.want.item === own.give.item;
+      })
+      // Highest bid (Y paid per X) first
+      .sort((a, b) => {
+        const left = remaining.get(a.id);
+        const right = remaining.get(b.id);
+        return right.give.qty * left.want.qty - left.give.qty * right.want.qty || a.createdAt - b.createdAt;
+      });
+
+    for (const buyer of buyers) {
+      const own = remaining.get(seller.id);
+      const side = remaining.get(buyer.id);
+      if (!own || own.give.qty === 0 || own.want.qty === 0) break;
+      if (!side || side.give.qty === 0 || side.want.qty === 0) continue;
+
+      const fill = planFill(
+        { createdAt: seller.createdAt, give: own.give, want: own.want },
+        { createdAt: buyer.createdAt, give: side.give, want: side.want }
+      );
+      if (!fill) continue;
+
+      crossings.push({ seller, buyer, ...fill });
+      remaining.set(seller.id, {
+        give: { ...own.give, qty: own.give.qty - fill.x },
+        want: { ...own.want, qty: Math.max(0, own.want.qty - fill.y) }
+      });
+      remaining.set(buyer.id, {
+        give: { ...side.give, qty: side.give.qty - fill.y },
+        want: { ...side.want, qty: Math.max(0, side.want.qty - fill.x) }
+      });
+    }
+  }
+
+  // Bundles: exact mirrors only
+  const matched = new Set(crossings.flatMap(({ seller, buyer }) => [seller.id, buyer.id]));
+  const bundles = open.filter(offer => !legs(offer))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  for (const seller of bundles) {
+    if (matched.has(seller.id)) continue;
+    const buyer = bundles.find(other => other !== seller && !matched.has(other.id) && mutual(seller, other) &&
+      sameBundle(seller.give, other.want) && sameBundle(seller.want, other.give));
+    if (!buyer) continue;
+    crossings.push({ seller, buyer, whole: true });
+    matched.add(seller.id);
+    matched.add(buyer.id);
+  }
+
+  return crossings;
+}
+
+/**
+ * Move goods for one crossing out of both escrows. An offer that has
+ * given everything, or received everything it asked for, completes; any
+ * escrow it no longer needs goes back to its owner.
+ * @param {Object} state - Game state (for getPlayer)
+ * @param {Object} crossing - From findCrossings
+ * @returns {Object} { seller, buyer, gave: [{ item, qty }], got: [{ item, qty }] } from the seller's side
+ */
+export function executeCrossing(state, crossing, now = Date.now()) {
+  const { seller, buyer } = crossing;
+  const sellerPlayer = state.getPlayer(seller.fromPlayer);
+  const buyerPlayer = state.getPlayer(buyer.fromPlayer);
+
+  const gave = crossing.whole
+    ? toBundle(seller.give)
+    : [{ item: toBundle(seller.give)[0].item, qty: crossing.x }];
+  const got = crossing.whole
+    ? toBundle(buyer.give)
+    : [{ item: toBundle(buyer.give)[0].item, qty: crossing.y }];
+
+  for (const { item, qty } of gave) {
+    buyerPlayer.inventory[item] = (buyerPlayer.inventory[item] || 0) + qty;
+  }
+  for (const { item, qty } of got) {
+    sellerPlayer.inventory[item] = (sellerPlayer.inventory[item] || 0) + qty;
+  }
+
+  fillOffer(state, seller, gave, got, buyer.id, now);
+  fillOffer(state, buyer, got, gave, seller.id, now);
+
+  return { seller, buyer, gave, got };
+}
+
+// Take a fill off an offer's remaining bundles and close it once done
+function fillOffer(state, offer, gave, got, withOffer, now) {
+  if (!offer.posted) {
+    offer.posted = { give: toBundle(offer.give), want: toBundle(offer.want) };
+  }
+  offer.give = subtract(offer.give, gave);
+  offer.want = subtract(offer.want, got);
+  offer.fills = [...(offer.fills || []), { offerId: withOffer, gave, got, at: now }];
+
+  if (offer.want.length > 0 && offer.give.length > 0) return;
+
+  // Got everything it asked for: hand back any unsold escrow
+  refundEscrow(state, offer);
+  offer.give = [];
+  offer.status = TradeStatus.COMPLETED;
+  offer.completedAt = now;
+}
+
+function subtract(bundle, taken) {
+  return toBundle(bundle)
+    .map(({ item, qty }) => ({ item, qty: qty - (taken.find(entry => entry.item === item)?.qty || 0) }))
+    .filter(({ qty }) => qty > 0);
+}
+
+/**
+ * Best bid and ask for every resource pair on the open book
+ * Pairs are named base/quote in alphabetical order; prices are quote per base.
+ * @param {Array} offers - Open public offers
+ * @returns {Array} [{ base, quote, bid, ask }] - bid/ask: { price, qty, offerId } | null
+ */
+export function quoteBook(offers) {
+  const books = new Map();
+
+  for (const offer of offers) {
+    const side = legs(offer);
+    if (!side || side.give.item === side.want.item) continue;
+
+    const [base, quote] = [side.give.item, side.want.item].sort();
+    const key = `${base}/${quote}`;
+    if (!books.has(key)) books.set(key, { base, quote, bid: null, ask: null });
+    const book = books.get(key);
+
+    if (side.give.item === base) {
+      // Selling base for quote
+      const ask = { price: side.want.qty / side.give.qty, qty: side.give.qty, offerId: offer.id };
+      if (!book.ask || ask.price < book.ask.price) book.ask = ask;
+    } else {
+      // Paying quote for base
+      const bid = { price: side.give.qty / side.want.qty, qty: side.want.qty, offerId: offer.id };
+      if (!book.bid || bid.price > book.bid.price) book.bid = bid;
+    }
+  }
+
+  return Array.from(books.values()).sort((a, b) => `${a.base}/${a.quote}`.localeCompare(`${b.base}/${b.quote}`));
+}
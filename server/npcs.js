@@ -0,0 +1,136 @@
+/**
+ * NPC Stage
+ *
+ * Decides which NPC speaks in a village each tick. The candidates are the
+ * NPC the Steward's npc_message names, with the Steward's text, and every
+ * NPC whose own cadence is due (see npc_registry.js): enough of its domain
+ * events since it last spoke, and its cooldown passed. NPCs take turns so
+ * two characters never talk over each other: one speaks per tick, the
+ * Steward's pick first, then whoever has waited longest. The others keep
+ * their counts and speak on a later tick.
+ */
+
+import { ELDER_NPC, findNPC, listNPCs } from './adapters/npc_registry.js';
+import { generateNpcLine } from './adapters/npc_providers.js';
+
+export class NpcStage {
+  constructor(npcs = listNPCs()) {
+    this.npcs = npcs;
+    this.lastSpoke = new Map(); // npc id -> timestamp
+    this.eventCounts = new Map(); // npc id -> { event type: count } since it last spoke
+  }
+
+  // Count a domain event for the NPCs who watch it (see subscribeNpcs)
+  countEvent(event) {
+    for (const npc of this.npcs) {
+      if (!npc.cadence.events.includes(event.type)) continue;
+
+      const counts = this.eventCounts.get(npc.id) || {};
+      counts[event.type] = (counts[event.type] || 0) + 1;
+      this.eventCounts.set(npc.id, counts);
+    }
+  }
+
+  eventsSince(npcId) {
+    return Object.values(this.eventCounts.get(npcId) || {}).reduce((sum, count) => sum + count, 0);
+  }
+
+  isCoolingDown(npc, now = Date.now()) {
+    return now - (this.lastSpoke.get(npc.id) || 0) < npc.cadence.cooldownSeconds * 1000;
+  }
+
+  /**
+   * NPCs whose own cadence says it's their turn, longest-waiting first.
+   * Letta NPCs only speak when the Steward names them.
+   */
+  dueNpcs(now = Date.now()) {
+    return this.npcs
+      .filter(npc =>
+        npc.provider !== 'letta' &&
+        npc.cadence.events.length > 0 &&
+        this.eventsSince(npc.id) >= npc.cadence.after &&
+        !this.isCoolingDown(npc, now)
+      )
+      .sort((a, b) => (this.lastSpoke.get(a.id) || 0) - (this.lastSpoke.get(b.id) || 0));
+  }
+
+  /**
+   * Pick this tick's speaker
+   * @param {Object|null} stewardMessage - The patch's npc_message, if any
+   * @returns {Object|null} { npc, text }; text is null when the NPC's
+   *   provider should write the line
+   */
+  nextTurn(stewardMessage, now = Date.now()) {
+    const text = stewardMessage?.text?.trim();
+    if (text) {
+      const npc = findNPC(stewardMessage.npc) || findNPC(ELDER_NPC);
+      if (!this.isCoolingDown(npc, now)) {
+        return { npc, text };
+      }
+      console.log(`[NPC] ${npc.name} is cooling down; skipping the Steward's line`);
+    }
+
+    const [npc] = this.dueNpcs(now);
+    return npc ? { npc, text: null } : null;
+  }
+
+  /**
+   * Take this tick's turn: pick a speaker and get its line
+   * @param {Object|null} stewardMessage - The patch's npc_message, if any
+   * @param {Object} context - { stockpile, activeQuest, marketTrends, recentActions }
+   * @returns {Promise<Object|null>} { npc, text }, or null when nobody speaks
+   */
+  async takeTurn(stewardMessage, context = {}, now = Date.now()) {
+    const turn = this.nextTurn(stewardMessage, now);
+    if (!turn) return null;
+
+    const { npc } = turn;
+    const counts = this.eventCounts.get(npc.id) || {};
+
+    // Claim the turn before waiting on a provider, so an overlapping tick
+    // can't pick the same NPC again
+    this.lastSpoke.set(npc.id, now);
+    this.eventCounts.delete(npc.id);
+
+    const text = turn.text || await generateNpcLine(npc, buildNpcPrompt(npc, counts, context), context);
+    return { npc, text };
+  }
+}
+
+/**
+ * What an NPC is reacting to, for providers that write their own lines
+ * @param {Object} npc - As in listNPCs
+ * @param {Object} eventCounts - { event type: count } since it last spoke
+ * @param {Object} context - As in NpcStage.takeTurn
+ * @returns {string} Prompt
+ */
+export function buildNpcPrompt(npc, eventCounts, context = {}) {
+  const parts = [`YOU ARE AT: ${npc.domain}`];
+
+  const happenings = Object.entries(eventCounts);
+  if (happenings.length > 0) {
+    parts.push(`SINCE YOU LAST SPOKE: ${happenings.map(([type, count]) => `${type} x${count}`).join(', ')}`);
+  }
+
+  if (context.activeQuest) {
+    parts.push(`ACTIVE QUEST: ${context.activeQuest.name} (${context.activeQuest.percent || 0}% complete)`);
+  }
+
+  if (context.stockpile) {
+    parts.push(`STOCKPILE: ${Object.entries(context.stockpile).map(([item, qty]) => `${item}:${qty}`).join(' ')}`);
+  }
+
+  const rising = (context.marketTrends || []).filter(trend => trend.direction === 'up');
+  if (rising.length > 0) {
+    parts.push(`PRICES RISING: ${rising.map(trend => `${trend.base} (in ${trend.quote})`).join(', ')}`);
+  }
+
+  if (context.recentActions && context.recentActions.length > 0) {
+    parts.push('RECENT ACTIVITY:');
+    context.recentActions.slice(-5).forEach(action => {
+      parts.push(`- ${action.player || 'Someone'}: ${action.text || `${action.action} ${action.amount ?? ''} ${action.item ?? ''}`.trim()}`);
+    });
+  }
+
+  return parts.join('\n');
+}
@@ -0,0 +1,164 @@
+// Trade offer bundles
+// Offers give and want bundles of items: [{ item, qty }]. Offers saved
+// before bundles hold a single { item, qty } and are read as one-item
+// bundles.
+//
+// offer.toPlayer  - playerId the offer is addressed to, or null for the whole board
+// offer.counterTo - id of the offer this one counters, or null
+// offer.expiresAt - when the offer lapses, chosen by the offerer
+// offer.escrowed  - the give bundle was taken from the offerer's inventory
+//                   when posted; it is returned if the offer closes unfilled
+
+import { TradeStatus } from './types.js';
+
+/**
+ * Read a give/want value as a bundle, merging repeated items
+ * @param {Object|Array} items - { item, qty } or [{ item, qty }]
+ * @returns {Array} [{ item, qty }]
+ */
+export function toBundle(items) {
+  const bundle = [];
+  for (const { item, qty } of [].concat(items || [])) {
+    const existing = bundle.find(entry => entry.item === item);
+    if (existing) existing.qty += qty;
+    else bundle.push({ item, qty });
+  }
+  return bundle;
+}
+
+/**
+ * "3 moss + 1 resin"
+ */
+export function describeBundle(items) {
+  return toBundle(items).map(({ item, qty }) => `${qty} ${item}`).join(' + ');
+}
+
+/**
+ * First item in a bundle the inventory cannot cover
+ * @returns {Object|null} { item, has, needs } or null when covered
+ */
+export function findShortfall(inventory, items) {
+  for (const { item, qty } of toBundle(items)) {
+    const has = inventory[item] || 0;
+    if (has < qty) {
+      return { item, has, needs: qty };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an offer has passed its expiry
+ */
+export function isExpired(offer, now = Date.now()) {
+  return Boolean(offer.expiresAt) && now >= offer.expiresAt;
+}
+
+/**
+ * Whether a player may see (and so accept or counter) an offer
+ */
+export function canSeeOffer(offer, playerId) {
+  return !offer.toPlayer || offer.toPlayer === playerId || offer.fromPlayer === playerId;
+}
+
+/**
+ * Hold an offer's give bundle in escrow: it leaves the offerer's inventory
+ * now so it cannot be gifted, donated or offered twice
+ * @param {Object} player - Offerer (checked to cover the bundle)
+ * @param {Object} offer - New offer
+ */
+export function reserveOffer(player, offer) {
+  for (const { item, qty } of toBundle(offer.give)) {
+    player.inventory[item] -= qty;
+  }
+  offer.escrowed = true;
+}
+
+/**
+ * Close an open offer without a trade, returning its escrow to the offerer
+ * @param {Object} state - Game state (for getPlayer)
+ * @param {Object} offer - Open offer
+ * @param {string} reason - cancelReason: 'cancelled', 'expired', 'countered', ...
+ */
+export function releaseOffer(state, offer, reason, now = Date.now()) {
+  offer.status = TradeStatus.CANCELLED;
+  offer.cancelledAt = now;
+  offer.cancelReason = reason;
+  refundEscrow(state, offer);
+}
+
+/**
+ * Return whatever an escrowed offer still holds to its owner
+ */
+export function refundEscrow(state, offer) {
+  const owner = offer.escrowed && state.getPlayer(offer.fromPlayer);
+  if (owner) {
+    for (const { item, qty } of toBundle(offer.give)) {
+      owner.inventory[item] = (owner.inventory[item] || 0) + qty;
+    }
+  }
+}
+
+/**
+ * Items a player has held in escrow by their open offers
+ * @param {Iterable} offers - All offers
+ * @param {string} playerId - Offerer
+ * @returns {Object} { item: qty }
+ */
+export function reservedFor(offers, playerId) {
+  const reserved = {};
+  for (const offer of offers) {
+    if (offer.fromPlayer !== playerId || offer.status !== TradeStatus.OPEN || !offer.escrowed) continue;
+    for (const { item, qty } of toBundle(offer.give)) {
+      reserved[item] = (reserved[item] || 0) + qty;
+    }
+  }
+  return reserved;
+}
+
+/**
+ * What a player can pay for an offer with: their inventory plus the escrow
+ * of their own offer that this one counters, which is released on settling
+ * @returns {Object} { item: qty }
+ */
+export function spendableFor(state, offer, player) {
+  const inventory = { ...player.inventory };
+  const original = offer.counterTo && state.getOffer(offer.counterTo);
+  if (original && original.status === TradeStatus.OPEN && original.escrowed && original.fromPlayer === player.id) {
+    for (const { item, qty } of toBundle(original.give)) {
+      inventory[item] = (inventory[item] || 0) + qty;
+    }
+  }
+  return inventory;
+}
+
+/**
+ * Swap both bundles and close the offer. Callers check inventories first
+ * (see spendableFor); nothing here can fail part-way, so the trade lands
+ * whole or not at all. An escrowed give bundle is already out of the
+ * offerer's inventory. Accepting a counter-offer first closes the offer it
+ * countered, returning that escrow.
+ * @param {Object} state - Game state (for getOffer, getPlayer)
+ * @param {Object} offer - Open offer
+ * @param {Object} fromPlayer - Offerer
+ * @param {Object} toPlayer - Accepting player
+ */
+export function settleOffer(state, offer, fromPlayer, toPlayer, now = Date.now()) {
+  const original = offer.counterTo && state.getOffer(offer.counterTo);
+  if (original && original.status === TradeStatus.OPEN) {
+    releaseOffer(state, original, 'countered', now);
+  }
+
+  for (const { item, qty } of toBundle(offer.give)) {
+    if (!offer.escrowed) fromPlayer.inventory[item] -= qty;
+    toPlayer.inventory[item] = (toPlayer.inventory[item] || 0) + qty;
+  }
+  for (const { item, qty } of toBundle(offer.want)) {
+    toPlayer.inventory[item] -= qty;
+    fromPlayer.inventory[item] = (fromPlayer.inventory[item] || 0) + qty;
+  }
+
+  offer.status = TradeStatus.COMPLETED;
+  offer.acceptedBy = toPlayer.id;
+  offer.completedAt = now;
+}
@@ -0,0 +1,168 @@
+// Quest board
+// One village main quest (nowRing.activeQuest) plus side quests and
+// personal quests, all kept in gameState.quests with their kind.
+//
+// Each quest reads its progress from its own allocation:
+//   MAIN     - the stockpile, less whatever side quests hold
+//   SIDE     - quest.allocated: donations made to it (/donate moss x3 to <id>);
+//              they sit in the stockpile but are held for the side quest
+//   PERSONAL - quest.allocated: what its player gathered while it was open
+// So a donation only ever counts toward the quest it was made to. A side
+// quest that expires lets go of its allocation, which then counts toward
+// the main quest like any other stockpile. Closed side and personal quests
+// are kept only as recent history (the last QUEST_BOARD_HISTORY of them).
+
+import { DomainEvent, QuestKind, QuestStatus } from './types.js';
+import { distributeRewards } from './rewards.js';
+import { generatePersonalQuest, generateSideQuest } from './quest_generator.js';
+
+const QUEST_SIDE_LIMIT = parseInt(process.env.QUEST_SIDE_LIMIT || '2', 10);
+const QUEST_SIDE_REWARD_POOL = parseInt(process.env.QUEST_SIDE_REWARD_POOL || '1', 10);
+const QUEST_PERSONAL_REWARD = parseInt(process.env.QUEST_PERSONAL_REWARD || '1', 10);
+const QUEST_BOARD_HISTORY = parseInt(process.env.QUEST_BOARD_HISTORY || '20', 10);
+
+/**
+ * Whether a quest is an open side or personal quest
+ */
+export function isOnBoard(quest) {
+  return quest.status === QuestStatus.ACTIVE &&
+    (quest.kind === QuestKind.SIDE || quest.kind === QuestKind.PERSONAL);
+}
+
+/**
+ * Stockpile items held by open side quests
+ * @returns {Object} { item: qty }
+ */
+export function sideAllocations(quests) {
+  const held = {};
+  for (const quest of quests) {
+    if (quest.kind !== QuestKind.SIDE || quest.status !== QuestStatus.ACTIVE) continue;
+    for (const [item, qty] of Object.entries(quest.allocated || {})) {
+      held[item] = (held[item] || 0) + qty;
+    }
+  }
+  return held;
+}
+
+/**
+ * What counts toward a quest, by item
+ * @param {Object} state - Game state (stockpile, quests)
+ * @param {Object} quest - Any quest
+ * @returns {Object} { item: qty }
+ */
+export function availableFor(state, quest) {
+  if (quest.kind === QuestKind.SIDE || quest.kind === QuestKind.PERSONAL) {
+    return { ...quest.allocated };
+  }
+
+  const held = sideAllocations(state.quests);
+  return Object.fromEntries(
+    Object.entries(state.stockpile).map(([item, qty]) => [item, Math.max(0, qty - (held[item] || 0))])
+  );
+}
+
+/**
+ * Percent of a recipe covered, set by the scarcest item
+ */
+export function computeQuestPercent(recipe, available) {
+  const ratios = Object.entries(recipe || {})
+    .filter(([, required]) => required > 0)
+    .map(([item, required]) => Math.min((available[item] || 0) / required, 1));
+
+  return ratios.length > 0 ? Math.floor(100 * Math.min(...ratios)) : 0;
+}
+
+/**
+ * How many more of an item a side or personal quest can take
+ */
+export function remainingNeed(quest, item) {
+  return Math.max(0, (quest.recipe[item] || 0) - (quest.allocated?.[item] || 0));
+}
+
+/**
+ * Count a gather toward the player's open personal quests
+ */
+export function creditPersonalQuests(state, playerId, resource, amount) {
+  for (const quest of state.quests) {
+    if (!isOnBoard(quest) || quest.kind !== QuestKind.PERSONAL || quest.assignedTo !== playerId) continue;
+
+    const take = Math.min(amount, remainingNeed(quest, resource));
+    if (take === 0) continue;
+    quest.allocated[resource] = (quest.allocated[resource] || 0) + take;
+    state.updateQuestProgress(quest);
+  }
+}
+
+// Spend a finished board quest and pay out
+function completeBoardQuest(state, quest, now) {
+  quest.status = QuestStatus.COMPLETED;
+  quest.completedAt = now;
+
+  if (quest.kind === QuestKind.SIDE) {
+    for (const [item, qty] of Object.entries(quest.allocated)) {
+      state.stockpile[item] = Math.max(0, (state.stockpile[item] || 0) - qty);
+    }
+    return distributeRewards(state, quest, undefined, QUEST_SIDE_REWARD_POOL);
+  }
+
+  const player = state.getPlayer(quest.assignedTo);
+  if (!player) return [];
+  player.inventory.charms = (player.inventory.charms || 0) + QUEST_PERSONAL_REWARD;
+  return [{ playerId: player.id, name: player.name, charms: QUEST_PERSONAL_REWARD, title: null }];
+}
+
+// Drop all but the newest QUEST_BOARD_HISTORY closed side and personal
+// quests, so a long-running village's quest list stays bounded
+function pruneClosedBoardQuests(state) {
+  const closed = state.quests.filter(quest =>
+    (quest.kind === QuestKind.SIDE || quest.kind === QuestKind.PERSONAL) && quest.status !== QuestStatus.ACTIVE);
+  if (closed.length <= QUEST_BOARD_HISTORY) return;
+
+  const dropped = new Set(closed.slice(0, closed.length - QUEST_BOARD_HISTORY));
+  state.quests = state.quests.filter(quest => !dropped.has(quest));
+}
+
+/**
+ * Settle and restock the board: finish full quests, expire late ones, keep
+ * QUEST_SIDE_LIMIT side quests open and give every connected player a
+ * personal quest
+ * @param {Object} state - Game state
+ * @returns {Object} { completed: [{ quest, rewards }], expired: [quest], created: [quest] }
+ */
+export function refreshQuestBoard(state, now = Date.now()) {
+  const result = { completed: [], expired: [], created: [] };
+
+  for (const quest of state.quests.filter(isOnBoard)) {
+    state.updateQuestProgress(quest);
+    if (quest.percent >= 100) {
+      const rewards = completeBoardQuest(state, quest, now);
+      result.completed.push({ quest, rewards });
+      state.events.emit(DomainEvent.QUEST_COMPLETED, { quest, rewards, next: null });
+    } else if (quest.expiresAt && now >= quest.expiresAt) {
+      quest.status = QuestStatus.EXPIRED;
+      quest.expiredAt = now;
+      result.expired.push(quest);
+    }
+  }
+
+  pruneClosedBoardQuests(state);
+
+  const sides = () => state.quests.filter(quest => isOnBoard(quest) && quest.kind === QuestKind.SIDE);
+  while (sides().length < QUEST_SIDE_LIMIT) {
+    const quest = generateSideQuest(state, now);
+    state.quests.push(quest);
+    result.created.push(quest);
+  }
+
+  for (const player of state.getConnectedPlayers()) {
+    const hasOne = state.quests.some(quest =>
+      isOnBoard(quest) && quest.kind === QuestKind.PERSONAL && quest.assignedTo === player.id);
+    if (!hasOne) {
+      const quest = generatePersonalQuest(state, player, now);
+      state.quests.push(quest);
+      result.created.push(quest);
+    }
+  }
+
+  return result;
+}
@@ -1,46 +1,259 @@
 // Quest generation system for Mushroom Village
+//
+// Quests come from templates whose names and recipes belong together. A
+// template with several stages is a chain: finishing stage 1 unlocks stage 2
+// of the same template before anything new is picked. Recipes are scaled to
+// the village (online players and how much they have gathered lately), and
+// the last few templates are not picked again. The Steward may propose a
+// quest of its own; it is validated here and queued as the next quest.
 
-const QUEST_NAMES = [
-  "Bridge Across the Brook",
-  "Healing Circle for the Elders", 
-  "Festival Lantern Grove",
-  "Moss Tapestry for the Gathering Hall",
-  "Cedar Watchtower",
-  "Resin Seal for Ancient Texts",
-  "Spore Garden Restoration",
-  "Charm of Protection",
-  "Village Well Repair",
-  "Sacred Grove Renewal"
-];
+import { DomainEvent, GatherableResources, QuestKind, QuestStatus, Resources, createQuest } from './types.js';
+import { distributeRewards } from './rewards.js';
+
+const QUEST_BASE_PLAYERS = parseInt(process.env.QUEST_BASE_PLAYERS || '3', 10);
+const QUEST_BASE_GATHER = parseInt(process.env.QUEST_BASE_GATHER || '20', 10); // items per player per window
+const QUEST_GATHER_WINDOW_MINUTES = parseInt(process.env.QUEST_GATHER_WINDOW_MINUTES || '30', 10);
+const QUEST_NO_REPEAT = parseInt(process.env.QUEST_NO_REPEAT || '3', 10);
+const QUEST_SIDE_SCALE = 0.3; // side quests are this fraction of a main quest
+const QUEST_SIDE_MINUTES = parseInt(process.env.QUEST_SIDE_MINUTES || '30', 10);
+const QUEST_PERSONAL_MINUTES = parseInt(process.env.QUEST_PERSONAL_MINUTES || '20', 10);
+const QUEST_PERSONAL_BASE = 5; // items per personal quest at the base gather rate
+const QUEST_MAX_ITEM_QTY = 200;
+const QUEST_MAX_ITEMS = 5;
 
-const QUEST_RECIPES = [
-  { moss: 20, cedar: 10, resin: 5 },
-  { cedar: 15, resin: 10, spores: 5 },
-  { moss: 25, spores: 15, resin: 8 },
-  { moss: 30, cedar: 15 },
-  { cedar: 20, resin: 15, spores: 10 },
-  { moss: 15, cedar: 8, spores: 12 },
-  { resin: 20, spores: 20 },
-  { moss: 10, cedar: 10, resin: 10, spores: 10 },
-  { moss: 35, resin: 12 },
-  { cedar: 25, spores: 18 }
+// Recipes are sized for QUEST_BASE_PLAYERS gathering at the base rate;
+// crafted goods come from crafting_recipes.json
+export const QUEST_TEMPLATES = [
+  {
+    key: 'bridge',
+    name: 'Bridge Across the Brook',
+    stages: [
+      { name: 'Footings', recipe: { cedar: 12, resin: 5 } },
+      { name: 'Deck', recipe: { sealed_plank: 4, moss_rope: 2 } }
+    ]
+  },
+  { key: 'healing_circle', name: 'Healing Circle for the Elders', stages: [{ recipe: { moss: 15, spores: 10, resin: 4 } }] },
+  { key: 'lantern_grove', name: 'Festival Lantern Grove', stages: [{ recipe: { glow_lantern: 4, moss: 10 } }] },
+  { key: 'tapestry', name: 'Moss Tapestry for the Gathering Hall', stages: [{ recipe: { moss: 25, spores: 6 } }] },
+  {
+    key: 'watchtower',
+    name: 'Cedar Watchtower',
+    stages: [
+      { name: 'Frame', recipe: { cedar: 20, resin: 6 } },
+      { name: 'Platform', recipe: { sealed_plank: 5, moss_rope: 3 } },
+      { name: 'Beacon', recipe: { glow_lantern: 2, resin: 5 } }
+    ]
+  },
+  { key: 'resin_seal', name: 'Resin Seal for Ancient Texts', stages: [{ recipe: { resin: 15, moss: 8 } }] },
+  { key: 'spore_garden', name: 'Spore Garden Restoration', stages: [{ recipe: { spores: 20, moss: 12 } }] },
+  { key: 'protection_charm', name: 'Charm of Protection', stages: [{ recipe: { resin: 10, spores: 10, cedar: 5 } }] },
+  { key: 'well', name: 'Village Well Repair', stages: [{ recipe: { cedar: 8, sealed_plank: 3, moss_rope: 2 } }] },
+  { key: 'sacred_grove', name: 'Sacred Grove Renewal', stages: [{ recipe: { moss: 20, cedar: 10, spores: 10, resin: 5 } }] }
 ];
 
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * How big the next quest should be, from the village's current state
+ * @param {GameState} state - Game state
+ * @returns {Object} { players, gathered, factor }
+ */
+export function questScale(state, now = Date.now()) {
+  const players = Math.max(1, state.getConnectedPlayers().length);
+  const gathered = state.getGatherThroughput(QUEST_GATHER_WINDOW_MINUTES * 60 * 1000, now);
+
+  // More hands mean bigger quests; so does each pair of hands gathering faster
+  const playerFactor = players / QUEST_BASE_PLAYERS;
+  const throughputFactor = clamp(gathered / players / QUEST_BASE_GATHER, 0.5, 2);
+
+  return { players, gathered, factor: clamp(playerFactor * throughputFactor, 0.5, 3) };
+}
+
+/**
+ * Multiply every requirement by a factor, keeping at least 1 of each
+ */
+export function scaleRecipe(recipe, factor) {
+  return Object.fromEntries(
+    Object.entries(recipe).map(([item, qty]) => [item, Math.max(1, Math.round(qty * factor))])
+  );
+}
+
+/**
+ * Templates behind the last few quests, newest first
+ */
+export function recentTemplateKeys(quests, limit = QUEST_NO_REPEAT) {
+  const keys = [];
+  for (let i = quests.length - 1; i >= 0 && keys.length < limit; i--) {
+    const key = quests[i].templateKey;
+    if (key && !keys.includes(key)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Pick a template not used by the last QUEST_NO_REPEAT quests nor open on
+ * the board (or, if that rules out everything, any but the most recent)
+ * @param {Array} quests - Quest history
+ * @param {Object} [options] - { singleStage } to leave out chains
+ */
+export function pickTemplate(quests = [], random = Math.random, { singleStage = false } = {}) {
+  const recent = recentTemplateKeys(quests);
+  const open = quests.filter(quest => quest.status === QuestStatus.ACTIVE).map(quest => quest.templateKey);
+  const eligible = QUEST_TEMPLATES.filter(template => !singleStage || template.stages.length === 1);
+
+  let choices = eligible.filter(template => !recent.includes(template.key) && !open.includes(template.key));
+  if (choices.length === 0) {
+    choices = eligible.filter(template => template.key !== recent[0]);
+  }
+  return choices[Math.floor(random() * choices.length)];
+}
+
+/**
+ * Build one stage of a template as a quest
+ * @param {Object} template - { key, name, stages: [{ name?, recipe }] }
+ * @param {number} stage - 1-based stage number
+ * @param {number} factor - Recipe scale (1 leaves the recipe as written)
+ * @param {Object} [board] - { id, kind, expiresAt } for a side quest
+ */
+export function questFromTemplate(template, stage = 1, factor = 1, { id, ...board } = {}) {
+  const { name, recipe } = template.stages[stage - 1];
+  const title = template.stages.length > 1
+    ? `${template.name}: ${name || `Stage ${stage}`} (${stage}/${template.stages.length})`
+    : template.name;
+
+  return createQuest(
+    id || `quest_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+    title,
+    scaleRecipe(recipe, factor),
+    {
+      templateKey: template.key,
+      stage,
+      stageCount: template.stages.length,
+      // A proposed chain is not in QUEST_TEMPLATES, so it travels with its quests
+      ...(template.proposed ? { proposal: template } : {}),
+      ...board
+    }
+  );
+}
+
+/**
+ * A smaller, time-limited quest from a single-stage template
+ */
+export function generateSideQuest(state, now = Date.now(), random = Math.random) {
+  const template = pickTemplate(state.quests, random, { singleStage: true });
+  // Old side quests are pruned, so count on from the highest id left
+  let highest = 0;
+  for (const quest of state.quests) {
+    if (quest.kind === QuestKind.SIDE) highest = Math.max(highest, parseInt(quest.id.slice(1), 10) || 0);
+  }
+  return questFromTemplate(template, 1, questScale(state, now).factor * QUEST_SIDE_SCALE, {
+    id: `s${highest + 1}`, // short, since players type it: /donate moss x3 to s1
+    kind: QuestKind.SIDE,
+    expiresAt: now + QUEST_SIDE_MINUTES * 60 * 1000
+  });
+}
+
+/**
+ * A gathering goal for one player: "Gather 5 spores before dusk"
+ * Sized by how much each player has been gathering (the scale factor
+ * without its headcount part).
+ */
+export function generatePersonalQuest(state, player, now = Date.now(), random = Math.random) {
+  const item = GatherableResources[Math.floor(random() * GatherableResources.length)];
+  const { factor, players } = questScale(state, now);
+  const qty = Math.max(1, Math.round(QUEST_PERSONAL_BASE * factor * QUEST_BASE_PLAYERS / players));
+
+  return createQuest(
+    `quest_${now}_${Math.random().toString(36).substr(2, 4)}`,
+    `Gather ${qty} ${item} before dusk`,
+    { [item]: qty },
+    { kind: QuestKind.PERSONAL, assignedTo: player.id, expiresAt: now + QUEST_PERSONAL_MINUTES * 60 * 1000 }
+  );
+}
+
 /**
- * Generate a new random quest
+ * Generate the quest to follow another
+ * The next stage of an unfinished chain comes first, then a quest the
+ * Steward proposed, then a fresh template.
+ * @param {GameState} [state] - Game state; without it the recipe is unscaled
+ * @param {Object} [previous] - Quest just completed
  * @returns {Object} New quest object
  */
-export function generateNewQuest() {
-  const name = QUEST_NAMES[Math.floor(Math.random() * QUEST_NAMES.length)];
-  const recipe = QUEST_RECIPES[Math.floor(Math.random() * QUEST_RECIPES.length)];
-  
+export function generateNewQuest(state, previous = null, { random = Math.random, now = Date.now() } = {}) {
+  const factor = state ? questScale(state, now).factor : 1;
+
+  if (previous?.templateKey && previous.stage < previous.stageCount) {
+    const chain = previous.proposal || QUEST_TEMPLATES.find(template => template.key === previous.templateKey);
+    if (chain) return questFromTemplate(chain, previous.stage + 1, chain.proposed ? 1 : factor);
+  }
+
+  if (state?.questProposal) {
+    const proposal = state.questProposal;
+    state.questProposal = null;
+    return questFromTemplate(proposal, 1, 1);
+  }
+
+  return questFromTemplate(pickTemplate(state?.quests, random), 1, factor);
+}
+
+/**
+ * Check a Steward-proposed quest before it is queued
+ * Proposals are { name, recipe } or, for a chain, { name, stages: [{ name, recipe }] }.
+ * Recipes may use any item except charms (the quest reward), with whole
+ * quantities from 1 to QUEST_MAX_ITEM_QTY. Proposed recipes are not scaled.
+ * @param {Object} proposal - From the patch
+ * @param {Array} [quests] - Quest history, to refuse repeats
+ * @returns {Object} { success, template } or { success: false, reason }
+ */
+export function validateQuestProposal(proposal, quests = []) {
+  if (!proposal || typeof proposal !== 'object') {
+    return { success: false, reason: 'proposal is not an object' };
+  }
+
+  const name = typeof proposal.name === 'string' ? proposal.name.trim() : '';
+  if (name.length < 3 || name.length > 60) {
+    return { success: false, reason: 'name must be 3-60 characters' };
+  }
+
+  const stages = Array.isArray(proposal.stages) ? proposal.stages : [{ recipe: proposal.recipe }];
+  if (stages.length === 0 || stages.length > 3) {
+    return { success: false, reason: 'a quest has 1-3 stages' };
+  }
+
+  const items = Object.values(Resources).filter(item => item !== Resources.CHARMS);
+  for (const stage of stages) {
+    const entries = Object.entries(stage?.recipe || {});
+    if (entries.length === 0 || entries.length > QUEST_MAX_ITEMS) {
+      return { success: false, reason: `a recipe needs 1-${QUEST_MAX_ITEMS} items` };
+    }
+    for (const [item, qty] of entries) {
+      if (!items.includes(item)) {
+        return { success: false, reason: `unknown item ${item}` };
+      }
+      if (!Number.isInteger(qty) || qty < 1 || qty > QUEST_MAX_ITEM_QTY) {
+        return { success: false, reason: `${item} quantity must be a whole number from 1 to ${QUEST_MAX_ITEM_QTY}` };
+      }
+    }
+  }
+
+  const recent = quests.slice(-QUEST_NO_REPEAT).map(quest => quest.name.toLowerCase());
+  if (recent.some(recentName => recentName.startsWith(name.toLowerCase()))) {
+    return { success: false, reason: `"${name}" was one of the last ${QUEST_NO_REPEAT} quests` };
+  }
+
   return {
-    id: `quest_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
-    name,
-    recipe: { ...recipe }, // Clone to avoid mutation
-    percent: 0,
-    status: 'ACTIVE',
-    createdAt: Date.now()
+    success: true,
+    template: {
+      key: `proposed_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+      name,
+      proposed: true,
+      stages: stages.map(stage => ({
+        ...(typeof stage.name === 'string' && stage.name.trim() ? { name: stage.name.trim() } : {}),
+        recipe: { ...stage.recipe }
+      }))
+    }
   };
 }
 
@@ -62,18 +275,30 @@ export function checkAndCompleteQuest(gameState) {
     gameState.stockpile[item] = Math.max(0, gameState.stockpile[item] - qty);
   }
   
-  // 2. Award charm to village
+  // 2. Award charm to village, then pay the contributors
   gameState.stockpile.charms = (gameState.stockpile.charms || 0) + 1;
+  const contributors = distributeRewards(gameState, quest);
   
   // 3. Mark quest as completed
   quest.status = 'COMPLETED';
   quest.completedAt = Date.now();
   
-  // 4. Generate new quest
-  const newQuest = generateNewQuest();
+  // 4. Generate new quest (the chain's next stage, if any)
+  const newQuest = generateNewQuest(gameState, quest);
   gameState.setActiveQuest(newQuest);
+  gameState.events.emit(DomainEvent.QUEST_COMPLETED, { quest, rewards: contributors, next: newQuest });
   
   // 5. Return completion event
+  return describeCompletion(quest, contributors, newQuest);
+}
+
+/**
+ * The QUEST_COMPLETED message for a finished main quest
+ * @param {Object} quest - Completed quest
+ * @param {Array} contributors - Rewards, as from distributeRewards
+ * @param {Object} newQuest - The quest that follows it
+ */
+export function describeCompletion(quest, contributors, newQuest, timestamp = Date.now()) {
   return {
     type: 'QUEST_COMPLETED',
     completedQuest: {
@@ -85,11 +310,14 @@ export function checkAndCompleteQuest(gameState) {
       id: newQuest.id,
       name: newQuest.name,
       recipe: newQuest.recipe,
+      stage: newQuest.stage,
+      stageCount: newQuest.stageCount,
       percent: 0
     },
     rewards: {
-      charms: 1
+      charms: 1,
+      contributors
     },
-    timestamp: Date.now()
+    timestamp
   };
 }
@@ -0,0 +1,113 @@
+// Quest contributions and rewards
+// Donations made while a quest is active are recorded on the quest as
+// quest.contributions: { playerId: { item: qty } }. Only items the recipe
+// asks for count toward a player's share.
+//
+// On completion the village still earns its charm; the reward policy
+// (QUEST_REWARD_POLICY, any of RewardPolicy) then pays the contributors
+// straight into their inventories and titles.
+
+import { RewardPolicy } from './types.js';
+
+const QUEST_REWARD_POLICY = (process.env.QUEST_REWARD_POLICY || 'PROPORTIONAL,TOP_TITLE,PARTICIPATION')
+  .split(',')
+  .map(policy => policy.trim().toUpperCase())
+  .filter(policy => Object.values(RewardPolicy).includes(policy));
+const QUEST_REWARD_POOL = parseInt(process.env.QUEST_REWARD_POOL || '3', 10);
+
+/**
+ * Record a donation against a quest
+ */
+export function recordContribution(quest, playerId, item, qty) {
+  quest.contributions = quest.contributions || {};
+  const given = quest.contributions[playerId] || (quest.contributions[playerId] = {});
+  given[item] = (given[item] || 0) + qty;
+}
+
+/**
+ * Contributors ranked by how much of the recipe they gave
+ * @returns {Array} [{ playerId, total, items: { item: qty } }], biggest first
+ */
+export function contributionTotals(quest) {
+  return Object.entries(quest.contributions || {})
+    .map(([playerId, items]) => ({
+      playerId,
+      total: Object.entries(items)
+        .filter(([item]) => (quest.recipe[item] || 0) > 0)
+        .reduce((sum, [, qty]) => sum + qty, 0),
+      items
+    }))
+    .filter(entry => entry.total > 0)
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Split a pool of whole charms by weight, largest remainders first
+ * @returns {Array} Charms per weight, summing to pool
+ */
+export function splitPool(pool, weights) {
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  if (sum === 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => pool * weight / sum);
+  const shares = exact.map(Math.floor);
+  let left = pool - shares.reduce((total, share) => total + share, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (left === 0) break;
+    shares[index]++;
+    left--;
+  }
+  return shares;
+}
+
+/**
+ * Title for a quest's top contributor: "Hero of the Cedar Watchtower"
+ * Chain stages share one title, without the stage suffix.
+ */
+export function questTitle(quest) {
+  const name = quest.name.replace(/:.*$/, '').replace(/^the\s+/i, '');
+  return `Hero of the ${name}`;
+}
+
+/**
+ * Pay a completed quest's contributors
+ * @param {Object} state - Game state (for getPlayer)
+ * @param {Object} quest - Completed quest
+ * @param {Array} [policy] - RewardPolicy values to apply
+ * @returns {Array} [{ playerId, name, contributed, items, charms, title }]
+ */
+export function distributeRewards(state, quest, policy = QUEST_REWARD_POLICY, pool = QUEST_REWARD_POOL) {
+  const contributors = contributionTotals(quest).filter(entry => state.getPlayer(entry.playerId));
+  const shares = policy.includes(RewardPolicy.PROPORTIONAL)
+    ? splitPool(pool, contributors.map(entry => entry.total))
+    : contributors.map(() => 0);
+  const topTotal = contributors[0]?.total;
+
+  return contributors.map((entry, index) => {
+    const player = state.getPlayer(entry.playerId);
+    const charms = shares[index] + (policy.includes(RewardPolicy.PARTICIPATION) ? 1 : 0);
+    player.inventory.charms = (player.inventory.charms || 0) + charms;
+
+    // Everyone tied for the most shares the title
+    let title = null;
+    if (policy.includes(RewardPolicy.TOP_TITLE) && entry.total === topTotal) {
+      title = questTitle(quest);
+      player.titles = player.titles || [];
+      if (!player.titles.includes(title)) player.titles.push(title);
+      state.noteTitle(player, title);
+    }
+
+    return {
+      playerId: entry.playerId,
+      name: player.name,
+      contributed: entry.total,
+      items: entry.items,
+      charms,
+      title
+    };
+  });
+}
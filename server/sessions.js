@@ -0,0 +1,192 @@
+/**
+ * Session Manager
+ *
+ * Player identity across sockets. REGISTER claims a unique name and is
+ * issued a session token; RESUME presents the token on a later socket
+ * (page refresh, reconnect, server restart) and is rebound to the same
+ * player record. Only a hash of each token is kept, in GameState, so it
+ * is persisted with the rest of the village.
+ *
+ * Presence is tracked per player: online while a socket is open and the
+ * player is active, away when idle or the tab is hidden, offline when
+ * the last socket closes.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { gameState } from './state.js';
+import { createPlayer, PresenceStatus } from './types.js';
+
+export const NAME_PATTERN = /^[A-Za-z0-9_-]{2,20}$/;
+
+class SessionManager {
+  constructor(state = gameState) {
+    this.state = state;
+    this.sockets = new Map(); // playerId -> Set(ws)
+    this.tokenTtl = parseInt(process.env.SESSION_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+    this.awayAfter = parseInt(process.env.PRESENCE_AWAY_SECONDS || '300', 10) * 1000;
+  }
+
+  /**
+   * Claim a name and create a player
+   * @param {string} name - Requested display name
+   * @returns {Object} { success, player, token } or { success: false, reason, code }
+   */
+  register(name) {
+    const trimmed = (name || '').trim();
+
+    if (!NAME_PATTERN.test(trimmed)) {
+      return {
+        success: false,
+        code: 'INVALID_NAME',
+        reason: 'Names are 2-20 letters, numbers, _ or -.'
+      };
+    }
+
+    if (this.state.findPlayerByName(trimmed)) {
+      return {
+        success: false,
+        code: 'NAME_TAKEN',
+        reason: `The name "${trimmed}" is already taken. Please choose another.`
+      };
+    }
+
+    const playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const player = createPlayer(playerId, trimmed);
+    this.state.addPlayer(player);
+
+    return { success: true, player, token: this.issueToken(playerId) };
+  }
+
+  /**
+   * Rebind to an existing player by session token
+   * @param {string} token - Token issued at registration
+   * @returns {Object} { success, player } or { success: false, reason, code }
+   */
+  resume(token) {
+    const key = typeof token === 'string' ? this.hashToken(token) : null;
+    const session = key ? this.state.sessionTokens.get(key) : null;
+    const player = session ? this.state.getPlayer(session.playerId) : null;
+
+    if (!session || !player || Date.now() - session.lastUsed > this.tokenTtl) {
+      if (key) this.state.sessionTokens.delete(key);
+      return {
+        success: false,
+        code: 'RESUME_FAILED',
+        reason: 'Your session has expired. Please enter the village again.'
+      };
+    }
+
+    session.lastUsed = Date.now();
+    return { success: true, player };
+  }
+
+  issueToken(playerId) {
+    const token = randomBytes(24).toString('hex');
+    this.state.sessionTokens.set(this.hashToken(token), {
+      playerId,
+      issuedAt: Date.now(),
+      lastUsed: Date.now()
+    });
+    return token;
+  }
+
+  hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Attach a socket to a player
+   * @returns {boolean} True if the player was offline before
+   */
+  connect(playerId, ws) {
+    if (!this.sockets.has(playerId)) {
+      this.sockets.set(playerId, new Set());
+    }
+    const sockets = this.sockets.get(playerId);
+    const wasOffline = sockets.size === 0;
+    sockets.add(ws);
+
+    this.touch(playerId);
+    return wasOffline;
+  }
+
+  /**
+   * Detach a socket
+   * @returns {boolean} True if the player is now offline
+   */
+  disconnect(playerId, ws) {
+    const sockets = this.sockets.get(playerId);
+    if (!sockets) return false;
+
+    sockets.delete(ws);
+    if (sockets.size > 0) return false;
+
+    this.sockets.delete(playerId);
+    return this.setPresence(playerId, PresenceStatus.OFFLINE);
+  }
+
+  isConnected(playerId) {
+    return (this.sockets.get(playerId)?.size || 0) > 0;
+  }
+
+  /**
+   * Record activity; an away or offline player comes back online
+   * @returns {boolean} True if presence changed
+   */
+  touch(playerId) {
+    const player = this.state.getPlayer(playerId);
+    if (!player) return false;
+
+    player.lastAction = Date.now();
+    return this.setPresence(playerId, PresenceStatus.ONLINE);
+  }
+
+  setPresence(playerId, status) {
+    const player = this.state.getPlayer(playerId);
+    if (!player || player.presence === status) return false;
+
+    player.presence = status;
+    return true;
+  }
+
+  /**
+   * Demote idle players: connected ones become away, players with no
+   * socket (e.g. /api/chat callers) go offline
+   * @returns {Array} Players whose presence changed
+   */
+  sweepIdle(now = Date.now()) {
+    const changed = [];
+
+    for (const player of this.state.getConnectedPlayers()) {
+      if (now - player.lastAction < this.awayAfter) continue;
+
+      const status = this.isConnected(player.id) ? PresenceStatus.AWAY : PresenceStatus.OFFLINE;
+      if (this.setPresence(player.id, status)) {
+        changed.push(player);
+      }
+    }
+
+    return changed;
+  }
+
+  // After a restart nobody is connected yet
+  resetPresence() {
+    this.sockets.clear();
+    for (const player of this.state.players.values()) {
+      player.presence = PresenceStatus.OFFLINE;
+    }
+  }
+
+  pruneExpiredTokens(now = Date.now()) {
+    for (const [key, session] of this.state.sessionTokens.entries()) {
+      if (now - session.lastUsed > this.tokenTtl || !this.state.getPlayer(session.playerId)) {
+        this.state.sessionTokens.delete(key);
+      }
+    }
+  }
+}
+
+export { SessionManager };
+
+// Singleton instance
+export const sessionManager = new SessionManager();
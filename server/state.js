@@ -1,5 +1,38 @@
 // In-memory state store for Mushroom Village
-import { createMemoryStone, QuestStatus, VoteStatus, TradeStatus } from './types.js';
+import { createChannel, createInventory, createMemoryStone, DomainEvent, VoteStatus, TradeStatus, PresenceStatus, ProposalStatus } from './types.js';
+import { castBallot, countBallots } from './ballots.js';
+import { canSeeOffer, findShortfall, isExpired, settleOffer, spendableFor, toBundle } from './offers.js';
+import { availableFor, computeQuestPercent, isOnBoard } from './quest_board.js';
+import { EventBus } from './events.js';
+import { subscribeRings } from './subscribers.js';
+import { subscribeAchievements } from './achievements.js';
+
+// Fields written to snapshots and the persistence journal
+const PERSISTED_FIELDS = [
+  'canonRing',
+  'nowRing',
+  'scratchRing',
+  'players',
+  'offers',
+  'quests',
+  'votes',
+  'voteQueue',
+  'proposals',
+  'craftingJobs',
+  'questProposal',
+  'stockpile',
+  'messages',
+  'privateMessages',
+  'channels',
+  'gatherCooldowns',
+  'sessionTokens'
+];
+
+// Public chat lines kept in the village history
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT || '500', 10);
+
+// How long a newly earned title stays in the Elder's context
+const NEW_TITLE_WINDOW_MS = parseInt(process.env.NEW_TITLE_MINUTES || '10', 10) * 60 * 1000;
 
 class GameState {
   constructor() {
@@ -17,27 +50,42 @@ class GameState {
     this.offers = new Map();  // offerId -> Offer
     this.quests = [];
     this.votes = [];
+    this.voteQueue = []; // votes waiting to open after the active one closes
+    this.proposals = new Map(); // proposalId -> player-proposed vote
+    this.craftingJobs = []; // crafts in progress, see server/crafting
+    this.questProposal = null; // Steward-proposed quest template, next in line
 
     // Stockpile
-    this.stockpile = {
-      moss: 0,
-      cedar: 0,
-      resin: 0,
-      spores: 0,
-      charms: 0
-    };
+    this.stockpile = createInventory();
 
     // Cadence tracking
     this.messagesSinceLastPulse = 0;
     this.lastPulseTime = Date.now();
     this.elderLastSpoke = Date.now();
 
-    // Message history (in-memory)
+    // Public chat history: { id, type, user, text, replyTo, at, ... }
     this.messages = [];
+    this.chatLinesRecorded = 0; // keeps counting once the history is trimmed
 
     // Private messages (Elder → Player DMs)
     this.privateMessages = new Map(); // playerId -> [{text, timestamp, read}]
 
+    // Named chat channels (see server/commands/channels.js)
+    this.channels = new Map(); // '#name' -> Channel
+
+    // Gathering cooldowns
+    this.gatherCooldowns = new Map(); // playerId -> { resource: readyAt }
+    this.gatherLog = []; // recent yields [{ resource, amount, at }], for quest sizing
+    this.titleLog = []; // titles earned in the last hour [{ playerId, name, title, badge, at }]
+
+    // Reconnect sessions
+    this.sessionTokens = new Map(); // token hash -> { playerId, issuedAt, lastUsed }
+
+    // Domain events (see server/events.js)
+    this.events = new EventBus();
+    subscribeRings(this);
+    subscribeAchievements(this);
+
     // Initialize with seed data
     this._seedInitialStones();
   }
@@ -63,6 +111,24 @@ class GameState {
     }
   }
 
+  // Names are unique, compared case-insensitively
+  findPlayerByName(name) {
+    if (!name) return null;
+
+    const wanted = name.toLowerCase();
+    for (const player of this.players.values()) {
+      if (player.name.toLowerCase() === wanted) {
+        return player;
+      }
+    }
+    return null;
+  }
+
+  // Players with an open connection (online or away)
+  getConnectedPlayers() {
+    return Array.from(this.players.values()).filter(p => p.presence && p.presence !== PresenceStatus.OFFLINE);
+  }
+
   updatePlayerInventory(playerId, item, amount) {
     const player = this.players.get(playerId);
     if (player && player.inventory.hasOwnProperty(item)) {
@@ -117,80 +183,83 @@ class GameState {
     this.quests.push(quest);
   }
 
-  updateQuestProgress() {
-    if (!this.nowRing.activeQuest) return null;
-    
-    const quest = this.nowRing.activeQuest;
-    
-    // Calculate bottleneck percentage (minimum ratio across all required resources)
-    const ratios = [];
-    for (const [item, required] of Object.entries(quest.recipe)) {
-      if (required > 0) {
-        const have = this.stockpile[item] || 0;
-        ratios.push(have / required);
-      }
-    }
-    
-    // Use minimum ratio (bottleneck resource determines progress)
-    const minRatio = ratios.length > 0 ? Math.min(...ratios) : 0;
-    quest.percent = Math.floor(100 * Math.min(minRatio, 1.0));
-    
-    if (quest.percent >= 100) {
-      quest.status = QuestStatus.COMPLETED;
-    }
+  getQuest(questId) {
+    return this.quests.find(quest => quest.id === questId) || null;
+  }
+
+  // Open side and personal quests (the main quest is nowRing.activeQuest)
+  getBoardQuests() {
+    return this.quests.filter(isOnBoard);
+  }
 
+  // Progress of one quest (the main quest by default) from what has been
+  // set aside for it; the scarcest item sets the percent
+  updateQuestProgress(quest = this.nowRing.activeQuest) {
+    if (!quest) return null;
+
+    quest.percent = computeQuestPercent(quest.recipe, availableFor(this, quest));
+
+    // A full quest stays ACTIVE until checkAndCompleteQuest (server tick)
+    // or refreshQuestBoard spends it and moves on
     return quest;
   }
 
   // Vote management
   setActiveVote(vote) {
-    // Initialize tally as { optionName: count } format
-    if (!vote.tally) {
-      vote.tally = {};
-      vote.options.forEach(opt => vote.tally[opt] = 0);
-    }
-    if (!vote.votedPlayers) {
-      vote.votedPlayers = new Set();
+    if (!vote.ballots) {
+      vote.ballots = {};
     }
     this.nowRing.activeVote = vote;
     this.votes.push(vote);
   }
 
-  castVote(playerId, option) {
+  /**
+   * Record a player's ballot on the active vote; a second ballot
+   * replaces the first and is kept in its history
+   * @param {string} playerId - Voter
+   * @param {string|Array} choices - Option, or options in ballot order
+   * @returns {Object|null} { changed, previous } or null if the ballot was refused
+   */
+  castVote(playerId, choices) {
     const vote = this.nowRing.activeVote;
     if (!vote || vote.status !== VoteStatus.OPEN) {
-      return false;
+      return null;
     }
 
-    if (!vote.options.includes(option)) {
-      return false;
+    const list = Array.isArray(choices) ? choices : [choices];
+    if (list.length === 0 || !list.every(option => vote.options.includes(option))) {
+      return null;
     }
 
-    // Check if player already voted
-    if (vote.votedPlayers.has(playerId)) {
-      return false;
+    const ballot = castBallot(vote, playerId, list);
+    if (ballot.changed) {
+      this.events.emit(DomainEvent.VOTE_CAST, { playerId, vote, choices: list, previous: ballot.previous });
     }
-
-    // Increment option count
-    if (!vote.tally[option]) {
-      vote.tally[option] = 0;
-    }
-    vote.tally[option]++;
-    
-    // Track that player voted
-    vote.votedPlayers.add(playerId);
-    
-    return true;
+    return ballot;
   }
 
   closeVote() {
-    if (!this.nowRing.activeVote) return null;
-    
     const vote = this.nowRing.activeVote;
+    if (!vote || vote.status !== VoteStatus.OPEN) return null;
+
     vote.status = VoteStatus.CLOSED;
 
-    // Tally already in correct format { optionName: count }
-    return { vote, results: vote.tally };
+    return { vote, results: countBallots(vote) };
+  }
+
+  // Proposal management
+  addProposal(proposal) {
+    this.proposals.set(proposal.id, proposal);
+    return proposal;
+  }
+
+  getProposal(proposalId) {
+    return this.proposals.get(proposalId);
+  }
+
+  getPendingProposals() {
+    return Array.from(this.proposals.values())
+      .filter(p => p.status === ProposalStatus.PENDING);
   }
 
   // Trade management
@@ -203,17 +272,26 @@ class GameState {
     return this.offers.get(offerId);
   }
 
-  getOpenOffers() {
+  getOpenOffers(now = Date.now()) {
     return Array.from(this.offers.values())
-      .filter(o => o.status === TradeStatus.OPEN);
+      .filter(o => o.status === TradeStatus.OPEN && !isExpired(o, now));
   }
 
-  acceptOffer(offerId, acceptingPlayerId) {
+  // Both bundles move together or not at all
+  acceptOffer(offerId, acceptingPlayerId, now = Date.now()) {
     const offer = this.offers.get(offerId);
-    if (!offer || offer.status !== TradeStatus.OPEN) {
+    if (!offer || offer.status !== TradeStatus.OPEN || isExpired(offer, now)) {
       return { success: false, reason: 'Offer not available' };
     }
 
+    if (!canSeeOffer(offer, acceptingPlayerId)) {
+      return { success: false, reason: 'Offer is addressed to someone else' };
+    }
+
+    if (offer.fromPlayer === acceptingPlayerId) {
+      return { success: false, reason: 'Cannot accept your own offer' };
+    }
+
     const fromPlayer = this.players.get(offer.fromPlayer);
     const toPlayer = this.players.get(acceptingPlayerId);
 
@@ -221,25 +299,20 @@ class GameState {
       return { success: false, reason: 'Player not found' };
     }
 
-    // Check if fromPlayer has the items
-    if (fromPlayer.inventory[offer.give.item] < offer.give.qty) {
+    // Check if fromPlayer has the items (escrowed offers already hold them)
+    if (!offer.escrowed && findShortfall(fromPlayer.inventory, offer.give)) {
       return { success: false, reason: 'Offerer lacks resources' };
     }
 
     // Check if acceptingPlayer has the items
-    if (toPlayer.inventory[offer.want.item] < offer.want.qty) {
+    if (findShortfall(spendableFor(this, offer, toPlayer), offer.want)) {
       return { success: false, reason: 'Accepter lacks resources' };
     }
 
-    // Execute trade atomically
-    fromPlayer.inventory[offer.give.item] -= offer.give.qty;
-    fromPlayer.inventory[offer.want.item] += offer.want.qty;
-    toPlayer.inventory[offer.want.item] -= offer.want.qty;
-    toPlayer.inventory[offer.give.item] += offer.give.qty;
-
-    offer.status = TradeStatus.COMPLETED;
-    offer.acceptedBy = acceptingPlayerId;
-    offer.completedAt = Date.now();
+    settleOffer(this, offer, fromPlayer, toPlayer, now);
+    this.events.emit(DomainEvent.TRADE_COMPLETED, {
+      offer, fromPlayer: fromPlayer.id, toPlayer: toPlayer.id, gave: toBundle(offer.give), got: toBundle(offer.want), via: 'accept'
+    });
 
     return { success: true, offer };
   }
@@ -253,6 +326,41 @@ class GameState {
     return false;
   }
 
+  // Gathering cooldowns
+  getGatherCooldown(playerId, resource) {
+    const readyAt = this.gatherCooldowns.get(playerId)?.[resource] || 0;
+    return Math.max(0, readyAt - Date.now());
+  }
+
+  startGatherCooldown(playerId, resource, durationMs) {
+    const cooldowns = this.gatherCooldowns.get(playerId) || {};
+    cooldowns[resource] = Date.now() + durationMs;
+    this.gatherCooldowns.set(playerId, cooldowns);
+  }
+
+  // Gather throughput (kept for an hour, not persisted)
+  recordGather(resource, amount, now = Date.now()) {
+    this.gatherLog.push({ resource, amount, at: now });
+    this.gatherLog = this.gatherLog.filter(entry => entry.at > now - 60 * 60 * 1000);
+  }
+
+  getGatherThroughput(windowMs, now = Date.now()) {
+    return this.gatherLog
+      .filter(entry => entry.at > now - windowMs)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+  }
+
+  // Earned titles (kept for an hour, not persisted), so the Elder can
+  // acknowledge them; the titles themselves are saved on the player
+  noteTitle(player, title, badge = null, now = Date.now()) {
+    this.titleLog.push({ playerId: player.id, name: player.name, title, badge, at: now });
+    this.titleLog = this.titleLog.filter(entry => entry.at > now - 60 * 60 * 1000);
+  }
+
+  getNewTitles(windowMs = NEW_TITLE_WINDOW_MS, now = Date.now()) {
+    return this.titleLog.filter(entry => entry.at > now - windowMs);
+  }
+
   // Cadence tracking
   incrementMessageCount() {
     this.messagesSinceLastPulse++;
@@ -288,6 +396,95 @@ class GameState {
     };
   }
 
+  // Persistence
+  toSnapshot() {
+    const snapshot = {};
+    for (const field of PERSISTED_FIELDS) {
+      snapshot[field] = this[field];
+    }
+    return snapshot;
+  }
+
+  restoreSnapshot(snapshot) {
+    for (const field of PERSISTED_FIELDS) {
+      if (snapshot[field] !== undefined) {
+        this[field] = snapshot[field];
+      }
+    }
+    this.relinkActiveEntities();
+    this.backfillInventories();
+    this.backfillMessageIds();
+  }
+
+  // Saves from before an item existed lack its key; add it at zero so
+  // hasOwnProperty checks (updatePlayerInventory, addToStockpile) accept it
+  backfillInventories() {
+    this.stockpile = { ...createInventory(), ...this.stockpile };
+    for (const player of this.players.values()) {
+      player.inventory = { ...createInventory(), ...player.inventory };
+    }
+  }
+
+  // Chat lines saved before messages had ids get one, so history paging
+  // (see chat_history.js) can use them as cursors
+  backfillMessageIds() {
+    this.messages.forEach((message, index) => {
+      if (!message.id) {
+        message.id = `msg_${message.at || 0}_legacy${index}`;
+        message.replyTo = message.replyTo || null;
+      }
+    });
+  }
+
+  // After a restore the active quest/vote are copies; point them back at
+  // the entries in quests/votes so updates reach both
+  relinkActiveEntities() {
+    const quest = this.nowRing.activeQuest;
+    if (quest) {
+      this.nowRing.activeQuest = this.quests.find(q => q.id === quest.id) || quest;
+    }
+
+    const vote = this.nowRing.activeVote;
+    if (vote) {
+      this.nowRing.activeVote = this.votes.find(v => v.id === vote.id) || vote;
+    }
+  }
+
+  // Chat history: every public line gets a stable id, so replies and the
+  // Elder's answers can point at the exact message
+  addChatMessage(fields, now = Date.now()) {
+    const message = {
+      id: `msg_${now}_${Math.random().toString(36).substr(2, 6)}`,
+      replyTo: null,
+      ...fields,
+      at: now
+    };
+    this.messages.push(message);
+    this.chatLinesRecorded++;
+
+    if (this.messages.length > CHAT_HISTORY_LIMIT) {
+      this.messages = this.messages.slice(-CHAT_HISTORY_LIMIT);
+    }
+    return message;
+  }
+
+  getChatMessage(messageId) {
+    if (!messageId) return null;
+    return this.messages.find(m => m.id === messageId) || null;
+  }
+
+  // Players named with @name in a chat line (each once, never the sender)
+  findMentions(text, senderId = null) {
+    const mentioned = new Map();
+    for (const [, name] of String(text || '').matchAll(/@([\w-]+)/g)) {
+      const player = this.findPlayerByName(name);
+      if (player && player.id !== senderId) {
+        mentioned.set(player.id, player);
+      }
+    }
+    return Array.from(mentioned.values());
+  }
+
   // Private message management
   addPrivateMessage(playerId, text) {
     if (!this.privateMessages.has(playerId)) {
@@ -295,16 +492,19 @@ class GameState {
     }
     
     const messages = this.privateMessages.get(playerId);
-    messages.push({
+    const message = {
       text,
       timestamp: Date.now(),
       read: false
-    });
+    };
+    messages.push(message);
     
     // Keep only last 20 DMs per player
     if (messages.length > 20) {
       this.privateMessages.set(playerId, messages.slice(-20));
     }
+
+    return message;
   }
 
   getPrivateMessages(playerId) {
@@ -323,6 +523,59 @@ class GameState {
     return messages.filter(m => !m.read).length;
   }
 
+  // Channel management: a channel exists while it has members
+  getChannel(name) {
+    return this.channels.get(name) || null;
+  }
+
+  joinChannel(name, playerId) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, createChannel(name));
+    }
+
+    const channel = this.channels.get(name);
+    if (!channel.members.includes(playerId)) {
+      channel.members.push(playerId);
+    }
+    return channel;
+  }
+
+  leaveChannel(name, playerId) {
+    const channel = this.channels.get(name);
+    if (!channel || !channel.members.includes(playerId)) {
+      return false;
+    }
+
+    channel.members = channel.members.filter(id => id !== playerId);
+    if (channel.members.length === 0) {
+      this.channels.delete(name);
+    }
+    return true;
+  }
+
+  getPlayerChannels(playerId) {
+    return Array.from(this.channels.values()).filter(c => c.members.includes(playerId));
+  }
+
+  recordChannelMessage(name, now = Date.now()) {
+    const channel = this.channels.get(name);
+    if (channel) {
+      channel.messageCount++;
+      channel.lastMessageAt = now;
+    }
+  }
+
+  // What the Steward sees of channels: who is in them and how busy they
+  // are, never what was said
+  getChannelSummaries() {
+    return Array.from(this.channels.values()).map(channel => ({
+      name: channel.name,
+      members: channel.members.map(id => this.players.get(id)?.name || id),
+      messageCount: channel.messageCount,
+      lastMessageAt: channel.lastMessageAt
+    }));
+  }
+
   // Get condensed context for Elder
   getElderContext(recentMessages = []) {
     const stones = this.canonRing.slice(-3); // Last 3 stones
@@ -332,12 +585,17 @@ class GameState {
       memoryStones: stones,
       activeQuest: this.nowRing.activeQuest,
       activeVote: this.nowRing.activeVote,
+      pendingProposals: this.getPendingProposals().filter(p => p.expiresAt > Date.now()),
       stockpile: this.stockpile,
+      craftingJobs: this.craftingJobs,
+      newTitles: this.getNewTitles(),
       recentActions,
       recentMessages: recentMessages.slice(-5)
     };
   }
 }
 
+export { GameState };
+
 // Singleton instance
 export const gameState = new GameState();
@@ -1,6 +1,8 @@
 // State change detection for conditional tick processing
 // Compares previous vs current state to identify meaningful changes
 
+import { countBallots, countBallotRevisions } from './ballots.js';
+
 /**
  * Detect meaningful state changes
  * @param {Object} prevState - Previous state snapshot
@@ -64,20 +66,16 @@ export function detectStateChanges(prevState, currState) {
     changes.details.push('Vote closed');
   }
   
-  // Vote tally changed (same vote, still open, but votes cast)
+  // Ballots cast or changed (same vote, still open)
   if (prevVoteId === currVoteId && prevVoteStatus === 'OPEN' && currVoteStatus === 'OPEN') {
-    const prevTally = prevState?.activeVote?.tally || {};
-    const currTally = currState?.activeVote?.tally || {};
-    
-    // Compare total votes
-    const prevTotal = Object.values(prevTally).reduce((sum, count) => sum + count, 0);
-    const currTotal = Object.values(currTally).reduce((sum, count) => sum + count, 0);
+    const prevRevisions = prevState?.activeVote?.ballotRevisions || 0;
+    const currRevisions = currState?.activeVote?.ballotRevisions || 0;
     
-    if (currTotal > prevTotal) {
+    if (currRevisions > prevRevisions) {
       changes.voteChanges.tallyUpdated = true;
-      changes.voteChanges.newVotes = currTotal - prevTotal;
+      changes.voteChanges.newVotes = currRevisions - prevRevisions;
       changes.hasSignificantChanges = true;
-      changes.details.push(`${currTotal - prevTotal} new vote(s) cast`);
+      changes.details.push(`${currRevisions - prevRevisions} new vote(s) cast`);
     }
   }
 
@@ -103,7 +101,8 @@ export function detectStateChanges(prevState, currState) {
 export function createStateSnapshot(gameState) {
   return {
     timestamp: Date.now(),
-    messageCount: gameState.messages.length,
+    // The history is capped, so its length stops moving; the running count doesn't
+    messageCount: gameState.chatLinesRecorded,
     activeQuest: gameState.nowRing.activeQuest ? {
       id: gameState.nowRing.activeQuest.id,
       percent: gameState.nowRing.activeQuest.percent || 0,
@@ -112,7 +111,8 @@ export function createStateSnapshot(gameState) {
     activeVote: gameState.nowRing.activeVote ? {
       id: gameState.nowRing.activeVote.id,
       status: gameState.nowRing.activeVote.status,
-      tally: { ...gameState.nowRing.activeVote.tally }
+      tally: countBallots(gameState.nowRing.activeVote),
+      ballotRevisions: countBallotRevisions(gameState.nowRing.activeVote)
     } : null,
     elderLastSpoke: gameState.elderLastSpoke || Date.now(),
     stockpile: { ...gameState.stockpile }
@@ -127,3 +127,104 @@ export function createStateSnapshot(gameState) {
 export function shouldProcessTick(changes) {
   return changes.hasSignificantChanges;
 }
+
+// Client state sync
+// Clients hold a copy of the shared village view (stones, quests, vote,
+// stockpile). They get it whole once, as a snapshot with a revision, and
+// after that only JSON-patch-style deltas between consecutive revisions:
+//   { revision: 8, baseRevision: 7, ops: [{ op: 'replace', path: '/quest/percent', value: 40 }] }
+// Objects are diffed key by key; arrays and other values are replaced
+// whole. A client whose revision doesn't match a delta's baseRevision has
+// missed one and asks for a fresh snapshot.
+
+// RFC 6901 path segment
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Operations that turn one JSON value into another
+ * @param {*} prev - Previous value
+ * @param {*} curr - Current value
+ * @returns {Array} [{ op: 'add' | 'remove' | 'replace', path, value? }]
+ */
+export function diffViews(prev, curr, path = '', ops = []) {
+  if (isPlainObject(prev) && isPlainObject(curr)) {
+    for (const key of Object.keys(prev)) {
+      if (!(key in curr)) ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+    }
+    for (const [key, value] of Object.entries(curr)) {
+      const child = `${path}/${escapePointer(key)}`;
+      if (!(key in prev)) ops.push({ op: 'add', path: child, value });
+      else diffViews(prev[key], value, child, ops);
+    }
+  } else if (prev !== curr && JSON.stringify(prev) !== JSON.stringify(curr)) {
+    ops.push({ op: 'replace', path, value: curr });
+  }
+  return ops;
+}
+
+/**
+ * Apply diffViews operations to a copy of a value
+ * @returns {*} The patched copy
+ */
+export function applyDelta(doc, ops) {
+  let result = structuredClone(doc);
+
+  for (const { op, path, value } of ops) {
+    if (path === '') {
+      result = structuredClone(value);
+      continue;
+    }
+
+    const keys = path.split('/').slice(1).map(unescapePointer);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], result);
+    if (op === 'remove') delete parent[last];
+    else parent[last] = structuredClone(value);
+  }
+
+  return result;
+}
+
+/**
+ * Revisioned copy of the client view; see above
+ */
+export class StateSync {
+  constructor() {
+    this.revision = 0;
+    this.view = {};
+  }
+
+  /**
+   * Take the current view, returning the delta from the last one (or null
+   * when nothing changed)
+   * @param {Object} view - Plain JSON view of the village
+   * @returns {Object|null} { revision, baseRevision, ops }
+   */
+  update(view) {
+    const next = JSON.parse(JSON.stringify(view));
+    const ops = diffViews(this.view, next);
+    if (ops.length === 0) return null;
+
+    this.view = next;
+    this.revision++;
+    return { revision: this.revision, baseRevision: this.revision - 1, ops };
+  }
+
+  /**
+   * The whole view at the current revision
+   * @returns {Object} { revision, state }
+   */
+  snapshot() {
+    return { revision: this.revision, state: this.view };
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * State Codec
+ *
+ * JSON encoding for game state that survives Map and Set values
+ * (players, offers, privateMessages, vote.votedPlayers, ...).
+ */
+
+/**
+ * JSON.stringify replacer that tags Maps and Sets
+ * @param {string} key - Property key
+ * @param {any} value - Property value
+ * @returns {any} JSON-safe value
+ */
+export function replacer(key, value) {
+  if (value instanceof Map) {
+    return { __type: 'Map', entries: Array.from(value.entries()) };
+  }
+  if (value instanceof Set) {
+    return { __type: 'Set', values: Array.from(value.values()) };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver that rebuilds tagged Maps and Sets
+ * @param {string} key - Property key
+ * @param {any} value - Parsed value
+ * @returns {any} Revived value
+ */
+export function reviver(key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.__type === 'Map' && Array.isArray(value.entries)) {
+      return new Map(value.entries);
+    }
+    if (value.__type === 'Set' && Array.isArray(value.values)) {
+      return new Set(value.values);
+    }
+  }
+  return value;
+}
+
+/**
+ * Encode a value to a JSON string
+ * @param {any} value - Value to encode
+ * @returns {string} JSON text
+ */
+export function encode(value) {
+  return JSON.stringify(value, replacer);
+}
+
+/**
+ * Decode a JSON string produced by encode()
+ * @param {string} text - JSON text
+ * @returns {any} Decoded value
+ */
+export function decode(text) {
+  return JSON.parse(text, reviver);
+}
@@ -0,0 +1,70 @@
+/**
+ * File Store
+ *
+ * Default storage backend: one JSON snapshot plus an NDJSON write-ahead log.
+ *
+ * Storage backend interface (a SQLite driver would implement the same):
+ *   loadSnapshot()        -> snapshot object | null
+ *   readLog()             -> [entry] in append order
+ *   appendLog(entry)      -> void
+ *   writeSnapshot(snap)   -> void (also truncates the log)
+ *   describe()            -> { kind, ... } for /health
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, renameSync } from 'fs';
+import { resolve, join } from 'path';
+import { encode, decode } from './codec.js';
+
+export class FileStore {
+  constructor(dir = process.env.DATA_DIR || './data') {
+    this.dir = resolve(dir);
+    this.snapshotPath = join(this.dir, 'snapshot.json');
+    this.logPath = join(this.dir, 'journal.ndjson');
+  }
+
+  ensureDir() {
+    mkdirSync(this.dir, { recursive: true });
+  }
+
+  loadSnapshot() {
+    if (!existsSync(this.snapshotPath)) return null;
+    return decode(readFileSync(this.snapshotPath, 'utf-8'));
+  }
+
+  readLog() {
+    if (!existsSync(this.logPath)) return [];
+
+    const entries = [];
+    const lines = readFileSync(this.logPath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(decode(line));
+      } catch (error) {
+        // A torn final write is expected after a crash; stop replay there
+        console.warn(`[FileStore] Skipping unreadable journal line: ${error.message}`);
+        break;
+      }
+    }
+    return entries;
+  }
+
+  appendLog(entry) {
+    this.ensureDir();
+    appendFileSync(this.logPath, encode(entry) + '\n');
+  }
+
+  writeSnapshot(snapshot) {
+    this.ensureDir();
+
+    // Write then rename so a crash never leaves a half-written snapshot
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    writeFileSync(tmpPath, encode(snapshot));
+    renameSync(tmpPath, this.snapshotPath);
+    writeFileSync(this.logPath, '');
+  }
+
+  describe() {
+    return { kind: 'file', dir: this.dir };
+  }
+}
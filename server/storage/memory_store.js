@@ -0,0 +1,37 @@
+/**
+ * Memory Store
+ *
+ * Storage backend that keeps the snapshot and log in process memory.
+ * Used by tests and when PERSISTENCE=memory. Values are round-tripped
+ * through the codec so it behaves like the file store.
+ */
+
+import { encode, decode } from './codec.js';
+
+export class MemoryStore {
+  constructor() {
+    this.snapshot = null;
+    this.log = [];
+  }
+
+  loadSnapshot() {
+    return this.snapshot ? decode(this.snapshot) : null;
+  }
+
+  readLog() {
+    return this.log.map(line => decode(line));
+  }
+
+  appendLog(entry) {
+    this.log.push(encode(entry));
+  }
+
+  writeSnapshot(snapshot) {
+    this.snapshot = encode(snapshot);
+    this.log = [];
+  }
+
+  describe() {
+    return { kind: 'memory', logEntries: this.log.length };
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Persistence
+ *
+ * Durable GameState: a periodic snapshot plus an append-only journal of
+ * changes recorded since that snapshot. On boot the snapshot is restored
+ * and the journal replayed on top of it.
+ *
+ * Journal entries are section-level: record() compares each persisted
+ * GameState field (and each key of Map fields such as players/offers)
+ * against what was last written, and appends only what changed. Array
+ * fields are compared per element, so a chat line pushed onto messages
+ * journals that line (and how many old ones were trimmed), not the whole
+ * history. Because it diffs the state itself, mutations made directly by
+ * agents or the patch engine are captured the same as those made through
+ * GameState. The journal is compacted into a snapshot every
+ * SNAPSHOT_EVERY entries, or sooner once it passes SNAPSHOT_JOURNAL_KB.
+ */
+
+import { FileStore } from './file_store.js';
+import { MemoryStore } from './memory_store.js';
+import { encode } from './codec.js';
+
+/**
+ * Create the storage backend named by PERSISTENCE (file | memory | off)
+ * @param {string} [kind] - Backend name
+ * @param {Object} [options] - { dir } for the file store (defaults to DATA_DIR)
+ * @returns {Object|null} Store instance or null when disabled
+ */
+export function createStore(kind = process.env.PERSISTENCE || 'file', { dir } = {}) {
+  switch (kind.toLowerCase()) {
+    case 'off':
+    case 'none':
+      return null;
+    case 'memory':
+      return new MemoryStore();
+    default:
+      return new FileStore(dir);
+  }
+}
+
+export class Persistence {
+  constructor(store, { snapshotEvery, snapshotBytes } = {}) {
+    this.store = store;
+    this.snapshotEvery = snapshotEvery ?? parseInt(process.env.SNAPSHOT_EVERY || '100', 10);
+    this.snapshotBytes = snapshotBytes ?? parseInt(process.env.SNAPSHOT_JOURNAL_KB || '1024', 10) * 1024;
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+    this.bytesSinceSnapshot = 0;
+    this.lastSnapshotAt = null;
+    this.fingerprint = null; // field -> encoded text, [encoded element] or Map(key -> encoded text)
+  }
+
+  isEnabled() {
+    return !!this.store;
+  }
+
+  /**
+   * Restore state from the store
+   * @param {GameState} state - State to restore into
+   * @returns {boolean} True if a saved village was found
+   */
+  load(state) {
+    if (!this.store) return false;
+
+    const snapshot = this.store.loadSnapshot();
+    const entries = this.store.readLog();
+
+    if (!snapshot && entries.length === 0) {
+      this.fingerprint = this.computeFingerprint(state);
+      return false;
+    }
+
+    if (snapshot) {
+      state.restoreSnapshot(snapshot.state);
+      this.seq = snapshot.seq || 0;
+      this.lastSnapshotAt = snapshot.at || null;
+    }
+
+    let replayed = 0;
+    for (const entry of entries) {
+      if (entry.seq <= this.seq) continue;
+      this.applyEntry(state, entry);
+      this.seq = entry.seq;
+      replayed++;
+    }
+
+    state.relinkActiveEntities();
+    this.entriesSinceSnapshot = replayed;
+    this.fingerprint = this.computeFingerprint(state);
+
+    console.log(`[Persistence] Restored village (snapshot: ${snapshot ? 'yes' : 'no'}, replayed ${replayed} journal entries)`);
+    return true;
+  }
+
+  /**
+   * Append a journal entry for everything that changed since the last record
+   * @param {GameState} state - Current state
+   * @param {string} reason - Short label for what caused the change
+   * @returns {Object|null} Entry written, or null if nothing changed
+   */
+  record(state, reason = 'update') {
+    if (!this.store) return null;
+
+    try {
+      const next = this.computeFingerprint(state);
+      const changes = this.diffFingerprints(this.fingerprint || {}, next);
+      this.fingerprint = next;
+
+      if (changes.length === 0) return null;
+
+      const entry = {
+        seq: ++this.seq,
+        at: Date.now(),
+        reason,
+        changes
+      };
+      this.store.appendLog(entry);
+      this.entriesSinceSnapshot++;
+      this.bytesSinceSnapshot += encode(entry).length;
+
+      if (this.entriesSinceSnapshot >= this.snapshotEvery || this.bytesSinceSnapshot >= this.snapshotBytes) {
+        this.snapshot(state);
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('[Persistence] Failed to record journal entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a full snapshot and truncate the journal
+   * @param {GameState} state - Current state
+   */
+  snapshot(state) {
+    if (!this.store) return;
+
+    try {
+      this.lastSnapshotAt = Date.now();
+      this.store.writeSnapshot({
+        seq: this.seq,
+        at: this.lastSnapshotAt,
+        state: state.toSnapshot()
+      });
+      this.entriesSinceSnapshot = 0;
+      this.bytesSinceSnapshot = 0;
+      this.fingerprint = this.computeFingerprint(state);
+    } catch (error) {
+      console.error('[Persistence] Failed to write snapshot:', error);
+    }
+  }
+
+  // Encode each persisted field (per key for Maps, per element for
+  // arrays) for cheap comparison
+  computeFingerprint(state) {
+    const fingerprint = {};
+    for (const [field, value] of Object.entries(state.toSnapshot())) {
+      if (value instanceof Map) {
+        const keys = new Map();
+        for (const [key, item] of value.entries()) {
+          keys.set(key, encode(item));
+        }
+        fingerprint[field] = keys;
+      } else if (Array.isArray(value)) {
+        fingerprint[field] = value.map(item => encode(item) ?? 'null');
+      } else {
+        fingerprint[field] = encode(value);
+      }
+    }
+    return fingerprint;
+  }
+
+  diffFingerprints(prev, next) {
+    const changes = [];
+
+    for (const [field, print] of Object.entries(next)) {
+      const before = prev[field];
+
+      if (print instanceof Map) {
+        const beforeKeys = before instanceof Map ? before : new Map();
+        for (const [key, text] of print.entries()) {
+          if (beforeKeys.get(key) !== text) {
+            changes.push({ field, key, value: JSON.parse(text) });
+          }
+        }
+        for (const key of beforeKeys.keys()) {
+          if (!print.has(key)) {
+            changes.push({ field, key, deleted: true });
+          }
+        }
+      } else if (Array.isArray(print)) {
+        changes.push(...this.diffArray(field, Array.isArray(before) ? before : null, print));
+      } else if (before !== print) {
+        changes.push({ field, value: print === undefined ? null : JSON.parse(print) });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Changes to one array field, smallest first: old elements trimmed from
+   * the front plus new ones appended (message logs, rings), else the
+   * elements changed in place (quests, votes), else the whole array
+   */
+  diffArray(field, before, after) {
+    if (!before) {
+      return [{ field, value: after.map(text => JSON.parse(text)) }];
+    }
+
+    // The first k that leaves the rest of before as a prefix of after
+    for (let k = before.indexOf(after[0]); k !== -1; k = before.indexOf(after[0], k + 1)) {
+      const kept = before.length - k;
+      if (kept <= after.length && before.slice(k).every((text, i) => text === after[i])) {
+        if (k === 0 && kept === after.length) return [];
+        return [{ field, trim: k, append: after.slice(kept).map(text => JSON.parse(text)) }];
+      }
+    }
+
+    if (before.length === after.length) {
+      return after
+        .map((text, index) => ({ text, index }))
+        .filter(({ text, index }) => text !== before[index])
+        .map(({ text, index }) => ({ field, index, value: JSON.parse(text) }));
+    }
+
+    if (after.length === 0) {
+      return [{ field, trim: before.length, append: [] }];
+    }
+    return [{ field, value: after.map(text => JSON.parse(text)) }];
+  }
+
+  applyEntry(state, entry) {
+    for (const change of entry.changes || []) {
+      if (change.key !== undefined) {
+        if (!(state[change.field] instanceof Map)) {
+          state[change.field] = new Map();
+        }
+        if (change.deleted) {
+          state[change.field].delete(change.key);
+        } else {
+          state[change.field].set(change.key, change.value);
+        }
+      } else if (change.index !== undefined) {
+        state[change.field][change.index] = change.value;
+      } else if (change.trim !== undefined) {
+        state[change.field] = state[change.field].slice(change.trim).concat(change.append);
+      } else {
+        state[change.field] = change.value;
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      store: this.store ? this.store.describe() : null,
+      seq: this.seq,
+      entriesSinceSnapshot: this.entriesSinceSnapshot,
+      lastSnapshotAt: this.lastSnapshotAt
+    };
+  }
+}
+
+// Singleton instance
+export const persistence = new Persistence(createStore());
@@ -0,0 +1,82 @@
+// Domain event subscribers that keep server-side bookkeeping in step with
+// the village (see server/events.js). WebSocket fan-out lives in index.js,
+// next to the clients it writes to. Each village's GameState has its own
+// bus, so these are wired once per village.
+
+import { DomainEvent, QuestKind, createScratchAction } from './types.js';
+import { describeBundle } from './offers.js';
+
+/**
+ * Record what players do in the scratch ring (short-lived, for the Elder)
+ * and the now ring's recent actions (for the Steward)
+ * @param {Object} state - Game state, with its event bus
+ */
+export function subscribeRings(state) {
+  const { events } = state;
+  const nameOf = playerId => state.getPlayer(playerId)?.name || 'Unknown';
+
+  events.on(DomainEvent.ITEM_GATHERED, ({ playerId, resource, amount }) => {
+    state.addScratchAction(createScratchAction(playerId, 'gather', `Gathered ${amount} ${resource}`));
+    state.addRecentAction({ player: nameOf(playerId), action: 'gather', item: resource, amount });
+  });
+
+  events.on(DomainEvent.DONATION_MADE, ({ playerId, item, quantity }) => {
+    state.addScratchAction(createScratchAction(playerId, 'donate', `Donated ${quantity} ${item}`));
+    state.addRecentAction({ player: nameOf(playerId), action: 'donate', item, amount: quantity });
+  });
+
+  events.on(DomainEvent.TRADE_COMPLETED, ({ offer, fromPlayer, toPlayer, gave, got, via }) => {
+    const text = via === 'match'
+      ? `Trade matched: ${nameOf(fromPlayer)} gave ${describeBundle(gave)} to ${nameOf(toPlayer)} for ${describeBundle(got)}`
+      : `Trade ${offer.id} resolved: ${nameOf(fromPlayer)}→${nameOf(toPlayer)}`;
+    state.addRecentAction({ type: 'system_note', text });
+  });
+
+  events.on(DomainEvent.QUEST_COMPLETED, ({ quest }) => {
+    state.addRecentAction({ action: 'quest_complete', quest: quest.name, kind: quest.kind || QuestKind.MAIN });
+  });
+}
+
+/**
+ * Count events since the Elder last spoke
+ * @param {Object} events - Event bus
+ * @param {Object} cadence - Cadence engine
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeCadence(events, cadence) {
+  return events.on('*', event => cadence.countEvent(event));
+}
+
+/**
+ * Count events toward each NPC's own cadence
+ * @param {Object} events - Event bus
+ * @param {Object} stage - NPC stage (see server/npcs.js)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeNpcs(events, stage) {
+  return events.on('*', event => stage.countEvent(event));
+}
+
+// "playerId=p1 resource=moss amount=3"; objects by id (or name), bundles spelled out
+function describeFields(event) {
+  return Object.entries(event)
+    .filter(([key]) => key !== 'type' && key !== 'at')
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return `${key}=${value.every(entry => entry?.item) ? describeBundle(value) : value.map(entry => entry?.name ?? entry).join(',')}`;
+      }
+      if (value && typeof value === 'object') return `${key}=${value.id ?? value.name ?? '{…}'}`;
+      return `${key}=${value}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Log every event on one line
+ * @param {Object} events - Event bus
+ * @param {Object} log - Logger with info
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLogging(events, log = { info: console.log }) {
+  return events.on('*', event => log.info(`[Events] ${event.type} ${describeFields(event)}`));
+}
@@ -8,6 +8,8 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import { applyPatch } from '../engine/apply_patch.js';
+import { castBallot, countBallots } from '../ballots.js';
+import { EventBus } from '../events.js';
 import { TradeStatus, VoteStatus, QuestStatus, createPlayer, createOffer, createVote, createQuest, createMemoryStone } from '../types.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -32,6 +34,7 @@ function createMockState() {
       topRecentActions: []
     },
     quest: {},
+    events: new EventBus(),
     
     // Methods
     getPlayer: (id) => players.get(id),
@@ -201,7 +204,48 @@ describe('applyPatch', () => {
     assert.match(log.warnings[0], /trade o1 skipped: from player lacks moss/);
   });
 
-  it('should handle vote open - tally matches input, status remains OPEN', () => {
+  it('should resolve bundle offers and reject private offers sent elsewhere', () => {
+    const state = createMockState();
+    const log = createMockLogger();
+    
+    const mira = createPlayer('mira', 'Mira');
+    mira.inventory.moss = 3;
+    mira.inventory.resin = 1;
+    const rowan = createPlayer('rowan', 'Rowan');
+    rowan.inventory.cedar = 4;
+    const sage = createPlayer('sage', 'Sage');
+    sage.inventory.cedar = 2;
+    state.addPlayer(mira);
+    state.addPlayer(rowan);
+    state.addPlayer(sage);
+    
+    const bundle = createOffer('o1', 'mira', [{ item: 'moss', qty: 3 }, { item: 'resin', qty: 1 }], [{ item: 'cedar', qty: 2 }]);
+    const addressed = createOffer('o2', 'mira', [{ item: 'moss', qty: 1 }], [{ item: 'cedar', qty: 1 }], { toPlayer: 'rowan' });
+    state.createOffer(bundle);
+    state.createOffer(addressed);
+    
+    const patch = {
+      trades: {
+        actions: [
+          { type: 'RESOLVE', id: 'o2', from: 'mira', to: 'sage' },
+          { type: 'RESOLVE', id: 'o1', from: 'mira', to: 'rowan' }
+        ]
+      }
+    };
+    
+    const summary = applyPatch(state, patch, { log });
+    
+    assert.strictEqual(summary.tradesResolved, 1);
+    assert.strictEqual(summary.tradesFailed, 1);
+    assert.match(log.warnings[0], /trade o2 skipped: offer is addressed to rowan/);
+    assert.strictEqual(bundle.status, TradeStatus.COMPLETED);
+    assert.strictEqual(addressed.status, TradeStatus.OPEN);
+    assert.deepStrictEqual([mira.inventory.moss, mira.inventory.resin, mira.inventory.cedar], [0, 0, 2]);
+    assert.deepStrictEqual([rowan.inventory.moss, rowan.inventory.resin, rowan.inventory.cedar], [3, 1, 2]);
+    assert.strictEqual(sage.inventory.cedar, 2);
+  });
+
+  it('should handle vote open - ballots untouched, status remains OPEN', () => {
     const state = createMockState();
     const log = createMockLogger();
     
@@ -211,17 +255,42 @@ describe('applyPatch', () => {
     
     applyPatch(state, fixture, { log });
     
-    // Verify tally matches input
-    assert.deepStrictEqual(vote.tally, {
-      'Cedar Plank': 1,
-      'Moss Rope': 1
-    });
+    // The patch tally never rewrites the ballot ledger
+    assert.deepStrictEqual(vote.ballots, {});
+    assert.strictEqual(vote.tally, undefined);
     
     // Verify status remains OPEN
     assert.strictEqual(vote.status, VoteStatus.OPEN);
     assert.strictEqual(vote.canVote, true);
   });
 
+  it('should leave closing a vote to the Tallykeeper', () => {
+    const state = createMockState();
+    const log = createMockLogger();
+    
+    const vote = createVote('v1', 'What material?', ['Cedar Plank', 'Moss Rope'], Date.now() + 60000);
+    castBallot(vote, 'p1', ['Moss Rope']);
+    state.nowRing.activeVote = vote;
+    
+    const summary = applyPatch(state, {
+      ...fixture,
+      vote: {
+        status: 'CLOSED', tally: { 'Cedar Plank': 9 }, winner: 'Cedar Plank', close_reason: 'TIMER',
+        decisionCard: { topic: 'What material?', winner: 'Cedar Plank' }
+      }
+    }, { log });
+    
+    // The caller closes it through the Tallykeeper with this reason
+    assert.strictEqual(summary.voteClose, 'TIMER');
+    assert.strictEqual(vote.status, VoteStatus.OPEN);
+    assert.strictEqual(vote.winner, undefined);
+    assert.strictEqual(vote.decisionCard, undefined);
+    assert.deepStrictEqual(countBallots(vote), { 'Cedar Plank': 0, 'Moss Rope': 1 });
+
+    const mock = applyPatch(state, { ...fixture, vote: { close: true } }, { log });
+    assert.strictEqual(mock.voteClose, 'steward');
+  });
+
   it('should handle resources - quest percent, needs, threshold', () => {
     const state = createMockState();
     const log = createMockLogger();
@@ -9,6 +9,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import { applyPatch } from '../engine/apply_patch.js';
+import { EventBus } from '../events.js';
 import { createPlayer, createVote, createQuest, createMemoryStone } from '../types.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -31,6 +32,7 @@ function createMockState() {
       topRecentActions: []
     },
     quest: {},
+    events: new EventBus(),
     
     // Methods
     getPlayer: (id) => players.get(id),
@@ -7,12 +7,25 @@ export const MessageType = {
   INTENT: 'INTENT',
   ELDER_SAY: 'ELDER_SAY',
   ELDER_DM: 'ELDER_DM',  // Private message from Elder to specific player
+  DM_STATUS: 'DM_STATUS',  // A player's unread Elder DMs, after a read receipt (DM_READ)
+  NPC_SAY: 'NPC_SAY',    // Any other NPC speaks (see server/npcs.js)
   VOTE_STATUS: 'VOTE_STATUS',
   QUEST_STATUS: 'QUEST_STATUS',
   QUEST_COMPLETED: 'QUEST_COMPLETED',
   TRADE_STATUS: 'TRADE_STATUS',
   CHRONICLE_EXPORT: 'CHRONICLE_EXPORT',
-  STATE_UPDATE: 'STATE_UPDATE'
+  STATE_SNAPSHOT: 'STATE_SNAPSHOT',  // Whole client view at a revision (see server/state_diff.js)
+  STATE_DELTA: 'STATE_DELTA',        // Changes from one revision to the next
+  SESSION: 'SESSION',  // Session token + player record after REGISTER/RESUME
+  PRESENCE: 'PRESENCE',  // A player came online, went away or left
+  GATHER_SESSION: 'GATHER_SESSION',  // Signed mini-game session for a gather attempt
+  GATHER_REVEAL: 'GATHER_REVEAL',    // The face of a card flipped with GATHER_FLIP (moss-match)
+  GATHER_RESULT: 'GATHER_RESULT',    // Server-verified mini-game yield
+  VILLAGE: 'VILLAGE',                // The village a socket is now in (after connect or /join)
+  WHISPER: 'WHISPER',                // A private /whisper between two players
+  CHANNEL_CHAT: 'CHANNEL_CHAT',      // A message posted to a named channel, for its members
+  CHANNEL_STATUS: 'CHANNEL_STATUS',  // The channels a player is in
+  MENTION: 'MENTION'                 // Someone @mentioned this player in the village chat
 };
 
 // Intent types
@@ -21,9 +34,20 @@ export const IntentType = {
   GIFT: 'GIFT',
   DONATE: 'DONATE',
   OFFER: 'OFFER',
+  COUNTER: 'COUNTER',
   ACCEPT: 'ACCEPT',
+  CANCEL: 'CANCEL',
+  MARKET: 'MARKET',
+  CRAFT: 'CRAFT',
   VOTE: 'VOTE',
   JOURNAL: 'JOURNAL',
+  PROPOSE: 'PROPOSE',
+  SECOND: 'SECOND',
+  JOIN: 'JOIN',
+  LEAVE: 'LEAVE',
+  WHISPER: 'WHISPER',
+  CHANNEL: 'CHANNEL',
+  HELP: 'HELP',
   CHAT: 'CHAT',
   UNKNOWN: 'UNKNOWN'
 };
@@ -34,7 +58,23 @@ export const Resources = {
   CEDAR: 'cedar',
   RESIN: 'resin',
   SPORES: 'spores',
-  CHARMS: 'charms'
+  CHARMS: 'charms',
+  SEALED_PLANK: 'sealed_plank',
+  GLOW_LANTERN: 'glow_lantern',
+  MOSS_ROPE: 'moss_rope'
+};
+
+// Resources that can be gathered in the wild (charms are only earned)
+export const GatherableResources = ['moss', 'cedar', 'resin', 'spores'];
+
+// Goods made with /craft (recipes in server/crafting_recipes.json)
+export const CraftedItems = ['sealed_plank', 'glow_lantern', 'moss_rope'];
+
+// Player presence
+export const PresenceStatus = {
+  ONLINE: 'online',
+  AWAY: 'away',
+  OFFLINE: 'offline'
 };
 
 // Trade status
@@ -51,10 +91,78 @@ export const VoteStatus = {
   CLOSED: 'CLOSED'
 };
 
+// How a vote ended
+export const VoteOutcome = {
+  DECIDED: 'DECIDED',
+  NO_QUORUM: 'NO_QUORUM',
+  NO_VOTES: 'NO_VOTES',
+  RUNOFF: 'RUNOFF'
+};
+
+// Player-proposed vote status
+export const ProposalStatus = {
+  PENDING: 'PENDING',   // gathering seconds
+  OPENED: 'OPENED',     // became the active vote
+  QUEUED: 'QUEUED',     // waiting behind the active vote
+  EXPIRED: 'EXPIRED'    // not seconded in time
+};
+
+// How ballots are cast and counted
+export const VoteMode = {
+  PLURALITY: 'PLURALITY', // one choice, most votes wins
+  APPROVAL: 'APPROVAL',   // any number of choices, most approvals wins
+  RANKED: 'RANKED'        // choices in order, instant-runoff counting
+};
+
+// What to do when options tie for the most votes
+export const TieBreak = {
+  ELDER: 'ELDER',                    // the Elder picks among the tied options
+  RUNOFF: 'RUNOFF',                  // a runoff vote between the tied options
+  EARLIEST_LEADER: 'EARLIEST_LEADER' // the option that reached the top count first
+};
+
 // Quest status
 export const QuestStatus = {
   ACTIVE: 'ACTIVE',
-  COMPLETED: 'COMPLETED'
+  COMPLETED: 'COMPLETED',
+  EXPIRED: 'EXPIRED'   // side or personal quest that ran out of time
+};
+
+// Where a quest sits on the quest board (see server/quest_board.js)
+export const QuestKind = {
+  MAIN: 'MAIN',          // the village quest, filled from the stockpile
+  SIDE: 'SIDE',          // smaller and time-limited, filled by targeted donations
+  PERSONAL: 'PERSONAL'   // one player's gathering goal
+};
+
+// How a completed quest rewards its contributors (see server/rewards.js)
+export const RewardPolicy = {
+  PROPORTIONAL: 'PROPORTIONAL',   // a pool of charms split by contribution
+  TOP_TITLE: 'TOP_TITLE',         // the top contributor earns a title
+  PARTICIPATION: 'PARTICIPATION'  // one charm for everyone who contributed
+};
+
+// Things that happen in the village, emitted on gameState.events (see
+// server/events.js for the fields each one carries)
+export const DomainEvent = {
+  ITEM_GATHERED: 'ItemGathered',
+  DONATION_MADE: 'DonationMade',
+  OFFER_CREATED: 'OfferCreated',
+  TRADE_COMPLETED: 'TradeCompleted',
+  VOTE_CAST: 'VoteCast',
+  VOTE_CLOSED: 'VoteClosed',
+  QUEST_COMPLETED: 'QuestCompleted',
+  STONE_PROMOTED: 'StonePromoted',
+  PLAYER_WARNED: 'PlayerWarned'
+};
+
+// What players do that counts toward achievements (see server/achievements.js)
+export const AchievementEvent = {
+  GATHER: 'gather',   // a gather that yielded something
+  DONATE: 'donate',   // a donation to the stockpile or a side quest
+  TRADE: 'trade',     // a completed trade or auto-match fill, for both sides
+  VOTE: 'vote',       // a first ballot in a vote
+  STONE: 'stone'      // a journal promoted to a Memory Stone
 };
 
 // Elder Mycel trigger types
@@ -75,18 +183,21 @@ export const AgentType = {
 };
 
 // Entity factories
+
+// An empty count of every item, for player inventories and the stockpile
+export function createInventory() {
+  return Object.fromEntries(Object.values(Resources).map(item => [item, 0]));
+}
+
 export function createPlayer(id, name) {
   return {
     id,
     name,
-    inventory: {
-      moss: 0,
-      cedar: 0,
-      resin: 0,
-      spores: 0,
-      charms: 0
-    },
+    inventory: createInventory(),
     titles: [],
+    achievements: [], // [{ id, title, badge, earnedAt }]
+    stats: {},        // achievement progress, see server/achievements.js
+    presence: PresenceStatus.OFFLINE,
     lastAction: Date.now(),
     messageCount: 0
   };
@@ -102,37 +213,94 @@ export function createMemoryStone(id, title, text, tags = []) {
   };
 }
 
-export function createQuest(id, name, recipe) {
+// details: { templateKey, stage, stageCount, proposal } from server/quest_generator.js
+// and { kind, assignedTo, expiresAt } for the quest board
+export function createQuest(id, name, recipe, details = {}) {
+  const kind = details.kind || QuestKind.MAIN;
   return {
     id,
     name,
     recipe,
     percent: 0,
     status: QuestStatus.ACTIVE,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    kind,
+    templateKey: details.templateKey || null,
+    stage: details.stage || 1,
+    stageCount: details.stageCount || 1,
+    ...(details.proposal ? { proposal: details.proposal } : {}),
+    // Side and personal quests keep their own counts rather than reading the stockpile
+    ...(kind !== QuestKind.MAIN ? {
+      allocated: {},
+      assignedTo: details.assignedTo || null,
+      expiresAt: details.expiresAt || null
+    } : {})
   };
 }
 
-export function createVote(id, topic, options, closesAt) {
+export function createVote(id, topic, options, closesAt, rules = {}) {
   return {
     id,
     topic,
     options,
-    tally: {},
+    mode: rules.mode || VoteMode.PLURALITY,
+    ballots: {}, // playerId -> ballot, see ballots.js
     closesAt,
     status: VoteStatus.OPEN,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    quorumPercent: rules.quorumPercent ?? 0,
+    tieBreak: rules.tieBreak || TieBreak.EARLIEST_LEADER,
+    runoffOf: rules.runoffOf || null
   };
 }
 
-export function createOffer(id, fromPlayer, give, want) {
+// give and want are bundles: [{ item, qty }] (see server/offers.js)
+export function createOffer(id, fromPlayer, give, want, terms = {}) {
   return {
     id,
     fromPlayer,
-    give,
-    want,
+    give: [].concat(give),
+    want: [].concat(want),
+    toPlayer: terms.toPlayer || null,     // null = open to everyone
+    counterTo: terms.counterTo || null,   // offer this one counters
+    autoMatch: Boolean(terms.autoMatch), // opted in to the matching engine
     status: TradeStatus.OPEN,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    expiresAt: terms.expiresAt || null
+  };
+}
+
+export function createProposal(id, proposer, topic, options, expiresAt) {
+  return {
+    id,
+    proposer,
+    topic,
+    options,
+    seconds: [], // playerIds, in the order they seconded
+    status: ProposalStatus.PENDING,
+    createdAt: Date.now(),
+    expiresAt
+  };
+}
+
+export function createCraftJob(id, playerId, recipeId, quantity, startedAt, readyAt) {
+  return {
+    id,
+    playerId,
+    recipeId,
+    quantity,
+    startedAt,
+    readyAt
+  };
+}
+
+export function createChannel(name) {
+  return {
+    name, // '#traders'
+    members: [], // playerIds, in the order they joined
+    createdAt: Date.now(),
+    messageCount: 0,
+    lastMessageAt: null
   };
 }
 
@@ -0,0 +1,238 @@
+/**
+ * Villages
+ *
+ * One server can host several villages (rooms). Each Village owns its own
+ * GameState, agents, cadence counters and persistence; index.js runs the
+ * steward tick and the other loops per village and routes every socket and
+ * /api call to one of them. The default village is built from the module
+ * singletons (gameState, rhizomorphQuartermaster, ...), so code that still
+ * imports those sees the village players land in first.
+ *
+ * Villages are addressed by a short code ("mossglen"). The list of villages
+ * is kept in DATA_DIR/villages.json; the default village saves to DATA_DIR
+ * as before and every other village to DATA_DIR/villages/<code>. Archiving
+ * a village stops it and keeps its save, but it can no longer be joined.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { GameState, gameState } from './state.js';
+import { RhizomorphQuartermaster, rhizomorphQuartermaster } from './agents/quartermaster.js';
+import { LamellaTallykeeper, lamellaTallykeeper } from './agents/tallykeeper.js';
+import { SporocarpBroker, sporocarpBroker } from './agents/broker.js';
+import { SaproprobeWarden, saproprobeWarden } from './agents/warden.js';
+import { LichenArchivist, lichenArchivist } from './agents/archivist.js';
+import { CadenceEngine, cadenceEngine } from './cadence.js';
+import { CraftingService, craftingService } from './crafting/crafting.js';
+import { GatheringService, gatheringService } from './gathering/gathering.js';
+import { SessionManager, sessionManager } from './sessions.js';
+import { AdminTools, adminTools } from './admin.js';
+import { Persistence, createStore, persistence } from './storage/persistence.js';
+import { StateSync } from './state_diff.js';
+import { NpcStage } from './npcs.js';
+
+const CODE_PATTERN = /^[a-z0-9][a-z0-9-]{1,23}$/;
+
+const DEFAULT_VILLAGE = (process.env.DEFAULT_VILLAGE || 'main').toLowerCase();
+const DEFAULT_VILLAGE_NAME = process.env.DEFAULT_VILLAGE_NAME || 'Mushroom Village';
+
+export class Village {
+  /**
+   * @param {string} id - Village code
+   * @param {Object} options - { name, state, services, persistence }; any
+   *   service not given (quartermaster, tallykeeper, broker, warden,
+   *   archivist, cadence, crafting, gathering, sessions, admin, npcs) is created
+   *   for the village's state
+   */
+  constructor(id, {
+    name = id,
+    state = new GameState(),
+    services = {},
+    persistence: store = new Persistence(null),
+    createdAt = Date.now()
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.createdAt = createdAt;
+    this.state = state;
+    this.persistence = store;
+
+    this.quartermaster = services.quartermaster || new RhizomorphQuartermaster(state);
+    this.tallykeeper = services.tallykeeper || new LamellaTallykeeper(state);
+    this.broker = services.broker || new SporocarpBroker(state);
+    this.warden = services.warden || new SaproprobeWarden(state);
+    this.archivist = services.archivist || new LichenArchivist(state);
+    this.cadence = services.cadence || new CadenceEngine(state);
+    this.crafting = services.crafting || new CraftingService({ state });
+    this.gathering = services.gathering || new GatheringService({ state });
+    this.sessions = services.sessions || new SessionManager(state);
+    this.npcs = services.npcs || new NpcStage();
+    this.admin = services.admin || new AdminTools({
+      state,
+      quartermaster: this.quartermaster,
+      tallykeeper: this.tallykeeper,
+      archivist: this.archivist
+    });
+
+    // Bookkeeping for the loops index.js runs for this village
+    this.stateSync = new StateSync();
+    this.messageQueue = [];
+    this.previousStateSnapshot = null;
+    this.lastBoardSignature = '';
+  }
+
+  describe() {
+    return { id: this.id, name: this.name, createdAt: this.createdAt };
+  }
+
+  // Per-village stats for /health
+  getStatus() {
+    return {
+      ...this.describe(),
+      state: this.admin.getStateSummary(),
+      persistence: this.persistence.getStatus()
+    };
+  }
+}
+
+export class VillageRegistry {
+  constructor({ dataDir = process.env.DATA_DIR || './data', storeKind = process.env.PERSISTENCE || 'file' } = {}) {
+    this.dataDir = resolve(dataDir);
+    this.storeKind = storeKind;
+    this.villages = new Map(); // id -> Village
+    this.archived = new Map(); // id -> { id, name, createdAt, archivedAt }
+
+    this.defaultVillage = new Village(DEFAULT_VILLAGE, {
+      name: DEFAULT_VILLAGE_NAME,
+      state: gameState,
+      persistence,
+      services: {
+        quartermaster: rhizomorphQuartermaster,
+        tallykeeper: lamellaTallykeeper,
+        broker: sporocarpBroker,
+        warden: saproprobeWarden,
+        archivist: lichenArchivist,
+        cadence: cadenceEngine,
+        crafting: craftingService,
+        gathering: gatheringService,
+        sessions: sessionManager,
+        admin: adminTools
+      }
+    });
+    this.villages.set(this.defaultVillage.id, this.defaultVillage);
+  }
+
+  getDefault() {
+    return this.defaultVillage;
+  }
+
+  /**
+   * An open village by code
+   * @returns {Village|null}
+   */
+  get(id) {
+    return typeof id === 'string' ? this.villages.get(id.trim().toLowerCase()) || null : null;
+  }
+
+  list() {
+    return Array.from(this.villages.values());
+  }
+
+  findByState(state) {
+    return this.list().find(village => village.state === state) || null;
+  }
+
+  /**
+   * Open a new village
+   * @param {string} id - Code players join it by
+   * @param {string} [name] - Display name
+   * @returns {Object} { success, village } or { success: false, reason }
+   */
+  create(id, name) {
+    const code = typeof id === 'string' ? id.trim().toLowerCase() : '';
+
+    if (!CODE_PATTERN.test(code)) {
+      return { success: false, reason: 'Village codes are 2-24 lowercase letters, numbers or -.' };
+    }
+    if (this.villages.has(code)) {
+      return { success: false, reason: `Village "${code}" already exists.` };
+    }
+    if (this.archived.has(code)) {
+      return { success: false, reason: `Village "${code}" is archived.` };
+    }
+
+    const village = this.open({ id: code, name: name?.trim() || code, createdAt: Date.now() });
+    this.save();
+    return { success: true, village };
+  }
+
+  /**
+   * Close a village: it stops being joinable and its save is kept
+   * @returns {Object} { success, village } or { success: false, reason }
+   */
+  archive(id) {
+    const village = this.get(id);
+
+    if (!village) {
+      return { success: false, reason: `No open village "${id}".` };
+    }
+    if (village === this.defaultVillage) {
+      return { success: false, reason: 'The default village cannot be archived.' };
+    }
+
+    village.persistence.snapshot(village.state);
+    this.villages.delete(village.id);
+    this.archived.set(village.id, { ...village.describe(), archivedAt: Date.now() });
+    this.save();
+    return { success: true, village };
+  }
+
+  // Build a village with its own store under DATA_DIR/villages/<code>
+  open({ id, name, createdAt }) {
+    const store = createStore(this.storeKind, { dir: join(this.dataDir, 'villages', id) });
+    const village = new Village(id, { name, createdAt, persistence: new Persistence(store) });
+    this.villages.set(id, village);
+    return village;
+  }
+
+  /**
+   * Reopen the villages listed in villages.json (their state is restored
+   * by the caller, through each village's persistence)
+   * @returns {Array} Villages opened, not counting the default one
+   */
+  load() {
+    const path = this.indexPath();
+    if (!path || !existsSync(path)) return [];
+
+    const { villages = [], archived = [] } = JSON.parse(readFileSync(path, 'utf-8'));
+    for (const entry of archived) {
+      this.archived.set(entry.id, entry);
+    }
+    return villages
+      .filter(entry => entry.id !== this.defaultVillage.id && !this.villages.has(entry.id))
+      .map(entry => this.open(entry));
+  }
+
+  save() {
+    const path = this.indexPath();
+    if (!path) return;
+
+    try {
+      mkdirSync(this.dataDir, { recursive: true });
+      writeFileSync(path, JSON.stringify({
+        villages: this.list().filter(village => village !== this.defaultVillage).map(village => village.describe()),
+        archived: Array.from(this.archived.values())
+      }, null, 2));
+    } catch (error) {
+      console.error('[Villages] Failed to save the village list:', error);
+    }
+  }
+
+  // Only the file store keeps the list across restarts
+  indexPath() {
+    return this.storeKind.toLowerCase() === 'file' ? join(this.dataDir, 'villages.json') : null;
+  }
+}
+
+// Singleton instance
+export const villages = new VillageRegistry();
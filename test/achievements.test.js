@@ -0,0 +1,75 @@
+// Unit tests for achievements
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { listAchievements, onUnlock, progressToward, recordEvent } from '../server/achievements.js';
+import { GameState, gameState } from '../server/state.js';
+import { lamellaTallykeeper } from '../server/agents/tallykeeper.js';
+import { rhizomorphQuartermaster } from '../server/agents/quartermaster.js';
+import { AchievementEvent, createPlayer, createVote, Resources } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer(state, inventory = {}) {
+  const player = createPlayer(`ach_p${++playerCount}`, `Achiever${playerCount}`);
+  Object.assign(player.inventory, inventory);
+  state.addPlayer(player);
+  return player;
+}
+
+describe('Achievements', () => {
+
+  it('should define every achievement on a known event and item', () => {
+    const events = Object.values(AchievementEvent);
+    for (const achievement of listAchievements()) {
+      assert.ok(events.includes(achievement.event), achievement.id);
+      assert.ok(!achievement.item || Object.values(Resources).includes(achievement.item), achievement.id);
+      assert.ok(achievement.title && achievement.badge, achievement.id);
+    }
+  });
+
+  it('should award a title once, on the event that crosses the threshold', () => {
+    const state = new GameState();
+    const player = addPlayer(state);
+    const unlocks = [];
+    onUnlock(unlock => unlocks.push(unlock));
+
+    assert.deepStrictEqual(recordEvent(state, player.id, AchievementEvent.GATHER, { item: 'moss', amount: 3 }).map(a => a.id), ['first_gather']);
+    assert.deepStrictEqual(recordEvent(state, player.id, AchievementEvent.GATHER, { item: 'moss', amount: 3 }), []);
+
+    assert.deepStrictEqual(player.titles, ['Forager']);
+    assert.strictEqual(player.achievements[0].badge, '🧺');
+    assert.deepStrictEqual(player.stats['gather:moss'], { count: 2, amount: 6 });
+    assert.strictEqual(unlocks.filter(unlock => unlock.player === player).length, 1);
+    assert.deepStrictEqual(state.getNewTitles().map(entry => entry.title), ['Forager']);
+  });
+
+  it('should total amounts for item achievements', () => {
+    const state = new GameState();
+    const player = addPlayer(state);
+    const patron = listAchievements().find(a => a.id === 'moss_patron');
+
+    recordEvent(state, player.id, AchievementEvent.DONATE, { item: 'cedar', amount: 200 });
+    recordEvent(state, player.id, AchievementEvent.DONATE, { item: 'moss', amount: 60 });
+    assert.deepStrictEqual(progressToward(player, patron), { have: 60, needs: 100 });
+
+    const unlocked = recordEvent(state, player.id, AchievementEvent.DONATE, { item: 'moss', amount: 40 });
+    assert.deepStrictEqual(unlocked.map(a => a.id), ['moss_patron']);
+  });
+
+  it('should count donations made through the Quartermaster', () => {
+    const player = addPlayer(gameState, { moss: 120 });
+    rhizomorphQuartermaster.processDonation(player.id, 'moss', 100);
+    assert.ok(player.titles.includes('Moss Patron'));
+  });
+
+  it('should count each vote once, however often the ballot changes', () => {
+    const player = addPlayer(gameState);
+    const vote = createVote('ach_vote', 'Where?', ['Here', 'There'], Date.now() + 60000);
+    gameState.setActiveVote(vote);
+
+    lamellaTallykeeper.castVote(player.id, 'Here');
+    lamellaTallykeeper.castVote(player.id, 'There');
+    lamellaTallykeeper.castVote(player.id, 'Here');
+
+    assert.strictEqual(player.stats.vote.count, 1);
+  });
+});
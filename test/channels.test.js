@@ -0,0 +1,154 @@
+// Unit tests for whispers and named chat channels
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Village } from '../server/villages.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { canonicalizeChannel } from '../server/commands/channels.js';
+import { IntentType, PresenceStatus, createPlayer } from '../server/types.js';
+
+function addPlayer(village, id) {
+  const player = createPlayer(id, id);
+  player.presence = PresenceStatus.ONLINE;
+  village.state.addPlayer(player);
+  return player;
+}
+
+function run(village, playerId, text) {
+  return commandRegistry.execute(commandRegistry.parse(text), { playerId, playerName: playerId, village });
+}
+
+describe('Channels', () => {
+
+  it('should canonicalize channel names', () => {
+    assert.strictEqual(canonicalizeChannel('#Traders'), '#traders');
+    assert.strictEqual(canonicalizeChannel('traders'), null);
+    assert.strictEqual(canonicalizeChannel('#x'), null);
+    assert.strictEqual(canonicalizeChannel('#no spaces'), null);
+  });
+
+  it('should keep membership in state and drop empty channels', () => {
+    const village = new Village('chanstate');
+    const { state } = village;
+
+    state.joinChannel('#traders', 'p1');
+    state.joinChannel('#traders', 'p1');
+    state.joinChannel('#traders', 'p2');
+    assert.deepStrictEqual(state.getChannel('#traders').members, ['p1', 'p2']);
+    assert.deepStrictEqual(state.getPlayerChannels('p2').map(c => c.name), ['#traders']);
+
+    assert.strictEqual(state.leaveChannel('#traders', 'p1'), true);
+    assert.strictEqual(state.leaveChannel('#traders', 'p1'), false);
+    state.leaveChannel('#traders', 'p2');
+    assert.strictEqual(state.getChannel('#traders'), null);
+    assert.ok(state.toSnapshot().channels instanceof Map);
+  });
+
+  it('should tell /join #channel apart from /join <village>', async () => {
+    const village = new Village('chanjoin');
+    addPlayer(village, 'ch_p1');
+
+    const intent = commandRegistry.parse('/join #Traders');
+    assert.deepStrictEqual([intent.type, intent.params], [IntentType.JOIN, { channel: '#traders' }]);
+
+    const result = await run(village, 'ch_p1', '/join #traders');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.join, undefined);
+    assert.deepStrictEqual(result.refresh, ['channels']);
+    assert.strictEqual(result.channel, '#traders');
+    assert.deepStrictEqual(village.state.getChannel('#traders').members, ['ch_p1']);
+  });
+
+  it('should only let members post to a channel', async () => {
+    const village = new Village('chanpost');
+    addPlayer(village, 'ch_p2');
+    addPlayer(village, 'ch_p3');
+    await run(village, 'ch_p2', '/join #traders');
+
+    const outsider = await run(village, 'ch_p3', '/channel #traders hello');
+    assert.match(outsider.reason, /aren't in #traders/);
+
+    const member = await run(village, 'ch_p2', '/channel #traders anyone selling resin?');
+    assert.deepStrictEqual(member.channelPost, { channel: '#traders', text: 'anyone selling resin?' });
+    assert.strictEqual(village.state.getChannelSummaries()[0].messageCount, 1);
+  });
+
+  it('should leave the only channel when none is named', async () => {
+    const village = new Village('chanleave');
+    addPlayer(village, 'ch_p4');
+
+    assert.match((await run(village, 'ch_p4', '/leave')).reason, /aren't in any channels/);
+
+    await run(village, 'ch_p4', '/join #traders');
+    await run(village, 'ch_p4', '/join #garden');
+    assert.match((await run(village, 'ch_p4', '/leave')).reason, /Say which one/);
+
+    assert.strictEqual((await run(village, 'ch_p4', '/leave #garden')).success, true);
+    assert.strictEqual((await run(village, 'ch_p4', '/leave')).reply, 'You left #traders.');
+  });
+
+  it('should summarize channels for the Steward without what was said', async () => {
+    const village = new Village('chansummary');
+    addPlayer(village, 'ch_p5');
+    await run(village, 'ch_p5', '/join #traders');
+    await run(village, 'ch_p5', '/channel #traders secret plans');
+
+    const [summary] = village.state.getChannelSummaries();
+    assert.deepStrictEqual(Object.keys(summary).sort(), ['lastMessageAt', 'members', 'messageCount', 'name']);
+    assert.deepStrictEqual(summary.members, ['ch_p5']);
+  });
+});
+
+describe('Whispers', () => {
+
+  it('should whisper to a connected player by name', async () => {
+    const village = new Village('whisper');
+    addPlayer(village, 'wh_p1');
+    const target = addPlayer(village, 'wh_p2');
+
+    const result = await run(village, 'wh_p1', '/whisper @WH_P2 meet me at the brook');
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.whisper, { to: 'wh_p2', text: 'meet me at the brook' });
+    assert.strictEqual(commandRegistry.get('whisper').quiet, true);
+
+    assert.match((await run(village, 'wh_p1', '/whisper @wh_p1 hi')).reason, /yourself/);
+    assert.match((await run(village, 'wh_p1', '/whisper @nobody hi')).reason, /not found/);
+
+    target.presence = PresenceStatus.OFFLINE;
+    assert.match((await run(village, 'wh_p1', '/whisper @wh_p2 hi')).reason, /isn't here/);
+  });
+});
+
+describe('Warden Channels', () => {
+
+  it('should count channel posts against the player\'s own rate limit too', () => {
+    const village = new Village('chanwarden');
+    const { warden } = village;
+
+    for (let i = 0; i < 20; i++) warden.checkRateLimit('wd_p1', i % 2 ? '#traders' : '#garden');
+    assert.strictEqual(warden.rateLimits.get('wd_p1').count, 20);
+    assert.strictEqual(warden.processSafetyCheck('wd_p1', { text: 'hi', channel: '#lobby' }).allowed, false);
+    assert.strictEqual(warden.processSafetyCheck('wd_p1', { text: '/whisper @wd_p2 hi' }).allowed, false);
+    assert.strictEqual(warden.processSafetyCheck('wd_p2', { text: 'hi', channel: '#traders' }).allowed, true);
+  });
+
+  it('should hold a channel to its own lower limit', () => {
+    const village = new Village('chanlimit');
+    const { warden } = village;
+
+    for (let i = 0; i < warden.channelSoftLimit; i++) {
+      assert.deepStrictEqual(warden.checkRateLimit('wd_p3', '#traders'), { allowed: true });
+    }
+    assert.strictEqual(warden.checkRateLimit('wd_p3', '#traders').severity, 'soft');
+    while (warden.channelRateLimits.get('#traders').get('wd_p3').count < warden.channelHardLimit) {
+      warden.checkRateLimit('wd_p3', '#traders');
+    }
+
+    // #traders is full, though the player's own budget is not
+    const blocked = warden.processSafetyCheck('wd_p3', { text: 'hi', channel: '#traders' });
+    assert.strictEqual(blocked.allowed, false);
+    assert.match(blocked.reason, /#traders/);
+    assert.ok(warden.rateLimits.get('wd_p3').count <= 20);
+    assert.strictEqual(warden.processSafetyCheck('wd_p3', { text: 'hi' }).allowed, true);
+    assert.strictEqual(warden.processSafetyCheck('wd_p3', { text: 'hi', channel: '#garden' }).allowed, true);
+  });
+});
@@ -0,0 +1,122 @@
+// Unit tests for chat message ids, replies, mentions and history paging
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GameState } from '../server/state.js';
+import { parseHistoryQuery, queryChatHistory } from '../server/chat_history.js';
+import { createStateSnapshot, detectStateChanges } from '../server/state_diff.js';
+import { createPlayer } from '../server/types.js';
+
+function stateWith(...names) {
+  const state = new GameState();
+  for (const name of names) {
+    state.addPlayer(createPlayer(`id_${name}`, name));
+  }
+  return state;
+}
+
+describe('Chat History', () => {
+
+  it('should give every chat line a stable id', () => {
+    const state = stateWith();
+    const first = state.addChatMessage({ type: 'USER', user: 'Ash', text: 'hello' }, 1_000);
+    const second = state.addChatMessage({ type: 'ELDER_SAY', user: 'Elder Mycel', text: 'Welcome.', replyTo: first.id }, 2_000);
+
+    assert.match(first.id, /^msg_1000_/);
+    assert.notStrictEqual(first.id, second.id);
+    assert.strictEqual(first.replyTo, null);
+    assert.strictEqual(state.getChatMessage(second.id).replyTo, first.id);
+    assert.strictEqual(state.getChatMessage('msg_missing'), null);
+    assert.strictEqual(state.toSnapshot().messages.length, 2);
+  });
+
+  it('should keep only the newest lines', () => {
+    const state = stateWith();
+    for (let i = 0; i < 510; i++) {
+      state.addChatMessage({ type: 'USER', user: 'Ash', text: `line ${i}` });
+    }
+    assert.strictEqual(state.messages.length, 500);
+    assert.strictEqual(state.messages[0].text, 'line 10');
+  });
+
+  it('should still notice new chat once the history is full', () => {
+    const state = stateWith();
+    for (let i = 0; i < 500; i++) {
+      state.addChatMessage({ type: 'USER', user: 'Ash', text: `line ${i}` });
+    }
+    const before = createStateSnapshot(state);
+    state.addChatMessage({ type: 'USER', user: 'Ash', text: 'one more' });
+
+    const changes = detectStateChanges(before, createStateSnapshot(state));
+    assert.strictEqual(changes.newMessages, 1);
+    assert.strictEqual(changes.hasSignificantChanges, true);
+  });
+});
+
+describe('Chat Mentions', () => {
+
+  it('should find each mentioned player once, never the sender', () => {
+    const state = stateWith('Ash', 'Bo-Rin', 'Cy');
+
+    const mentioned = state.findMentions('@bo-rin @ASH and @bo-rin, meet @nobody', 'id_Ash');
+    assert.deepStrictEqual(mentioned.map(p => p.id), ['id_Bo-Rin']);
+    assert.deepStrictEqual(state.findMentions('no mentions here'), []);
+  });
+});
+
+describe('Chat History Paging', () => {
+  const state = stateWith();
+  for (let i = 0; i < 25; i++) {
+    state.addChatMessage({ type: 'USER', user: i % 2 ? 'Ash' : 'Bo', playerId: i % 2 ? 'id_Ash' : 'id_Bo', text: `line ${i}` }, 1_000 + i);
+  }
+  state.addChatMessage({ type: 'ELDER_SAY', user: 'Elder Mycel', text: 'Winter comes for the moss beds.' }, 2_000);
+
+  it('should page back by cursor, oldest first within a page', () => {
+    const first = queryChatHistory(state.messages, { limit: 10 });
+    assert.strictEqual(first.messages.length, 10);
+    assert.strictEqual(first.messages[9].type, 'ELDER_SAY');
+    assert.strictEqual(first.hasMore, true);
+    assert.strictEqual(first.nextBefore, first.messages[0].id);
+
+    const second = queryChatHistory(state.messages, { limit: 10, before: first.nextBefore });
+    assert.deepStrictEqual([second.messages[0].text, second.messages[9].text], ['line 6', 'line 15']);
+
+    const last = queryChatHistory(state.messages, { limit: 10, before: second.nextBefore });
+    assert.deepStrictEqual([last.messages.length, last.hasMore, last.nextBefore], [6, false, null]);
+
+    assert.match(queryChatHistory(state.messages, { before: 'msg_gone' }).reason, /Unknown message/);
+  });
+
+  it('should filter by player, type, date range and search terms', () => {
+    const byPlayer = queryChatHistory(state.messages, { player: 'ASH', limit: 100 });
+    assert.strictEqual(byPlayer.messages.length, 12);
+    assert.strictEqual(queryChatHistory(state.messages, { player: 'id_Bo', limit: 100 }).messages.length, 13);
+
+    const elder = queryChatHistory(state.messages, { type: ['ELDER_SAY'] });
+    assert.deepStrictEqual(elder.messages.map(m => m.user), ['Elder Mycel']);
+
+    const range = queryChatHistory(state.messages, { since: 1_010, until: 1_012 });
+    assert.deepStrictEqual(range.messages.map(m => m.text), ['line 10', 'line 11', 'line 12']);
+
+    const search = queryChatHistory(state.messages, { q: 'MOSS winter' });
+    assert.deepStrictEqual(search.messages.map(m => m.type), ['ELDER_SAY']);
+    assert.strictEqual(queryChatHistory(state.messages, { q: 'ash 1' }).messages.length, 7);
+  });
+
+  it('should parse feed query parameters', () => {
+    const { query } = parseHistoryQuery(new URLSearchParams('type=user,elder_say&since=2026-10-19&limit=500&q=moss'));
+    assert.deepStrictEqual(query.type, ['USER', 'ELDER_SAY']);
+    assert.strictEqual(query.since, Date.parse('2026-10-19'));
+    assert.strictEqual(query.limit, 100);
+    assert.strictEqual(query.q, 'moss');
+
+    assert.strictEqual(parseHistoryQuery(new URLSearchParams('until=1700000000000')).query.until, 1_700_000_000_000);
+    assert.match(parseHistoryQuery(new URLSearchParams('until=someday')).reason, /Invalid until/);
+  });
+
+  it('should give ids to lines saved before messages had them', () => {
+    const restored = stateWith();
+    restored.restoreSnapshot({ messages: [{ type: 'USER', user: 'Ash', text: 'old', at: 5 }] });
+    assert.strictEqual(restored.messages[0].id, 'msg_5_legacy0');
+    assert.strictEqual(queryChatHistory(restored.messages, { before: 'msg_5_legacy0' }).messages.length, 0);
+  });
+});
@@ -0,0 +1,55 @@
+// Unit tests for the shared command registry
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { IntentType, createPlayer } from '../server/types.js';
+
+describe('Command Registry', () => {
+
+  it('should canonicalize plural item names', () => {
+    const intent = commandRegistry.parse('/gather Cedars x4');
+    assert.strictEqual(intent.type, IntentType.GATHER);
+    assert.strictEqual(intent.params.item, 'cedar');
+    assert.strictEqual(intent.params.quantity, 4);
+  });
+
+  it('should report usage for a malformed known command', () => {
+    const intent = commandRegistry.parse('/donate moss');
+    assert.strictEqual(intent.type, IntentType.UNKNOWN);
+    assert.strictEqual(intent.params.error, 'Usage: /donate <item> xN [to <questId>]');
+  });
+
+  it('should report unknown slash commands', () => {
+    const intent = commandRegistry.parse('/dance');
+    assert.strictEqual(intent.type, IntentType.UNKNOWN);
+    assert.ok(intent.params.error.includes('/help'));
+  });
+
+  it('should not allow gathering charms', () => {
+    assert.strictEqual(commandRegistry.parse('/gather charms').type, IntentType.UNKNOWN);
+  });
+
+  it('should list every command in /help', async () => {
+    const result = await commandRegistry.execute(commandRegistry.parse('/help'), {});
+    for (const command of commandRegistry.list()) {
+      assert.ok(result.reply.includes(command.usage));
+    }
+  });
+
+  it('should donate through the quartermaster', async () => {
+    const player = createPlayer('cmd_p1', 'Cmd');
+    player.inventory.moss = 3;
+    gameState.addPlayer(player);
+    const before = gameState.stockpile.moss;
+
+    const result = await commandRegistry.execute(commandRegistry.parse('/donate moss x2'), {
+      playerId: 'cmd_p1',
+      playerName: 'Cmd'
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(gameState.getPlayer('cmd_p1').inventory.moss, 1);
+    assert.strictEqual(gameState.stockpile.moss, before + 2);
+  });
+});
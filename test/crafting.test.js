@@ -0,0 +1,116 @@
+// Unit tests for crafting
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CraftingService } from '../server/crafting/crafting.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { createPlayer, createInventory } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer(inventory = {}) {
+  const player = createPlayer(`craft_p${++playerCount}`, `Crafter${playerCount}`);
+  Object.assign(player.inventory, inventory);
+  gameState.addPlayer(player);
+  return player;
+}
+
+describe('Crafting', () => {
+  let crafting;
+
+  beforeEach(() => {
+    gameState.craftingJobs = [];
+    crafting = new CraftingService();
+  });
+
+  it('should load recipes from the data file', () => {
+    const plank = crafting.getRecipe('sealed_plank');
+    assert.deepStrictEqual(plank.inputs, [{ item: 'cedar', qty: 2 }, { item: 'resin', qty: 1 }]);
+    assert.strictEqual(crafting.getRecipe('Glow Lanterns').id, 'glow_lantern');
+    assert.strictEqual(crafting.getRecipe('teapot'), null);
+  });
+
+  it('should take the inputs at once and deliver the goods when ready', () => {
+    const player = addPlayer({ cedar: 5, resin: 2 });
+    const result = crafting.startCraft(player.id, 'sealed_plank', 2, 1000);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(player.inventory.cedar, 1);
+    assert.strictEqual(player.inventory.resin, 0);
+    assert.strictEqual(result.job.readyAt, 1000 + 2 * 20 * 1000);
+
+    assert.deepStrictEqual(crafting.completeReady(result.job.readyAt - 1), []);
+    assert.strictEqual(player.inventory.sealed_plank, 0);
+
+    const done = crafting.completeReady(result.job.readyAt);
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].amount, 2);
+    assert.strictEqual(player.inventory.sealed_plank, 2);
+    assert.deepStrictEqual(crafting.getJobs(player.id), []);
+  });
+
+  it('should refuse a craft the player cannot pay for', () => {
+    const player = addPlayer({ moss: 1, spores: 1 });
+    const result = crafting.startCraft(player.id, 'glow_lantern');
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /You have 1 moss/);
+    assert.strictEqual(player.inventory.moss, 1);
+    assert.strictEqual(gameState.craftingJobs.length, 0);
+  });
+
+  it('should queue a player\'s crafts one after another up to the limit', () => {
+    const player = addPlayer({ moss: 20, resin: 5 });
+    const first = crafting.startCraft(player.id, 'moss_rope', 1, 0);
+    const second = crafting.startCraft(player.id, 'moss_rope', 1, 0);
+
+    assert.strictEqual(second.job.startedAt, first.job.readyAt);
+    assert.strictEqual(second.job.readyAt, first.job.readyAt + 15 * 1000);
+
+    crafting.startCraft(player.id, 'moss_rope', 1, 0);
+    const fourth = crafting.startCraft(player.id, 'moss_rope', 1, 0);
+    assert.strictEqual(fourth.success, false);
+    assert.match(fourth.reason, /3 crafts under way/);
+  });
+
+  it('should run crafts from the /craft command', async () => {
+    const player = addPlayer({ cedar: 2, resin: 1 });
+    const ctx = { playerId: player.id, playerName: player.name };
+
+    const result = await commandRegistry.execute(commandRegistry.parse('/craft sealed plank'), ctx);
+    assert.strictEqual(result.success, true);
+    assert.match(result.reply, /1 Sealed Plank/);
+    assert.strictEqual(result.inventory.cedar, 0);
+
+    const list = await commandRegistry.execute(commandRegistry.parse('/craft'), ctx);
+    assert.match(list.reply, /glow_lantern: 2 moss \+ 1 spores/);
+    assert.match(list.reply, /Crafting now:\n1 Sealed Plank/);
+
+    const unknown = commandRegistry.parse('/craft teapot');
+    assert.strictEqual(unknown.params.error, 'Usage: /craft [recipe] [xN]');
+  });
+
+  it('should let crafted goods be donated toward quests', async () => {
+    const player = addPlayer({ sealed_plank: 2 });
+    const before = gameState.stockpile.sealed_plank;
+
+    const result = await commandRegistry.execute(
+      commandRegistry.parse('/donate sealed_plank x2'),
+      { playerId: player.id, playerName: player.name }
+    );
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(gameState.stockpile.sealed_plank, before + 2);
+  });
+
+  it('should backfill new items into inventories restored from old saves', () => {
+    const player = createPlayer('old_save', 'Oldtimer');
+    player.inventory = { moss: 3, cedar: 0, resin: 0, spores: 0, charms: 0 };
+    gameState.addPlayer(player);
+    gameState.stockpile = { moss: 1, cedar: 0, resin: 0, spores: 0, charms: 0 };
+
+    gameState.backfillInventories();
+
+    assert.deepStrictEqual(gameState.getPlayer('old_save').inventory, { ...createInventory(), moss: 3 });
+    assert.strictEqual(gameState.stockpile.glow_lantern, 0);
+    assert.strictEqual(gameState.stockpile.moss, 1);
+  });
+});
@@ -0,0 +1,88 @@
+// Unit tests for the domain event bus and its subscribers
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EventBus } from '../server/events.js';
+import { subscribeCadence, subscribeLogging } from '../server/subscribers.js';
+import { GameState, gameState } from '../server/state.js';
+import { sporocarpBroker } from '../server/agents/broker.js';
+import { rhizomorphQuartermaster } from '../server/agents/quartermaster.js';
+import { createPlayer, DomainEvent } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer(state, inventory = {}) {
+  const player = createPlayer(`ev_p${++playerCount}`, `Eventer${playerCount}`);
+  Object.assign(player.inventory, inventory);
+  state.addPlayer(player);
+  return player;
+}
+
+describe('Event Bus', () => {
+
+  it('should refuse unknown events and payloads missing a field', () => {
+    const bus = new EventBus();
+    assert.throws(() => bus.emit('SomethingHappened', {}), /Unknown event type/);
+    assert.throws(() => bus.on('SomethingHappened', () => {}), /Unknown event type/);
+    assert.throws(() => bus.emit(DomainEvent.ITEM_GATHERED, { playerId: 'p1', resource: 'moss' }), /missing amount/);
+  });
+
+  it('should deliver to typed and catch-all handlers, and survive a failing one', () => {
+    const bus = new EventBus();
+    const seen = [];
+    bus.on(DomainEvent.PLAYER_WARNED, () => { throw new Error('boom'); });
+    bus.on(DomainEvent.PLAYER_WARNED, event => seen.push(`typed:${event.count}`));
+    const off = bus.on('*', event => seen.push(`any:${event.type}`));
+
+    const event = bus.emit(DomainEvent.PLAYER_WARNED, { playerId: 'p1', reason: 'spam', count: 2 });
+    off();
+    bus.emit(DomainEvent.PLAYER_WARNED, { playerId: 'p1', reason: 'spam', count: 3 });
+
+    assert.strictEqual(event.type, DomainEvent.PLAYER_WARNED);
+    assert.ok(event.at > 0);
+    assert.deepStrictEqual(seen, ['typed:2', 'any:PlayerWarned', 'typed:3']);
+  });
+
+  it('should keep the rings in step with gathering and donations', () => {
+    const state = new GameState();
+    const player = addPlayer(state);
+
+    state.events.emit(DomainEvent.ITEM_GATHERED, { playerId: player.id, resource: 'moss', amount: 3 });
+    state.events.emit(DomainEvent.DONATION_MADE, { playerId: player.id, item: 'moss', quantity: 2, questId: null });
+
+    assert.deepStrictEqual(state.getScratchActions().map(action => action.text), ['Gathered 3 moss', 'Donated 2 moss']);
+    assert.deepStrictEqual(state.nowRing.topRecentActions[0], { player: player.name, action: 'donate', item: 'moss', amount: 2 });
+  });
+
+  it('should emit as agents change the village', () => {
+    const mira = addPlayer(gameState, { moss: 10 });
+    const rowan = addPlayer(gameState, { cedar: 10 });
+    const seen = [];
+    const off = gameState.events.on('*', event => seen.push(event));
+
+    const { offer } = sporocarpBroker.createOffer(mira.id, [{ item: 'moss', qty: 3 }], [{ item: 'cedar', qty: 2 }]);
+    sporocarpBroker.acceptOffer(offer.id, rowan.id);
+    rhizomorphQuartermaster.processDonation(rowan.id, 'moss', 1);
+    off();
+
+    assert.deepStrictEqual(seen.map(event => event.type), [
+      DomainEvent.OFFER_CREATED, DomainEvent.TRADE_COMPLETED, DomainEvent.DONATION_MADE
+    ]);
+    const trade = seen[1];
+    assert.strictEqual(trade.fromPlayer, mira.id);
+    assert.strictEqual(trade.toPlayer, rowan.id);
+    assert.deepStrictEqual(trade.gave, [{ item: 'moss', qty: 3 }]);
+    assert.strictEqual(trade.via, 'accept');
+  });
+
+  it('should count events for cadence and log them', () => {
+    const bus = new EventBus();
+    const cadence = { counts: {}, countEvent(event) { this.counts[event.type] = (this.counts[event.type] || 0) + 1; } };
+    const lines = [];
+    subscribeCadence(bus, cadence);
+    subscribeLogging(bus, { info: line => lines.push(line) });
+
+    bus.emit(DomainEvent.VOTE_CAST, { playerId: 'p1', vote: { id: 'v1' }, choices: ['Here'], previous: null });
+
+    assert.deepStrictEqual(cadence.counts, { VoteCast: 1 });
+    assert.deepStrictEqual(lines, ['[Events] VoteCast playerId=p1 vote=v1 choices=Here previous=null']);
+  });
+});
@@ -0,0 +1,186 @@
+// Unit tests for server-authoritative gathering
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GatheringService } from '../server/gathering/gathering.js';
+import { MiniGames, createRng } from '../server/gathering/minigames.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { createPlayer } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer() {
+  const player = createPlayer(`gather_p${++playerCount}`, `Gatherer${playerCount}`);
+  gameState.addPlayer(player);
+  return player;
+}
+
+// Flip every pair in order, respecting the match delay
+function perfectMossMoves(cards) {
+  const moves = [];
+  let t = 0;
+  for (let pair = 0; pair < 6; pair++) {
+    const [a, b] = cards.flatMap((c, i) => (c === pair ? [i] : []));
+    moves.push({ t, index: a }, { t, index: b });
+    t += 500;
+  }
+  return moves;
+}
+
+describe('Mini-game replay', () => {
+
+  it('should deal the same layout for the same seed', () => {
+    const a = MiniGames.spores.createLayout(createRng(42));
+    const b = MiniGames.spores.createLayout(createRng(42));
+    assert.deepStrictEqual(a, b);
+  });
+
+  it('should score a perfect moss round at two moss per match', () => {
+    const layout = MiniGames.moss.createLayout(createRng(7));
+    const result = MiniGames.moss.replay(layout, perfectMossMoves(layout.cards));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.amount, 12);
+  });
+
+  it('should reject moss flips made while cards are still showing', () => {
+    const layout = MiniGames.moss.createLayout(createRng(7));
+    const moves = perfectMossMoves(layout.cards).map(m => ({ ...m, t: 0 }));
+    assert.strictEqual(MiniGames.moss.replay(layout, moves).success, false);
+  });
+
+  it('should only count cedar chops that land in the zone', () => {
+    const layout = MiniGames.cedar.createLayout(createRng(3));
+    // Indicator starts at 0 moving right at 0.3/s; target 0.5 is reached at ~1667ms
+    const hit = MiniGames.cedar.replay(layout, [{ t: 1667 }]);
+    const miss = MiniGames.cedar.replay(layout, [{ t: 100 }]);
+    assert.strictEqual(hit.score, 1);
+    assert.strictEqual(miss.score, 0);
+  });
+
+  it('should reject spores clicked before they appeared', () => {
+    const layout = MiniGames.spores.createLayout(createRng(9));
+    const spore = layout.spores[3];
+    const result = MiniGames.spores.replay(layout, [{ t: spore.at - 1, id: spore.id }]);
+    assert.strictEqual(result.success, false);
+  });
+
+  it('should only count resin drops that landed before the round was submitted', () => {
+    const layout = MiniGames.resin.createLayout(createRng(5));
+    const follow = layout.drops
+      .map(d => ({ t: d.at + d.fallMs, x: d.x }))
+      .sort((a, b) => a.t - b.t);
+    const first = layout.drops.find(d => d.at + d.fallMs === follow[0].t);
+
+    assert.strictEqual(MiniGames.resin.replay(layout, [], 20000).amount, 0);
+    assert.strictEqual(MiniGames.resin.replay(layout, [{ t: 0, x: first.x }], 0).amount, 0);
+    assert.ok(MiniGames.resin.replay(layout, follow, first.at + first.fallMs).score >= 1);
+    assert.ok(MiniGames.resin.replay(layout, follow, 20000).score > MiniGames.resin.replay(layout, follow, 8000).score);
+  });
+});
+
+describe('Gathering Service', () => {
+
+  it('should credit a verified mini-game and start the cooldown', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+
+    const started = service.startSession(player.id, 'moss');
+    assert.strictEqual(started.success, true);
+    const { session, signature } = started;
+
+    // Pretend the round took long enough for the flips
+    service.sessions.get(session.id).startedAt -= 10000;
+    const { cards } = MiniGames.moss.createLayout(createRng(session.seed));
+    for (const move of perfectMossMoves(cards)) {
+      assert.strictEqual(service.flip(player.id, { session, signature, ...move }).face, cards[move.index]);
+    }
+
+    // The server replays the flips it saw, not the submitted log
+    const result = service.submit(player.id, { session, signature, moves: [] });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.amount, 12);
+    assert.strictEqual(gameState.getPlayer(player.id).inventory.moss, 12);
+    assert.ok(gameState.getGatherCooldown(player.id, 'moss') > 0);
+    assert.strictEqual(service.startSession(player.id, 'moss').success, false);
+  });
+
+  it('should reject a tampered session', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+    const started = service.startSession(player.id, 'spores');
+
+    const result = service.submit(player.id, {
+      session: { ...started.session, seed: started.session.seed + 1 },
+      signature: started.signature,
+      moves: []
+    });
+    assert.strictEqual(result.success, false);
+  });
+
+  it('should not accept the same session twice', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+    const started = service.startSession(player.id, 'resin');
+    const submission = { session: started.session, signature: started.signature, moves: [] };
+
+    assert.strictEqual(service.submit(player.id, submission).success, true);
+    assert.strictEqual(service.submit(player.id, submission).success, false);
+  });
+
+  it('should not credit a resin round submitted before any drop landed', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+    const started = service.startSession(player.id, 'resin');
+
+    const result = service.submit(player.id, {
+      session: started.session,
+      signature: started.signature,
+      moves: [{ t: 0, x: 0.5 }]
+    });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.amount, 0);
+    assert.strictEqual(gameState.getPlayer(player.id).inventory.resin, 0);
+  });
+
+  it('should reject moves timed after the session could have ended', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+    const started = service.startSession(player.id, 'moss');
+
+    const result = service.flip(player.id, {
+      session: started.session,
+      signature: started.signature,
+      t: 25000,
+      index: 0
+    });
+    assert.strictEqual(result.success, false);
+  });
+
+  it('should deal moss cards face down and reveal them one flip at a time', () => {
+    const service = new GatheringService({ secret: 'test' });
+    const player = addPlayer();
+    const started = service.startSession(player.id, 'moss');
+    const { session, signature } = started;
+    assert.deepStrictEqual(started.layout, { cards: 12 });
+
+    const { cards } = MiniGames.moss.createLayout(createRng(session.seed));
+    const first = service.flip(player.id, { session, signature, t: 0, index: 0 });
+    assert.deepStrictEqual(first, { success: true, index: 0, face: cards[0] });
+
+    // The same card twice, someone else's session, and a game without cards
+    assert.strictEqual(service.flip(player.id, { session, signature, t: 0, index: 0 }).success, false);
+    assert.strictEqual(service.flip('someone_else', { session, signature, t: 0, index: 1 }).success, false);
+    const spores = service.startSession(player.id, 'spores');
+    assert.match(service.flip(player.id, { ...spores, t: 0, index: 0 }).reason, /no cards to flip/);
+  });
+
+  it('should refuse typed gather quantities', async () => {
+    const player = addPlayer();
+    const result = await commandRegistry.execute(commandRegistry.parse('/gather moss x999'), {
+      playerId: player.id,
+      playerName: player.name
+    });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(gameState.getPlayer(player.id).inventory.moss, 0);
+  });
+});
@@ -50,10 +50,8 @@ describe('Intent Parser', () => {
   it('should parse trade offer command', () => {
     const intent = parseIntent('/offer give moss x3 for cedar x1');
     assert.strictEqual(intent.type, IntentType.OFFER);
-    assert.strictEqual(intent.params.give.item, 'moss');
-    assert.strictEqual(intent.params.give.qty, 3);
-    assert.strictEqual(intent.params.want.item, 'cedar');
-    assert.strictEqual(intent.params.want.qty, 1);
+    assert.deepStrictEqual(intent.params.give, [{ item: 'moss', qty: 3 }]);
+    assert.deepStrictEqual(intent.params.want, [{ item: 'cedar', qty: 1 }]);
   });
 
   it('should default to chat for unknown input', () => {
@@ -228,6 +228,32 @@ describe('MycelialSteward - Test Vectors', () => {
     assert.strictEqual(patch.safety.warnings[0].playerId, 'p1');
     assert.strictEqual(patch.safety.warnings[0].reason, 'rapid_messages');
   });
+
+  it('should answer one player\'s personal question by DM', async () => {
+    const payload = createStarterPayload();
+    payload.batchedMessages = [{ user: 'Alice', text: 'Elder, what should I gather next?', timestamp: Date.now() }];
+
+    const patch = await mycelialSteward.sendTick(payload);
+    assert.strictEqual(patch.elder_instructions.mode, 'dm');
+    assert.strictEqual(patch.elder_instructions.target_user_id, 'Alice');
+
+    payload.batchedMessages.push({ user: 'Bob', text: 'Elder, is winter close?', timestamp: Date.now() });
+    const shared = await mycelialSteward.sendTick(payload);
+    assert.strictEqual(shared.elder_instructions.mode, 'broadcast');
+    assert.strictEqual(shared.elder_instructions.target_user_id, null);
+  });
+
+  it('should point the Elder at the exact messages it answers', async () => {
+    const payload = createStarterPayload();
+    payload.batchedMessages = [
+      { id: 'msg_1', user: 'Alice', text: 'Lovely morning', timestamp: Date.now() },
+      { id: 'msg_2', user: 'Bob', text: 'Elder, is winter close?', timestamp: Date.now() }
+    ];
+
+    const patch = await mycelialSteward.sendTick(payload);
+    assert.deepStrictEqual(patch.elder_instructions.reply_to_messages, ['msg_2']);
+    assert.deepStrictEqual(patch.elder_instructions.referenced_messages, ['Bob']);
+  });
 });
 
 describe('MycelialSteward - Validation & Normalization', () => {
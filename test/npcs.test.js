@@ -0,0 +1,117 @@
+// Unit tests for NPCs taking turns to speak
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { NpcStage, buildNpcPrompt } from '../server/npcs.js';
+import { findNPC, getNPCConfig } from '../server/adapters/npc_registry.js';
+import { EventBus } from '../server/events.js';
+import { subscribeNpcs } from '../server/subscribers.js';
+import { DomainEvent } from '../server/types.js';
+
+const elder = { ...getNPCConfig('elder_mycel'), id: 'elder_mycel', provider: 'mock' };
+const trader = {
+  id: 'trader', name: 'Trader', avatar: '🤝', provider: 'mock', domain: 'Trading Post', aliases: [],
+  cadence: { events: [DomainEvent.OFFER_CREATED], after: 2, cooldownSeconds: 60 },
+  lines: ['Swap!']
+};
+const gardener = {
+  id: 'gardener', name: 'Gardener', avatar: '🌿', provider: 'mock', domain: 'Moss Garden', aliases: [],
+  cadence: { events: [DomainEvent.ITEM_GATHERED], after: 1, cooldownSeconds: 60 },
+  lines: ['Grow!']
+};
+
+const offer = { type: DomainEvent.OFFER_CREATED };
+const gather = { type: DomainEvent.ITEM_GATHERED };
+
+describe('NPC Registry', () => {
+
+  it('should find NPCs by id, name or alias', () => {
+    assert.strictEqual(findNPC('elder').id, 'elder_mycel');
+    assert.strictEqual(findNPC('Elder Mycel').id, 'elder_mycel');
+    assert.strictEqual(findNPC('TRADER').domain, 'Trading Post');
+    assert.strictEqual(findNPC('nobody'), null);
+  });
+});
+
+describe('NPC Stage', () => {
+
+  it('should speak once enough domain events have happened', async () => {
+    const stage = new NpcStage([elder, trader]);
+    stage.countEvent(offer);
+    assert.strictEqual(stage.nextTurn(null, 1_000_000), null);
+
+    stage.countEvent(offer);
+    const turn = await stage.takeTurn(null, {}, 1_000_000);
+    assert.deepStrictEqual([turn.npc.id, turn.text], ['trader', 'Swap!']);
+    assert.strictEqual(stage.eventsSince('trader'), 0);
+  });
+
+  it('should hold an NPC back until its cooldown passes', async () => {
+    const stage = new NpcStage([trader]);
+    stage.countEvent(offer);
+    stage.countEvent(offer);
+    await stage.takeTurn(null, {}, 1_000_000);
+
+    stage.countEvent(offer);
+    stage.countEvent(offer);
+    assert.strictEqual(stage.nextTurn(null, 1_030_000), null);
+    assert.strictEqual(stage.nextTurn(null, 1_060_000).npc.id, 'trader');
+  });
+
+  it('should let one NPC speak per tick, the Steward\'s pick first', async () => {
+    const stage = new NpcStage([elder, trader, gardener]);
+    stage.countEvent(offer);
+    stage.countEvent(offer);
+    stage.countEvent(gather);
+
+    const first = await stage.takeTurn({ npc: 'elder', text: 'Hello, village.' }, {}, 1_000_000);
+    assert.deepStrictEqual([first.npc.id, first.text], ['elder_mycel', 'Hello, village.']);
+
+    // Both are due; they go one tick at a time
+    const second = await stage.takeTurn(null, {}, 1_010_000);
+    const third = await stage.takeTurn(null, {}, 1_020_000);
+    assert.deepStrictEqual([second.npc.id, third.npc.id].sort(), ['gardener', 'trader']);
+    assert.strictEqual(await stage.takeTurn(null, {}, 1_030_000), null);
+  });
+
+  it('should give the turn to whoever has waited longest', async () => {
+    const stage = new NpcStage([trader, gardener]);
+    stage.lastSpoke.set('trader', 1_000);
+    stage.lastSpoke.set('gardener', 500);
+    stage.countEvent(offer);
+    stage.countEvent(offer);
+    stage.countEvent(gather);
+
+    assert.strictEqual(stage.nextTurn(null, 1_000_000).npc.id, 'gardener');
+  });
+
+  it('should leave Letta NPCs to the Steward', () => {
+    const stage = new NpcStage([{ ...trader, provider: 'letta' }]);
+    stage.countEvent(offer);
+    stage.countEvent(offer);
+    assert.deepStrictEqual(stage.dueNpcs(1_000_000), []);
+  });
+
+  it('should fall back to the Elder when the Steward names nobody known', () => {
+    const stage = new NpcStage([elder]);
+    assert.strictEqual(stage.nextTurn({ npc: 'Mysterious Voice', text: 'Hm.' }).npc.id, 'elder_mycel');
+  });
+
+  it('should count events from the village bus', () => {
+    const bus = new EventBus();
+    const stage = new NpcStage([gardener]);
+    subscribeNpcs(bus, stage);
+
+    bus.emit(DomainEvent.ITEM_GATHERED, { playerId: 'p1', resource: 'moss', amount: 2 });
+    assert.strictEqual(stage.eventsSince('gardener'), 1);
+  });
+
+  it('should prompt an NPC with what happened in its domain', () => {
+    const prompt = buildNpcPrompt(trader, { OfferCreated: 3 }, {
+      stockpile: { moss: 4 },
+      marketTrends: [{ base: 'resin', quote: 'moss', direction: 'up' }]
+    });
+    assert.match(prompt, /YOU ARE AT: Trading Post/);
+    assert.match(prompt, /SINCE YOU LAST SPOKE: OfferCreated x3/);
+    assert.match(prompt, /PRICES RISING: resin \(in moss\)/);
+  });
+});
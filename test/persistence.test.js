@@ -0,0 +1,170 @@
+// Unit tests for GameState persistence (snapshot + journal replay)
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GameState } from '../server/state.js';
+import { Persistence } from '../server/storage/persistence.js';
+import { MemoryStore } from '../server/storage/memory_store.js';
+import { encode, decode } from '../server/storage/codec.js';
+import { createPlayer, createVote, createQuest, createOffer, VoteStatus } from '../server/types.js';
+
+function seedState(state) {
+  const alice = createPlayer('p1', 'Alice');
+  alice.inventory.moss = 4;
+  state.addPlayer(alice);
+  state.addToStockpile('cedar', 7);
+  state.setActiveQuest(createQuest('q1', 'Bridge', { cedar: 10 }));
+  state.setActiveVote(createVote('v1', 'Where?', ['North', 'South'], Date.now() + 60000));
+  state.castVote('p1', 'North');
+}
+
+describe('State Codec', () => {
+
+  it('should round-trip Maps and Sets', () => {
+    const value = { players: new Map([['p1', { name: 'Alice' }]]), voted: new Set(['p1']) };
+    const decoded = decode(encode(value));
+    assert.ok(decoded.players instanceof Map);
+    assert.strictEqual(decoded.players.get('p1').name, 'Alice');
+    assert.ok(decoded.voted instanceof Set);
+    assert.ok(decoded.voted.has('p1'));
+  });
+});
+
+describe('Persistence', () => {
+
+  it('should report no saved village on an empty store', () => {
+    const persistence = new Persistence(new MemoryStore());
+    assert.strictEqual(persistence.load(new GameState()), false);
+  });
+
+  it('should replay journal entries onto a fresh state', () => {
+    const store = new MemoryStore();
+    const writer = new Persistence(store);
+    const state = new GameState();
+    writer.load(state);
+
+    seedState(state);
+    const entry = writer.record(state, 'seed');
+    assert.ok(entry);
+    assert.ok(entry.changes.length > 0);
+
+    const restored = new GameState();
+    const reader = new Persistence(store);
+    assert.strictEqual(reader.load(restored), true);
+
+    assert.strictEqual(restored.getPlayer('p1').inventory.moss, 4);
+    assert.strictEqual(restored.stockpile.cedar, 7);
+    assert.strictEqual(restored.nowRing.activeVote.ballots.p1.choices[0], 'North');
+  });
+
+  it('should keep the active vote linked to the votes list after restore', () => {
+    const store = new MemoryStore();
+    const writer = new Persistence(store);
+    const state = new GameState();
+    writer.load(state);
+    seedState(state);
+    writer.snapshot(state);
+
+    const restored = new GameState();
+    new Persistence(store).load(restored);
+
+    restored.nowRing.activeVote.status = VoteStatus.CLOSED;
+    assert.strictEqual(restored.votes[0].status, VoteStatus.CLOSED);
+    assert.strictEqual(restored.nowRing.activeQuest, restored.quests[0]);
+  });
+
+  it('should only journal changed sections and keys', () => {
+    const store = new MemoryStore();
+    const persistence = new Persistence(store);
+    const state = new GameState();
+    persistence.load(state);
+    seedState(state);
+    persistence.record(state, 'seed');
+
+    state.updatePlayerInventory('p1', 'moss', 2);
+    const entry = persistence.record(state, 'gather');
+
+    assert.deepStrictEqual(entry.changes.map(c => [c.field, c.key]), [['players', 'p1']]);
+    assert.strictEqual(persistence.record(state, 'noop'), null);
+  });
+
+  it('should capture direct mutations and deletions', () => {
+    const store = new MemoryStore();
+    const persistence = new Persistence(store);
+    const state = new GameState();
+    persistence.load(state);
+    seedState(state);
+    state.createOffer(createOffer('o1', 'p1', { item: 'moss', qty: 1 }, { item: 'cedar', qty: 1 }));
+    persistence.record(state, 'seed');
+
+    state.players.delete('p1');
+    state.offers.get('o1').status = 'CANCELLED';
+    persistence.record(state, 'direct');
+
+    const restored = new GameState();
+    new Persistence(store).load(restored);
+    assert.strictEqual(restored.getPlayer('p1'), undefined);
+    assert.strictEqual(restored.getOffer('o1').status, 'CANCELLED');
+  });
+
+  it('should journal array fields by appended, trimmed and changed elements', () => {
+    const store = new MemoryStore();
+    const persistence = new Persistence(store);
+    const state = new GameState();
+    persistence.load(state);
+    seedState(state);
+    state.addChatMessage({ type: 'USER', user: 'Alice', text: 'first' });
+    persistence.record(state, 'seed');
+
+    state.addChatMessage({ type: 'USER', user: 'Alice', text: 'second' });
+    const appended = persistence.record(state, 'chat');
+    assert.deepStrictEqual(appended.changes.map(c => [c.field, c.trim, c.append.map(m => m.text)]), [['messages', 0, ['second']]]);
+
+    state.messages = state.messages.slice(1).concat({ id: 'm3', text: 'third' });
+    const trimmed = persistence.record(state, 'trim');
+    assert.deepStrictEqual(trimmed.changes.map(c => [c.field, c.trim, c.append.length]), [['messages', 1, 1]]);
+
+    state.quests[0].percent = 50;
+    const changed = persistence.record(state, 'progress');
+    // The active quest is also nowRing.activeQuest, which changes with it
+    assert.deepStrictEqual(changed.changes.filter(c => c.field === 'quests').map(c => c.index), [0]);
+
+    const restored = new GameState();
+    new Persistence(store).load(restored);
+    assert.deepStrictEqual(restored.messages.map(m => m.text), ['second', 'third']);
+    assert.strictEqual(restored.quests[0].percent, 50);
+  });
+
+  it('should snapshot once the journal passes its size limit', () => {
+    const store = new MemoryStore();
+    const persistence = new Persistence(store, { snapshotBytes: 2000 });
+    const state = new GameState();
+    persistence.load(state);
+
+    for (let i = 0; i < 20; i++) {
+      state.addChatMessage({ type: 'USER', user: 'Alice', text: 'x'.repeat(200) });
+      persistence.record(state, 'chat');
+    }
+
+    assert.ok(store.snapshot);
+    assert.ok(store.log.length < 20);
+  });
+
+  it('should snapshot and truncate the journal after the threshold', () => {
+    const store = new MemoryStore();
+    const persistence = new Persistence(store, { snapshotEvery: 2 });
+    const state = new GameState();
+    persistence.load(state);
+
+    state.addToStockpile('moss', 1);
+    persistence.record(state, 'one');
+    state.addToStockpile('moss', 1);
+    persistence.record(state, 'two');
+
+    assert.strictEqual(store.log.length, 0);
+    assert.ok(store.snapshot);
+
+    const restored = new GameState();
+    new Persistence(store).load(restored);
+    assert.strictEqual(restored.stockpile.moss, 2);
+  });
+});
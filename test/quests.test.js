@@ -0,0 +1,307 @@
+// Unit tests for quest generation
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GameState, gameState } from '../server/state.js';
+import { createPlayer, createQuest, PresenceStatus, QuestKind, QuestStatus, Resources, RewardPolicy } from '../server/types.js';
+import {
+  QUEST_TEMPLATES,
+  checkAndCompleteQuest,
+  generateNewQuest,
+  pickTemplate,
+  questFromTemplate,
+  questScale,
+  validateQuestProposal
+} from '../server/quest_generator.js';
+import { applyPatch } from '../server/engine/apply_patch.js';
+import { distributeRewards, splitPool } from '../server/rewards.js';
+import { rhizomorphQuartermaster } from '../server/agents/quartermaster.js';
+import { availableFor, creditPersonalQuests, refreshQuestBoard } from '../server/quest_board.js';
+
+const log = { warn: () => {}, info: () => {} };
+
+function villageWith(online) {
+  const state = new GameState();
+  for (let i = 0; i < online; i++) {
+    const player = createPlayer(`q_p${i}`, `Quester${i}`);
+    player.presence = PresenceStatus.ONLINE;
+    state.addPlayer(player);
+  }
+  return state;
+}
+
+describe('Quest Generator', () => {
+
+  it('should only use known items in templates', () => {
+    const items = Object.values(Resources);
+    for (const template of QUEST_TEMPLATES) {
+      for (const { recipe } of template.stages) {
+        assert.ok(Object.keys(recipe).every(item => items.includes(item)), template.key);
+      }
+    }
+  });
+
+  it('should scale recipes with online players and gather throughput', () => {
+    const now = Date.now();
+    const busy = villageWith(6);
+    busy.recordGather('moss', 120, now);
+    assert.strictEqual(questScale(busy, now).factor, 2);
+
+    // Three players gathering slowly get smaller quests
+    const quiet = villageWith(3);
+    quiet.recordGather('moss', 15, now);
+    assert.strictEqual(questScale(quiet, now).factor, 0.5);
+
+    const tapestry = QUEST_TEMPLATES.find(template => template.key === 'tapestry');
+    assert.deepStrictEqual(questFromTemplate(tapestry, 1, 2).recipe, { moss: 50, spores: 12 });
+  });
+
+  it('should not repeat the last three templates', () => {
+    const quests = ['bridge', 'well', 'tapestry'].map(key =>
+      questFromTemplate(QUEST_TEMPLATES.find(template => template.key === key)));
+
+    for (let i = 0; i < 20; i++) {
+      const template = pickTemplate(quests, () => i / 20);
+      assert.ok(!['bridge', 'well', 'tapestry'].includes(template.key));
+    }
+  });
+
+  it('should unlock the next stage of a chain when a stage completes', () => {
+    const state = villageWith(3);
+    const bridge = QUEST_TEMPLATES.find(template => template.key === 'bridge');
+    const footings = questFromTemplate(bridge, 1);
+    state.setActiveQuest(footings);
+    Object.assign(state.stockpile, footings.recipe);
+    state.updateQuestProgress();
+
+    const event = checkAndCompleteQuest(state);
+
+    assert.strictEqual(event.completedQuest.name, 'Bridge Across the Brook: Footings (1/2)');
+    assert.strictEqual(event.newQuest.name, 'Bridge Across the Brook: Deck (2/2)');
+    assert.strictEqual(state.nowRing.activeQuest.templateKey, 'bridge');
+    assert.strictEqual(state.nowRing.activeQuest.stage, 2);
+  });
+
+  it('should validate Steward-proposed quests', () => {
+    assert.strictEqual(validateQuestProposal({ name: 'Mushroom Bell', recipe: { moss: 10, glow_lantern: 2 } }).success, true);
+
+    const charms = validateQuestProposal({ name: 'Charm Hoard', recipe: { charms: 3 } });
+    assert.deepStrictEqual(charms, { success: false, reason: 'unknown item charms' });
+
+    const fractional = validateQuestProposal({ name: 'Odd Job', recipe: { moss: 2.5 } });
+    assert.strictEqual(fractional.success, false);
+
+    const repeat = validateQuestProposal(
+      { name: 'Cedar Watchtower', recipe: { cedar: 5 } },
+      [createQuest('q1', 'Cedar Watchtower: Frame (1/3)', { cedar: 20 })]
+    );
+    assert.strictEqual(repeat.success, false);
+  });
+
+  it('should queue an accepted proposal to follow the current quest', () => {
+    const state = villageWith(3);
+    state.setActiveQuest(createQuest('q1', 'Gather for Winter', { moss: 5 }));
+
+    const summary = applyPatch(state, {
+      resources: {
+        proposed_quest: {
+          name: 'Glowing Bridge',
+          stages: [
+            { name: 'Ropes', recipe: { moss_rope: 2 } },
+            { name: 'Lights', recipe: { glow_lantern: 2 } }
+          ]
+        }
+      }
+    }, { log });
+    assert.strictEqual(summary.questProposal, 'queued');
+
+    const first = generateNewQuest(state, state.nowRing.activeQuest);
+    assert.strictEqual(first.name, 'Glowing Bridge: Ropes (1/2)');
+    assert.deepStrictEqual(first.recipe, { moss_rope: 2 });
+    assert.strictEqual(state.questProposal, null);
+
+    const second = generateNewQuest(state, first);
+    assert.strictEqual(second.name, 'Glowing Bridge: Lights (2/2)');
+  });
+
+  it('should reject an invalid proposal without touching the quest', () => {
+    const state = villageWith(1);
+    const quest = createQuest('q1', 'Gather for Winter', { moss: 5 });
+    state.setActiveQuest(quest);
+
+    const summary = applyPatch(state, { resources: { proposed_quest: { name: 'X', recipe: {} } } }, { log });
+
+    assert.strictEqual(summary.questProposal, 'rejected');
+    assert.strictEqual(state.nowRing.activeQuest, quest);
+    assert.strictEqual(state.questProposal, null);
+  });
+});
+
+describe('Quest Rewards', () => {
+
+  it('should record donations on the active quest', () => {
+    const player = createPlayer('donor_1', 'Donor');
+    player.inventory.cedar = 5;
+    gameState.addPlayer(player);
+    gameState.setActiveQuest(createQuest('q_ledger', 'Cedar Fence', { cedar: 10 }));
+
+    rhizomorphQuartermaster.processDonation('donor_1', 'cedar', 3);
+    rhizomorphQuartermaster.processDonation('donor_1', 'cedar', 2);
+
+    assert.deepStrictEqual(gameState.nowRing.activeQuest.contributions, { donor_1: { cedar: 5 } });
+  });
+
+  it('should split the charm pool by largest remainder', () => {
+    assert.deepStrictEqual(splitPool(3, [5, 5, 2]), [1, 1, 1]);
+    assert.deepStrictEqual(splitPool(3, [10, 1]), [3, 0]);
+    assert.deepStrictEqual(splitPool(3, [0, 0]), [0, 0]);
+  });
+
+  it('should pay contributors under every policy', () => {
+    const state = villageWith(3);
+    const quest = createQuest('q1', 'Cedar Watchtower: Frame (1/3)', { cedar: 20, resin: 6 });
+    quest.contributions = {
+      q_p0: { cedar: 14, resin: 2 },
+      q_p1: { resin: 4, moss: 50 }, // moss is not in the recipe
+      q_p2: { moss: 3 }
+    };
+
+    const rewards = distributeRewards(state, quest, Object.values(RewardPolicy), 3);
+
+    assert.deepStrictEqual(rewards.map(r => [r.name, r.contributed, r.charms, r.title]), [
+      ['Quester0', 16, 3, 'Hero of the Cedar Watchtower'],
+      ['Quester1', 4, 2, null]
+    ]);
+    assert.strictEqual(state.getPlayer('q_p0').inventory.charms, 3);
+    assert.deepStrictEqual(state.getPlayer('q_p0').titles, ['Hero of the Cedar Watchtower']);
+    assert.strictEqual(state.getPlayer('q_p2').inventory.charms, 0);
+  });
+
+  it('should list contributors in the completion event', () => {
+    const state = villageWith(2);
+    const quest = createQuest('q1', 'Moss Mat', { moss: 4 });
+    quest.contributions = { q_p0: { moss: 1 }, q_p1: { moss: 3 } };
+    state.setActiveQuest(quest);
+    state.stockpile.moss = 4;
+    state.updateQuestProgress();
+
+    const event = checkAndCompleteQuest(state);
+
+    assert.strictEqual(event.rewards.charms, 1);
+    assert.deepStrictEqual(event.rewards.contributors.map(c => c.name), ['Quester1', 'Quester0']);
+    assert.strictEqual(state.stockpile.charms, 1);
+  });
+});
+
+describe('Quest Board', () => {
+
+  function sideQuest(id, recipe, expiresAt = Date.now() + 60000) {
+    return createQuest(id, `Side ${id}`, recipe, { kind: QuestKind.SIDE, expiresAt });
+  }
+
+  it('should keep side quest donations out of the main quest', () => {
+    const donor = createPlayer('board_donor', 'Boarder');
+    donor.inventory.moss = 10;
+    gameState.addPlayer(donor);
+    gameState.quests = [];
+    gameState.stockpile.moss = 0;
+    gameState.setActiveQuest(createQuest('main', 'Moss Wall', { moss: 10 }));
+    const side = sideQuest('s1', { moss: 4 });
+    gameState.quests.push(side);
+
+    const result = rhizomorphQuartermaster.processDonation('board_donor', 'moss', 6, 's1');
+
+    // Only what the side quest still needed was taken
+    assert.strictEqual(result.quantity, 4);
+    assert.strictEqual(donor.inventory.moss, 6);
+    assert.strictEqual(gameState.stockpile.moss, 4);
+    assert.strictEqual(side.percent, 100);
+    assert.strictEqual(gameState.updateQuestProgress().percent, 0);
+
+    rhizomorphQuartermaster.processDonation('board_donor', 'moss', 5);
+    assert.strictEqual(gameState.nowRing.activeQuest.percent, 50);
+    assert.deepStrictEqual(rhizomorphQuartermaster.getQuestStatus('s1').have, { moss: 4 });
+  });
+
+  it('should refuse donations to personal or closed quests', () => {
+    const donor = createPlayer('board_donor2', 'Boarder2');
+    donor.inventory.moss = 5;
+    gameState.addPlayer(donor);
+    gameState.quests.push(createQuest('pq', 'Gather 3 moss before dusk', { moss: 3 }, { kind: QuestKind.PERSONAL, assignedTo: 'board_donor2' }));
+
+    assert.match(rhizomorphQuartermaster.processDonation('board_donor2', 'moss', 1, 'pq').reason, /gathering/);
+    assert.strictEqual(rhizomorphQuartermaster.processDonation('board_donor2', 'moss', 1, 'nope').reason, 'No open quest nope');
+  });
+
+  it('should count a player\'s gathering toward their personal quest only', () => {
+    const state = villageWith(2);
+    const mine = createQuest('pq1', 'Gather 3 spores before dusk', { spores: 3 }, { kind: QuestKind.PERSONAL, assignedTo: 'q_p0' });
+    const theirs = createQuest('pq2', 'Gather 3 spores before dusk', { spores: 3 }, { kind: QuestKind.PERSONAL, assignedTo: 'q_p1' });
+    state.quests.push(mine, theirs);
+
+    creditPersonalQuests(state, 'q_p0', 'spores', 2);
+    creditPersonalQuests(state, 'q_p0', 'spores', 5);
+
+    assert.deepStrictEqual(mine.allocated, { spores: 3 });
+    assert.strictEqual(mine.percent, 100);
+    assert.deepStrictEqual(theirs.allocated, {});
+  });
+
+  it('should settle, expire and restock the board', () => {
+    const now = Date.now();
+    const state = villageWith(2);
+    state.setActiveQuest(createQuest('main', 'Moss Wall', { moss: 10 }));
+    state.stockpile.moss = 6;
+
+    const done = sideQuest('s1', { moss: 2 });
+    done.allocated = { moss: 2 };
+    done.contributions = { q_p0: { moss: 2 } };
+    const late = sideQuest('s2', { moss: 5 }, now - 1);
+    late.allocated = { moss: 3 };
+    state.quests.push(done, late);
+    assert.strictEqual(state.updateQuestProgress().percent, 10);
+
+    const result = refreshQuestBoard(state, now);
+
+    assert.deepStrictEqual(result.completed.map(c => c.quest.id), ['s1']);
+    assert.strictEqual(result.completed[0].rewards[0].name, 'Quester0');
+    assert.deepStrictEqual(result.expired.map(q => q.id), ['s2']);
+    assert.strictEqual(late.status, QuestStatus.EXPIRED);
+
+    // s1 spent its 2 moss; s2's 3 moss went back to the main quest
+    assert.strictEqual(state.stockpile.moss, 4);
+    assert.strictEqual(availableFor(state, state.nowRing.activeQuest).moss, 4);
+
+    // Two new side quests and a personal quest for each player
+    const kinds = result.created.map(q => q.kind).sort();
+    assert.deepStrictEqual(kinds, [QuestKind.PERSONAL, QuestKind.PERSONAL, QuestKind.SIDE, QuestKind.SIDE]);
+    assert.deepStrictEqual(result.created.filter(q => q.kind === QuestKind.SIDE).map(q => q.id), ['s3', 's4']);
+    assert.ok(result.created.every(q => q.expiresAt > now));
+  });
+
+  it('should keep only recent closed quests across refreshes', () => {
+    const state = villageWith(2);
+    state.setActiveQuest(createQuest('main', 'Moss Wall', { moss: 10 }));
+    let now = Date.now();
+    const sideIds = [];
+
+    // Every board quest expires between refreshes
+    for (let i = 0; i < 30; i++) {
+      const result = refreshQuestBoard(state, now);
+      sideIds.push(...result.created.filter(q => q.kind === QuestKind.SIDE).map(q => q.id));
+      now += 24 * 60 * 60 * 1000;
+    }
+
+    const closed = state.quests.filter(q => q.kind !== QuestKind.MAIN && q.status !== QuestStatus.ACTIVE);
+    assert.strictEqual(closed.length, 20);
+    assert.ok(state.quests.length <= 25);
+    assert.ok(state.quests.some(q => q.id === 'main'));
+    // Pruning never hands out a side quest id twice
+    assert.strictEqual(new Set(sideIds).size, sideIds.length);
+  });
+
+  it('should list the main quest first on the board', () => {
+    const board = rhizomorphQuartermaster.getQuestBoard();
+    assert.strictEqual(board[0].kind, QuestKind.MAIN);
+    assert.ok(board.slice(1).every(q => q.kind !== QuestKind.MAIN));
+  });
+});
@@ -0,0 +1,77 @@
+// Unit tests for player sessions and presence
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SessionManager } from '../server/sessions.js';
+import { gameState } from '../server/state.js';
+import { PresenceStatus } from '../server/types.js';
+
+describe('Session Manager', () => {
+
+  it('should issue a token that resumes the same player', () => {
+    const sessions = new SessionManager();
+    const registered = sessions.register('Juniper');
+    assert.strictEqual(registered.success, true);
+
+    const resumed = sessions.resume(registered.token);
+    assert.strictEqual(resumed.success, true);
+    assert.strictEqual(resumed.player.id, registered.player.id);
+  });
+
+  it('should only store a hash of the token', () => {
+    const sessions = new SessionManager();
+    const { token } = sessions.register('Hazel');
+    assert.strictEqual(gameState.sessionTokens.has(token), false);
+    assert.ok(gameState.sessionTokens.has(sessions.hashToken(token)));
+  });
+
+  it('should reject unknown tokens', () => {
+    const sessions = new SessionManager();
+    const result = sessions.resume('not-a-token');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'RESUME_FAILED');
+  });
+
+  it('should enforce unique names case-insensitively', () => {
+    const sessions = new SessionManager();
+    sessions.register('Bramble');
+    const result = sessions.register('bramble');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'NAME_TAKEN');
+  });
+
+  it('should reject names that cannot be @mentioned', () => {
+    const sessions = new SessionManager();
+    assert.strictEqual(sessions.register('Old Tom').code, 'INVALID_NAME');
+    assert.strictEqual(sessions.register('x').code, 'INVALID_NAME');
+  });
+
+  it('should track presence across sockets', () => {
+    const sessions = new SessionManager();
+    const { player } = sessions.register('Thistle');
+    const tabA = {};
+    const tabB = {};
+
+    assert.strictEqual(sessions.connect(player.id, tabA), true);
+    assert.strictEqual(sessions.connect(player.id, tabB), false);
+    assert.strictEqual(player.presence, PresenceStatus.ONLINE);
+    assert.ok(gameState.getConnectedPlayers().includes(player));
+
+    assert.strictEqual(sessions.disconnect(player.id, tabA), false);
+    assert.strictEqual(player.presence, PresenceStatus.ONLINE);
+    assert.strictEqual(sessions.disconnect(player.id, tabB), true);
+    assert.strictEqual(player.presence, PresenceStatus.OFFLINE);
+  });
+
+  it('should mark idle players away while connected', () => {
+    const sessions = new SessionManager();
+    const { player } = sessions.register('Sorrel');
+    sessions.connect(player.id, {});
+
+    const changed = sessions.sweepIdle(Date.now() + sessions.awayAfter + 1);
+    assert.ok(changed.includes(player));
+    assert.strictEqual(player.presence, PresenceStatus.AWAY);
+
+    sessions.touch(player.id);
+    assert.strictEqual(player.presence, PresenceStatus.ONLINE);
+  });
+});
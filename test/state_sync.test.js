@@ -0,0 +1,77 @@
+// Unit tests for client state sync (snapshots and deltas)
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { applyDelta, diffViews, StateSync } from '../server/state_diff.js';
+
+const view = () => ({
+  stones: [{ id: 's1', title: 'First Harvest' }],
+  quest: { name: 'Moss Bridge', percent: 20, have: { moss: 2 } },
+  vote: null,
+  stockpile: { moss: 2, cedar: 0 }
+});
+
+describe('State Sync', () => {
+
+  it('should diff objects by key and replace everything else whole', () => {
+    const prev = view();
+    const curr = view();
+    curr.quest.percent = 40;
+    curr.quest.have.cedar = 1;
+    curr.stones.push({ id: 's2', title: 'Second' });
+    delete curr.stockpile.cedar;
+
+    assert.deepStrictEqual(diffViews(prev, curr), [
+      { op: 'replace', path: '/stones', value: curr.stones },
+      { op: 'replace', path: '/quest/percent', value: 40 },
+      { op: 'add', path: '/quest/have/cedar', value: 1 },
+      { op: 'remove', path: '/stockpile/cedar' }
+    ]);
+    assert.deepStrictEqual(applyDelta(prev, diffViews(prev, curr)), curr);
+    assert.strictEqual(prev.quest.percent, 20);
+  });
+
+  it('should escape keys in paths', () => {
+    const ops = diffViews({ recipe: {} }, { recipe: { 'a/b~c': 1 } });
+    assert.deepStrictEqual(ops, [{ op: 'add', path: '/recipe/a~1b~0c', value: 1 }]);
+    assert.deepStrictEqual(applyDelta({ recipe: {} }, ops), { recipe: { 'a/b~c': 1 } });
+  });
+
+  it('should bump the revision only when the view changes', () => {
+    const sync = new StateSync();
+    const first = sync.update(view());
+    assert.deepStrictEqual([first.baseRevision, first.revision], [0, 1]);
+    assert.strictEqual(sync.update(view()), null);
+
+    const changed = view();
+    changed.vote = { id: 'v1', topic: 'Where?' };
+    const delta = sync.update(changed);
+    assert.deepStrictEqual(delta, {
+      revision: 2,
+      baseRevision: 1,
+      ops: [{ op: 'replace', path: '/vote', value: { id: 'v1', topic: 'Where?' } }]
+    });
+  });
+
+  it('should rebuild the latest view from a snapshot and the deltas after it', () => {
+    const sync = new StateSync();
+    sync.update(view());
+    const { revision, state } = structuredClone(sync.snapshot());
+
+    const later = view();
+    later.stockpile.moss = 9;
+    const delta = sync.update(later);
+
+    assert.strictEqual(delta.baseRevision, revision);
+    assert.deepStrictEqual(applyDelta(state, delta.ops), sync.snapshot().state);
+  });
+
+  it('should keep its own copy of the view', () => {
+    const sync = new StateSync();
+    const live = view();
+    sync.update(live);
+    live.stockpile.moss = 50;
+
+    assert.strictEqual(sync.snapshot().state.stockpile.moss, 2);
+    assert.strictEqual(sync.update(live).ops[0].path, '/stockpile/moss');
+  });
+});
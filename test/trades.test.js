@@ -0,0 +1,220 @@
+// Unit tests for bundle, private and counter trade offers
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { sporocarpBroker } from '../server/agents/broker.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { planFill, quoteBook } from '../server/matching.js';
+import { collectTrades, marketHistory, marketTrends } from '../server/market.js';
+import { createPlayer, IntentType, TradeStatus } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer(inventory = {}) {
+  const player = createPlayer(`trade_p${++playerCount}`, `Trader${playerCount}`);
+  Object.assign(player.inventory, inventory);
+  gameState.addPlayer(player);
+  return player;
+}
+
+describe('Trade Offers', () => {
+
+  it('should parse bundles, a target and an expiry', () => {
+    const intent = commandRegistry.parse('/offer give moss x3, resin x1 for cedar x2 to @Bo expires 2h');
+    assert.strictEqual(intent.type, IntentType.OFFER);
+    assert.deepStrictEqual(intent.params.give, [{ item: 'moss', qty: 3 }, { item: 'resin', qty: 1 }]);
+    assert.deepStrictEqual(intent.params.want, [{ item: 'cedar', qty: 2 }]);
+    assert.strictEqual(intent.params.toName, 'Bo');
+    assert.strictEqual(intent.params.minutes, 120);
+  });
+
+  it('should swap whole bundles on accept', () => {
+    const mira = addPlayer({ moss: 3, resin: 1 });
+    const rowan = addPlayer({ cedar: 2 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, [{ item: 'moss', qty: 3 }, { item: 'resin', qty: 1 }], [{ item: 'cedar', qty: 2 }]);
+
+    const result = sporocarpBroker.acceptOffer(offer.id, rowan.id);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual([mira.inventory.moss, mira.inventory.resin, mira.inventory.cedar], [0, 0, 2]);
+    assert.deepStrictEqual([rowan.inventory.moss, rowan.inventory.resin, rowan.inventory.cedar], [3, 1, 0]);
+  });
+
+  it('should leave both inventories alone when any bundle item is short', () => {
+    const mira = addPlayer({ moss: 3 });
+    const rowan = addPlayer({ cedar: 2, resin: 0 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, [{ item: 'moss', qty: 3 }], [{ item: 'cedar', qty: 2 }, { item: 'resin', qty: 1 }]);
+
+    const result = sporocarpBroker.acceptOffer(offer.id, rowan.id);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(offer.status, TradeStatus.OPEN);
+    assert.deepStrictEqual(sporocarpBroker.getReserved(mira.id), { moss: 3 });
+    assert.strictEqual(rowan.inventory.cedar, 2);
+  });
+
+  it('should keep private offers between the two players', () => {
+    const mira = addPlayer({ moss: 2 });
+    const rowan = addPlayer({ cedar: 1 });
+    const sage = addPlayer({ cedar: 1 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, { item: 'moss', qty: 2 }, { item: 'cedar', qty: 1 }, { toPlayer: rowan.id });
+
+    assert.ok(sporocarpBroker.getVisibleOffers(rowan.id).some(o => o.id === offer.id));
+    assert.ok(!sporocarpBroker.getVisibleOffers(sage.id).some(o => o.id === offer.id));
+    assert.ok(!sporocarpBroker.getVisibleOffers().some(o => o.id === offer.id));
+    assert.strictEqual(sporocarpBroker.acceptOffer(offer.id, sage.id).success, false);
+    assert.strictEqual(sporocarpBroker.acceptOffer(offer.id, rowan.id).success, true);
+  });
+
+  it('should close the original offer when its counter is accepted', () => {
+    const mira = addPlayer({ moss: 3, cedar: 0 });
+    const rowan = addPlayer({ cedar: 1 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, { item: 'moss', qty: 3 }, { item: 'cedar', qty: 2 });
+
+    const counter = sporocarpBroker.counterOffer(offer.id, rowan.id, [{ item: 'cedar', qty: 1 }], [{ item: 'moss', qty: 3 }]);
+    assert.strictEqual(counter.success, true);
+    assert.strictEqual(counter.offer.toPlayer, mira.id);
+    assert.strictEqual(counter.offer.counterTo, offer.id);
+
+    assert.strictEqual(sporocarpBroker.acceptOffer(counter.offer.id, mira.id).success, true);
+    assert.strictEqual(offer.status, TradeStatus.CANCELLED);
+    assert.strictEqual(offer.cancelReason, 'countered');
+    assert.strictEqual(rowan.inventory.moss, 3);
+  });
+
+  it('should hold offered goods in escrow until the offer closes', () => {
+    const mira = addPlayer({ moss: 5 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, { item: 'moss', qty: 4 }, { item: 'cedar', qty: 1 });
+
+    assert.strictEqual(mira.inventory.moss, 1);
+    assert.deepStrictEqual(sporocarpBroker.getReserved(mira.id), { moss: 4 });
+    assert.strictEqual(sporocarpBroker.createOffer(mira.id, { item: 'moss', qty: 2 }, { item: 'resin', qty: 1 }).success, false);
+
+    assert.strictEqual(sporocarpBroker.cancelOffer(offer.id, mira.id).success, true);
+    assert.strictEqual(mira.inventory.moss, 5);
+    assert.deepStrictEqual(sporocarpBroker.getReserved(mira.id), {});
+  });
+
+  it('should expire offers at the time the offerer chose', () => {
+    const mira = addPlayer({ moss: 1 });
+    const rowan = addPlayer({ cedar: 1 });
+    const { offer } = sporocarpBroker.createOffer(mira.id, { item: 'moss', qty: 1 }, { item: 'cedar', qty: 1 }, { minutes: 5 });
+    assert.strictEqual(offer.expiresAt - offer.createdAt, 5 * 60 * 1000);
+
+    assert.strictEqual(gameState.acceptOffer(offer.id, rowan.id, offer.expiresAt).success, false);
+    assert.ok(sporocarpBroker.cleanStaleOffers(offer.expiresAt) >= 1);
+    assert.strictEqual(offer.status, TradeStatus.CANCELLED);
+    assert.strictEqual(offer.cancelReason, 'expired');
+    assert.strictEqual(mira.inventory.moss, 1);
+  });
+});
+
+describe('Matching Engine', () => {
+
+  function post(player, give, want, autoMatch = true) {
+    return sporocarpBroker.createOffer(player.id, give, want, { autoMatch }).offer;
+  }
+
+  it('should fill crossing offers at the resting price, leaving the rest open', () => {
+    const mira = addPlayer({ moss: 6 });
+    const rowan = addPlayer({ cedar: 4 });
+    // Mira asks 1 cedar per 2 moss; Rowan bids 2 cedar for 2 moss
+    const ask = post(mira, { item: 'moss', qty: 6 }, { item: 'cedar', qty: 3 });
+    const bid = post(rowan, { item: 'cedar', qty: 2 }, { item: 'moss', qty: 2 });
+    ask.createdAt -= 1000;
+
+    const fills = sporocarpBroker.runMatching();
+    assert.strictEqual(fills.length, 1);
+    assert.deepStrictEqual(fills[0].gave, [{ item: 'moss', qty: 2 }]);
+    assert.deepStrictEqual(fills[0].got, [{ item: 'cedar', qty: 1 }]);
+
+    // Rowan got all the moss they wanted and the unspent cedar came back
+    assert.strictEqual(bid.status, TradeStatus.COMPLETED);
+    assert.deepStrictEqual([rowan.inventory.moss, rowan.inventory.cedar], [2, 3]);
+
+    assert.strictEqual(ask.status, TradeStatus.OPEN);
+    assert.deepStrictEqual(ask.give, [{ item: 'moss', qty: 4 }]);
+    assert.deepStrictEqual(ask.want, [{ item: 'cedar', qty: 2 }]);
+    assert.strictEqual(mira.inventory.cedar, 1);
+  });
+
+  it('should leave offers that do not cross or did not opt in', () => {
+    const mira = addPlayer({ moss: 4, resin: 2 });
+    const rowan = addPlayer({ resin: 2, moss: 0 });
+    post(mira, { item: 'moss', qty: 2 }, { item: 'resin', qty: 2 });
+    post(rowan, { item: 'resin', qty: 1 }, { item: 'moss', qty: 2 });
+    post(rowan, { item: 'resin', qty: 1 }, { item: 'moss', qty: 1 }, false);
+
+    assert.deepStrictEqual(sporocarpBroker.runMatching(), []);
+  });
+
+  it('should only fill whole units', () => {
+    // Resting price is 2 cedar per 3 moss
+    const seller = { createdAt: 1, give: [{ item: 'moss', qty: 3 }], want: [{ item: 'cedar', qty: 2 }] };
+    const small = { createdAt: 2, give: [{ item: 'cedar', qty: 1 }], want: [{ item: 'moss', qty: 1 }] };
+    const large = { createdAt: 2, give: [{ item: 'cedar', qty: 5 }], want: [{ item: 'moss', qty: 4 }] };
+
+    assert.strictEqual(planFill(seller, small), null);
+    assert.deepStrictEqual(planFill(seller, large), { x: 3, y: 2 });
+  });
+
+  it('should quote the best bid and ask per pair', () => {
+    const book = quoteBook([
+      { id: 'a', give: [{ item: 'moss', qty: 4 }], want: [{ item: 'cedar', qty: 2 }] },
+      { id: 'b', give: [{ item: 'moss', qty: 3 }], want: [{ item: 'cedar', qty: 3 }] },
+      { id: 'c', give: [{ item: 'cedar', qty: 1 }], want: [{ item: 'moss', qty: 4 }] }
+    ]);
+
+    assert.strictEqual(book.length, 1);
+    assert.strictEqual(book[0].base, 'cedar');
+    assert.strictEqual(book[0].quote, 'moss');
+    assert.deepStrictEqual(book[0].ask, { price: 4, qty: 1, offerId: 'c' });
+    assert.deepStrictEqual(book[0].bid, { price: 2, qty: 2, offerId: 'a' });
+  });
+});
+
+describe('Market Data', () => {
+
+  const HOUR = 60 * 60 * 1000;
+
+  function traded(id, give, want, completedAt) {
+    return { id, give, want, acceptedBy: 'someone', completedAt, status: TradeStatus.COMPLETED };
+  }
+
+  it('should count each auto-match fill once and skip bundles', () => {
+    const fill = { gave: [{ item: 'moss', qty: 4 }], got: [{ item: 'cedar', qty: 2 }], at: 10 };
+    const trades = collectTrades([
+      { id: 'a', fills: [{ ...fill, offerId: 'b' }] },
+      { id: 'b', fills: [{ offerId: 'a', gave: fill.got, got: fill.gave, at: 10 }] },
+      traded('c', [{ item: 'moss', qty: 1 }, { item: 'resin', qty: 1 }], [{ item: 'cedar', qty: 1 }], 20)
+    ]);
+
+    assert.deepStrictEqual(trades, [{ at: 10, base: 'cedar', quote: 'moss', baseQty: 2, quoteQty: 4, rate: 2 }]);
+  });
+
+  it('should track a rolling index, its change and volume per pair', () => {
+    const now = 10 * HOUR;
+    const offers = [
+      traded('a', { item: 'moss', qty: 2 }, { item: 'cedar', qty: 1 }, now - 90 * 60 * 1000),
+      traded('b', { item: 'cedar', qty: 1 }, { item: 'moss', qty: 3 }, now - 20 * 60 * 1000),
+      traded('c', { item: 'moss', qty: 3 }, { item: 'cedar', qty: 1 }, now - 10 * 60 * 1000)
+    ];
+
+    const [cedar] = marketHistory(offers, { now, windowMinutes: 60 });
+    assert.strictEqual(cedar.pair, 'cedar/moss');
+    assert.strictEqual(cedar.previousIndex, 2);
+    assert.strictEqual(cedar.index, 3);
+    assert.strictEqual(cedar.change, 0.5);
+    assert.strictEqual(cedar.volume, 2);
+    assert.strictEqual(cedar.history.length, 3);
+
+    const [trend] = marketTrends([cedar]);
+    assert.strictEqual(trend.direction, 'up');
+  });
+
+  it('should mention price trends in the Elder summary', () => {
+    const summary = sporocarpBroker.generateSimpleSummary({
+      total: 0,
+      offers: [],
+      trends: [{ base: 'cedar', quote: 'moss', index: 3, change: 0.5, direction: 'up' }]
+    });
+    assert.strictEqual(summary, 'No active trades. Prices: cedar up 50% to 3 moss.');
+  });
+});
@@ -0,0 +1,91 @@
+// Unit tests for hosting several villages on one server
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Village, VillageRegistry } from '../server/villages.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { IntentType, createPlayer } from '../server/types.js';
+
+function addPlayer(village, id, inventory = {}) {
+  const player = createPlayer(id, id);
+  Object.assign(player.inventory, inventory);
+  village.state.addPlayer(player);
+  return player;
+}
+
+describe('Village Registry', () => {
+
+  it('should build the default village from the module singletons', () => {
+    const registry = new VillageRegistry({ storeKind: 'memory' });
+    const village = registry.getDefault();
+    assert.strictEqual(village.state, gameState);
+    assert.strictEqual(registry.get(village.id.toUpperCase()), village);
+    assert.strictEqual(registry.findByState(gameState), village);
+  });
+
+  it('should validate codes and refuse duplicates', () => {
+    const registry = new VillageRegistry({ storeKind: 'memory' });
+    assert.strictEqual(registry.create('Moss Glen').success, false);
+    assert.strictEqual(registry.create('x').success, false);
+
+    const { success, village } = registry.create('Mossglen', 'Moss Glen');
+    assert.strictEqual(success, true);
+    assert.deepStrictEqual([village.id, village.name], ['mossglen', 'Moss Glen']);
+    assert.match(registry.create('mossglen').reason, /already exists/);
+  });
+
+  it('should archive a village so it can no longer be joined or reused', () => {
+    const registry = new VillageRegistry({ storeKind: 'memory' });
+    registry.create('fernhollow');
+
+    assert.strictEqual(registry.archive('fernhollow').success, true);
+    assert.strictEqual(registry.get('fernhollow'), null);
+    assert.match(registry.create('fernhollow').reason, /archived/);
+    assert.strictEqual(registry.archive(registry.getDefault().id).success, false);
+  });
+
+  it('should keep each village to its own state and agents', () => {
+    const a = new Village('a');
+    const b = new Village('b');
+    addPlayer(a, 'vil_p1', { moss: 5 });
+
+    assert.strictEqual(a.quartermaster.processDonation('vil_p1', 'moss', 3).success, true);
+    assert.strictEqual(a.state.stockpile.moss, 3);
+    assert.strictEqual(b.state.stockpile.moss, 0);
+    assert.strictEqual(b.state.getPlayer('vil_p1'), undefined);
+  });
+});
+
+describe('Village Commands', () => {
+
+  it('should act on the village in the context', async () => {
+    const village = new Village('cmdvillage');
+    addPlayer(village, 'vil_p2', { cedar: 4 });
+
+    const result = await commandRegistry.execute(commandRegistry.parse('/donate cedar x4'), {
+      playerId: 'vil_p2',
+      playerName: 'vil_p2',
+      village
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(village.state.stockpile.cedar, 4);
+  });
+
+  it('should join an open village by code', async () => {
+    const intent = commandRegistry.parse('/join Main');
+    assert.strictEqual(intent.type, IntentType.JOIN);
+
+    const away = new Village('away');
+    const result = await commandRegistry.execute(intent, { playerId: 'vil_p3', village: away });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.join, 'main');
+
+    const here = await commandRegistry.execute(intent, { playerId: 'vil_p3' });
+    assert.strictEqual(here.success, false);
+    assert.match(here.reason, /already in/);
+
+    const unknown = await commandRegistry.execute(commandRegistry.parse('/join nowhere'), { playerId: 'vil_p3' });
+    assert.match(unknown.reason, /Open villages: main/);
+  });
+});
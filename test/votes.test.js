@@ -0,0 +1,331 @@
+// Unit tests for the ballot ledger and the vote scheduler
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { LamellaTallykeeper } from '../server/agents/tallykeeper.js';
+import { SaproprobeWarden } from '../server/agents/warden.js';
+import { countBallots, toStewardVote } from '../server/ballots.js';
+import { createStateSnapshot, detectStateChanges } from '../server/state_diff.js';
+import { commandRegistry } from '../server/commands/index.js';
+import { gameState } from '../server/state.js';
+import { createPlayer, PresenceStatus, ProposalStatus, TieBreak, VoteMode, VoteOutcome, VoteStatus } from '../server/types.js';
+
+let playerCount = 0;
+function addPlayer(presence = PresenceStatus.OFFLINE) {
+  const player = createPlayer(`vote_p${++playerCount}`, `Voter${playerCount}`);
+  player.presence = presence;
+  gameState.addPlayer(player);
+  return player;
+}
+
+function sendVote(player, text) {
+  return commandRegistry.execute(commandRegistry.parse(text), { playerId: player.id, playerName: player.name });
+}
+
+function castVotes(tallykeeper, ...options) {
+  for (const option of options) {
+    tallykeeper.castVote(addPlayer().id, option);
+  }
+}
+
+describe('Ballot Ledger', () => {
+
+  beforeEach(() => {
+    gameState.nowRing.activeVote = null;
+    gameState.voteQueue = [];
+  });
+
+  it('should let a player change their ballot and keep the history', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    const player = addPlayer();
+
+    tallykeeper.castVote(player.id, 'yes');
+    const changed = tallykeeper.castVote(player.id, 'no');
+
+    assert.deepStrictEqual(changed.previous, ['yes']);
+    assert.deepStrictEqual(vote.ballots[player.id].history.map(h => h.choices), [['yes'], ['no']]);
+    assert.deepStrictEqual(countBallots(vote), { yes: 0, no: 1 });
+  });
+
+  it('should derive the vote status from ballots', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    castVotes(tallykeeper, 'yes', 'no', 'yes');
+
+    const status = tallykeeper.getVoteStatus();
+    assert.strictEqual(status.totalVotes, 3);
+    assert.deepStrictEqual(status.results, { yes: 2, no: 1 });
+  });
+
+  it('should give the Steward a player-to-option tally', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    const player = addPlayer();
+    tallykeeper.castVote(player.id, 'no');
+
+    assert.deepStrictEqual(toStewardVote(vote).tally, { [player.id]: 'no' });
+  });
+
+  it('should report changed ballots as vote activity', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    const player = addPlayer();
+    tallykeeper.castVote(player.id, 'yes');
+
+    const before = createStateSnapshot(gameState);
+    tallykeeper.castVote(player.id, 'no');
+    const changes = detectStateChanges(before, createStateSnapshot(gameState));
+
+    assert.strictEqual(changes.voteChanges.tallyUpdated, true);
+  });
+});
+
+describe('Vote Scheduler', () => {
+
+  beforeEach(() => {
+    gameState.nowRing.activeVote = null;
+    gameState.voteQueue = [];
+  });
+
+  it('should leave a vote open until closesAt', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+
+    assert.strictEqual(await tallykeeper.checkVoteExpiry(vote.closesAt - 1), null);
+    assert.strictEqual(vote.status, VoteStatus.OPEN);
+  });
+
+  it('should close an expired vote with a Decision Card', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    castVotes(tallykeeper, 'no', 'yes', 'no');
+
+    const result = await tallykeeper.checkVoteExpiry(vote.closesAt);
+    assert.strictEqual(result.closed.outcome, VoteOutcome.DECIDED);
+    assert.strictEqual(result.closed.winner, 'no');
+    assert.strictEqual(result.closed.decisionCard.winner, 'no');
+    assert.strictEqual(vote.status, VoteStatus.CLOSED);
+    assert.strictEqual(vote.closeReason, 'expired');
+  });
+
+  it('should decide a replaced vote before opening the next', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const first = await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    castVotes(tallykeeper, 'yes');
+
+    const second = await tallykeeper.openVote('Path?', ['north', 'south'], 5);
+    assert.strictEqual(first.closeReason, 'replaced');
+    assert.strictEqual(first.winner, 'yes');
+    assert.ok(first.decisionCard);
+    assert.strictEqual(gameState.nowRing.activeVote, second);
+  });
+
+  it('should not let the scheduler open a queued vote while one is being replaced', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    tallykeeper.queueVote('Ferry?', ['yes', 'no'], 5);
+
+    // The scheduler ticks while the replaced vote's Decision Card is written
+    const replacing = tallykeeper.openVote('Path?', ['north', 'south'], 5);
+    const tick = await tallykeeper.checkVoteExpiry();
+    const replacement = await replacing;
+
+    assert.strictEqual(tick, null);
+    assert.strictEqual(gameState.nowRing.activeVote, replacement);
+    assert.deepStrictEqual(gameState.voteQueue.map(entry => entry.topic), ['Ferry?']);
+    assert.strictEqual(gameState.votes.some(v => v.topic === 'Ferry?'), false);
+  });
+
+  it('should fail a vote that misses quorum', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    for (let i = 0; i < 4; i++) addPlayer(PresenceStatus.ONLINE);
+
+    // 50% of at least four online players is two ballots
+    const vote = await tallykeeper.openVote('Lanterns?', ['yes', 'no'], 5, { quorumPercent: 50 });
+    castVotes(tallykeeper, 'yes');
+
+    const result = await tallykeeper.checkVoteExpiry(vote.closesAt);
+    assert.strictEqual(result.closed.outcome, VoteOutcome.NO_QUORUM);
+    assert.strictEqual(result.closed.winner, null);
+  });
+
+  it('should break ties by the earliest leader', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Path?', ['north', 'south'], 5, { tieBreak: TieBreak.EARLIEST_LEADER });
+    const early = addPlayer();
+    const late = addPlayer();
+    tallykeeper.castVote(late.id, 'north');
+    tallykeeper.castVote(early.id, 'south');
+    vote.ballots[early.id].updatedAt = 100;
+    vote.ballots[late.id].updatedAt = 200;
+
+    const result = await tallykeeper.checkVoteExpiry(vote.closesAt);
+    assert.strictEqual(result.closed.winner, 'south');
+    assert.deepStrictEqual(vote.tiedOptions, ['north', 'south']);
+  });
+
+  it('should let the Elder break ties', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Path?', ['north', 'south', 'east'], 5, { tieBreak: TieBreak.ELDER });
+    castVotes(tallykeeper, 'south', 'east');
+
+    // The mock Elder keeps to ballot order
+    const result = await tallykeeper.checkVoteExpiry(vote.closesAt);
+    assert.strictEqual(result.closed.winner, 'south');
+  });
+
+  it('should hold a runoff between tied options', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const vote = await tallykeeper.openVote('Feast?', ['soup', 'stew', 'pie'], 5, { tieBreak: TieBreak.RUNOFF });
+    castVotes(tallykeeper, 'soup', 'pie', 'stew', 'pie', 'soup');
+
+    const result = await tallykeeper.checkVoteExpiry(vote.closesAt);
+    assert.strictEqual(result.closed.outcome, VoteOutcome.RUNOFF);
+    assert.deepStrictEqual(result.opened.options, ['soup', 'pie']);
+    assert.strictEqual(result.opened.runoffOf, vote.id);
+
+    // A runoff that ties again does not loop
+    castVotes(tallykeeper, 'pie', 'soup');
+    const second = await tallykeeper.checkVoteExpiry(result.opened.closesAt);
+    assert.strictEqual(second.closed.outcome, VoteOutcome.DECIDED);
+  });
+
+  it('should open queued votes in order as each one closes', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const first = tallykeeper.queueVote('First?', ['a', 'b'], 5);
+    const second = tallykeeper.queueVote('Second?', ['c', 'd'], 5);
+    tallykeeper.queueVote('Third?', ['e', 'f'], 5);
+
+    assert.strictEqual(first.queued, false);
+    assert.strictEqual(second.position, 1);
+
+    const result = await tallykeeper.checkVoteExpiry(first.vote.closesAt);
+    assert.strictEqual(result.closed.outcome, VoteOutcome.NO_VOTES);
+    assert.strictEqual(result.opened.topic, 'Second?');
+    assert.deepStrictEqual(gameState.voteQueue.map(entry => entry.topic), ['Third?']);
+  });
+});
+
+describe('Vote Modes', () => {
+
+  beforeEach(() => {
+    gameState.nowRing.activeVote = null;
+    gameState.voteQueue = [];
+  });
+
+  it('should count every approved option', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const open = await tallykeeper.openVote('Feast?', ['Soup', 'Stew', 'Pie'], 5, { mode: VoteMode.APPROVAL });
+
+    assert.strictEqual((await sendVote(addPlayer(), '/vote soup, pie')).success, true);
+    await sendVote(addPlayer(), '/vote pie');
+
+    assert.deepStrictEqual(countBallots(open), { Soup: 1, Stew: 0, Pie: 2 });
+    const result = await tallykeeper.checkVoteExpiry(open.closesAt);
+    assert.strictEqual(result.closed.winner, 'Pie');
+  });
+
+  it('should elect by instant runoff and report each round', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const open = await tallykeeper.openVote('Path?', ['A', 'B', 'C'], 5, { mode: VoteMode.RANKED });
+    for (const ranking of ['A > C', 'A > C', 'B > C', 'B > C', 'C > B']) {
+      assert.strictEqual((await sendVote(addPlayer(), `/vote rank ${ranking}`)).success, true);
+    }
+
+    // A and B tie on first preferences; C's ballot transfers to B
+    const result = await tallykeeper.checkVoteExpiry(open.closesAt);
+    assert.strictEqual(result.closed.winner, 'B');
+    assert.strictEqual(result.closed.decisionCard.rounds.length, 2);
+    assert.deepStrictEqual(result.closed.decisionCard.rounds[0].eliminated, ['C']);
+    assert.deepStrictEqual(result.closed.decisionCard.rounds[1].counts, { A: 2, B: 3 });
+  });
+
+  it('should refuse rankings and lists on a plurality vote', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    const player = addPlayer();
+
+    assert.strictEqual((await sendVote(player, '/vote rank yes > no')).success, false);
+    assert.strictEqual(tallykeeper.castVote(player.id, ['yes', 'no']).success, false);
+  });
+
+  it('should refuse a ranking that repeats an option', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Path?', ['A', 'B'], 5, { mode: VoteMode.RANKED });
+
+    assert.strictEqual((await sendVote(addPlayer(), '/vote rank A > A')).success, false);
+  });
+});
+
+describe('Vote Proposals', () => {
+
+  beforeEach(() => {
+    gameState.nowRing.activeVote = null;
+    gameState.voteQueue = [];
+    gameState.proposals.clear();
+  });
+
+  it('should parse a proposal with its options', () => {
+    const intent = commandRegistry.parse('/propose Next project? | Bridge | Well | Lanterns');
+    assert.strictEqual(intent.params.topic, 'Next project?');
+    assert.deepStrictEqual(intent.params.options, ['Bridge', 'Well', 'Lanterns']);
+  });
+
+  it('should open a proposal once it has enough seconds', () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const { proposal } = tallykeeper.propose(addPlayer().id, 'Next project?', ['Bridge', 'Well']);
+
+    tallykeeper.second(addPlayer().id, proposal.id);
+    assert.strictEqual(proposal.status, ProposalStatus.PENDING);
+
+    const result = tallykeeper.second(addPlayer().id);
+    assert.strictEqual(proposal.status, ProposalStatus.OPENED);
+    assert.strictEqual(result.opened.topic, 'Next project?');
+    assert.strictEqual(gameState.nowRing.activeVote.topic, 'Next project?');
+  });
+
+  it('should queue a sponsored proposal behind the active vote', async () => {
+    const tallykeeper = new LamellaTallykeeper();
+    await tallykeeper.openVote('Bridge?', ['yes', 'no'], 5);
+    const { proposal } = tallykeeper.propose(addPlayer().id, 'Feast?', ['Soup', 'Pie']);
+
+    tallykeeper.second(addPlayer().id, proposal.id);
+    const result = tallykeeper.second(addPlayer().id, proposal.id);
+
+    assert.strictEqual(result.queued, true);
+    assert.strictEqual(proposal.status, ProposalStatus.QUEUED);
+    assert.deepStrictEqual(gameState.voteQueue.map(entry => entry.topic), ['Feast?']);
+  });
+
+  it('should not count the proposer or repeat seconds', () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const proposer = addPlayer();
+    const supporter = addPlayer();
+    const { proposal } = tallykeeper.propose(proposer.id, 'Next project?', ['Bridge', 'Well']);
+
+    assert.strictEqual(tallykeeper.second(proposer.id, proposal.id).success, false);
+    assert.strictEqual(tallykeeper.second(supporter.id, proposal.id).success, true);
+    assert.strictEqual(tallykeeper.second(supporter.id, proposal.id).success, false);
+    assert.deepStrictEqual(proposal.seconds, [supporter.id]);
+  });
+
+  it('should let proposals lapse', () => {
+    const tallykeeper = new LamellaTallykeeper();
+    const { proposal } = tallykeeper.propose(addPlayer().id, 'Next project?', ['Bridge', 'Well']);
+
+    assert.deepStrictEqual(tallykeeper.getPendingProposals(proposal.expiresAt), []);
+    assert.strictEqual(proposal.status, ProposalStatus.EXPIRED);
+  });
+
+  it('should rate-limit proposals per player', () => {
+    const warden = new SaproprobeWarden();
+    warden.proposalLimit = 2;
+    const player = addPlayer();
+
+    warden.recordProposal(player.id);
+    assert.strictEqual(warden.checkProposalLimit(player.id).allowed, true);
+    warden.recordProposal(player.id);
+    assert.strictEqual(warden.checkProposalLimit(player.id).allowed, false);
+    assert.strictEqual(warden.checkProposalLimit(player.id, Date.now() + warden.proposalWindow).allowed, true);
+  });
+});
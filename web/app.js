@@ -5,8 +5,31 @@ class MushroomVillageClient {
     this.ws = null;
     this.playerName = null;
     this.playerId = null;
+    // Session tokens by village code, and the village last played in
+    this.sessionTokens = JSON.parse(localStorage.getItem('mushroomVillageSessions') || '{}');
+    this.villageId = localStorage.getItem('mushroomVillageCurrent');
+    this.sessionToken = this.sessionTokens[this.villageId] || null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+
+    // Items held in escrow by this player's open offers: { item: qty }
+    this.reserved = {};
+
+    // Elder DMs not yet read
+    this.unreadDMs = 0;
+
+    // The chat message the next one replies to: { id, author }
+    this.replyTo = null;
+
+    // Chat backlog: the village it's from, and the id to page back from
+    // (null once it's all shown)
+    this.historyVillageId = null;
+    this.historyCursor = null;
+    this.historyLoading = false;
+
+    // Village view from the last STATE_SNAPSHOT plus the deltas since
+    this.syncedState = null;
+    this.revision = null;
     
     // Cooldown tracking: { resourceName: endTimestamp }
     this.cooldowns = {
@@ -28,8 +51,12 @@ class MushroomVillageClient {
   }
 
   init() {
-    // Show registration modal
-    this.showRegistrationModal();
+    // Returning players resume their session; new ones pick a name
+    if (this.sessionToken) {
+      this.connect();
+    } else {
+      this.showRegistrationModal();
+    }
     
     // Setup event listeners
     document.getElementById('register-button').addEventListener('click', () => this.register());
@@ -37,10 +64,26 @@ class MushroomVillageClient {
       if (e.key === 'Enter') this.register();
     });
     
+    // Report away/online as the tab is hidden or shown
+    document.addEventListener('visibilitychange', () => {
+      if (!this.playerId) return;
+      this.send({
+        type: 'PRESENCE',
+        status: document.hidden ? 'away' : 'online'
+      });
+    });
+    
     document.getElementById('send-button').addEventListener('click', () => this.sendMessage());
     document.getElementById('message-input').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.sendMessage();
     });
+    document.getElementById('reply-cancel').addEventListener('click', () => this.setReplyTo(null));
+    
+    // Chat backlog: the button, or scrolling to the top, pages back
+    document.getElementById('load-earlier').addEventListener('click', () => this.loadHistory({ earlier: true }));
+    document.getElementById('chat-messages').addEventListener('scroll', (e) => {
+      if (e.target.scrollTop === 0) this.loadHistory({ earlier: true });
+    });
     
     // Setup tab switching
     this.setupTabs();
@@ -50,7 +93,10 @@ class MushroomVillageClient {
       moss: 1,
       cedar: 1,
       resin: 1,
-      spores: 1
+      spores: 1,
+      sealed_plank: 1,
+      glow_lantern: 1,
+      moss_rope: 1
     };
   }
 
@@ -79,6 +125,14 @@ class MushroomVillageClient {
     });
     document.getElementById(`tab-${tabName}`).classList.add('active');
     
+    if (tabName === 'trade') {
+      this.loadMarket();
+    }
+
+    if (tabName === 'messages') {
+      this.markDMsRead();
+    }
+    
     // Re-render village map when village tab is opened
     if (tabName === 'village') {
       setTimeout(() => {
@@ -129,7 +183,10 @@ class MushroomVillageClient {
       moss: parseInt(document.getElementById('inv-moss').textContent) || 0,
       cedar: parseInt(document.getElementById('inv-cedar').textContent) || 0,
       resin: parseInt(document.getElementById('inv-resin').textContent) || 0,
-      spores: parseInt(document.getElementById('inv-spores').textContent) || 0
+      spores: parseInt(document.getElementById('inv-spores').textContent) || 0,
+      sealed_plank: parseInt(document.getElementById('inv-sealed_plank').textContent) || 0,
+      glow_lantern: parseInt(document.getElementById('inv-glow_lantern').textContent) || 0,
+      moss_rope: parseInt(document.getElementById('inv-moss_rope').textContent) || 0
     };
   }
 
@@ -153,7 +210,17 @@ class MushroomVillageClient {
 
     this.playerName = name;
     this.hideRegistrationModal();
-    this.connect();
+    
+    // Already connected (e.g. the name was taken): just try again
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.send({
+        type: 'REGISTER',
+        name: this.playerName,
+        village: this.villageId
+      });
+    } else {
+      this.connect();
+    }
   }
 
   connect() {
@@ -179,12 +246,25 @@ class MushroomVillageClient {
     console.log('WebSocket connected');
     this.updateStatus('connected', 'Connected');
     this.reconnectAttempts = 0;
-    
-    // Register player
-    this.send({
-      type: 'REGISTER',
-      name: this.playerName
-    });
+    this.enterSession();
+  }
+
+  // Resume an existing session, or register a new player, in this.villageId
+  // (the server's default village when unset)
+  enterSession() {
+    if (this.sessionToken) {
+      this.send({
+        type: 'RESUME',
+        token: this.sessionToken,
+        village: this.villageId
+      });
+    } else {
+      this.send({
+        type: 'REGISTER',
+        name: this.playerName,
+        village: this.villageId
+      });
+    }
   }
 
   onMessage(event) {
@@ -227,10 +307,16 @@ class MushroomVillageClient {
     
     if (!text) return;
     
+    // With a channel selected, plain text goes to that channel; commands
+    // still go to the village
+    const channel = document.getElementById('chat-channel').value;
+    const toChannel = channel && !text.startsWith('/');
     this.send({
       type: 'USER_CHAT',
-      text
+      text: toChannel ? `/channel ${channel} ${text}` : text,
+      ...(this.replyTo && !toChannel ? { replyTo: this.replyTo.id } : {})
     });
+    this.setReplyTo(null);
     
     input.value = '';
   }
@@ -242,12 +328,25 @@ class MushroomVillageClient {
         if (message.data.player) {
           this.playerId = message.data.playerId;
         }
+        this.handleSessionError(message.data.code);
         // Update inventory if provided
         if (message.data.inventory) {
           this.updateInventory(message.data.inventory);
         }
         break;
       
+      case 'VILLAGE':
+        this.handleVillage(message.data);
+        break;
+
+      case 'SESSION':
+        this.handleSession(message.data);
+        break;
+      
+      case 'PRESENCE':
+        this.updateStatus('connected', `Connected · ${message.data.online} online`);
+        break;
+      
       case 'USER_CHAT':
         this.addUserMessage(message.data);
         break;
@@ -256,16 +355,48 @@ class MushroomVillageClient {
         this.addElderMessage(message.data);
         break;
       
+      case 'NPC_SAY':
+        this.addNpcMessage(message.data);
+        break;
+      
       case 'ELDER_DM':
         this.addElderDM(message.data);
         break;
       
-      case 'STATE_UPDATE':
-        this.updateState(message.data);
+      case 'DM_STATUS':
+        this.updateDMBadge(message.data.unreadCount);
+        break;
+      
+      case 'WHISPER':
+        this.addWhisperMessage(message.data);
+        break;
+      
+      case 'CHANNEL_CHAT':
+        this.addChannelMessage(message.data);
+        break;
+      
+      case 'CHANNEL_STATUS':
+        this.updateChannels(message.data.channels);
+        break;
+      
+      case 'MENTION':
+        this.addSystemMessage({ text: `🔔 ${message.data.playerName} mentioned you`, type: 'info' });
+        break;
+      
+      case 'STATE_SNAPSHOT':
+        this.syncedState = message.data.state;
+        this.revision = message.data.revision;
+        this.updateState(this.syncedState);
+        if (message.data.commands) this.updateCommandHints(message.data.commands);
+        break;
+      
+      case 'STATE_DELTA':
+        this.applyStateDelta(message.data);
         break;
       
       case 'QUEST_STATUS':
         this.updateQuest(message.data.quest);
+        if (message.data.questBoard) this.updateQuestBoard(message.data.questBoard);
         this.updateStockpile(message.data.stockpile);
         break;
       
@@ -275,10 +406,32 @@ class MushroomVillageClient {
       
       case 'VOTE_STATUS':
         this.updateVote(message.data.vote);
+        if (message.data.decisionCard) {
+          this.showDecisionCard(message.data.decisionCard);
+        }
         break;
       
       case 'TRADE_STATUS':
         this.updateTrades(message.data.offers);
+        if (document.getElementById('tab-trade')?.classList.contains('active')) {
+          this.loadMarket();
+        }
+        if (message.data.inventory) {
+          this.reserved = message.data.reserved || {};
+          this.updateInventory(message.data.inventory);
+        }
+        break;
+      
+      case 'GATHER_SESSION':
+        this.handleGatherSession(message.data);
+        break;
+      
+      case 'GATHER_REVEAL':
+        this.handleMossReveal(message.data);
+        break;
+      
+      case 'GATHER_RESULT':
+        this.handleGatherResult(message.data);
         break;
       
       default:
@@ -286,6 +439,55 @@ class MushroomVillageClient {
     }
   }
 
+  // The server put this socket in a village. After /join, or when the
+  // village was archived, the player carries on there under the same name.
+  handleVillage({ village, rejoin }) {
+    document.querySelector('.header h1').textContent = village.name;
+
+    if (!rejoin) return;
+    this.villageId = village.id;
+    this.sessionToken = this.sessionTokens[village.id] || null;
+    this.playerId = null;
+    this.reserved = {};
+    this.enterSession();
+  }
+
+  handleSession(data) {
+    this.sessionToken = data.token;
+    this.playerId = data.playerId;
+    this.playerName = data.player.name;
+    this.villageId = data.village.id;
+    this.sessionTokens[this.villageId] = data.token;
+    localStorage.setItem('mushroomVillageSessions', JSON.stringify(this.sessionTokens));
+    localStorage.setItem('mushroomVillageCurrent', this.villageId);
+    this.loadDMs();
+
+    // A resume in the same village keeps the log; a new one starts afresh
+    if (this.historyVillageId !== this.villageId) {
+      this.historyVillageId = this.villageId;
+      this.clearChatLog();
+      this.loadHistory();
+    }
+  }
+
+  // Registration/resume failures send the player back to the name prompt
+  handleSessionError(code) {
+    if (code === 'RESUME_FAILED') {
+      this.sessionToken = null;
+      delete this.sessionTokens[this.villageId];
+      localStorage.setItem('mushroomVillageSessions', JSON.stringify(this.sessionTokens));
+      this.showRegistrationModal();
+    } else if (code === 'UNKNOWN_VILLAGE') {
+      // The village was archived: start over in the default one
+      this.villageId = null;
+      this.sessionToken = null;
+      localStorage.removeItem('mushroomVillageCurrent');
+      this.showRegistrationModal();
+    } else if (code === 'NAME_TAKEN' || code === 'INVALID_NAME') {
+      this.showRegistrationModal();
+    }
+  }
+
   updateStatus(status, text) {
     const indicator = document.getElementById('status-indicator');
     const statusText = document.getElementById('status-text');
@@ -317,8 +519,7 @@ class MushroomVillageClient {
     }
   }
 
-  addUserMessage(data) {
-    const messagesDiv = document.getElementById('chat-messages');
+  addUserMessage(data, before = null) {
     const msgDiv = document.createElement('div');
     msgDiv.className = 'message user-message';
     
@@ -331,12 +532,14 @@ class MushroomVillageClient {
     
     msgDiv.appendChild(nameSpan);
     msgDiv.appendChild(textSpan);
-    messagesDiv.appendChild(msgDiv);
-    this.scrollToBottom();
+    this.threadMessage(msgDiv, data, data.playerName);
+    if ((data.mentions || []).includes(this.playerId)) {
+      msgDiv.classList.add('mentions-me');
+    }
+    this.placeChatLine(msgDiv, before);
   }
 
-  addElderMessage(data) {
-    const messagesDiv = document.getElementById('chat-messages');
+  addElderMessage(data, before = null) {
     const msgDiv = document.createElement('div');
     msgDiv.className = 'message elder-message';
     
@@ -347,13 +550,213 @@ class MushroomVillageClient {
     const textSpan = document.createElement('span');
     textSpan.textContent = data.text;
     
+    msgDiv.appendChild(nameSpan);
+    msgDiv.appendChild(textSpan);
+    this.threadMessage(msgDiv, data, 'Elder Mycel');
+    this.placeChatLine(msgDiv, before);
+    
+    // Update bell action hint (from live lines, not backlog)
+    if (!before) this.extractActionHint(data.text);
+  }
+
+  // Other NPCs (the Trader, the Gardener, ...) speak from their own domain
+  addNpcMessage(data, before = null) {
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'message npc-message';
+    msgDiv.title = data.domain;
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'message-author npc-author';
+    nameSpan.textContent = `${data.avatar} ${data.name}: `;
+    
+    const textSpan = document.createElement('span');
+    textSpan.textContent = data.text;
+    
+    msgDiv.appendChild(nameSpan);
+    msgDiv.appendChild(textSpan);
+    this.threadMessage(msgDiv, data, data.name);
+    this.placeChatLine(msgDiv, before);
+  }
+
+  // Live lines go at the bottom; backlog goes above the first line it
+  // precedes (see loadHistory)
+  placeChatLine(msgDiv, before = null) {
+    const messagesDiv = document.getElementById('chat-messages');
+    if (before) {
+      messagesDiv.insertBefore(msgDiv, before);
+      return;
+    }
+    messagesDiv.appendChild(msgDiv);
+    this.scrollToBottom();
+  }
+
+  // Empty the chat pane (keeping the "Load earlier" button) and forget
+  // the backlog cursor, before another village's history is shown
+  clearChatLog() {
+    const loadEarlier = document.getElementById('load-earlier');
+    while (loadEarlier.nextSibling) {
+      loadEarlier.nextSibling.remove();
+    }
+    loadEarlier.style.display = 'none';
+    this.historyCursor = null;
+    this.historyLoading = false;
+    this.setReplyTo(null);
+  }
+
+  /**
+   * Fetch a page of chat history and show it above what's on screen.
+   * On connect it fetches the newest page; "Load earlier messages" (or
+   * scrolling to the top) pages back from the oldest line shown.
+   */
+  async loadHistory({ earlier = false } = {}) {
+    if (this.historyLoading || (earlier && !this.historyCursor)) return;
+    this.historyLoading = true;
+    const villageId = this.historyVillageId;
+
+    const messagesDiv = document.getElementById('chat-messages');
+    const loadEarlier = document.getElementById('load-earlier');
+    try {
+      const query = earlier ? `?before=${encodeURIComponent(this.historyCursor)}` : '';
+      const response = await fetch(`${this.apiPath('feed')}${query}`);
+      const { messages = [], hasMore = false, nextBefore = null } = await response.json();
+
+      // The player moved on to another village while this was loading
+      if (villageId !== this.historyVillageId) return;
+
+      // Keep the lines on screen where they are while backlog goes above
+      const heightBefore = messagesDiv.scrollHeight;
+      const anchor = loadEarlier.nextSibling;
+      messages
+        .filter(m => !document.querySelector(`[data-message-id="${CSS.escape(m.id)}"]`))
+        .forEach(m => this.renderHistoryLine(m, anchor));
+      if (earlier) {
+        messagesDiv.scrollTop += messagesDiv.scrollHeight - heightBefore;
+      } else {
+        this.scrollToBottom();
+      }
+
+      this.historyCursor = hasMore ? nextBefore : null;
+      loadEarlier.style.display = hasMore ? 'block' : 'none';
+    } catch (error) {
+      console.error('History load failed:', error);
+    } finally {
+      if (villageId === this.historyVillageId) {
+        this.historyLoading = false;
+      }
+    }
+  }
+
+  // A chat history entry drawn like the live message it was
+  renderHistoryLine(entry, before) {
+    const data = { ...entry, timestamp: entry.at };
+    if (entry.type === 'ELDER_SAY') {
+      this.addElderMessage(data, before);
+    } else if (entry.type === 'NPC_SAY') {
+      this.addNpcMessage({ ...data, name: entry.user, avatar: entry.avatar || '' }, before);
+    } else {
+      this.addUserMessage({ ...data, playerName: entry.user }, before);
+    }
+  }
+
+  // Chat lines carry an id to reply to; a reply is shown under a quote of
+  // the message it answers (the first one, for an Elder answering several)
+  threadMessage(msgDiv, data, author) {
+    if (!data.id) return;
+    msgDiv.dataset.messageId = data.id;
+    msgDiv.dataset.author = author;
+    msgDiv.dataset.text = data.text;
+    
+    if (data.replyTo) {
+      const parent = document.querySelector(`[data-message-id="${CSS.escape(data.replyTo)}"]`);
+      const quote = document.createElement('div');
+      quote.className = 'reply-quote';
+      quote.textContent = parent
+        ? `↪ ${parent.dataset.author}: ${parent.dataset.text.slice(0, 60)}`
+        : '↪ an earlier message';
+      const more = (data.answers || []).length - 1;
+      if (more > 0) quote.textContent += ` (+${more} more)`;
+      msgDiv.classList.add('reply-message');
+      msgDiv.prepend(quote);
+    }
+    
+    const replyButton = document.createElement('button');
+    replyButton.className = 'reply-button';
+    replyButton.title = 'Reply';
+    replyButton.textContent = '↩';
+    replyButton.addEventListener('click', () => this.setReplyTo({ id: data.id, author }));
+    msgDiv.appendChild(replyButton);
+  }
+
+  setReplyTo(target) {
+    this.replyTo = target;
+    const banner = document.getElementById('reply-banner');
+    banner.style.display = target ? 'flex' : 'none';
+    document.getElementById('reply-banner-text').textContent = target ? `Replying to ${target.author}` : '';
+    if (target) document.getElementById('message-input').focus();
+  }
+
+  // A /whisper from another player, only shown to us
+  addWhisperMessage(data) {
+    const messagesDiv = document.getElementById('chat-messages');
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'message whisper-message';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'message-author';
+    nameSpan.textContent = `${data.playerName} whispers: `;
+    
+    const textSpan = document.createElement('span');
+    textSpan.textContent = data.text;
+    
+    msgDiv.appendChild(nameSpan);
+    msgDiv.appendChild(textSpan);
+    messagesDiv.appendChild(msgDiv);
+    this.scrollToBottom();
+  }
+
+  addChannelMessage(data) {
+    const messagesDiv = document.getElementById('chat-messages');
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'message channel-message';
+    
+    const channelSpan = document.createElement('span');
+    channelSpan.className = 'channel-tag';
+    channelSpan.textContent = data.channel;
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'message-author';
+    nameSpan.textContent = `${data.playerName}: `;
+    
+    const textSpan = document.createElement('span');
+    textSpan.textContent = data.text;
+    
+    msgDiv.appendChild(channelSpan);
     msgDiv.appendChild(nameSpan);
     msgDiv.appendChild(textSpan);
     messagesDiv.appendChild(msgDiv);
     this.scrollToBottom();
+  }
+
+  // The channel selector lists the village plus every channel we're in
+  updateChannels(channels) {
+    const select = document.getElementById('chat-channel');
+    const selected = select.value;
+    
+    select.innerHTML = '';
+    const village = document.createElement('option');
+    village.value = '';
+    village.textContent = '🏘️ Village';
+    select.appendChild(village);
     
-    // Update bell action hint
-    this.extractActionHint(data.text);
+    channels.forEach(channel => {
+      const option = document.createElement('option');
+      option.value = channel.name;
+      option.textContent = `${channel.name} (${channel.members.length})`;
+      option.title = channel.members.join(', ');
+      select.appendChild(option);
+    });
+    
+    select.value = channels.some(channel => channel.name === selected) ? selected : '';
   }
 
   extractActionHint(text) {
@@ -369,13 +772,75 @@ class MushroomVillageClient {
     messagesDiv.scrollTop = messagesDiv.scrollHeight;
   }
 
-  updateState(data) {
-    if (data.stones) this.updateStones(data.stones);
-    if (data.quest) this.updateQuest(data.quest);
-    if (data.vote) this.updateVote(data.vote);
-    if (data.stockpile) this.updateStockpile(data.stockpile);
-    if (data.trades) this.updateTrades(data.trades);
-    if (data.locations) this.updateMapLocations(data.locations);
+  // Render the given sections of the village view (all of them by default)
+  updateState(data, sections = Object.keys(data)) {
+    const renderers = {
+      stones: stones => this.updateStones(stones),
+      quest: quest => this.updateQuest(quest),
+      questBoard: board => this.updateQuestBoard(board),
+      vote: vote => this.updateVote(vote),
+      stockpile: stockpile => this.updateStockpile(stockpile),
+      locations: locations => this.updateMapLocations(locations)
+    };
+    for (const section of sections) {
+      if (renderers[section]) renderers[section](data[section]);
+    }
+  }
+
+  // Apply a STATE_DELTA to the synced view and redraw only what it touched.
+  // A delta that doesn't follow on from our revision means we missed one,
+  // so ask for a fresh snapshot instead.
+  applyStateDelta({ revision, baseRevision, ops }) {
+    if (this.revision === null) return;
+    if (baseRevision !== this.revision) {
+      this.revision = null;
+      this.send({ type: 'STATE_RESYNC' });
+      return;
+    }
+
+    const touched = new Set();
+    for (const op of ops) {
+      this.syncedState = this.applyStateOp(this.syncedState, op);
+      const section = op.path.split('/')[1];
+      if (section === undefined) {
+        Object.keys(this.syncedState).forEach(key => touched.add(key));
+      } else {
+        touched.add(section.replace(/~1/g, '/').replace(/~0/g, '~'));
+      }
+    }
+
+    this.revision = revision;
+    this.updateState(this.syncedState, [...touched]);
+  }
+
+  // One JSON-patch style op (add/replace/remove at a JSON pointer)
+  applyStateOp(doc, { op, path, value }) {
+    if (path === '') return op === 'remove' ? {} : value;
+
+    const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], doc);
+    if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+    return doc;
+  }
+
+  // Composer hints come from the server's command registry
+  updateCommandHints(commands) {
+    const hintsDiv = document.getElementById('composer-hints');
+    if (!hintsDiv || commands.length === 0) return;
+
+    hintsDiv.textContent = 'Commands: ';
+    commands.forEach((cmd, i) => {
+      if (i > 0) hintsDiv.append(' • ');
+      const code = document.createElement('code');
+      code.textContent = cmd.example;
+      code.title = `${cmd.usage} - ${cmd.description}`;
+      hintsDiv.appendChild(code);
+    });
   }
 
   // Quick action methods for UI buttons with cooldowns
@@ -401,6 +866,13 @@ class MushroomVillageClient {
     });
   }
 
+  craftItem(recipe) {
+    this.send({
+      type: 'USER_CHAT',
+      text: `/craft ${recipe}`
+    });
+  }
+
   createTradeOffer() {
     const giveItem = document.getElementById('give-item').value;
     const giveQty = document.getElementById('give-qty').value;
@@ -427,12 +899,16 @@ class MushroomVillageClient {
     if (!inventory) return;
     
     // Update all inventory displays
-    const items = ['moss', 'cedar', 'resin', 'spores'];
+    const items = ['moss', 'cedar', 'resin', 'spores', 'sealed_plank', 'glow_lantern', 'moss_rope'];
     items.forEach(item => {
       const value = inventory[item] || 0;
+      const held = this.reserved[item] || 0;
       const elem = document.getElementById(`inv-${item}`);
       if (elem) {
-        elem.textContent = value;
+        // Inventory is what's available; escrowed goods are shown beside it
+        elem.innerHTML = held > 0
+          ? `${value} <span class="item-reserved" title="Held by your open offers">+${held} held</span>`
+          : value;
       }
       
       // Update donate amount max limit
@@ -476,39 +952,163 @@ class MushroomVillageClient {
     bellQuest.textContent = `${quest.name} (${quest.percent}%)`;
   }
 
+  // Side quests and this player's personal quests, below the main quest
+  updateQuestBoard(board) {
+    const content = document.getElementById('quest-board-content');
+    const quests = (board || []).filter(q =>
+      q.kind === 'SIDE' || (q.kind === 'PERSONAL' && q.assignedTo === this.playerId));
+
+    if (quests.length === 0) {
+      content.innerHTML = '<p class="panel-empty">No side quests right now</p>';
+      return;
+    }
+
+    content.innerHTML = quests.map(q => {
+      const needs = Object.entries(q.recipe)
+        .map(([item, qty]) => `${q.have[item] || 0}/${qty} ${item}`)
+        .join(', ');
+      const personal = q.kind === 'PERSONAL';
+
+      return `
+        <div class="board-quest board-quest-${q.kind.toLowerCase()}">
+          <div class="board-quest-header">
+            <span class="board-quest-kind">${personal ? 'Yours' : 'Side'}</span>
+            <span class="board-quest-name">${q.name}</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${q.percent}%"></div>
+          </div>
+          <p class="board-quest-needs">${needs}</p>
+          <p class="board-quest-terms">
+            ${q.expiresAt ? `ends in ${this.formatMinutesLeft(q.expiresAt)}` : ''}
+            ${personal ? ' · gather to fill' : ` · <code>/donate &lt;item&gt; xN to ${q.id}</code>`}
+          </p>
+        </div>
+      `;
+    }).join('');
+  }
+
   updateVote(vote) {
     const content = document.getElementById('vote-content');
     const bellVote = document.getElementById('bell-vote');
     
     if (!vote || vote.status !== 'OPEN') {
+      this.currentVote = null;
       content.innerHTML = '<p class="panel-empty">No active vote</p>';
       bellVote.textContent = 'None';
       return;
     }
     
-    const timeRemaining = Math.floor(vote.timeRemaining / 1000);
-    const minutes = Math.floor(timeRemaining / 60);
-    const seconds = timeRemaining % 60;
+    // Keep a half-filled approval or ranked ballot across refreshes
+    const draft = this.currentVote?.id === vote.id ? this.readBallotDraft() : [];
+    this.currentVote = vote;
+    const mode = vote.mode || 'PLURALITY';
     
     content.innerHTML = `
       <div class="vote-info">
         <h4>${vote.topic}</h4>
-        <p class="vote-timer">Closes in: ${minutes}m ${seconds}s</p>
+        <p class="vote-timer">Closes in: ${this.formatCountdown(vote.closesAt)}</p>
+        ${this.renderVoteOptions(vote, mode)}
+        <p class="vote-total">Total voters: ${vote.totalVotes}</p>
+        ${vote.queued && vote.queued.length > 0 ? `<p class="vote-queue">Up next: ${vote.queued.join(', ')}</p>` : ''}
+      </div>
+    `;
+    
+    const inputs = document.querySelectorAll('#vote-content [data-index]');
+    draft.forEach((value, i) => {
+      if (!inputs[i]) return;
+      if (inputs[i].type === 'checkbox') inputs[i].checked = value;
+      else inputs[i].value = value;
+    });
+
+    bellVote.textContent = vote.topic;
+
+    // The server only sends closesAt, so the countdown runs here
+    clearInterval(this.voteTimer);
+    this.voteTimer = setInterval(() => {
+      const timer = document.querySelector('#vote-content .vote-timer');
+      if (!timer || this.currentVote?.id !== vote.id) {
+        clearInterval(this.voteTimer);
+        return;
+      }
+      timer.textContent = `Closes in: ${this.formatCountdown(vote.closesAt)}`;
+    }, 1000);
+  }
+
+  readBallotDraft() {
+    return Array.from(document.querySelectorAll('#vote-content [data-index]'))
+      .map(input => (input.type === 'checkbox' ? input.checked : input.value));
+  }
+
+  // Plurality votes get one button per option; approval votes get
+  // checkboxes and ranked votes a rank picker per option, each sent as one ballot
+  renderVoteOptions(vote, mode) {
+    if (mode === 'APPROVAL') {
+      return `
+        <p class="vote-hint">Tick every option you could live with.</p>
         <div class="vote-options">
-          ${vote.options.map(option => `
+          ${vote.options.map((option, i) => `
+            <label class="vote-option">
+              <input type="checkbox" class="vote-approve" data-index="${i}">
+              <span class="vote-label">${option}</span>
+              <span class="vote-count">${vote.results[option] || 0} approvals</span>
+            </label>
+          `).join('')}
+        </div>
+        <button class="vote-button vote-submit" onclick="client.submitApproval()">Approve selected</button>
+      `;
+    }
+
+    if (mode === 'RANKED') {
+      const ranks = vote.options.map((_, r) => `<option value="${r + 1}">${r + 1}</option>`).join('');
+      return `
+        <p class="vote-hint">Rank the options you care about (1 = favourite).</p>
+        <div class="vote-options">
+          ${vote.options.map((option, i) => `
             <div class="vote-option">
-              <button class="vote-button" onclick="client.castVote('${option}')">
-                ${option}
-              </button>
-              <span class="vote-count">${vote.results[option] || 0} votes</span>
+              <select class="vote-rank" data-index="${i}">
+                <option value="">–</option>
+                ${ranks}
+              </select>
+              <span class="vote-label">${option}</span>
+              <span class="vote-count">${vote.results[option] || 0} first</span>
             </div>
           `).join('')}
         </div>
-        <p class="vote-total">Total votes: ${vote.totalVotes}</p>
+        <button class="vote-button vote-submit" onclick="client.submitRanking()">Submit ranking</button>
+      `;
+    }
+
+    return `
+      <div class="vote-options">
+        ${vote.options.map(option => `
+          <div class="vote-option">
+            <button class="vote-button" onclick="client.castVote('${option}')">
+              ${option}
+            </button>
+            <span class="vote-count">${vote.results[option] || 0} votes</span>
+          </div>
+        `).join('')}
       </div>
     `;
-    
-    bellVote.textContent = vote.topic;
+  }
+
+  // Closed votes arrive with the Tallykeeper's Decision Card; ranked
+  // votes also list each instant-runoff round
+  showDecisionCard(card) {
+    this.addSystemMessage({
+      text: `🗳️ ${card.topic}: ${card.summary}`,
+      type: 'decision'
+    });
+
+    (card.rounds || []).forEach((round, i) => {
+      const counts = Object.entries(round.counts).map(([option, count]) => `${option} ${count}`).join(', ');
+      const out = round.eliminated.length > 0 ? ` (out: ${round.eliminated.join(', ')})` : '';
+      this.addSystemMessage({
+        text: `Round ${i + 1}: ${counts}${out}`,
+        type: 'decision'
+      });
+    });
   }
 
   castVote(option) {
@@ -518,6 +1118,28 @@ class MushroomVillageClient {
     });
   }
 
+  submitApproval() {
+    if (!this.currentVote) return;
+
+    const approved = Array.from(document.querySelectorAll('#vote-content .vote-approve:checked'))
+      .map(box => this.currentVote.options[box.dataset.index]);
+    if (approved.length === 0) return;
+
+    this.castVote(approved.join(', '));
+  }
+
+  submitRanking() {
+    if (!this.currentVote) return;
+
+    const ranked = Array.from(document.querySelectorAll('#vote-content .vote-rank'))
+      .filter(select => select.value)
+      .sort((a, b) => Number(a.value) - Number(b.value))
+      .map(select => this.currentVote.options[select.dataset.index]);
+    if (ranked.length === 0) return;
+
+    this.castVote(`rank ${ranked.join(' > ')}`);
+  }
+
   updateStockpile(stockpile) {
     if (!stockpile) return;
     
@@ -536,39 +1158,128 @@ class MushroomVillageClient {
     }
     
     content.innerHTML = offers.map(offer => {
-      const fromName = offer.fromPlayer || 'Unknown';
+      const fromName = offer.fromName || offer.fromPlayer || 'Unknown';
+      const mine = offer.fromPlayer === this.playerId;
+      const heading = offer.counterTo ? `${fromName} counters:` : `${fromName} offers:`;
+      const tags = [];
+      if (offer.toPlayer) tags.push(mine ? `private to ${offer.toName}` : 'private to you');
+      if (offer.autoMatch) tags.push('auto-match');
+      if (offer.posted) tags.push(`partly filled, was ${this.describeBundle(offer.posted.give)}`);
+      if (offer.expiresAt) tags.push(`expires in ${this.formatMinutesLeft(offer.expiresAt)}`);
       
       return `
-        <div class="trade-offer">
-          <p class="trade-from">${fromName} offers:</p>
+        <div class="trade-offer${offer.toPlayer ? ' trade-private' : ''}">
+          <p class="trade-from">${heading}</p>
           <p class="trade-details">
-            ${offer.give.qty} ${offer.give.item} ➔ ${offer.want.qty} ${offer.want.item}
+            ${this.describeBundle(offer.give)} ➔ ${this.describeBundle(offer.want)}
           </p>
+          ${tags.length ? `<p class="trade-terms">${tags.join(' · ')}</p>` : ''}
+          ${mine ? `
+          <button class="trade-accept trade-cancel" onclick="client.cancelTrade('${offer.id}')">
+            Withdraw
+          </button>` : `
           <button class="trade-accept" onclick="client.acceptTrade('${offer.id}')">
             Accept
-          </button>
+          </button>`}
         </div>
       `;
     }).join('');
   }
 
-  acceptTrade(offerId) {
-    this.send({
-      type: 'USER_CHAT',
-      text: `/accept ${offerId}`
-    });
+  // HTTP API path for the village this client is in
+  apiPath(endpoint) {
+    return this.villageId ? `/api/villages/${encodeURIComponent(this.villageId)}/${endpoint}` : `/api/${endpoint}`;
   }
 
-  updateStones(stones) {
-    const content = document.getElementById('stones-content');
-    
-    if (!stones || stones.length === 0) {
-      content.innerHTML = '<p class="panel-empty">No memory stones yet</p>';
+  async loadMarket() {
+    try {
+      const response = await fetch(this.apiPath('market'));
+      this.updateMarket(await response.json());
+    } catch (error) {
+      console.error('Market load failed:', error);
+    }
+  }
+
+  // One card per resource pair: rolling index, change, volume and a
+  // sparkline of recent exchange rates
+  updateMarket(market) {
+    const content = document.getElementById('market-content');
+    if (!content) return;
+
+    if (!market.pairs || market.pairs.length === 0) {
+      content.innerHTML = '<p class="panel-empty">No trades yet</p>';
       return;
     }
-    
-    content.innerHTML = stones.map(stone => `
-      <div class="memory-stone">
+
+    content.innerHTML = market.pairs.map(entry => {
+      const rate = entry.index ?? entry.last;
+      const change = entry.change === null
+        ? ''
+        : `<span class="market-change ${entry.change >= 0 ? 'up' : 'down'}">${entry.change >= 0 ? '▲' : '▼'} ${Math.round(Math.abs(entry.change) * 100)}%</span>`;
+
+      return `
+        <div class="market-pair">
+          <p class="market-title">1 ${entry.base} = ${Math.round(rate * 100) / 100} ${entry.quote} ${change}</p>
+          ${this.renderSparkline(entry.history.map(point => point.rate))}
+          <p class="market-volume">${entry.volume} ${entry.base} traded in the last ${market.windowMinutes}m · ${entry.trades} trades total</p>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderSparkline(values, width = 220, height = 40) {
+    if (values.length < 2) return '';
+
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const points = values.map((value, i) => {
+      const x = (i / (values.length - 1)) * width;
+      const y = height - 2 - ((value - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg class="market-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${points}" /></svg>`;
+  }
+
+  // [{ item, qty }] (or a single { item, qty }) -> "3 moss + 1 resin"
+  describeBundle(items) {
+    return [].concat(items || []).map(({ item, qty }) => `${qty} ${item}`).join(' + ');
+  }
+
+  formatCountdown(timestamp) {
+    const seconds = Math.max(0, Math.floor((timestamp - Date.now()) / 1000));
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  formatMinutesLeft(timestamp) {
+    const minutes = Math.max(0, Math.ceil((timestamp - Date.now()) / 60000));
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  acceptTrade(offerId) {
+    this.send({
+      type: 'USER_CHAT',
+      text: `/accept ${offerId}`
+    });
+  }
+
+  cancelTrade(offerId) {
+    this.send({
+      type: 'USER_CHAT',
+      text: `/cancel ${offerId}`
+    });
+  }
+
+  updateStones(stones) {
+    const content = document.getElementById('stones-content');
+    
+    if (!stones || stones.length === 0) {
+      content.innerHTML = '<p class="panel-empty">No memory stones yet</p>';
+      return;
+    }
+    
+    content.innerHTML = stones.map(stone => `
+      <div class="memory-stone">
         <h4 class="stone-title">${stone.title}</h4>
         <p class="stone-text">${stone.text}</p>
         ${stone.tags && stone.tags.length > 0 ? 
@@ -597,6 +1308,7 @@ class MushroomVillageClient {
           <div class="completion-rewards">
             <h3>Rewards</h3>
             <p class="reward-item">✨ ${data.rewards.charms} Charm added to village</p>
+            ${this.renderContributors(data.rewards.contributors)}
           </div>
           
           <div class="completion-new-quest">
@@ -620,12 +1332,32 @@ class MushroomVillageClient {
     document.body.appendChild(modal);
     
     // Add celebration message to chat
+    const names = (data.rewards.contributors || []).map(c => c.name);
     this.addSystemMessage({
-      text: `🎉 Quest "${data.completedQuest.name}" completed! The village earned ${data.rewards.charms} charm!`,
+      text: `🎉 Quest "${data.completedQuest.name}" completed! The village earned ${data.rewards.charms} charm!` +
+        (names.length > 0 ? ` Thanks to ${names.join(', ')}.` : ''),
       type: 'success'
     });
   }
 
+  // Contributors to a completed quest, biggest first
+  renderContributors(contributors) {
+    if (!contributors || contributors.length === 0) {
+      return '<p class="contributors-empty">No donations were recorded for this quest.</p>';
+    }
+
+    const rows = contributors.map(c => `
+      <li class="contributor${c.playerId === this.playerId ? ' contributor-self' : ''}">
+        <span class="contributor-name">${c.name}</span>
+        <span class="contributor-amount">gave ${c.contributed}</span>
+        ${c.charms > 0 ? `<span class="contributor-charms">+${c.charms} ✨</span>` : ''}
+        ${c.title ? `<span class="contributor-title">🏅 ${c.title}</span>` : ''}
+      </li>
+    `).join('');
+
+    return `<h3>Contributors</h3><ul class="contributor-list">${rows}</ul>`;
+  }
+
   closeCompletionModal() {
     const modal = document.querySelector('.completion-modal');
     if (modal) {
@@ -638,8 +1370,7 @@ class MushroomVillageClient {
     return Date.now() < this.cooldowns[resource];
   }
 
-  startCooldown(resource) {
-    const duration = this.cooldownDurations[resource];
+  startCooldown(resource, duration = this.cooldownDurations[resource]) {
     this.cooldowns[resource] = Date.now() + duration;
     
     // Get button element
@@ -690,8 +1421,20 @@ class MushroomVillageClient {
 
   // NEW: Handle Elder private messages
   addElderDM(data) {
+    this.renderDM(data);
+    this.updateDMBadge(data.unreadCount);
+    
+    // Already reading them: that counts as read
+    if (document.getElementById('tab-messages').classList.contains('active')) {
+      this.markDMsRead();
+    }
+    
+    // Add notification sound effect (optional)
+    console.log('📜 New private message from Elder Mycel');
+  }
+
+  renderDM(data) {
     const dmContent = document.getElementById('dm-content');
-    const badge = document.getElementById('dm-badge');
     
     // Create DM element
     const dmDiv = document.createElement('div');
@@ -701,53 +1444,140 @@ class MushroomVillageClient {
         <span class="dm-from">🍄 Elder Mycel</span>
         <span class="dm-time">${new Date(data.timestamp).toLocaleTimeString()}</span>
       </div>
-      <div class="dm-text">${data.text}</div>
+      <div class="dm-text"></div>
     `;
+    dmDiv.querySelector('.dm-text').textContent = data.text;
     
     // Replace empty state or prepend to existing messages
     if (dmContent.querySelector('.panel-empty')) {
       dmContent.innerHTML = '';
     }
     dmContent.insertBefore(dmDiv, dmContent.firstChild);
-    
-    // Update badge
-    if (data.unreadCount && data.unreadCount > 0) {
-      badge.textContent = data.unreadCount;
-      badge.style.display = 'inline-block';
+  }
+
+  // The Elder's DMs kept for this player, e.g. from while they were away
+  async loadDMs() {
+    try {
+      const response = await fetch(this.apiPath('dms'), {
+        headers: { Authorization: `Bearer ${this.sessionToken}` }
+      });
+      const { messages = [], unreadCount = 0 } = await response.json();
+
+      document.getElementById('dm-content').innerHTML = '<p class="panel-empty">No private messages</p>';
+      messages.forEach(message => this.renderDM(message));
+      this.updateDMBadge(unreadCount);
+    } catch (error) {
+      console.error('DM load failed:', error);
     }
-    
-    // Add notification sound effect (optional)
-    console.log('📜 New private message from Elder Mycel');
+  }
+
+  // Unread count on the panel heading and the Messages tab
+  updateDMBadge(count) {
+    this.unreadDMs = count || 0;
+    for (const id of ['dm-badge', 'dm-tab-badge']) {
+      const badge = document.getElementById(id);
+      badge.textContent = this.unreadDMs;
+      badge.style.display = this.unreadDMs > 0 ? 'inline-block' : 'none';
+    }
+  }
+
+  // Read receipt; the server answers with DM_STATUS
+  markDMsRead() {
+    if (this.unreadDMs > 0) {
+      this.send({ type: 'DM_READ' });
+    }
+  }
+
+  // Gathering mini-games are server-authoritative: the server deals a
+  // signed session, the client plays it and submits its move log, and
+  // the server replays the moves to decide the yield.
+  requestGatherSession(resource) {
+    if (this.isCooldown(resource)) return;
+
+    this.send({
+      type: 'GATHER_START',
+      resource
+    });
+  }
+
+  handleGatherSession(data) {
+    switch (data.session.resource) {
+      case 'moss':
+        this.playMossGame(data);
+        break;
+      case 'cedar':
+        this.playCedarGame(data);
+        break;
+      case 'resin':
+        this.playResinGame(data);
+        break;
+      case 'spores':
+        this.playSporeGame(data);
+        break;
+    }
+  }
+
+  submitGatherGame(game) {
+    this.send({
+      type: 'GATHER_SUBMIT',
+      session: game.session.session,
+      signature: game.session.signature,
+      moves: game.moves
+    });
+  }
+
+  handleGatherResult(data) {
+    this.addSystemMessage({
+      text: data.amount > 0 ? `You gathered ${data.amount} ${data.resource}.` : `You found no ${data.resource} this time.`,
+      type: 'success'
+    });
+
+    if (data.inventory) {
+      this.updateInventory(data.inventory);
+    }
+
+    this.startCooldown(data.resource, data.cooldownMs);
+  }
+
+  // Milliseconds since the session was dealt
+  gameElapsed(game) {
+    return Date.now() - game.startedAt;
   }
 
   // Spore Game Methods
   startSporeGame() {
-    // Check cooldown
-    if (this.isCooldown('spores')) {
-      return;
-    }
+    this.requestGatherSession('spores');
+  }
 
+  playSporeGame(session) {
     // Show game panel
     document.getElementById('spore-game-panel').style.display = 'block';
-    
+
     // Initialize game
     this.sporeGame = {
       canvas: document.getElementById('spore-canvas'),
       ctx: null,
+      session,
+      layout: session.layout,
+      durationMs: session.durationMs,
+      startedAt: Date.now(),
+      moves: [],
       score: 0,
-      timeLeft: 10,
+      timeLeft: Math.ceil(session.durationMs / 1000),
       isRunning: false,
       spores: [],
+      nextSpore: 0,
+      popped: new Set(),
       animationFrame: null
     };
-    
+
     this.sporeGame.ctx = this.sporeGame.canvas.getContext('2d');
-    
+
     // Set canvas size
     const rect = this.sporeGame.canvas.getBoundingClientRect();
     this.sporeGame.canvas.width = rect.width;
     this.sporeGame.canvas.height = rect.height;
-    
+
     // Start game
     this.runSporeGame();
   }
@@ -755,146 +1585,133 @@ class MushroomVillageClient {
   runSporeGame() {
     const game = this.sporeGame;
     game.isRunning = true;
-    game.score = 0;
-    game.timeLeft = 15;
-    game.spores = [];
-    
+
     // Define spore colors
-    const sporeColors = [
-      { name: 'PURPLE', hue: 280, label: '💜' },
-      { name: 'BLUE', hue: 220, label: '💙' },
-      { name: 'PINK', hue: 320, label: '💗' }
-    ];
-    
-    // Choose target color
-    game.targetColor = sporeColors[Math.floor(Math.random() * sporeColors.length)];
-    game.colorChangeTime = Date.now() + 5000; // Change color every 5 seconds
-    
+    const sporeColors = {
+      PURPLE: { name: 'PURPLE', hue: 280, label: '💜' },
+      BLUE: { name: 'BLUE', hue: 220, label: '💙' },
+      PINK: { name: 'PINK', hue: 320, label: '💗' }
+    };
+
     // Update UI
     document.getElementById('spore-score').textContent = '0';
-    document.getElementById('spore-time').textContent = '15';
-    
+    document.getElementById('spore-time').textContent = game.timeLeft;
+
     // Add click handler
     game.canvas.onclick = (e) => this.handleSporeClick(e);
-    
-    // Spawn spores periodically
-    const spawnInterval = setInterval(() => {
-      if (!game.isRunning) {
-        clearInterval(spawnInterval);
-        return;
-      }
-      
-      // Change target color every 5 seconds
-      if (Date.now() >= game.colorChangeTime) {
-        game.targetColor = sporeColors[Math.floor(Math.random() * sporeColors.length)];
-        game.colorChangeTime = Date.now() + 5000;
-      }
-      
-      // Spawn 1-2 spores with random colors
-      const count = Math.random() > 0.5 ? 2 : 1;
-      for (let i = 0; i < count; i++) {
-        const colorChoice = sporeColors[Math.floor(Math.random() * sporeColors.length)];
-        game.spores.push({
-          x: Math.random() * (game.canvas.width - 30) + 15,
-          y: -20,
-          radius: 12 + Math.random() * 8,
-          speed: 0.5 + Math.random() * 0.8,
-          color: `hsl(${colorChoice.hue}, 60%, 70%)`,
-          colorName: colorChoice.name,
-          hue: colorChoice.hue
-        });
-      }
-    }, 800);
-    
+
     // Game timer
     const timerInterval = setInterval(() => {
       if (!game.isRunning) {
         clearInterval(timerInterval);
         return;
       }
-      
-      game.timeLeft--;
+
+      game.timeLeft = Math.max(0, Math.ceil((game.durationMs - this.gameElapsed(game)) / 1000));
       document.getElementById('spore-time').textContent = game.timeLeft;
-      
+
       if (game.timeLeft <= 0) {
         this.endSporeGame();
         clearInterval(timerInterval);
-        clearInterval(spawnInterval);
       }
     }, 1000);
-    
+
     // Animation loop
     const animate = () => {
       if (!game.isRunning) {
         return;
       }
-      
+
+      const elapsed = this.gameElapsed(game);
+      const h = game.canvas.height;
+
+      // Target color follows the dealt schedule
+      game.targetColor = sporeColors[game.layout.targets.filter(t => t.from <= elapsed).pop().color];
+
+      // Release spores that are due
+      while (game.nextSpore < game.layout.spores.length && game.layout.spores[game.nextSpore].at <= elapsed) {
+        const spore = game.layout.spores[game.nextSpore++];
+        const colorChoice = sporeColors[spore.color];
+        game.spores.push({
+          ...spore,
+          px: spore.x * game.canvas.width,
+          color: `hsl(${colorChoice.hue}, 60%, 70%)`,
+          colorName: colorChoice.name
+        });
+      }
+
       // Clear canvas
       game.ctx.fillStyle = '#F0F8EF';
-      game.ctx.fillRect(0, 0, game.canvas.width, game.canvas.height);
-      
+      game.ctx.fillRect(0, 0, game.canvas.width, h);
+
       // Draw instructions with target color
       game.ctx.fillStyle = '#3A3A3A';
       game.ctx.font = 'bold 20px Nunito';
       game.ctx.textAlign = 'center';
       game.ctx.fillText(`Catch ${game.targetColor.label} ${game.targetColor.name} spores!`, game.canvas.width / 2, 30);
-      
+
       // Update and draw spores
       game.spores = game.spores.filter(spore => {
-        spore.y += spore.speed;
-        
-        // Remove if off screen
-        if (spore.y > game.canvas.height + 30) {
+        // Remove once it has drifted out of play
+        if (elapsed > spore.at + spore.fallMs || game.popped.has(spore.id)) {
           return false;
         }
-        
+
+        spore.y = -20 + ((elapsed - spore.at) / spore.fallMs) * (h + 50);
+
         // Draw spore
         game.ctx.beginPath();
-        game.ctx.arc(spore.x, spore.y, spore.radius, 0, Math.PI * 2);
+        game.ctx.arc(spore.px, spore.y, spore.radius, 0, Math.PI * 2);
         game.ctx.fillStyle = spore.color;
         game.ctx.fill();
         game.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
         game.ctx.lineWidth = 2;
         game.ctx.stroke();
-        
+
         // Draw highlight
         game.ctx.beginPath();
-        game.ctx.arc(spore.x - spore.radius * 0.3, spore.y - spore.radius * 0.3, spore.radius * 0.3, 0, Math.PI * 2);
+        game.ctx.arc(spore.px - spore.radius * 0.3, spore.y - spore.radius * 0.3, spore.radius * 0.3, 0, Math.PI * 2);
         game.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
         game.ctx.fill();
-        
+
         return true;
       });
-      
+
       game.animationFrame = requestAnimationFrame(animate);
     };
-    
+
     animate();
   }
 
   handleSporeClick(e) {
     const game = this.sporeGame;
     if (!game.isRunning) return;
-    
+
     const rect = game.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
-    
+    const elapsed = this.gameElapsed(game);
+    if (elapsed >= game.durationMs) return;
+
     // Check if clicked on any spore
     for (let i = game.spores.length - 1; i >= 0; i--) {
       const spore = game.spores[i];
-      const distance = Math.sqrt((x - spore.x) ** 2 + (y - spore.y) ** 2);
-      
-      if (distance < spore.radius) {
-        // Check if correct color
-        if (spore.colorName === game.targetColor.name) {
+      const distance = Math.sqrt((x - spore.px) ** 2 + (y - spore.y) ** 2);
+
+      if (distance < spore.radius && elapsed <= spore.at + spore.fallMs) {
+        game.moves.push({ t: elapsed, id: spore.id });
+        game.popped.add(spore.id);
+
+        // Check if correct color (the target in effect when clicked)
+        const target = game.layout.targets.filter(t => t.from <= elapsed).pop();
+        if (spore.colorName === target.color) {
           // Correct color - gain point!
           game.score++;
           document.getElementById('spore-score').textContent = game.score;
-          
+
           // Visual feedback - green
           game.ctx.beginPath();
-          game.ctx.arc(spore.x, spore.y, spore.radius * 1.5, 0, Math.PI * 2);
+          game.ctx.arc(spore.px, spore.y, spore.radius * 1.5, 0, Math.PI * 2);
           game.ctx.strokeStyle = '#7A9B76';
           game.ctx.lineWidth = 3;
           game.ctx.stroke();
@@ -902,15 +1719,15 @@ class MushroomVillageClient {
           // Wrong color - lose point!
           game.score = Math.max(0, game.score - 1);
           document.getElementById('spore-score').textContent = game.score;
-          
+
           // Visual feedback - red
           game.ctx.beginPath();
-          game.ctx.arc(spore.x, spore.y, spore.radius * 1.5, 0, Math.PI * 2);
+          game.ctx.arc(spore.px, spore.y, spore.radius * 1.5, 0, Math.PI * 2);
           game.ctx.strokeStyle = '#D4756E';
           game.ctx.lineWidth = 3;
           game.ctx.stroke();
         }
-        
+
         // Remove spore
         game.spores.splice(i, 1);
         break;
@@ -921,33 +1738,25 @@ class MushroomVillageClient {
   endSporeGame() {
     const game = this.sporeGame;
     game.isRunning = false;
-    
+
     if (game.animationFrame) {
       cancelAnimationFrame(game.animationFrame);
     }
-    
-    // Send gather command - resources go to player inventory
-    if (game.score > 0) {
-      this.send({
-        type: 'USER_CHAT',
-        text: `/gather spores x${game.score}`
-      });
-    }
-    
+
+    // Submit the round - the server replays it and credits the spores
+    this.submitGatherGame(game);
+
     // Show result
     game.ctx.fillStyle = 'rgba(122, 155, 118, 0.9)';
     game.ctx.fillRect(0, 0, game.canvas.width, game.canvas.height);
-    
+
     game.ctx.fillStyle = 'white';
     game.ctx.font = 'bold 32px Quicksand';
     game.ctx.textAlign = 'center';
     game.ctx.fillText('Game Over!', game.canvas.width / 2, game.canvas.height / 2 - 30);
-    
+
     game.ctx.font = '20px Nunito';
     game.ctx.fillText(`You caught ${game.score} spores!`, game.canvas.width / 2, game.canvas.height / 2 + 10);
-    
-    // Start cooldown
-    this.startCooldown('spores');
   }
 
   closeSporeGame() {
@@ -955,39 +1764,33 @@ class MushroomVillageClient {
     if (game && game.isRunning) {
       this.endSporeGame();
     }
-    
+
     document.getElementById('spore-game-panel').style.display = 'none';
   }
 
   // MOSS MATCHER GAME
   startMossGame() {
-    if (this.isCooldown('moss')) return;
-    
+    this.requestGatherSession('moss');
+  }
+
+  playMossGame(session) {
     document.getElementById('moss-game-panel').style.display = 'block';
-    
-    const mossTypes = ['🌿', '🍀', '🌱', '🪴', '🌾', '🍃'];
-    const cards = [];
-    
-    // Create 6 pairs
-    for (let i = 0; i < 6; i++) {
-      cards.push(mossTypes[i], mossTypes[i]);
-    }
-    
-    // Shuffle
-    for (let i = cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [cards[i], cards[j]] = [cards[j], cards[i]];
-    }
-    
+
+    // Cards are dealt face down; the server reveals each one as it is flipped
     this.mossGame = {
-      cards,
+      session,
+      startedAt: Date.now(),
+      moves: [],
+      faces: ['🌿', '🍀', '🌱', '🪴', '🌾', '🍃'],
+      cards: new Array(session.layout.cards).fill(null),
+      revealing: null,
       flipped: [],
       matched: [],
       score: 0,
-      timeLeft: 30,
+      timeLeft: Math.ceil(session.durationMs / 1000),
       isRunning: true
     };
-    
+
     this.renderMossGrid();
     this.runMossTimer();
   }
@@ -995,38 +1798,68 @@ class MushroomVillageClient {
   renderMossGrid() {
     const grid = document.getElementById('moss-game-grid');
     grid.innerHTML = '';
-    
-    this.mossGame.cards.forEach((moss, index) => {
+
+    this.mossGame.cards.forEach((_, index) => {
       const card = document.createElement('div');
       card.className = 'moss-card';
       card.dataset.index = index;
-      
+
       const back = document.createElement('div');
       back.className = 'moss-card-back';
       back.textContent = '🌿';
-      
+
       const front = document.createElement('div');
-      front.textContent = moss;
-      
+      front.className = 'moss-card-front';
+
       card.appendChild(back);
       card.appendChild(front);
       card.onclick = () => this.flipMossCard(index);
-      
+
       grid.appendChild(card);
     });
   }
 
   flipMossCard(index) {
     const game = this.mossGame;
-    if (!game.isRunning || game.flipped.length >= 2 || 
+    if (!game.isRunning || game.revealing !== null || game.flipped.length >= 2 ||
         game.flipped.includes(index) || game.matched.includes(index)) {
       return;
     }
-    
+
+    const elapsed = this.gameElapsed(game);
+    if (elapsed >= game.session.durationMs) return;
+
+    // The server records the flip and answers with the card's face
+    game.revealing = index;
+    this.send({
+      type: 'GATHER_FLIP',
+      session: game.session.session,
+      signature: game.session.signature,
+      t: elapsed,
+      index
+    });
+  }
+
+  handleMossReveal(data) {
+    const game = this.mossGame;
+    if (!game || !game.isRunning || game.session.session.id !== data.session ||
+        game.revealing !== data.index) {
+      return;
+    }
+    game.revealing = null;
+
+    if (data.face === null) {
+      this.addSystemMessage({ text: data.reason, type: 'error' });
+      return;
+    }
+
+    const index = data.index;
+    game.cards[index] = data.face;
     game.flipped.push(index);
     const card = document.querySelector(`.moss-card[data-index="${index}"]`);
+    card.querySelector('.moss-card-front').textContent = game.faces[data.face];
     card.classList.add('flipped');
-    
+
     if (game.flipped.length === 2) {
       const [first, second] = game.flipped;
       if (game.cards[first] === game.cards[second]) {
@@ -1034,13 +1867,13 @@ class MushroomVillageClient {
         game.matched.push(first, second);
         game.score++;
         document.getElementById('moss-score').textContent = game.score;
-        
+
         setTimeout(() => {
           document.querySelectorAll('.moss-card.flipped').forEach(c => {
             if (!c.classList.contains('matched')) c.classList.add('matched');
           });
           game.flipped = [];
-          
+
           if (game.matched.length === game.cards.length) {
             this.endMossGame();
           }
@@ -1063,10 +1896,10 @@ class MushroomVillageClient {
         clearInterval(interval);
         return;
       }
-      
+
       this.mossGame.timeLeft--;
       document.getElementById('moss-time').textContent = this.mossGame.timeLeft;
-      
+
       if (this.mossGame.timeLeft <= 0) {
         this.endMossGame();
         clearInterval(interval);
@@ -1076,27 +1909,18 @@ class MushroomVillageClient {
 
   endMossGame() {
     this.mossGame.isRunning = false;
-    
-    const yield_amt = this.mossGame.score * 2;
-    
-    if (yield_amt > 0) {
-      this.send({
-        type: 'USER_CHAT',
-        text: `/gather moss x${yield_amt}`
-      });
-    }
-    
+
+    // Submit the round - the server replays it and credits the moss
+    this.submitGatherGame(this.mossGame);
+
     // Show completion message on grid
     const grid = document.getElementById('moss-game-grid');
     grid.innerHTML = `
       <div style="grid-column: 1 / -1; display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 40px;">
         <h3 style="color: #7A9B76; font-size: 24px; margin-bottom: 10px;">Game Complete!</h3>
         <p style="font-size: 18px;">Matches: ${this.mossGame.score}/6</p>
-        <p style="font-size: 18px;">Collected: ${yield_amt} moss</p>
       </div>
     `;
-    
-    this.startCooldown('moss');
   }
 
   closeMossGame() {
@@ -1108,147 +1932,167 @@ class MushroomVillageClient {
 
   // CEDAR CHOP GAME
   startCedarGame() {
-    if (this.isCooldown('cedar')) return;
-    
+    this.requestGatherSession('cedar');
+  }
+
+  playCedarGame(session) {
     document.getElementById('cedar-game-panel').style.display = 'block';
-    
+
+    const rules = session.layout;
+
     this.cedarGame = {
       canvas: document.getElementById('cedar-canvas'),
       ctx: null,
+      session,
+      rules,
+      startedAt: Date.now(),
+      moves: [],
       chops: 0,
-      totalChops: 10,
+      totalChops: rules.targets.length,
       hits: 0,
       consecutiveHits: 0,
-      targetPos: 0.5,
+      targetPos: rules.targets[0],
       indicatorPos: 0,
       direction: 1,
-      speed: 0.005,
-      hitZoneSize: 0.25,
+      roundStart: 0,
+      speed: rules.speed.base,
+      hitZoneSize: rules.zone.base,
       isRunning: true,
       waiting: true
     };
-    
+
     this.cedarGame.ctx = this.cedarGame.canvas.getContext('2d');
     const rect = this.cedarGame.canvas.getBoundingClientRect();
     this.cedarGame.canvas.width = rect.width;
     this.cedarGame.canvas.height = rect.height;
-    
+
     // Click handler
     this.cedarGame.canvas.onclick = () => this.chopCedar();
-    
+
     // Start animation
     this.animateCedarChop();
   }
 
+  // Indicator position after moving `distance` bar-widths from where the
+  // round started, bouncing off both ends (mirrors the server replay)
+  sweepCedarIndicator(game, elapsed) {
+    let x = game.indicatorPos + game.direction * game.speed * Math.max(0, elapsed - game.roundStart) / 1000;
+    let dir = game.direction;
+    while (x > 1 || x < 0) {
+      x = x > 1 ? 2 - x : -x;
+      dir = -dir;
+    }
+    return { pos: x, dir };
+  }
+
   animateCedarChop() {
     const game = this.cedarGame;
     if (!game.isRunning) return;
-    
+
     const ctx = game.ctx;
     const w = game.canvas.width;
     const h = game.canvas.height;
-    
+
     // Clear
     ctx.fillStyle = '#FAFAF8';
     ctx.fillRect(0, 0, w, h);
-    
+
     // Draw tree
     ctx.fillStyle = '#8B7355';
     ctx.fillRect(w/2 - 30, h/2 - 100, 60, 200);
-    
+
     // Draw bar
     const barY = h/2 + 120;
     const barHeight = 40;
     ctx.fillStyle = '#E0E0E0';
     ctx.fillRect(50, barY, w - 100, barHeight);
-    
+
     // Draw target zone (size based on difficulty)
     const targetX = 50 + (w - 100) * game.targetPos;
     const zoneWidth = (w - 100) * game.hitZoneSize;
     ctx.fillStyle = 'rgba(122, 155, 118, 0.3)';
     ctx.fillRect(targetX - zoneWidth/2, barY, zoneWidth, barHeight);
-    
+
     // Draw indicator
-    if (game.waiting) {
-      game.indicatorPos += game.speed * game.direction;
-      if (game.indicatorPos >= 1 || game.indicatorPos <= 0) {
-        game.direction *= -1;
-      }
-    }
-    
-    const indicatorX = 50 + (w - 100) * game.indicatorPos;
+    const indicatorPos = game.waiting ? this.sweepCedarIndicator(game, this.gameElapsed(game)).pos : game.indicatorPos;
+
+    const indicatorX = 50 + (w - 100) * indicatorPos;
     ctx.fillStyle = '#7A9B76';
     ctx.fillRect(indicatorX - 5, barY - 10, 10, barHeight + 20);
-    
+
     // Draw instructions and difficulty indicator
     ctx.fillStyle = '#3A3A3A';
     ctx.font = '16px Nunito';
     ctx.textAlign = 'center';
     ctx.fillText('Click when indicator is in green zone!', w/2, 40);
-    
+
     // Show consecutive hits streak
     if (game.consecutiveHits > 0) {
       ctx.fillStyle = '#7A9B76';
       ctx.font = 'bold 14px Quicksand';
       ctx.fillText(`🔥 Streak: ${game.consecutiveHits} (Getting harder!)`, w/2, 65);
     }
-    
+
     requestAnimationFrame(() => this.animateCedarChop());
   }
 
   chopCedar() {
     const game = this.cedarGame;
     if (!game.waiting || !game.isRunning) return;
-    
+
+    const elapsed = this.gameElapsed(game);
+    if (elapsed < game.roundStart || elapsed >= game.session.durationMs) return;
+
     game.waiting = false;
     game.chops++;
-    
+    game.moves.push({ t: elapsed });
+
+    // Freeze the indicator where it was chopped
+    const indicator = this.sweepCedarIndicator(game, elapsed);
+    game.indicatorPos = indicator.pos;
+    game.direction = indicator.dir;
+
     // Check accuracy (use current hit zone size)
     const distance = Math.abs(game.indicatorPos - game.targetPos);
     const isHit = distance < game.hitZoneSize / 2;
-    
+    const { speed, zone } = game.rules;
+
     if (isHit) {
       game.hits++;
       game.consecutiveHits++;
-      
+
       // Progressive difficulty: speed up and shrink hit zone on consecutive hits
-      game.speed = Math.min(0.025, game.speed + 0.002);
-      game.hitZoneSize = Math.max(0.08, game.hitZoneSize - 0.02);
+      game.speed = Math.min(speed.max, game.speed + speed.onHit);
+      game.hitZoneSize = Math.max(zone.min, game.hitZoneSize + zone.onHit);
     } else {
       // Reset streak on miss
       game.consecutiveHits = 0;
       // Reset difficulty slightly
-      game.speed = Math.max(0.005, game.speed - 0.001);
-      game.hitZoneSize = Math.min(0.25, game.hitZoneSize + 0.01);
+      game.speed = Math.max(speed.base, game.speed + speed.onMiss);
+      game.hitZoneSize = Math.min(zone.base, game.hitZoneSize + zone.onMiss);
     }
-    
+
     const accuracy = Math.round((game.hits / game.chops) * 100);
-    document.getElementById('cedar-chops').textContent = `${game.chops}/10`;
+    document.getElementById('cedar-chops').textContent = `${game.chops}/${game.totalChops}`;
     document.getElementById('cedar-accuracy').textContent = `${accuracy}%`;
-    
+
     if (game.chops >= game.totalChops) {
       this.endCedarGame();
     } else {
-      // Reset for next chop
+      // Next round starts after a short pause, with the next dealt target
+      game.roundStart = elapsed + game.rules.roundDelayMs;
       setTimeout(() => {
         game.waiting = true;
-        game.targetPos = 0.2 + Math.random() * 0.6;
-      }, 500);
+        game.targetPos = game.rules.targets[game.chops];
+      }, game.rules.roundDelayMs);
     }
   }
 
   endCedarGame() {
     this.cedarGame.isRunning = false;
-    const yield_amt = Math.max(1, Math.round(this.cedarGame.hits * 1.5));
-    
-    if (yield_amt > 0) {
-      this.send({
-        type: 'USER_CHAT',
-        text: `/gather cedar x${yield_amt}`
-      });
-    }
-    
-    this.startCooldown('cedar');
+
+    // Submit the round - the server replays it and credits the cedar
+    this.submitGatherGame(this.cedarGame);
   }
 
   closeCedarGame() {
@@ -1260,38 +2104,42 @@ class MushroomVillageClient {
 
   // RESIN COLLECTION GAME - Redesigned as a bucket catching game
   startResinGame() {
-    if (this.isCooldown('resin')) return;
-    
+    this.requestGatherSession('resin');
+  }
+
+  playResinGame(session) {
     document.getElementById('resin-game-panel').style.display = 'block';
-    
+
     this.resinGame = {
       canvas: document.getElementById('resin-canvas'),
       ctx: null,
-      bucketX: 0,
-      bucketWidth: 80,
+      session,
+      layout: session.layout,
+      durationMs: session.durationMs,
+      startedAt: Date.now(),
+      moves: [],
+      bucketX: 0.5, // bucket centre, as a fraction of the canvas width
       bucketHeight: 30,
       drops: [],
+      nextDrop: 0,
       score: 0,
       missed: 0,
-      timeLeft: 20,
+      timeLeft: Math.ceil(session.durationMs / 1000),
       isRunning: true
     };
-    
+
     this.resinGame.ctx = this.resinGame.canvas.getContext('2d');
     const rect = this.resinGame.canvas.getBoundingClientRect();
     this.resinGame.canvas.width = rect.width;
     this.resinGame.canvas.height = rect.height;
-    
-    // Initialize bucket position
-    this.resinGame.bucketX = (this.resinGame.canvas.width - this.resinGame.bucketWidth) / 2;
-    
+
     // Mouse/touch control
     this.resinGame.canvas.onmousemove = (e) => this.moveResinBucket(e);
     this.resinGame.canvas.ontouchmove = (e) => {
       e.preventDefault();
       this.moveResinBucket(e.touches[0]);
     };
-    
+
     // Start game
     this.runResinGame();
   }
@@ -1299,172 +2147,167 @@ class MushroomVillageClient {
   moveResinBucket(e) {
     const game = this.resinGame;
     if (!game.isRunning) return;
-    
+
+    // Bucket moves are logged for the server, at most every 50ms
+    const elapsed = this.gameElapsed(game);
+    const last = game.moves[game.moves.length - 1];
+    if (elapsed >= game.durationMs || (last && elapsed - last.t < 50)) return;
+
     const rect = game.canvas.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    
-    // Center bucket on mouse position
-    game.bucketX = Math.max(0, Math.min(game.canvas.width - game.bucketWidth, mouseX - game.bucketWidth / 2));
+    const half = game.layout.bucketWidth / 2;
+    const x = Math.max(half, Math.min(1 - half, (e.clientX - rect.left) / game.canvas.width));
+
+    game.bucketX = x;
+    game.moves.push({ t: elapsed, x });
+  }
+
+  // Where the bucket was at a given time (same rule the server replays)
+  resinBucketAt(game, time) {
+    for (let i = game.moves.length - 1; i >= 0; i--) {
+      if (game.moves[i].t <= time) return game.moves[i].x;
+    }
+    return 0.5;
   }
 
   runResinGame() {
     const game = this.resinGame;
-    game.score = 0;
-    game.missed = 0;
-    
+
     document.getElementById('resin-accuracy').textContent = '0';
-    document.getElementById('resin-time').textContent = '20';
-    
-    // Spawn resin drops
-    const spawnInterval = setInterval(() => {
-      if (!game.isRunning) {
-        clearInterval(spawnInterval);
-        return;
-      }
-      
-      // Spawn 1-2 drops
-      const count = Math.random() > 0.6 ? 2 : 1;
-      for (let i = 0; i < count; i++) {
-        game.drops.push({
-          x: 20 + Math.random() * (game.canvas.width - 40),
-          y: -20,
-          speed: 1.2 + Math.random() * 0.8,
-          size: 8 + Math.random() * 6,
-          wobble: Math.random() * Math.PI * 2
-        });
-      }
-    }, 1000);
-    
+    document.getElementById('resin-time').textContent = game.timeLeft;
+
     // Timer
     const timerInterval = setInterval(() => {
       if (!game.isRunning) {
         clearInterval(timerInterval);
         return;
       }
-      
-      game.timeLeft--;
+
+      game.timeLeft = Math.max(0, Math.ceil((game.durationMs - this.gameElapsed(game)) / 1000));
       document.getElementById('resin-time').textContent = game.timeLeft;
-      
+
       if (game.timeLeft <= 0) {
         this.endResinGame();
         clearInterval(timerInterval);
-        clearInterval(spawnInterval);
       }
     }, 1000);
-    
+
     // Animation loop
     const animate = () => {
       if (!game.isRunning) return;
-      
+
       const ctx = game.ctx;
       const w = game.canvas.width;
       const h = game.canvas.height;
-      
+      const bucketY = h - 60;
+      const bucketWidth = game.layout.bucketWidth * w;
+      const elapsed = this.gameElapsed(game);
+
+      // Release drops that are due
+      while (game.nextDrop < game.layout.drops.length && game.layout.drops[game.nextDrop].at <= elapsed) {
+        const drop = game.layout.drops[game.nextDrop++];
+        game.drops.push({ ...drop, wobble: drop.size });
+      }
+
       // Clear
       ctx.fillStyle = '#FAF8F5';
       ctx.fillRect(0, 0, w, h);
-      
+
       // Draw trees in background
       ctx.fillStyle = 'rgba(139, 115, 85, 0.2)';
       for (let i = 0; i < 3; i++) {
         const treeX = (w / 4) * (i + 1);
         ctx.fillRect(treeX - 15, 30, 30, 80);
       }
-      
+
       // Update and draw drops
       game.drops = game.drops.filter(drop => {
-        drop.y += drop.speed;
+        const landsAt = drop.at + drop.fallMs;
+        const y = -20 + ((elapsed - drop.at) / drop.fallMs) * (bucketY + 20);
         drop.wobble += 0.05;
-        
-        // Check if caught
-        const bucketY = h - 60;
-        if (drop.y >= bucketY && drop.y <= bucketY + game.bucketHeight) {
-          if (drop.x >= game.bucketX && drop.x <= game.bucketX + game.bucketWidth) {
+
+        // Check if caught as it reaches the bucket
+        if (!drop.landed && elapsed >= landsAt && landsAt <= game.durationMs) {
+          drop.landed = true;
+          if (Math.abs(drop.x - this.resinBucketAt(game, landsAt)) <= game.layout.bucketWidth / 2) {
             game.score++;
             document.getElementById('resin-accuracy').textContent = game.score;
             return false; // Remove drop
           }
         }
-        
+
         // Check if missed
-        if (drop.y > h + 20) {
+        if (y > h + 20) {
           game.missed++;
           return false;
         }
-        
+
         // Draw drop with wobble
+        const dropX = drop.x * w;
         const wobbleOffset = Math.sin(drop.wobble) * 3;
         ctx.fillStyle = '#E8B869';
         ctx.beginPath();
-        ctx.ellipse(drop.x + wobbleOffset, drop.y, drop.size, drop.size * 1.3, 0, 0, Math.PI * 2);
+        ctx.ellipse(dropX + wobbleOffset, y, drop.size, drop.size * 1.3, 0, 0, Math.PI * 2);
         ctx.fill();
-        
+
         // Highlight
         ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.beginPath();
-        ctx.arc(drop.x + wobbleOffset - drop.size * 0.3, drop.y - drop.size * 0.3, drop.size * 0.4, 0, Math.PI * 2);
+        ctx.arc(dropX + wobbleOffset - drop.size * 0.3, y - drop.size * 0.3, drop.size * 0.4, 0, Math.PI * 2);
         ctx.fill();
-        
+
         return true;
       });
-      
+
       // Draw bucket
-      const bucketY = h - 60;
-      
+      const bucketLeft = game.bucketX * w - bucketWidth / 2;
+
       // Bucket shadow
       ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
-      ctx.fillRect(game.bucketX + 5, bucketY + 5, game.bucketWidth, game.bucketHeight);
-      
+      ctx.fillRect(bucketLeft + 5, bucketY + 5, bucketWidth, game.bucketHeight);
+
       // Bucket body
       ctx.fillStyle = '#8B7355';
-      ctx.fillRect(game.bucketX, bucketY, game.bucketWidth, game.bucketHeight);
-      
+      ctx.fillRect(bucketLeft, bucketY, bucketWidth, game.bucketHeight);
+
       // Bucket rim
       ctx.fillStyle = '#A0896A';
-      ctx.fillRect(game.bucketX - 5, bucketY - 5, game.bucketWidth + 10, 8);
-      
+      ctx.fillRect(bucketLeft - 5, bucketY - 5, bucketWidth + 10, 8);
+
       // Bucket interior
       ctx.fillStyle = '#6A5D4F';
-      ctx.fillRect(game.bucketX + 5, bucketY + 3, game.bucketWidth - 10, game.bucketHeight - 8);
-      
+      ctx.fillRect(bucketLeft + 5, bucketY + 3, bucketWidth - 10, game.bucketHeight - 8);
+
       // Instructions
       ctx.fillStyle = '#3A3A3A';
       ctx.font = '16px Nunito';
       ctx.textAlign = 'center';
       ctx.fillText('Move your mouse to catch resin drops!', w / 2, 25);
-      
+
       requestAnimationFrame(animate);
     };
-    
+
     animate();
   }
 
   endResinGame() {
     this.resinGame.isRunning = false;
-    const yield_amt = Math.max(1, this.resinGame.score);
-    
-    if (yield_amt > 0) {
-      this.send({
-        type: 'USER_CHAT',
-        text: `/gather resin x${yield_amt}`
-      });
-    }
-    
+
+    // Submit the round - the server replays it and credits the resin
+    this.submitGatherGame(this.resinGame);
+
     // Show result
     const ctx = this.resinGame.ctx;
     ctx.fillStyle = 'rgba(122, 155, 118, 0.9)';
     ctx.fillRect(0, 0, this.resinGame.canvas.width, this.resinGame.canvas.height);
-    
+
     ctx.fillStyle = 'white';
     ctx.font = 'bold 32px Quicksand';
     ctx.textAlign = 'center';
     ctx.fillText('Game Over!', this.resinGame.canvas.width / 2, this.resinGame.canvas.height / 2 - 40);
-    
+
     ctx.font = '20px Nunito';
     ctx.fillText(`Caught: ${this.resinGame.score} drops`, this.resinGame.canvas.width / 2, this.resinGame.canvas.height / 2);
     ctx.fillText(`Missed: ${this.resinGame.missed}`, this.resinGame.canvas.width / 2, this.resinGame.canvas.height / 2 + 30);
-    
-    this.startCooldown('resin');
   }
 
   closeResinGame() {